@@ -1,11 +1,39 @@
 import React from 'react';
+import { getLightSourceChoices, formatMeasurement, getInputRange } from '../utils/photosynthesisLogic';
 
 /**
  * Controls Component
- * Provides sliders for Light, CO₂, and Temperature inputs
+ * Provides sliders for Light, CO₂, Temperature and (optionally) Humidity and Nitrogen inputs,
+ * plus an optional light source picker
+ * Values are shown in the unit system from `unitSettings` (plant-science units by default)
+ * Slider ranges are shared with the scenario presets via getInputRange
  * Pure presentation component - no business logic
  */
-const Controls = ({ light, setLight, co2, setCo2, temperature, setTemperature }) => {
+const Controls = ({
+  light,
+  setLight,
+  co2,
+  setCo2,
+  temperature,
+  setTemperature,
+  humidity,
+  setHumidity,
+  nitrogen,
+  setNitrogen,
+  lightSource,
+  setLightSource,
+  unitSettings
+}) => {
+  // Lux and W/m² depend on the lamp spectrum
+  const format = (quantity, value) => formatMeasurement(quantity, value, { ...unitSettings, lightSource });
+  const ranges = {
+    light: getInputRange('light'),
+    co2: getInputRange('co2'),
+    temperature: getInputRange('temperature'),
+    humidity: getInputRange('humidity'),
+    nitrogen: getInputRange('nitrogen')
+  };
+
   return (
     <div className="bg-white rounded-lg shadow-md p-6 space-y-6">
       <h2 className="text-2xl font-bold text-gray-800 mb-4">Environmental Controls</h2>
@@ -16,22 +44,37 @@ const Controls = ({ light, setLight, co2, setCo2, temperature, setTemperature })
           <label htmlFor="light" className="text-lg font-semibold text-gray-700">
             Light Intensity
           </label>
-          <span className="text-xl font-bold text-blue-600">{light} μmol/m²/s</span>
+          <span className="text-xl font-bold text-blue-600">{format('light', light)}</span>
         </div>
         <input
           id="light"
           type="range"
-          min="0"
-          max="2000"
-          step="10"
+          min={ranges.light.min}
+          max={ranges.light.max}
+          step={ranges.light.step}
           value={light}
           onChange={(e) => setLight(Number(e.target.value))}
           className="w-full h-3 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
         />
         <div className="flex justify-between text-sm text-gray-500">
-          <span>0</span>
-          <span>2000</span>
+          <span>{format('light', ranges.light.min)}</span>
+          <span>{format('light', ranges.light.max)}</span>
         </div>
+        {setLightSource && (
+          <select
+            id="light-source"
+            aria-label="Light source"
+            value={lightSource}
+            onChange={(e) => setLightSource(e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-gray-800 focus:border-blue-500 focus:outline-none"
+          >
+            {getLightSourceChoices().map((source) => (
+              <option key={source.id} value={source.id}>
+                {source.name}
+              </option>
+            ))}
+          </select>
+        )}
       </div>
 
       {/* CO₂ Concentration Slider */}
@@ -40,21 +83,21 @@ const Controls = ({ light, setLight, co2, setCo2, temperature, setTemperature })
           <label htmlFor="co2" className="text-lg font-semibold text-gray-700">
             CO₂ Concentration
           </label>
-          <span className="text-xl font-bold text-green-600">{co2} ppm</span>
+          <span className="text-xl font-bold text-green-600">{format('co2', co2)}</span>
         </div>
         <input
           id="co2"
           type="range"
-          min="0"
-          max="1000"
-          step="10"
+          min={ranges.co2.min}
+          max={ranges.co2.max}
+          step={ranges.co2.step}
           value={co2}
           onChange={(e) => setCo2(Number(e.target.value))}
           className="w-full h-3 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-green-600"
         />
         <div className="flex justify-between text-sm text-gray-500">
-          <span>0</span>
-          <span>1000</span>
+          <span>{format('co2', ranges.co2.min)}</span>
+          <span>{format('co2', ranges.co2.max)}</span>
         </div>
       </div>
 
@@ -64,23 +107,75 @@ const Controls = ({ light, setLight, co2, setCo2, temperature, setTemperature })
           <label htmlFor="temperature" className="text-lg font-semibold text-gray-700">
             Temperature
           </label>
-          <span className="text-xl font-bold text-red-600">{temperature} °C</span>
+          <span className="text-xl font-bold text-red-600">{format('temperature', temperature)}</span>
         </div>
         <input
           id="temperature"
           type="range"
-          min="0"
-          max="50"
-          step="1"
+          min={ranges.temperature.min}
+          max={ranges.temperature.max}
+          step={ranges.temperature.step}
           value={temperature}
           onChange={(e) => setTemperature(Number(e.target.value))}
           className="w-full h-3 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-red-600"
         />
         <div className="flex justify-between text-sm text-gray-500">
-          <span>0</span>
-          <span>50</span>
+          <span>{format('temperature', ranges.temperature.min)}</span>
+          <span>{format('temperature', ranges.temperature.max)}</span>
         </div>
       </div>
+
+      {/* Relative Humidity Slider */}
+      {setHumidity && (
+        <div className="space-y-2">
+          <div className="flex justify-between items-center">
+            <label htmlFor="humidity" className="text-lg font-semibold text-gray-700">
+              Humidity
+            </label>
+            <span className="text-xl font-bold text-cyan-600">{humidity} % RH</span>
+          </div>
+          <input
+            id="humidity"
+            type="range"
+            min={ranges.humidity.min}
+            max={ranges.humidity.max}
+            step={ranges.humidity.step}
+            value={humidity}
+            onChange={(e) => setHumidity(Number(e.target.value))}
+            className="w-full h-3 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-cyan-600"
+          />
+          <div className="flex justify-between text-sm text-gray-500">
+            <span>0</span>
+            <span>100</span>
+          </div>
+        </div>
+      )}
+
+      {/* Nitrogen Fertilizer Slider */}
+      {setNitrogen && (
+        <div className="space-y-2">
+          <div className="flex justify-between items-center">
+            <label htmlFor="nitrogen" className="text-lg font-semibold text-gray-700">
+              Nitrogen
+            </label>
+            <span className="text-xl font-bold text-lime-600">{nitrogen} %</span>
+          </div>
+          <input
+            id="nitrogen"
+            type="range"
+            min={ranges.nitrogen.min}
+            max={ranges.nitrogen.max}
+            step={ranges.nitrogen.step}
+            value={nitrogen}
+            onChange={(e) => setNitrogen(Number(e.target.value))}
+            className="w-full h-3 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-lime-600"
+          />
+          <div className="flex justify-between text-sm text-gray-500">
+            <span>Deficient</span>
+            <span>Fully fertilized</span>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
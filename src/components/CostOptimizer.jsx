@@ -0,0 +1,247 @@
+import React, { useEffect, useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceDot,
+  ResponsiveContainer
+} from 'recharts';
+import {
+  optimizeGreenhouseSetpoint,
+  getDefaultCostSettings,
+  getEconomicObjectives,
+  getTimeLapseDayRange,
+  parseTimeLapseDays,
+  formatMeasurement
+} from '../utils/photosynthesisLogic';
+
+/**
+ * CostOptimizer Component
+ * Greenhouse economics: enter prices and greenhouse properties, then find the
+ * light, CO₂ and temperature setpoint that maximises profit or biomass per
+ * dollar over a growing period. Shows the current and optimized setpoints
+ * side by side and the cost / biomass trade-off curve.
+ * Pure presentation component - the optimization runs in the logic adapter
+ *
+ * `theme` switches between the light page styling and the dark simulator styling.
+ */
+
+// The growing period runs through the time-lapse engine, so it shares its limits
+const DAY_RANGE = getTimeLapseDayRange();
+
+const THEMES = {
+  light: {
+    container: 'bg-white rounded-lg shadow-md p-6 space-y-4',
+    title: 'text-2xl font-bold text-gray-800',
+    label: 'text-xs font-semibold text-gray-600 block mb-1',
+    input: 'w-full border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-800 focus:border-blue-500 focus:outline-none',
+    button: 'bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors',
+    apply: 'bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition-colors',
+    table: 'w-full text-sm text-gray-700',
+    header: 'text-left text-gray-500 font-semibold',
+    muted: 'text-xs text-gray-500',
+    grid: '#e5e7eb',
+    axis: '#6b7280',
+    curve: '#2563eb',
+    tooltip: { backgroundColor: '#f9fafb', border: '1px solid #e5e7eb', borderRadius: '8px' }
+  },
+  dark: {
+    container: 'bg-slate-800 rounded-xl p-6 shadow-lg border border-slate-700 space-y-4',
+    title: 'text-lg font-bold text-white',
+    label: 'text-xs text-gray-400 block mb-1',
+    input: 'w-full bg-slate-700 text-white rounded px-2 py-1 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none',
+    button: 'bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors',
+    apply: 'bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-500 transition-colors',
+    table: 'w-full text-sm text-gray-200',
+    header: 'text-left text-gray-400 font-semibold',
+    muted: 'text-xs text-gray-400',
+    grid: '#374151',
+    axis: '#9CA3AF',
+    curve: '#60a5fa',
+    tooltip: { backgroundColor: '#1F2937', border: '1px solid #374151', borderRadius: '8px' }
+  }
+};
+
+// Editable cost settings: key, label and step
+const COST_FIELDS = [
+  ['electricityPrice', 'Electricity ($/kWh)', 0.01],
+  ['lampEfficacy', 'Lamp efficacy (µmol/J)', 0.1],
+  ['daylight', 'Daylight (µmol/m²/s)', 10],
+  ['co2Price', 'CO₂ price ($/kg)', 0.05],
+  ['airExchanges', 'Air changes per hour', 0.1],
+  ['heatingCost', 'Heating ($/°C·h·m²)', 0.0001],
+  ['coolingCost', 'Cooling ($/°C·h·m²)', 0.0001],
+  ['outsideTemperature', 'Outside temperature (°C)', 1],
+  ['cropValue', 'Crop value ($/g)', 0.01],
+  ['days', 'Growing period (days)', 1]
+];
+
+const money = (value) => `$${value.toFixed(2)}`;
+
+const CostOptimizer = ({ conditions, modelOptions, unitSettings, onApply, theme = 'light' }) => {
+  const styles = THEMES[theme] || THEMES.light;
+  const objectives = getEconomicObjectives();
+  const [costSettings, setCostSettings] = useState(getDefaultCostSettings);
+  const [objective, setObjective] = useState('profit');
+  const [result, setResult] = useState(null);
+
+  // A result describes the conditions it was computed for
+  const { light, co2, temperature, humidity, nitrogen, lightSource } = conditions;
+  useEffect(() => {
+    setResult(null);
+  }, [light, co2, temperature, humidity, nitrogen, lightSource, modelOptions, costSettings]);
+
+  const displaySettings = { ...unitSettings, lightSource };
+
+  // The growing period needs whole days within the time-lapse range and the lamps a positive efficacy
+  const handleSettingChange = (key, text) => {
+    let next = Number(text);
+    if (key === 'days') next = parseTimeLapseDays(text, costSettings.days);
+    if (key === 'lampEfficacy') next = Math.max(0.1, next);
+    setCostSettings({ ...costSettings, [key]: next });
+  };
+
+  const handleOptimize = () => {
+    setResult(optimizeGreenhouseSetpoint(conditions, costSettings, modelOptions, objective));
+  };
+
+  const rows = result && [
+    ['Light', (entry) => formatMeasurement('light', entry.conditions.light, displaySettings)],
+    ['CO₂', (entry) => formatMeasurement('co2', entry.conditions.co2, displaySettings)],
+    ['Temperature', (entry) => formatMeasurement('temperature', entry.conditions.temperature, displaySettings)],
+    ['Biomass gained', (entry) => `${entry.gain.toFixed(1)} g/m²`],
+    ['Lighting', (entry) => money(entry.costs.lighting)],
+    ['CO₂ enrichment', (entry) => money(entry.costs.co2)],
+    ['Heating / cooling', (entry) => money(entry.costs.climate)],
+    ['Total cost', (entry) => money(entry.costs.total)],
+    ['Crop value', (entry) => money(entry.revenue)],
+    ['Profit', (entry) => money(entry.profit)],
+    ['Biomass per $', (entry) => (Number.isFinite(entry.biomassPerDollar) ? `${entry.biomassPerDollar.toFixed(1)} g` : '—')]
+  ];
+
+  const frontier = result && result.frontier.map((entry) => ({
+    cost: entry.costs.total,
+    gain: entry.gain,
+    light: entry.conditions.light,
+    co2: entry.conditions.co2,
+    temperature: entry.conditions.temperature
+  }));
+
+  return (
+    <div className={styles.container}>
+      <h2 className={styles.title}>Greenhouse Cost Optimizer</h2>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+        {COST_FIELDS.map(([key, label, step]) => (
+          <div key={key}>
+            <label htmlFor={`cost-${key}`} className={styles.label}>{label}</label>
+            <input
+              id={`cost-${key}`}
+              type="number"
+              min={key === 'days' || key === 'lampEfficacy' ? step : undefined}
+              max={key === 'days' ? DAY_RANGE.max : undefined}
+              step={step}
+              value={costSettings[key]}
+              onChange={(e) => handleSettingChange(key, e.target.value)}
+              className={styles.input}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <div>
+          <label htmlFor="cost-objective" className={styles.label}>Optimize for</label>
+          <select
+            id="cost-objective"
+            value={objective}
+            onChange={(e) => setObjective(e.target.value)}
+            className={styles.input}
+          >
+            {objectives.map((entry) => (
+              <option key={entry.id} value={entry.id}>{entry.name}</option>
+            ))}
+          </select>
+        </div>
+        <button onClick={handleOptimize} className={styles.button}>
+          Optimize
+        </button>
+        {result && onApply && (
+          <button
+            onClick={() => onApply({
+              light: result.best.conditions.light,
+              co2: result.best.conditions.co2,
+              temperature: result.best.conditions.temperature
+            })}
+            className={styles.apply}
+          >
+            Apply Optimized Setpoint
+          </button>
+        )}
+      </div>
+
+      {result && (
+        <>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th className={styles.header}>Per m² over {costSettings.days} days</th>
+                <th className={styles.header}>Current</th>
+                <th className={styles.header}>Optimized</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(([label, format]) => (
+                <tr key={label}>
+                  <td>{label}</td>
+                  <td>{format(result.current)}</td>
+                  <td className="font-semibold">{format(result.best)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <ResponsiveContainer width="100%" height={260}>
+            <LineChart data={frontier} margin={{ top: 5, right: 20, left: 10, bottom: 20 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke={styles.grid} />
+              <XAxis
+                type="number"
+                dataKey="cost"
+                domain={[0, 'dataMax']}
+                tickFormatter={(value) => `$${Math.round(value)}`}
+                label={{ value: 'Running cost ($/m²)', position: 'insideBottom', offset: -10, fill: styles.axis }}
+                stroke={styles.axis}
+              />
+              <YAxis
+                dataKey="gain"
+                label={{ value: 'Biomass gained (g/m²)', angle: -90, position: 'insideLeft', fill: styles.axis }}
+                stroke={styles.axis}
+              />
+              <Tooltip
+                contentStyle={styles.tooltip}
+                labelFormatter={(value) => money(value)}
+                formatter={(value, name, { payload }) => [
+                  `${value.toFixed(1)} g at ${formatMeasurement('light', payload.light, displaySettings)}, `
+                    + `${formatMeasurement('co2', payload.co2, displaySettings)}, `
+                    + `${formatMeasurement('temperature', payload.temperature, displaySettings)}`,
+                  'Biomass'
+                ]}
+              />
+              <Line type="stepAfter" dataKey="gain" stroke={styles.curve} strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} />
+              <ReferenceDot x={result.current.costs.total} y={result.current.gain} r={6} fill="#9ca3af" stroke="#ffffff" ifOverflow="extendDomain" />
+              <ReferenceDot x={result.best.costs.total} y={result.best.gain} r={7} fill="#16a34a" stroke="#ffffff" ifOverflow="extendDomain" />
+            </LineChart>
+          </ResponsiveContainer>
+          <p className={styles.muted}>
+            The curve is the trade-off: the most biomass each budget can buy. Grey dot: current setpoint; green dot: optimized setpoint.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CostOptimizer;
@@ -1,42 +1,48 @@
 import React from 'react';
+import {
+  getVaporPressureDeficit,
+  getLightSourceChoices,
+  getInputRange,
+  formatMeasurement,
+  toDisplayUnits,
+  getUnitSymbol
+} from '../utils/photosynthesisLogic';
 
-const EnvironmentalControls = ({ factors, onChange, limitingFactor }) => {
+const EnvironmentalControls = ({ factors, onChange, limitingFactor, limitingFactors, colimitationIndex = 0, lightQuality, unitSettings }) => {
+  const lightSources = getLightSourceChoices();
+  const selectedSource = lightSources.find((source) => source.id === factors.lightSource) || lightSources[0];
+  // Lux and W/m² depend on the lamp spectrum
+  const displaySettings = { ...unitSettings, lightSource: factors.lightSource };
   
-  // Simple conversion functions
+  // Every factor within the co-limitation band gets a badge; without the
+  // band only the single limiting factor does
+  const limitingEntries = limitingFactors || (limitingFactor ? [{ factor: limitingFactor, strength: 1 }] : []);
+  
+  // Sliders run 0-100% across the shared input range of each factor
   const getDisplayPercentage = (factor, backendValue) => {
-    switch (factor) {
-      case 'light':
-        return Math.round((backendValue / 1000) * 100);
-      case 'co2':
-        return Math.round(((backendValue - 100) / 900) * 100);
-      case 'temperature':
-        return Math.round((backendValue / 45) * 100);
-      default:
-        return 50;
-    }
+    const { min, max } = getInputRange(factor);
+    const clamped = Math.max(min, Math.min(max, backendValue));
+    return Math.round(((clamped - min) / (max - min)) * 100);
   };
   
   const getBackendValue = (factor, percentage) => {
-    switch (factor) {
-      case 'light':
-        return (percentage / 100) * 1000;
-      case 'co2':
-        return 100 + (percentage / 100) * 900;
-      case 'temperature':
-        return (percentage / 100) * 45;
-      default:
-        return percentage;
-    }
+    const { min, max, step } = getInputRange(factor);
+    const value = min + (percentage / 100) * (max - min);
+    return Math.round(value / step) * step;
   };
   
   const getDisplayText = (factor, backendValue) => {
     switch (factor) {
       case 'light':
-        return `${Math.round((backendValue / 1000) * 100)}% Light`;
+        return formatMeasurement('light', backendValue, displaySettings);
       case 'co2':
-        return `${Math.round(backendValue)} ppm CO₂`;
+        return `${formatMeasurement('co2', backendValue, displaySettings)} CO₂`;
       case 'temperature':
-        return `${Math.round(backendValue)}°C`;
+        return formatMeasurement('temperature', backendValue, displaySettings);
+      case 'humidity':
+        return `${Math.round(backendValue)}% RH · VPD ${getVaporPressureDeficit(factors.temperature, backendValue).toFixed(1)} kPa`;
+      case 'nitrogen':
+        return `${Math.round(backendValue)}% of crop requirement`;
       default:
         return 'Unknown';
     }
@@ -45,7 +51,12 @@ const EnvironmentalControls = ({ factors, onChange, limitingFactor }) => {
   const SimpleSlider = ({ factor, label }) => {
     const backendValue = factors[factor] || 0;
     const displayPercentage = getDisplayPercentage(factor, backendValue);
-    const isLimiting = limitingFactor === factor;
+    // Limiting factor arrives as a display string ('Light', 'CO2', 'Stomata', ...);
+    // humidity is limiting when the stomata are
+    const limitingKey = factor === 'humidity' ? 'stomata' : factor;
+    const limitingIndex = limitingEntries.findIndex((entry) => entry.factor.toLowerCase() === limitingKey);
+    const isLimiting = limitingIndex === 0;
+    const colimiting = limitingIndex > 0 ? limitingEntries[limitingIndex] : null;
     
     return (
       <div className="bg-slate-800 rounded-xl p-6 shadow-lg border border-slate-700 mb-4">
@@ -60,6 +71,14 @@ const EnvironmentalControls = ({ factors, onChange, limitingFactor }) => {
               LIMITING
             </span>
           )}
+          {colimiting && (
+            <span
+              className="bg-orange-500 text-white px-2 py-1 rounded text-xs font-bold"
+              style={{ opacity: 0.4 + 0.6 * colimiting.strength }}
+            >
+              CO-LIMITING {Math.round(colimiting.strength * 100)}%
+            </span>
+          )}
         </div>
         
         {/* Slider Container */}
@@ -70,8 +89,11 @@ const EnvironmentalControls = ({ factors, onChange, limitingFactor }) => {
             <div 
               className={`h-full bg-gradient-to-r ${
                 isLimiting ? 'from-red-500 to-red-600' : 
+                colimiting ? 'from-orange-400 to-orange-500' :
                 factor === 'light' ? 'from-yellow-400 to-yellow-500' :
                 factor === 'co2' ? 'from-blue-400 to-blue-500' :
+                factor === 'humidity' ? 'from-cyan-400 to-cyan-500' :
+                factor === 'nitrogen' ? 'from-lime-400 to-lime-500' :
                 'from-green-400 to-green-500'
               } transition-all duration-200`}
               style={{ width: `${displayPercentage}%` }}
@@ -117,34 +139,87 @@ const EnvironmentalControls = ({ factors, onChange, limitingFactor }) => {
       <div className="text-center mb-6">
         <h2 className="text-2xl font-bold text-white mb-2">Environmental Controls</h2>
         <p className="text-gray-400">Adjust conditions to optimize photosynthesis</p>
+        {limitingEntries.length > 1 && (
+          <p className="text-sm text-orange-300 mt-2">
+            Co-limited (index {colimitationIndex.toFixed(2)}): raising only one factor will barely help.
+          </p>
+        )}
       </div>
 
       <SimpleSlider factor="light" label="Light Intensity" />
+
+      {/* Light source spectrum */}
+      <div className="bg-slate-800 rounded-xl p-6 shadow-lg border border-slate-700 mb-4 space-y-3">
+        <label htmlFor="light-source" className="text-lg font-bold text-white block">
+          Light Source
+        </label>
+        <select
+          id="light-source"
+          value={selectedSource.id}
+          onChange={(e) => onChange('lightSource', e.target.value)}
+          className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none"
+        >
+          {lightSources.map((source) => (
+            <option key={source.id} value={source.id}>
+              {source.name}
+            </option>
+          ))}
+        </select>
+        <p className="text-sm text-gray-400">{selectedSource.description}</p>
+        {lightQuality && (
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <div>
+              <div className="text-yellow-400 font-semibold">{Math.round(lightQuality.par)}</div>
+              <div className="text-gray-400">PAR μmol/m²/s</div>
+            </div>
+            <div>
+              <div className="text-yellow-400 font-semibold">
+                {Math.round(lightQuality.spectralEfficiency * 100)}%
+              </div>
+              <div className="text-gray-400">Value vs sunlight</div>
+            </div>
+          </div>
+        )}
+      </div>
       <SimpleSlider factor="co2" label="CO₂ Concentration" />
       <SimpleSlider factor="temperature" label="Temperature" />
+      <SimpleSlider factor="humidity" label="Relative Humidity" />
+      <SimpleSlider factor="nitrogen" label="Nitrogen Fertilizer" />
 
       {/* Summary */}
       <div className="bg-slate-800 rounded-xl p-4 border border-slate-700">
         <h4 className="font-semibold text-white mb-2">Current Environment</h4>
-        <div className="grid grid-cols-3 gap-4 text-sm">
+        <div className="grid grid-cols-5 gap-4 text-sm">
           <div className="text-center">
             <div className="text-yellow-400 font-semibold">
-              {Math.round((factors.light / 1000) * 100)}%
+              {Math.round(toDisplayUnits('light', factors.light, displaySettings))}
             </div>
-            <div className="text-gray-400">Light</div>
+            <div className="text-gray-400">{getUnitSymbol('light', displaySettings)}</div>
           </div>
           <div className="text-center">
             <div className="text-blue-400 font-semibold">
-              {Math.round(factors.co2)}
+              {formatMeasurement('co2', factors.co2, displaySettings)}
             </div>
-            <div className="text-gray-400">ppm CO₂</div>
+            <div className="text-gray-400">CO₂</div>
           </div>
           <div className="text-center">
             <div className="text-green-400 font-semibold">
-              {Math.round(factors.temperature)}°C
+              {formatMeasurement('temperature', factors.temperature, displaySettings)}
             </div>
             <div className="text-gray-400">Temp</div>
           </div>
+          <div className="text-center">
+            <div className="text-cyan-400 font-semibold">
+              {Math.round(factors.humidity)}%
+            </div>
+            <div className="text-gray-400">RH</div>
+          </div>
+          <div className="text-center">
+            <div className="text-lime-400 font-semibold">
+              {Math.round(factors.nitrogen)}%
+            </div>
+            <div className="text-gray-400">N</div>
+          </div>
         </div>
       </div>
     </div>
@@ -1,7 +1,35 @@
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 
-const ExplanationPanel = ({ explanation, limitingFactor, factors }) => {
+// Rows of the factor analysis, in the order the model reports them
+const FACTOR_LABELS = {
+  light: 'Light',
+  co2: 'CO₂',
+  temperature: 'Temperature',
+  stomata: 'Stomata',
+  nitrogen: 'Nitrogen',
+  photoinhibition: 'Photoinhibition'
+};
+
+// Rows of the sensitivity tornado, keyed by input
+const INPUT_LABELS = {
+  light: 'Light',
+  co2: 'CO₂',
+  temperature: 'Temperature',
+  humidity: 'Humidity',
+  nitrogen: 'Nitrogen'
+};
+
+const getFactorStatus = (efficiency) => {
+  if (efficiency >= 90) return 'Optimal';
+  if (efficiency >= 60) return 'Suboptimal';
+  if (efficiency >= 30) return 'Stress';
+  return 'Critical';
+};
+
+const ExplanationPanel = ({ explanation, limitingFactor, limitingDirection, factors, photosynthesisRate: rate = 0, factorRates = {}, sensitivity }) => {
+  // Limiting factor arrives as a display string ('Light', 'CO2', ...)
+  const limitingKey = (limitingFactor || '').toLowerCase();
   const [displayText, setDisplayText] = useState('');
   const [isTyping, setIsTyping] = useState(false);
 
@@ -26,9 +54,10 @@ const ExplanationPanel = ({ explanation, limitingFactor, factors }) => {
   }, [explanation]);
 
   const getBiologicalInsight = () => {
-    const { light, co2, temperature } = factors;
+    const { light, co2 } = factors;
     
-    if (limitingFactor === 'temperature' && temperature > 40) {
+    // Direction comes from the raw temperature, not the symmetric 0-1 factor
+    if (limitingKey === 'temperature' && limitingDirection === 'hot') {
       return {
         title: "Enzyme Denaturation",
         content: "At extreme temperatures, protein structures unfold permanently, breaking the active sites needed for photosynthesis.",
@@ -36,7 +65,15 @@ const ExplanationPanel = ({ explanation, limitingFactor, factors }) => {
       };
     }
     
-    if (limitingFactor === 'light' && light < 30) {
+    if (limitingKey === 'temperature' && limitingDirection === 'cold') {
+      return {
+        title: "Cold-Slowed Enzymes",
+        content: "In the cold, enzymes such as Rubisco move and collide more slowly, so every step of the Calvin cycle runs behind the light reactions.",
+        icon: "❄️"
+      };
+    }
+    
+    if (limitingKey === 'light' && light < 300) {
       return {
         title: "Light-Dependent Reactions",
         content: "Photosynthesis requires photons to split water molecules and generate ATP. Without sufficient light energy, the entire process halts.",
@@ -44,7 +81,7 @@ const ExplanationPanel = ({ explanation, limitingFactor, factors }) => {
       };
     }
     
-    if (limitingFactor === 'co2' && co2 < 300) {
+    if (limitingKey === 'co2' && co2 < 300) {
       return {
         title: "Calvin Cycle Limitation", 
         content: "The Calvin cycle needs CO₂ molecules to build glucose. Low CO₂ means the plant cannot create the carbohydrates it needs to survive.",
@@ -59,23 +96,25 @@ const ExplanationPanel = ({ explanation, limitingFactor, factors }) => {
     };
   };
 
-  const getPhotosynthesisRate = () => {
-    const { light, co2, temperature } = factors;
-    
-    let lightEff = Math.min(1, light / 80);
-    let co2Eff = Math.min(1, co2 / 400);
-    let tempEff = 1;
-    
-    if (temperature < 10 || temperature > 40) tempEff = 0;
-    else if (temperature < 20 || temperature > 30) {
-      tempEff = Math.max(0, 1 - Math.min(Math.abs(temperature - 20), Math.abs(temperature - 30)) / 10);
-    }
-    
-    return Math.round(Math.min(lightEff, co2Eff, tempEff) * 100);
-  };
-
   const insight = getBiologicalInsight();
-  const photosynthesisRate = getPhotosynthesisRate();
+  // Rate and factor efficiencies come from the simulator's plant snapshot
+  const photosynthesisRate = Math.round(rate * 100);
+  const factorRows = Object.keys(FACTOR_LABELS).filter((factor) => factorRates[factor] !== undefined);
+  // Tornado bars are scaled to the largest change in rate
+  const largestDelta = sensitivity
+    ? Math.max(0.01, ...sensitivity.inputs.flatMap(({ low, high }) => [Math.abs(low.delta), Math.abs(high.delta)]))
+    : 1;
+  const tornadoBar = (delta, color) => (
+    <div className="relative h-2">
+      <motion.div
+        className={`absolute top-0 h-2 rounded ${color}`}
+        style={delta < 0 ? { right: '50%' } : { left: '50%' }}
+        initial={{ width: 0 }}
+        animate={{ width: `${(Math.abs(delta) / largestDelta) * 50}%` }}
+        transition={{ duration: 0.6 }}
+      />
+    </div>
+  );
 
   return (
     <div className="space-y-6">
@@ -200,30 +239,9 @@ const ExplanationPanel = ({ explanation, limitingFactor, factors }) => {
         </h4>
         
         <div className="space-y-3">
-          {['light', 'co2', 'temperature'].map((factor, index) => {
-            const value = factors[factor];
-            let efficiency, status;
-            
-            switch (factor) {
-              case 'light':
-                efficiency = Math.min(100, (value / 80) * 100);
-                status = value < 30 ? 'Critical' : value < 60 ? 'Suboptimal' : 'Good';
-                break;
-              case 'co2':
-                efficiency = Math.min(100, (value / 400) * 100);
-                status = value < 250 ? 'Low' : value < 350 ? 'Adequate' : 'Optimal';
-                break;
-              case 'temperature':
-                if (value < 10 || value > 40) efficiency = 0;
-                else if (value < 20 || value > 30) {
-                  efficiency = Math.max(0, 100 - Math.min(Math.abs(value - 20), Math.abs(value - 30)) * 10);
-                } else efficiency = 100;
-                status = efficiency === 0 ? 'Lethal' : efficiency < 50 ? 'Stress' : efficiency < 90 ? 'Suboptimal' : 'Perfect';
-                break;
-              default:
-                efficiency = 100;
-                status = 'Unknown';
-            }
+          {factorRows.map((factor, index) => {
+            const efficiency = factorRates[factor] * 100;
+            const status = getFactorStatus(efficiency);
             
             return (
               <motion.div
@@ -235,9 +253,9 @@ const ExplanationPanel = ({ explanation, limitingFactor, factors }) => {
               >
                 <div className="flex items-center gap-3">
                   <div className={`w-3 h-3 rounded-full ${
-                    limitingFactor === factor ? 'bg-red-400 animate-pulse' : 'bg-gray-500'
+                    limitingKey === factor ? 'bg-red-400 animate-pulse' : 'bg-gray-500'
                   }`}></div>
-                  <span className="text-gray-200 capitalize">{factor}</span>
+                  <span className="text-gray-200">{FACTOR_LABELS[factor]}</span>
                 </div>
                 <div className="flex items-center gap-2">
                   <span className={`text-sm font-medium ${
@@ -265,6 +283,50 @@ const ExplanationPanel = ({ explanation, limitingFactor, factors }) => {
           })}
         </div>
       </motion.div>
+
+      {/* Sensitivity Tornado */}
+      {sensitivity && (
+        <motion.div
+          className="bg-slate-800 rounded-xl p-6 shadow-lg border border-slate-700"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5, delay: 0.8 }}
+        >
+          <h4 className="text-lg font-semibold text-white mb-1 flex items-center gap-2">
+            <span>🌪️</span>
+            Sensitivity
+          </h4>
+          <p className="text-xs text-gray-400 mb-4">
+            Change in rate for a {Math.round(sensitivity.relativeChange * 100)}% change of each input
+            (temperature: {Math.round(sensitivity.relativeChange * 100)}% of its range).
+            Only the limiting factor should matter.
+          </p>
+
+          <div className="space-y-3">
+            {sensitivity.inputs.map(({ input, elasticity, low, high }) => (
+              <div key={input}>
+                <div className="flex items-center justify-between text-sm">
+                  <span className="text-gray-200">{INPUT_LABELS[input]}</span>
+                  <span className="text-xs text-gray-400">
+                    −: {(low.delta * 100).toFixed(1)} pts · +: {(high.delta * 100).toFixed(1)} pts · ε = {elasticity.toFixed(2)}
+                  </span>
+                </div>
+                <div className="relative mt-1 space-y-0.5">
+                  <div className="absolute left-1/2 top-0 bottom-0 w-px bg-slate-500" />
+                  {tornadoBar(low.delta, 'bg-blue-400')}
+                  {tornadoBar(high.delta, 'bg-green-400')}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex gap-4 mt-4 text-xs text-gray-400">
+            <span className="flex items-center gap-1"><span className="w-3 h-2 rounded bg-blue-400 inline-block" /> input lowered</span>
+            <span className="flex items-center gap-1"><span className="w-3 h-2 rounded bg-green-400 inline-block" /> input raised</span>
+            <span>ε = elasticity (% rate per % input)</span>
+          </div>
+        </motion.div>
+      )}
     </div>
   );
 };
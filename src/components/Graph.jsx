@@ -1,4 +1,5 @@
 import React from 'react';
+import { formatMeasurement, downsampleForChart } from '../utils/photosynthesisLogic';
 import {
   LineChart,
   Line,
@@ -7,6 +8,7 @@ import {
   CartesianGrid,
   Tooltip,
   Legend,
+  ReferenceLine,
   ResponsiveContainer
 } from 'recharts';
 
@@ -14,46 +16,90 @@ import {
  * Graph Component
  * Visualizes photosynthesis rate over time using Recharts
  * Accepts data array and displays it reactively
+ * Net CO₂ uptake (µmol m⁻² s⁻¹) is drawn on a second axis and drops below
+ * the zero line when the plant is under its compensation point
+ * Long histories are thinned to evenly spaced points before drawing
  */
-const Graph = ({ data }) => {
+const Graph = ({ data, compensationPoints, unitSettings }) => {
+  const chartData = downsampleForChart(data, 120);
+  const showDots = chartData.length <= 60;
+
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
       <h2 className="text-2xl font-bold text-gray-800 mb-4">Photosynthesis Rate Over Time</h2>
+      {compensationPoints && (
+        <p className="text-sm text-gray-600 mb-4">
+          Compensation points at current conditions: light{' '}
+          <span className="font-semibold">
+            {compensationPoints.light != null ? formatMeasurement('light', compensationPoints.light, unitSettings) : 'not reached'}
+          </span>
+          , CO₂{' '}
+          <span className="font-semibold">
+            {compensationPoints.co2 != null ? formatMeasurement('co2', compensationPoints.co2, unitSettings) : 'not reached'}
+          </span>
+        </p>
+      )}
       
       {data && data.length > 0 ? (
         <ResponsiveContainer width="100%" height={400}>
           <LineChart
-            data={data}
+            data={chartData}
             margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
           >
             <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
             <XAxis 
               dataKey="time" 
+              type="number"
+              domain={['dataMin', 'dataMax']}
               label={{ value: 'Time (days)', position: 'insideBottom', offset: -5 }}
               stroke="#6b7280"
             />
             <YAxis 
+              yAxisId="rate"
               label={{ value: 'Photosynthesis Rate', angle: -90, position: 'insideLeft' }}
               stroke="#6b7280"
             />
+            <YAxis 
+              yAxisId="net"
+              orientation="right"
+              label={{ value: 'Net CO₂ uptake (µmol m⁻² s⁻¹)', angle: 90, position: 'insideRight' }}
+              stroke="#059669"
+            />
             <Tooltip 
               contentStyle={{ 
                 backgroundColor: '#f9fafb', 
                 border: '1px solid #e5e7eb',
                 borderRadius: '8px'
               }}
-              formatter={(value) => [`${value.toFixed(2)}`, 'Rate']}
+              formatter={(value, name) => [`${value.toFixed(2)}`, name]}
             />
             <Legend />
+            <ReferenceLine
+              yAxisId="net"
+              y={0}
+              stroke="#dc2626"
+              strokeDasharray="4 4"
+              label={{ value: 'Compensation point', position: 'insideBottomRight', fill: '#dc2626', fontSize: 12 }}
+            />
             <Line 
+              yAxisId="rate"
               type="monotone" 
               dataKey="rate" 
               stroke="#3b82f6" 
               strokeWidth={2}
-              dot={{ fill: '#3b82f6', r: 4 }}
+              dot={showDots && { fill: '#3b82f6', r: 4 }}
               activeDot={{ r: 6 }}
               name="Photosynthesis Rate"
             />
+            <Line 
+              yAxisId="net"
+              type="monotone" 
+              dataKey="net" 
+              stroke="#059669" 
+              strokeWidth={2}
+              dot={showDots && { fill: '#059669', r: 3 }}
+              name="Net CO₂ uptake"
+            />
           </LineChart>
         </ResponsiveContainer>
       ) : (
@@ -0,0 +1,203 @@
+import React from 'react';
+import { getModelChoices, getPathwayChoices, getSpeciesChoices } from '../utils/photosynthesisLogic';
+
+/**
+ * ModelSelector Component
+ * Lets the user pick how the three factors are combined into one rate
+ * (Blackman minimum, multiplicative, smooth co-limitation) or switch to
+ * the FvCB biochemical engine, and choose the species and its C3 / C4 / CAM pathway.
+ * The co-limitation band sets how close to the minimum a factor must be to be
+ * reported as co-limiting.
+ * Pure presentation component - reports changes via onChange
+ *
+ * `theme` switches between the light page styling and the dark simulator styling.
+ */
+
+const THEMES = {
+  light: {
+    container: 'bg-white rounded-lg shadow-md p-6 space-y-4',
+    title: 'text-2xl font-bold text-gray-800',
+    label: 'text-sm font-semibold text-gray-600 block mb-2',
+    select: 'w-full border border-gray-300 rounded-lg px-3 py-2 text-gray-800 focus:border-blue-500 focus:outline-none',
+    description: 'text-sm text-gray-600 leading-relaxed',
+    value: 'text-sm font-bold text-blue-600',
+    range: 'w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600'
+  },
+  dark: {
+    container: 'bg-slate-800 rounded-xl p-6 shadow-lg border border-slate-700 space-y-4',
+    title: 'text-lg font-bold text-white',
+    label: 'text-sm text-gray-400 block mb-2',
+    select: 'w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none',
+    description: 'text-sm text-gray-300 leading-relaxed',
+    value: 'text-sm font-mono text-white',
+    range: 'w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-green-500'
+  }
+};
+
+// Editable FvCB leaf parameters (values at 25°C)
+const FVCB_SLIDERS = [
+  { key: 'vcmax25', label: 'Vcmax (Rubisco capacity)', min: 10, max: 150, step: 5 },
+  { key: 'jmax25', label: 'Jmax (electron transport)', min: 20, max: 250, step: 5 }
+];
+
+const ModelSelector = ({ modelOptions, onChange, theme = 'light' }) => {
+  const styles = THEMES[theme] || THEMES.light;
+  const models = getModelChoices();
+  const selected = models.find((model) => model.id === modelOptions.model) || models[0];
+  const pathways = getPathwayChoices();
+  const selectedPathway = pathways.find((pathway) => pathway.id === modelOptions.pathway) || pathways[0];
+  const speciesList = getSpeciesChoices();
+
+  const updateOption = (key, value) => {
+    onChange({ ...modelOptions, [key]: value });
+  };
+
+  // A species brings its own pathway; the generic plant keeps the current one
+  const handleSpeciesChange = (speciesId) => {
+    const species = speciesList.find((entry) => entry.id === speciesId);
+    onChange({
+      ...modelOptions,
+      species: species ? species.id : null,
+      pathway: species ? species.pathway : modelOptions.pathway
+    });
+  };
+
+  return (
+    <div className={styles.container}>
+      <h2 className={styles.title}>Plant &amp; Model</h2>
+
+      <div>
+        <label htmlFor="plant-species" className={styles.label}>
+          Species
+        </label>
+        <select
+          id="plant-species"
+          value={modelOptions.species || ''}
+          onChange={(e) => handleSpeciesChange(e.target.value)}
+          className={styles.select}
+        >
+          <option value="">Generic plant</option>
+          {speciesList.map((species) => (
+            <option key={species.id} value={species.id}>
+              {species.name} ({species.pathway})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label htmlFor="photosynthesis-model" className={styles.label}>
+          Rate combiner
+        </label>
+        <select
+          id="photosynthesis-model"
+          value={selected.id}
+          onChange={(e) => updateOption('model', e.target.value)}
+          className={styles.select}
+        >
+          {models.map((model) => (
+            <option key={model.id} value={model.id}>
+              {model.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <p className={styles.description}>{selected.description}</p>
+
+      <div>
+        <label htmlFor="photosynthetic-pathway" className={styles.label}>
+          Photosynthetic pathway
+        </label>
+        <select
+          id="photosynthetic-pathway"
+          value={selectedPathway.id}
+          onChange={(e) => updateOption('pathway', e.target.value)}
+          className={styles.select}
+        >
+          {pathways.map((pathway) => (
+            <option key={pathway.id} value={pathway.id}>
+              {pathway.name} ({pathway.examples})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <p className={styles.description}>{selectedPathway.description}</p>
+
+      <div className="space-y-2">
+        <div className="flex justify-between items-center">
+          <label htmlFor="colimitation-tolerance" className={styles.label}>
+            Co-limitation band
+          </label>
+          <span className={styles.value}>within {Math.round((modelOptions.colimitationTolerance ?? 0) * 100)}%</span>
+        </div>
+        <input
+          id="colimitation-tolerance"
+          type="range"
+          min="0"
+          max="0.2"
+          step="0.01"
+          value={modelOptions.colimitationTolerance ?? 0}
+          onChange={(e) => updateOption('colimitationTolerance', Number(e.target.value))}
+          className={styles.range}
+        />
+      </div>
+
+      {/* Curvature only applies to the co-limitation model */}
+      {selected.id === 'colimitation' && (
+        <div className="space-y-2">
+          <div className="flex justify-between items-center">
+            <label htmlFor="model-theta" className={styles.label}>
+              Curvature θ
+            </label>
+            <span className={styles.value}>{modelOptions.theta.toFixed(2)}</span>
+          </div>
+          <input
+            id="model-theta"
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={modelOptions.theta}
+            onChange={(e) => updateOption('theta', Number(e.target.value))}
+            className={styles.range}
+          />
+        </div>
+      )}
+
+      {/* Leaf biochemistry only applies to the FvCB engine */}
+      {selected.id === 'fvcb' && modelOptions.fvcb && (
+        <div className="space-y-4">
+          {FVCB_SLIDERS.map((slider) => (
+            <div key={slider.key} className="space-y-2">
+              <div className="flex justify-between items-center">
+                <label htmlFor={`fvcb-${slider.key}`} className={styles.label}>
+                  {slider.label}
+                </label>
+                <span className={styles.value}>
+                  {modelOptions.fvcb[slider.key]} μmol/m²/s
+                </span>
+              </div>
+              <input
+                id={`fvcb-${slider.key}`}
+                type="range"
+                min={slider.min}
+                max={slider.max}
+                step={slider.step}
+                value={modelOptions.fvcb[slider.key]}
+                onChange={(e) => updateOption('fvcb', {
+                  ...modelOptions.fvcb,
+                  [slider.key]: Number(e.target.value)
+                })}
+                className={styles.range}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelSelector;
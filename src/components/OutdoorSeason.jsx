@@ -0,0 +1,253 @@
+import React, { useEffect, useState } from 'react';
+import {
+  ComposedChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { runOutdoorSeason, getOutdoorSites } from '../utils/photosynthesisLogic';
+
+/**
+ * OutdoorSeason Component
+ * Grow a plant outdoors at a real location: daily light comes from the sun's
+ * path at the site's latitude and longitude, thinned by cloud cover, and the
+ * temperature follows the site's seasons.
+ * Pure presentation component - the solar geometry runs in the logic adapter
+ *
+ * `theme` switches between the light page styling and the dark simulator styling.
+ * `site` preselects a site, e.g. the one behind the selected scenario.
+ */
+
+const THEMES = {
+  light: {
+    container: 'bg-white rounded-lg shadow-md p-6 space-y-4',
+    title: 'text-2xl font-bold text-gray-800',
+    heading: 'text-sm font-semibold text-gray-700',
+    label: 'text-xs font-semibold text-gray-600 block mb-1',
+    input: 'w-full border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-800 focus:border-blue-500 focus:outline-none',
+    button: 'bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors',
+    text: 'text-sm text-gray-700',
+    muted: 'text-xs text-gray-500',
+    grid: '#e5e7eb',
+    axis: '#6b7280',
+    tooltip: { backgroundColor: '#f9fafb', border: '1px solid #e5e7eb', borderRadius: '8px' }
+  },
+  dark: {
+    container: 'bg-slate-800 rounded-xl p-6 shadow-lg border border-slate-700 space-y-4',
+    title: 'text-lg font-bold text-white',
+    heading: 'text-sm font-semibold text-gray-200',
+    label: 'text-xs text-gray-400 block mb-1',
+    input: 'w-full bg-slate-700 text-white rounded px-2 py-1 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none',
+    button: 'bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors',
+    text: 'text-sm text-gray-200',
+    muted: 'text-xs text-gray-400',
+    grid: '#374151',
+    axis: '#9CA3AF',
+    tooltip: { backgroundColor: '#1F2937', border: '1px solid #374151', borderRadius: '8px' }
+  }
+};
+
+// First day of each month in a non-leap year
+const MONTHS = [
+  { name: 'January', day: 1 },
+  { name: 'February', day: 32 },
+  { name: 'March', day: 60 },
+  { name: 'April', day: 91 },
+  { name: 'May', day: 121 },
+  { name: 'June', day: 152 },
+  { name: 'July', day: 182 },
+  { name: 'August', day: 213 },
+  { name: 'September', day: 244 },
+  { name: 'October', day: 274 },
+  { name: 'November', day: 305 },
+  { name: 'December', day: 335 }
+];
+
+const monthOf = (dayOfYear) => [...MONTHS].reverse().find((month) => dayOfYear >= month.day).name;
+
+const OutdoorSeason = ({ site, modelOptions, co2 = 400, nitrogen, theme = 'light' }) => {
+  const styles = THEMES[theme] || THEMES.light;
+  const sites = getOutdoorSites();
+  const [siteId, setSiteId] = useState(site || sites[0].id);
+  const [startDay, setStartDay] = useState(1);
+  const [days, setDays] = useState(365);
+  const [cloudCover, setCloudCover] = useState(null);
+  const [result, setResult] = useState(null);
+
+  // Follow the scenario's site when it has one
+  useEffect(() => {
+    if (site) setSiteId(site);
+  }, [site]);
+
+  // A new site starts from its typical cloud cover; a result describes its settings
+  useEffect(() => {
+    setCloudCover(null);
+  }, [siteId]);
+  useEffect(() => {
+    setResult(null);
+  }, [siteId, startDay, days, cloudCover, co2, nitrogen, modelOptions]);
+
+  const selectedSite = sites.find((entry) => entry.id === siteId) || sites[0];
+  const shownCloudCover = cloudCover ?? selectedSite.cloudCover;
+
+  const handleRun = () => {
+    setResult(runOutdoorSeason(
+      siteId,
+      { startDay, days: Math.min(730, Math.max(1, days)), cloudCover: shownCloudCover, co2, nitrogen },
+      modelOptions
+    ));
+  };
+
+  return (
+    <div className={styles.container}>
+      <div>
+        <h2 className={styles.title}>Outdoor Season</h2>
+        <p className={styles.muted}>
+          Daily light from the sun&apos;s path at the site, thinned by cloud cover; temperature follows the site&apos;s seasons.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 items-end">
+        <div>
+          <label htmlFor="outdoor-site" className={styles.label}>Site</label>
+          <select id="outdoor-site" value={siteId} onChange={(e) => setSiteId(e.target.value)} className={styles.input}>
+            {sites.map((entry) => (
+              <option key={entry.id} value={entry.id}>
+                {entry.name} ({entry.latitude.toFixed(1)}°, {entry.longitude.toFixed(1)}°)
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="outdoor-start" className={styles.label}>Start</label>
+          <select id="outdoor-start" value={startDay} onChange={(e) => setStartDay(Number(e.target.value))} className={styles.input}>
+            {MONTHS.map((month) => (
+              <option key={month.day} value={month.day}>{month.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="outdoor-days" className={styles.label}>Days</label>
+          <input
+            id="outdoor-days"
+            type="number"
+            min={1}
+            max={730}
+            value={days}
+            onChange={(e) => setDays(Math.round(Number(e.target.value)))}
+            className={styles.input}
+          />
+        </div>
+        <div>
+          <label htmlFor="outdoor-cloud" className={styles.label}>
+            Cloud cover: {Math.round(shownCloudCover * 100)}%{cloudCover === null ? ' (typical)' : ''}
+          </label>
+          <input
+            id="outdoor-cloud"
+            type="range"
+            min={0}
+            max={100}
+            step={5}
+            value={Math.round(shownCloudCover * 100)}
+            onChange={(e) => setCloudCover(Number(e.target.value) / 100)}
+            className="w-full"
+          />
+        </div>
+      </div>
+
+      <button onClick={handleRun} className={styles.button}>
+        Run Season
+      </button>
+
+      {result && result.summary && (
+        <>
+          <div className={`grid grid-cols-2 md:grid-cols-4 gap-3 ${styles.text}`}>
+            <p>Final biomass: <span className="font-semibold">{result.summary.finalBiomass.toFixed(1)} g/m²</span></p>
+            <p>Growth: <span className="font-semibold">{result.summary.growthRate.toFixed(1)}%</span></p>
+            <p>Average rate: <span className="font-semibold">{result.summary.averageEfficiency}%</span></p>
+            <p>Most often limited by: <span className="font-semibold">{result.summary.mostCommonLimitingFactor}</span></p>
+          </div>
+
+          <div>
+            <h3 className={styles.heading}>Daily light and temperature</h3>
+            <ResponsiveContainer width="100%" height={240}>
+              <ComposedChart data={result.days} margin={{ top: 5, right: 20, left: 10, bottom: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke={styles.grid} />
+                <XAxis
+                  dataKey="time"
+                  label={{ value: 'Day', position: 'insideBottom', offset: -10, fill: styles.axis }}
+                  stroke={styles.axis}
+                />
+                <YAxis
+                  yAxisId="light"
+                  label={{ value: 'DLI (mol/m²/day)', angle: -90, position: 'insideLeft', fill: styles.axis }}
+                  stroke={styles.axis}
+                />
+                <YAxis
+                  yAxisId="temperature"
+                  orientation="right"
+                  label={{ value: '°C', angle: 90, position: 'insideRight', fill: styles.axis }}
+                  stroke={styles.axis}
+                />
+                <Tooltip
+                  contentStyle={styles.tooltip}
+                  labelFormatter={(day) => {
+                    const entry = result.days[day - 1];
+                    return entry ? `Day ${day} (${monthOf(entry.dayOfYear)}, ${entry.dayLength.toFixed(1)} h daylight)` : `Day ${day}`;
+                  }}
+                  formatter={(value, name) => [value.toFixed(1), name]}
+                />
+                <Legend verticalAlign="top" />
+                <Line yAxisId="light" dataKey="dailyLightIntegral" name="Light (DLI)" stroke="#f59e0b" dot={false} isAnimationActive={false} />
+                <Line yAxisId="temperature" dataKey="temperature" name="Daytime temperature" stroke="#ef4444" dot={false} isAnimationActive={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div>
+            <h3 className={styles.heading}>Growth</h3>
+            <ResponsiveContainer width="100%" height={240}>
+              <ComposedChart data={result.days} margin={{ top: 5, right: 20, left: 10, bottom: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke={styles.grid} />
+                <XAxis
+                  dataKey="time"
+                  label={{ value: 'Day', position: 'insideBottom', offset: -10, fill: styles.axis }}
+                  stroke={styles.axis}
+                />
+                <YAxis
+                  yAxisId="biomass"
+                  label={{ value: 'Biomass (g/m²)', angle: -90, position: 'insideLeft', fill: styles.axis }}
+                  stroke={styles.axis}
+                />
+                <YAxis
+                  yAxisId="rate"
+                  orientation="right"
+                  domain={[0, 1]}
+                  tickFormatter={(value) => `${Math.round(value * 100)}%`}
+                  stroke={styles.axis}
+                />
+                <Tooltip
+                  contentStyle={styles.tooltip}
+                  labelFormatter={(day) => {
+                    const entry = result.days[day - 1];
+                    return entry ? `Day ${day} - limited by ${entry.limitingFactor}` : `Day ${day}`;
+                  }}
+                  formatter={(value, name) => [name === 'Rate' ? `${(value * 100).toFixed(1)}%` : value.toFixed(1), name]}
+                />
+                <Legend verticalAlign="top" />
+                <Line yAxisId="biomass" dataKey="biomass" name="Biomass" stroke="#10b981" strokeWidth={2} dot={false} isAnimationActive={false} />
+                <Line yAxisId="rate" dataKey="rate" name="Rate" stroke="#3b82f6" dot={false} isAnimationActive={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OutdoorSeason;
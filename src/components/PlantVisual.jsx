@@ -12,15 +12,17 @@ import { motion } from 'framer-motion';
  * Shows plant growth and stress through:
  * - Scale/height changes based on photosynthesis rate
  * - Color changes based on stress level (green → yellow → brown)
+ * - Pale yellow-green chlorosis when chlorophyll is low (nitrogen deficiency)
  * - Real-time visual feedback
  */
 
-function PlantModel({ photosynthesisRate = 0.5, stressLevel = 0 }) {
+function PlantModel({ photosynthesisRate = 0.5, stressLevel = 0, chlorophyll = 1 }) {
   const { scene } = useGLTF('/models/plant.glb');
 
   // Normalize values
   const growth = Math.max(0, Math.min(1, photosynthesisRate));
   const stress = Math.max(0, Math.min(1, stressLevel));
+  const chlorosis = 1 - Math.max(0, Math.min(1, chlorophyll));
 
   // Apply visual effects
   const baseScale = 50.0; // Scale for visible 3D model
@@ -36,11 +38,12 @@ function PlantModel({ photosynthesisRate = 0.5, stressLevel = 0 }) {
   scene.position.set(0, 0, 0);
 
   // Stress color progression: Green → Yellow → Brown
+  // Chlorosis washes the leaves out instead: paler and less saturated
   scene.traverse((child) => {
     if (child.isMesh && child.material) {
-      const hue = 0.33 - stress * 0.15; // 0.33 is green, decreases toward yellow/brown
-      const saturation = 1 - stress * 0.3;
-      const lightness = 0.4 + growth * 0.2;
+      const hue = 0.33 - stress * 0.15 - chlorosis * 0.08; // 0.33 is green, decreases toward yellow/brown
+      const saturation = 1 - stress * 0.3 - chlorosis * 0.35;
+      const lightness = 0.4 + growth * 0.2 + chlorosis * 0.2;
 
       child.material.color.setHSL(hue, saturation, lightness);
     }
@@ -53,7 +56,8 @@ const PlantVisual = ({
   photosynthesisRate = 0.5,
   stressLevel = 0,
   limitingFactor = 'None',
-  plantHealth = 85
+  plantHealth = 85,
+  chlorophyll = 1
 }) => {
   // Convert plant health to stress level
   const normalizedStress = (100 - plantHealth) / 100;
@@ -98,7 +102,11 @@ const PlantVisual = ({
         </mesh>
 
         {/* Plant Model - with growth and stress visualization */}
-        <PlantModel photosynthesisRate={photosynthesisRate} stressLevel={normalizedStress} />
+        <PlantModel
+          photosynthesisRate={photosynthesisRate}
+          stressLevel={normalizedStress}
+          chlorophyll={chlorophyll}
+        />
 
         {/* Orbit Controls - allows user to rotate plant */}
         <OrbitControls
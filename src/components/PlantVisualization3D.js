@@ -3,7 +3,7 @@ import { Canvas } from '@react-three/fiber';
 import { useGLTF, OrbitControls, Environment } from '@react-three/drei';
 
 // REALISTIC GLTF PLANT MODEL - CENTERED AND CLEARLY VISIBLE
-function PlantModel({ photosynthesisRate, stressLevel }) {
+function PlantModel({ photosynthesisRate, stressLevel, chlorophyll = 1 }) {
   const { scene } = useGLTF("/models/plant.glb");
 
   // Normalize values - photosynthesisRate is already 0-1 from logic
@@ -11,6 +11,7 @@ function PlantModel({ photosynthesisRate, stressLevel }) {
   const rate = photosynthesisRate > 1 ? photosynthesisRate / 100 : photosynthesisRate;
   const growth = Math.max(0, Math.min(1, rate));
   const stress = Math.max(0, Math.min(1, stressLevel));
+  const chlorosis = 1 - Math.max(0, Math.min(1, chlorophyll));
 
   // Make the plant ULTRA-FOCUSED - extreme close-up
   const baseScale = 50.0; // Maximum scale for ultra-close plant focus
@@ -27,11 +28,12 @@ function PlantModel({ photosynthesisRate, stressLevel }) {
   scene.position.set(0, 0, 0); // Center origin for best visibility
 
   // Stress colour progression: green  yellow  brown
+  // Nitrogen chlorosis instead washes the leaves out to a pale yellow-green
   scene.traverse((child) => {
     if (child.isMesh && child.material) {
-      const hue = 0.33 - stress * 0.15; // 0.33 is green
-      const saturation = 1 - stress * 0.3;
-      const lightness = 0.4 + growth * 0.2;
+      const hue = 0.33 - stress * 0.15 - chlorosis * 0.08; // 0.33 is green
+      const saturation = 1 - stress * 0.3 - chlorosis * 0.35;
+      const lightness = 0.4 + growth * 0.2 + chlorosis * 0.2;
 
       child.material.color.setHSL(hue, saturation, lightness);
     }
@@ -48,7 +50,8 @@ const PlantVisualization3D = ({
   environmentalFactors, 
   plantHealth = 85,
   photosynthesisRate = 0.5,
-  limitingFactor = 'None'
+  limitingFactor = 'None',
+  chlorophyll = 1
 }) => {
   // Convert plant health (0-100) to stress level (0-1)
   const stressLevel = (100 - plantHealth) / 100;
@@ -98,6 +101,7 @@ const PlantVisualization3D = ({
         <PlantModel
           photosynthesisRate={normalizedRate}
           stressLevel={stressLevel}
+          chlorophyll={chlorophyll}
         />
 
         {/* PLANT-FOCUSED ORBIT CONTROLS - NO DRIFTING */}
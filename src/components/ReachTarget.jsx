@@ -0,0 +1,229 @@
+import React, { useEffect, useState } from 'react';
+import {
+  findConditionsForTarget,
+  getSolverObjectives,
+  formatInputValue
+} from '../utils/photosynthesisLogic';
+
+/**
+ * ReachTarget Component
+ * Lets the user enter a target photosynthesis rate or a target biomass after
+ * N days and lists ranked setpoints that reach it, each with the factor that
+ * limits there. Applying a setpoint moves the simulator to it.
+ * Pure presentation component - the search runs in the logic adapter
+ *
+ * `theme` switches between the light page styling and the dark simulator styling.
+ */
+
+const THEMES = {
+  light: {
+    container: 'space-y-3',
+    title: 'text-sm font-semibold text-gray-600 block',
+    label: 'text-xs font-semibold text-gray-600 block mb-1',
+    input: 'w-full border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-800 focus:border-blue-500 focus:outline-none',
+    toggle: 'px-3 py-1 rounded-lg text-sm font-semibold',
+    toggleActive: 'bg-blue-600 text-white',
+    toggleIdle: 'bg-gray-100 text-gray-700 hover:bg-gray-200',
+    button: 'w-full bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors',
+    card: 'bg-gray-50 border border-gray-200 rounded-lg p-3 space-y-1',
+    text: 'text-sm text-gray-700',
+    muted: 'text-xs text-gray-500',
+    apply: 'px-3 py-1 rounded bg-green-600 text-white text-xs font-semibold hover:bg-green-700'
+  },
+  dark: {
+    container: 'bg-slate-800 rounded-xl p-4 shadow-lg border border-slate-700 space-y-3',
+    title: 'font-semibold text-white flex items-center gap-2',
+    label: 'text-xs text-gray-400 block mb-1',
+    input: 'w-full bg-slate-700 text-white rounded px-2 py-1 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none',
+    toggle: 'px-3 py-1 rounded-lg text-sm font-semibold',
+    toggleActive: 'bg-blue-600 text-white',
+    toggleIdle: 'bg-slate-700 text-gray-300 hover:bg-slate-600',
+    button: 'w-full bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors',
+    card: 'bg-slate-700 rounded-lg p-3 space-y-1',
+    text: 'text-sm text-gray-200',
+    muted: 'text-xs text-gray-400',
+    apply: 'px-3 py-1 rounded bg-green-600 text-white text-xs font-semibold hover:bg-green-500'
+  }
+};
+
+const INPUT_LABELS = {
+  light: 'Light',
+  co2: 'CO₂',
+  temperature: 'Temperature',
+  humidity: 'Humidity',
+  nitrogen: 'Nitrogen'
+};
+
+const ReachTarget = ({ conditions, modelOptions, unitSettings, onApply, theme = 'light' }) => {
+  const styles = THEMES[theme] || THEMES.light;
+  const objectives = getSolverObjectives();
+  const [targetType, setTargetType] = useState('rate');
+  const [ratePercent, setRatePercent] = useState(80);
+  const [biomass, setBiomass] = useState(150);
+  const [days, setDays] = useState(14);
+  const [objective, setObjective] = useState('change');
+  const [weights, setWeights] = useState({ light: 1, co2: 1, temperature: 1, humidity: 1, nitrogen: 1 });
+  const [solution, setSolution] = useState(null);
+
+  // A solution describes the conditions it was computed for
+  const { light, co2, temperature, humidity, nitrogen, lightSource } = conditions;
+  useEffect(() => {
+    setSolution(null);
+  }, [light, co2, temperature, humidity, nitrogen, lightSource, modelOptions]);
+
+  const displaySettings = { ...unitSettings, lightSource };
+  const formatValue = (value) => (
+    targetType === 'rate' ? `${Math.round(value * 100)}% rate` : `${value.toFixed(1)} g after ${days} days`
+  );
+
+  const handleSolve = () => {
+    const target = targetType === 'rate'
+      ? { type: 'rate', value: ratePercent / 100 }
+      : { type: 'biomass', value: biomass, days };
+    setSolution(findConditionsForTarget(conditions, target, modelOptions, { objective, weights }));
+  };
+
+  const renderSetpoint = (candidate, rank) => (
+    <div key={rank ?? 'best'} className={styles.card}>
+      <div className="flex items-center justify-between">
+        <span className={`${styles.text} font-semibold`}>
+          {rank !== undefined ? `#${rank + 1} · ` : ''}{formatValue(candidate.value)}
+        </span>
+        {onApply && (
+          <button onClick={() => onApply(candidate.conditions)} className={styles.apply}>
+            Apply
+          </button>
+        )}
+      </div>
+      {candidate.changes.map(({ input, from, to }) => (
+        <p key={input} className={styles.text}>
+          {INPUT_LABELS[input]}: {formatInputValue(input, from, displaySettings)} → {formatInputValue(input, to, displaySettings)}
+        </p>
+      ))}
+      <p className={styles.muted}>
+        {candidate.limitingFactor === 'CO2' ? 'CO₂' : candidate.limitingFactor} then limits
+        {' · '}
+        {objective === 'cost' ? `cost ${candidate.cost.toFixed(2)}` : `change ${Math.round(candidate.change * 100)}% of range`}
+      </p>
+    </div>
+  );
+
+  return (
+    <div className={styles.container}>
+      <h4 className={styles.title}>
+        {theme === 'dark' && <span>🎯</span>}
+        Reach Target
+      </h4>
+
+      <div className="flex gap-2">
+        {[['rate', 'Rate'], ['biomass', 'Biomass']].map(([type, label]) => (
+          <button
+            key={type}
+            onClick={() => { setTargetType(type); setSolution(null); }}
+            className={`${styles.toggle} ${targetType === type ? styles.toggleActive : styles.toggleIdle}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {targetType === 'rate' ? (
+        <div>
+          <label htmlFor="target-rate" className={styles.label}>Target rate (% of maximum)</label>
+          <input
+            id="target-rate"
+            type="number"
+            min={1}
+            max={100}
+            value={ratePercent}
+            onChange={(e) => setRatePercent(Number(e.target.value))}
+            className={styles.input}
+          />
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label htmlFor="target-biomass" className={styles.label}>Biomass (g, from 100 g)</label>
+            <input
+              id="target-biomass"
+              type="number"
+              min={1}
+              value={biomass}
+              onChange={(e) => setBiomass(Number(e.target.value))}
+              className={styles.input}
+            />
+          </div>
+          <div>
+            <label htmlFor="target-days" className={styles.label}>After days</label>
+            <input
+              id="target-days"
+              type="number"
+              min={1}
+              max={90}
+              value={days}
+              onChange={(e) => setDays(Math.max(1, Math.round(Number(e.target.value))))}
+              className={styles.input}
+            />
+          </div>
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="target-objective" className={styles.label}>Rank by</label>
+        <select
+          id="target-objective"
+          value={objective}
+          onChange={(e) => setObjective(e.target.value)}
+          className={styles.input}
+        >
+          {objectives.map((entry) => (
+            <option key={entry.id} value={entry.id}>{entry.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {objective === 'cost' && (
+        <div className="grid grid-cols-5 gap-1">
+          {Object.keys(INPUT_LABELS).map((input) => (
+            <div key={input}>
+              <label htmlFor={`weight-${input}`} className={styles.muted}>{INPUT_LABELS[input]}</label>
+              <input
+                id={`weight-${input}`}
+                type="number"
+                min={0}
+                step={0.5}
+                value={weights[input]}
+                onChange={(e) => setWeights({ ...weights, [input]: Math.max(0, Number(e.target.value)) })}
+                className={styles.input}
+              />
+            </div>
+          ))}
+          <p className={`${styles.muted} col-span-5`}>Cost of moving each input across its full range</p>
+        </div>
+      )}
+
+      <button onClick={handleSolve} className={styles.button}>
+        Find Conditions
+      </button>
+
+      {solution && solution.reached && (
+        <p className={styles.text}>
+          Already there: the current conditions give {formatValue(solution.current.value)}.
+        </p>
+      )}
+      {solution && !solution.reached && solution.candidates.length > 0 && (
+        <div className="space-y-2">{solution.candidates.map(renderSetpoint)}</div>
+      )}
+      {solution && !solution.reached && solution.candidates.length === 0 && (
+        <div className="space-y-2">
+          <p className={styles.text}>
+            This target is out of reach for this plant. The best setpoint found gives {formatValue(solution.best.value)}:
+          </p>
+          {renderSetpoint(solution.best)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReachTarget;
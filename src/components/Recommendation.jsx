@@ -2,7 +2,9 @@ import React from 'react';
 
 /**
  * Recommendation Component
- * Displays limiting factor and recommendation text
+ * Displays limiting factor, recommendation text and how far the limiting
+ * factor can be improved before the next factor takes over.
+ * `children` (the Reach Target solver) render at the bottom of the panel.
  * Pure presentation component - no logic
  */
 
@@ -16,12 +18,18 @@ const getLimitingFactorColor = (factor) => {
       return 'bg-green-100 text-green-800 border-green-300';
     case 'Temperature':
       return 'bg-red-100 text-red-800 border-red-300';
+    case 'Stomata':
+      return 'bg-cyan-100 text-cyan-800 border-cyan-300';
+    case 'Nitrogen':
+      return 'bg-lime-100 text-lime-800 border-lime-300';
+    case 'Photoinhibition':
+      return 'bg-orange-100 text-orange-800 border-orange-300';
     default:
       return 'bg-blue-100 text-blue-800 border-blue-300';
   }
 };
 
-const Recommendation = ({ limitingFactor, recommendationText }) => {
+const Recommendation = ({ limitingFactor, recommendationText, transitionText, children }) => {
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
       <h2 className="text-2xl font-bold text-gray-800 mb-4">Analysis & Recommendations</h2>
@@ -51,6 +59,21 @@ const Recommendation = ({ limitingFactor, recommendationText }) => {
           </p>
         </div>
       </div>
+
+      {/* Limitation Transition */}
+      {transitionText && (
+        <div className="mt-4">
+          <label className="text-sm font-semibold text-gray-600 block mb-2">
+            Until the Next Limit:
+          </label>
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+            <p className="text-blue-900 font-medium leading-relaxed">{transitionText}</p>
+          </div>
+        </div>
+      )}
+
+      {/* Reach Target */}
+      {children && <div className="mt-4">{children}</div>}
     </div>
   );
 };
@@ -1,7 +1,7 @@
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 
-const RecommendationEngine = ({ recommendations, currentHealth }) => {
+const RecommendationEngine = ({ recommendations, currentHealth, transitionText, children }) => {
   const getPriorityColor = (priority) => {
     switch (priority) {
       case 'critical': return 'from-red-500 to-red-600';
@@ -76,6 +76,25 @@ const RecommendationEngine = ({ recommendations, currentHealth }) => {
         </div>
       </motion.div>
 
+      {/* Limitation Transition */}
+      {transitionText && (
+        <motion.div
+          className="bg-slate-800 rounded-xl p-4 shadow-lg border border-blue-700"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.4 }}
+        >
+          <h4 className="font-semibold text-white mb-2 flex items-center gap-2">
+            <span>🎯</span>
+            Until the Next Limit
+          </h4>
+          <p className="text-sm text-blue-200 leading-relaxed">{transitionText}</p>
+        </motion.div>
+      )}
+
+      {/* Reach Target */}
+      {children}
+
       {/* Recommendations List */}
       <AnimatePresence>
         {recommendations.length > 0 ? (
@@ -0,0 +1,246 @@
+import React, { useMemo, useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceArea,
+  ReferenceDot,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import {
+  getResponseCurve,
+  getResponseCurveChoices,
+  formatMeasurement,
+  toDisplayUnits,
+  getUnitSymbol
+} from '../utils/photosynthesisLogic';
+
+/**
+ * ResponseCurves Component
+ * Sweeps light, CO₂ or temperature across its range with the other factors
+ * held at their current values and plots net CO₂ uptake: the light-response
+ * (A–Q), A–Ci and temperature-response curves.
+ * Background bands show which factor limits along the curve, the dot marks the
+ * current operating point, and extra curves for fixed levels of a second
+ * factor reproduce Blackman's plateau diagram.
+ * Pure presentation component - all curves come from the logic adapter
+ *
+ * `theme` switches between the light page styling and the dark simulator styling.
+ */
+
+const THEMES = {
+  light: {
+    container: 'bg-white rounded-lg shadow-md p-6 space-y-4',
+    title: 'text-2xl font-bold text-gray-800',
+    label: 'text-sm font-semibold text-gray-600 block mb-2',
+    select: 'w-full border border-gray-300 rounded-lg px-3 py-2 text-gray-800 focus:border-blue-500 focus:outline-none',
+    description: 'text-sm text-gray-600 leading-relaxed',
+    grid: '#e5e7eb',
+    axis: '#6b7280',
+    curve: '#2563eb',
+    tooltip: { backgroundColor: '#f9fafb', border: '1px solid #e5e7eb', borderRadius: '8px' }
+  },
+  dark: {
+    container: 'bg-slate-800 rounded-xl p-6 shadow-lg border border-slate-700 space-y-4',
+    title: 'text-lg font-bold text-white',
+    label: 'text-sm text-gray-400 block mb-2',
+    select: 'w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none',
+    description: 'text-sm text-gray-300 leading-relaxed',
+    grid: '#374151',
+    axis: '#9CA3AF',
+    curve: '#60a5fa',
+    tooltip: { backgroundColor: '#1F2937', border: '1px solid #374151', borderRadius: '8px' }
+  }
+};
+
+// Band colour for each limiting factor
+const REGION_COLORS = {
+  Light: '#facc15',
+  CO2: '#22c55e',
+  Temperature: '#ef4444',
+  Stomata: '#06b6d4',
+  Nitrogen: '#84cc16',
+  Photoinhibition: '#f97316'
+};
+
+// Colours of the fixed-level overlay curves
+const OVERLAY_COLORS = ['#a855f7', '#ec4899', '#14b8a6', '#f59e0b'];
+
+const FACTOR_LABELS = {
+  light: 'Light',
+  co2: 'CO₂',
+  temperature: 'Temperature'
+};
+
+const ResponseCurves = ({ conditions, modelOptions, unitSettings, theme = 'light' }) => {
+  const styles = THEMES[theme] || THEMES.light;
+  const { light, co2, temperature, humidity, nitrogen, lightSource } = conditions;
+  const curves = getResponseCurveChoices();
+  const [input, setInput] = useState('light');
+  const [overlayInput, setOverlayInput] = useState('');
+
+  const selected = curves.find((curve) => curve.id === input) || curves[0];
+  const overlay = overlayInput && overlayInput !== input ? overlayInput : null;
+
+  // A curve is a few hundred model runs, so only recompute when an input changes
+  const curve = useMemo(
+    () => getResponseCurve(input, light, co2, temperature, { ...modelOptions, humidity, nitrogen, lightSource }, overlay),
+    [input, light, co2, temperature, humidity, nitrogen, lightSource, modelOptions, overlay]
+  );
+
+  // Lux and W/m² depend on the lamp spectrum
+  const displaySettings = { ...unitSettings, lightSource };
+  // Ci is a CO₂ concentration, so it shares the CO₂ display unit
+  const toX = (value) => toDisplayUnits(input, value, displaySettings);
+  const xLabel = `${input === 'co2' ? 'Internal CO₂ (Ci)' : FACTOR_LABELS[input]} (${getUnitSymbol(input, displaySettings)})`;
+  const withDisplayX = (points) => points.map((point) => ({ ...point, x: toX(point.x) }));
+
+  return (
+    <div className={styles.container}>
+      <h2 className={styles.title}>Response Curves</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="response-curve" className={styles.label}>
+            Sweep
+          </label>
+          <select
+            id="response-curve"
+            value={selected.id}
+            onChange={(e) => setInput(e.target.value)}
+            className={styles.select}
+          >
+            {curves.map((entry) => (
+              <option key={entry.id} value={entry.id}>
+                {entry.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="response-overlay" className={styles.label}>
+            Overlay fixed levels of
+          </label>
+          <select
+            id="response-overlay"
+            value={overlay || ''}
+            onChange={(e) => setOverlayInput(e.target.value)}
+            className={styles.select}
+          >
+            <option value="">None</option>
+            {Object.keys(FACTOR_LABELS)
+              .filter((factor) => factor !== input)
+              .map((factor) => (
+                <option key={factor} value={factor}>
+                  {FACTOR_LABELS[factor]}
+                </option>
+              ))}
+          </select>
+        </div>
+      </div>
+
+      <p className={styles.description}>{selected.description}</p>
+
+      <ResponsiveContainer width="100%" height={320}>
+        <LineChart margin={{ top: 5, right: 20, left: 10, bottom: 20 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke={styles.grid} />
+          <XAxis
+            type="number"
+            dataKey="x"
+            domain={['dataMin', 'dataMax']}
+            tickFormatter={(value) => Math.round(value)}
+            label={{ value: xLabel, position: 'insideBottom', offset: -10, fill: styles.axis }}
+            stroke={styles.axis}
+          />
+          <YAxis
+            dataKey="net"
+            label={{ value: 'Net CO₂ uptake (µmol m⁻² s⁻¹)', angle: -90, position: 'insideLeft', fill: styles.axis }}
+            stroke={styles.axis}
+          />
+          <Tooltip
+            contentStyle={styles.tooltip}
+            labelFormatter={(value) => `${Math.round(value)} ${getUnitSymbol(input, displaySettings)}`}
+            formatter={(value, name) => [`${value.toFixed(2)} µmol m⁻² s⁻¹`, name]}
+          />
+          <Legend verticalAlign="top" />
+
+          {/* Which factor limits along the sweep */}
+          {curve.regions.map((region) => (
+            <ReferenceArea
+              key={`${region.limitingFactor}-${region.from}`}
+              x1={toX(region.from)}
+              x2={toX(region.to)}
+              fill={REGION_COLORS[region.limitingFactor] || '#9ca3af'}
+              fillOpacity={0.12}
+              ifOverflow="hidden"
+            />
+          ))}
+
+          <ReferenceLine y={0} stroke={styles.axis} strokeDasharray="4 4" />
+
+          <Line
+            data={withDisplayX(curve.points)}
+            type="monotone"
+            dataKey="net"
+            stroke={styles.curve}
+            strokeWidth={3}
+            dot={false}
+            name="Current conditions"
+            isAnimationActive={false}
+          />
+
+          {curve.overlays.map((entry, index) => (
+            <Line
+              key={entry.level}
+              data={withDisplayX(entry.points)}
+              type="monotone"
+              dataKey="net"
+              stroke={OVERLAY_COLORS[index % OVERLAY_COLORS.length]}
+              strokeWidth={2}
+              strokeDasharray="6 3"
+              dot={false}
+              name={`${FACTOR_LABELS[entry.input]} ${formatMeasurement(entry.input, entry.level, displaySettings)}`}
+              isAnimationActive={false}
+            />
+          ))}
+
+          {/* Current operating point */}
+          <ReferenceDot
+            x={toX(curve.operatingPoint.x)}
+            y={curve.operatingPoint.net}
+            r={6}
+            fill="#dc2626"
+            stroke="#ffffff"
+            ifOverflow="extendDomain"
+          />
+        </LineChart>
+      </ResponsiveContainer>
+
+      <div className="flex flex-wrap gap-3 text-xs">
+        {[...new Set(curve.regions.map((region) => region.limitingFactor))].map((factor) => (
+          <span key={factor} className="flex items-center gap-1">
+            <span
+              className="inline-block w-3 h-3 rounded-sm"
+              style={{ backgroundColor: REGION_COLORS[factor] || '#9ca3af', opacity: 0.5 }}
+            />
+            <span className={styles.description}>{factor === 'CO2' ? 'CO₂' : factor} limiting</span>
+          </span>
+        ))}
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-full bg-red-600" />
+          <span className={styles.description}>
+            Now: {formatMeasurement(input, curve.operatingPoint.x, displaySettings)}, net{' '}
+            {curve.operatingPoint.net.toFixed(1)} µmol m⁻² s⁻¹
+          </span>
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default ResponseCurves;
@@ -0,0 +1,322 @@
+import React, { useMemo, useState } from 'react';
+import {
+  getResponseSurface,
+  getInputRange,
+  formatMeasurement,
+  toDisplayUnits,
+  getUnitSymbol
+} from '../utils/photosynthesisLogic';
+
+/**
+ * ResponseHeatmap Component
+ * Colours a grid of two chosen factors by photosynthesis rate, with the third
+ * factor fixed by a slider, and outlines the regions where each factor limits.
+ * Clicking a cell sets the simulator to that cell's conditions.
+ * Pure presentation component - the grid comes from the logic adapter
+ *
+ * `theme` switches between the light page styling and the dark simulator styling.
+ */
+
+const THEMES = {
+  light: {
+    container: 'bg-white rounded-lg shadow-md p-6 space-y-4',
+    title: 'text-2xl font-bold text-gray-800',
+    label: 'text-sm font-semibold text-gray-600 block mb-2',
+    select: 'w-full border border-gray-300 rounded-lg px-3 py-2 text-gray-800 focus:border-blue-500 focus:outline-none',
+    slider: 'w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600',
+    description: 'text-sm text-gray-600 leading-relaxed',
+    axis: '#6b7280',
+    boundary: '#111827',
+    marker: '#dc2626'
+  },
+  dark: {
+    container: 'bg-slate-800 rounded-xl p-6 shadow-lg border border-slate-700 space-y-4',
+    title: 'text-lg font-bold text-white',
+    label: 'text-sm text-gray-400 block mb-2',
+    select: 'w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none',
+    slider: 'w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-blue-500',
+    description: 'text-sm text-gray-300 leading-relaxed',
+    axis: '#9CA3AF',
+    boundary: '#ffffff',
+    marker: '#f87171'
+  }
+};
+
+const FACTOR_LABELS = {
+  light: 'Light',
+  co2: 'CO₂',
+  temperature: 'Temperature'
+};
+
+const LIMITING_LABELS = {
+  Light: 'Light',
+  CO2: 'CO₂',
+  Temperature: 'Temp',
+  Stomata: 'Stomata',
+  Nitrogen: 'Nitrogen',
+  Photoinhibition: 'Photoinhib.'
+};
+
+// Rate colour scale, from no photosynthesis to the maximum rate
+const RATE_STOPS = [
+  [0, [68, 1, 84]],
+  [0.25, [59, 82, 139]],
+  [0.5, [33, 145, 140]],
+  [0.75, [94, 201, 98]],
+  [1, [253, 231, 37]]
+];
+
+// Drawing area of the grid (SVG units) and room for the axes
+const PLOT = { left: 56, top: 10, width: 420, height: 300, bottom: 40 };
+
+const rateColor = (rate) => {
+  const value = Math.max(0, Math.min(1, rate));
+  const upper = RATE_STOPS.findIndex(([stop]) => stop >= value);
+  if (upper <= 0) return `rgb(${RATE_STOPS[0][1].join(',')})`;
+  const [low, lowColor] = RATE_STOPS[upper - 1];
+  const [high, highColor] = RATE_STOPS[upper];
+  const t = (value - low) / (high - low);
+  return `rgb(${lowColor.map((channel, i) => Math.round(channel + (highColor[i] - channel) * t)).join(',')})`;
+};
+
+const ResponseHeatmap = ({ conditions, modelOptions, unitSettings, onSelect, theme = 'light' }) => {
+  const styles = THEMES[theme] || THEMES.light;
+  const { humidity, nitrogen, lightSource } = conditions;
+  const [xInput, setXInput] = useState('light');
+  const [yInput, setYInput] = useState('co2');
+  // Slider value of the fixed factor; null follows the simulator
+  const [fixedOverride, setFixedOverride] = useState(null);
+
+  const fixedInput = Object.keys(FACTOR_LABELS).find((factor) => factor !== xInput && factor !== yInput);
+  const fixedValue = fixedOverride && fixedOverride.input === fixedInput
+    ? fixedOverride.value
+    : conditions[fixedInput];
+  const fixedRange = getInputRange(fixedInput);
+
+  const point = { light: conditions.light, co2: conditions.co2, temperature: conditions.temperature, [fixedInput]: fixedValue };
+  const { light, co2, temperature } = point;
+  // A grid is a few hundred model runs, so only recompute when an input changes
+  const surface = useMemo(
+    () => getResponseSurface(xInput, yInput, light, co2, temperature, { ...modelOptions, humidity, nitrogen, lightSource }),
+    [xInput, yInput, light, co2, temperature, humidity, nitrogen, lightSource, modelOptions]
+  );
+
+  // Lux and W/m² depend on the lamp spectrum
+  const displaySettings = { ...unitSettings, lightSource };
+
+  const changeAxis = (axis, value) => {
+    // Swap the axes instead of plotting one factor against itself
+    if (axis === 'x') {
+      if (value === yInput) setYInput(xInput);
+      setXInput(value);
+    } else {
+      if (value === xInput) setXInput(yInput);
+      setYInput(value);
+    }
+  };
+
+  const columns = surface.xValues.length;
+  const rows = surface.yValues.length;
+  const cellWidth = PLOT.width / columns;
+  const cellHeight = PLOT.height / rows;
+  // Rows ascend in y, so the first row is drawn at the bottom
+  const cellX = (column) => PLOT.left + column * cellWidth;
+  const cellY = (row) => PLOT.top + (rows - 1 - row) * cellHeight;
+  const toPlotX = (value) => {
+    const { xValues } = surface;
+    const span = xValues[columns - 1] - xValues[0];
+    return PLOT.left + ((value - xValues[0]) / span) * (PLOT.width - cellWidth) + cellWidth / 2;
+  };
+  const toPlotY = (value) => {
+    const { yValues } = surface;
+    const span = yValues[rows - 1] - yValues[0];
+    return PLOT.top + PLOT.height - cellHeight / 2 - ((value - yValues[0]) / span) * (PLOT.height - cellHeight);
+  };
+
+  // Region outlines: an edge wherever two neighbouring cells have different limiting factors
+  const boundaries = [];
+  surface.cells.forEach((row, r) => {
+    row.forEach((cell, c) => {
+      const right = row[c + 1];
+      const above = surface.cells[r + 1] && surface.cells[r + 1][c];
+      if (right && right.limitingFactor !== cell.limitingFactor) {
+        boundaries.push({ x1: cellX(c + 1), y1: cellY(r), x2: cellX(c + 1), y2: cellY(r) + cellHeight });
+      }
+      if (above && above.limitingFactor !== cell.limitingFactor) {
+        boundaries.push({ x1: cellX(c), y1: cellY(r), x2: cellX(c) + cellWidth, y2: cellY(r) });
+      }
+    });
+  });
+
+  const ticks = (values) => values.filter((_, i) => i % 5 === 0 || i === values.length - 1);
+  const formatTick = (input, value) => {
+    const display = toDisplayUnits(input, value, displaySettings);
+    return Number.isInteger(display) ? display : display.toFixed(input === 'co2' ? 1 : 0);
+  };
+
+  const selectCell = (cell) => {
+    if (onSelect) onSelect({ [xInput]: cell.x, [yInput]: cell.y, [fixedInput]: fixedValue });
+  };
+
+  return (
+    <div className={styles.container}>
+      <h2 className={styles.title}>Response Surface</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="heatmap-x" className={styles.label}>
+            Horizontal axis
+          </label>
+          <select id="heatmap-x" value={xInput} onChange={(e) => changeAxis('x', e.target.value)} className={styles.select}>
+            {Object.entries(FACTOR_LABELS).map(([factor, label]) => (
+              <option key={factor} value={factor}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="heatmap-y" className={styles.label}>
+            Vertical axis
+          </label>
+          <select id="heatmap-y" value={yInput} onChange={(e) => changeAxis('y', e.target.value)} className={styles.select}>
+            {Object.entries(FACTOR_LABELS).map(([factor, label]) => (
+              <option key={factor} value={factor}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="heatmap-fixed" className={styles.label}>
+            {FACTOR_LABELS[fixedInput]} fixed at {formatMeasurement(fixedInput, fixedValue, displaySettings)}
+          </label>
+          <input
+            id="heatmap-fixed"
+            type="range"
+            min={fixedRange.min}
+            max={fixedRange.max}
+            step={fixedRange.step}
+            value={fixedValue}
+            onChange={(e) => setFixedOverride({ input: fixedInput, value: Number(e.target.value) })}
+            className={styles.slider}
+          />
+        </div>
+      </div>
+
+      <svg viewBox={`0 0 ${PLOT.left + PLOT.width + 10} ${PLOT.top + PLOT.height + PLOT.bottom}`} className="w-full">
+        {surface.cells.map((row, r) => row.map((cell, c) => (
+          <rect
+            key={`${r}-${c}`}
+            x={cellX(c)}
+            y={cellY(r)}
+            width={cellWidth + 0.5}
+            height={cellHeight + 0.5}
+            fill={rateColor(cell.rate)}
+            className="cursor-pointer"
+            onClick={() => selectCell(cell)}
+          >
+            <title>
+              {`${FACTOR_LABELS[xInput]} ${formatMeasurement(xInput, cell.x, displaySettings)}, `
+                + `${FACTOR_LABELS[yInput]} ${formatMeasurement(yInput, cell.y, displaySettings)}: `
+                + `${Math.round(cell.rate * 100)}%, ${cell.limitingFactor} limiting`}
+            </title>
+          </rect>
+        )))}
+
+        {boundaries.map((line, index) => (
+          <line key={index} {...line} stroke={styles.boundary} strokeWidth={2} pointerEvents="none" />
+        ))}
+
+        {/* Label each limiting region big enough to hold its name */}
+        {surface.regions
+          .filter((region) => region.size >= 6)
+          .map((region) => (
+            <text
+              key={`${region.limitingFactor}-${region.center.x}-${region.center.y}`}
+              x={toPlotX(region.center.x)}
+              y={toPlotY(region.center.y)}
+              textAnchor="middle"
+              dominantBaseline="middle"
+              fontSize="12"
+              fontWeight="bold"
+              fill="#ffffff"
+              stroke="#000000"
+              strokeWidth="0.4"
+              pointerEvents="none"
+            >
+              {LIMITING_LABELS[region.limitingFactor] || region.limitingFactor}
+            </text>
+          ))}
+
+        {/* Current conditions */}
+        <circle
+          cx={toPlotX(point[xInput])}
+          cy={toPlotY(point[yInput])}
+          r={6}
+          fill="none"
+          stroke={styles.marker}
+          strokeWidth={3}
+          pointerEvents="none"
+        />
+
+        {ticks(surface.xValues).map((value) => (
+          <text
+            key={`x-${value}`}
+            x={toPlotX(value)}
+            y={PLOT.top + PLOT.height + 14}
+            textAnchor="middle"
+            fontSize="10"
+            fill={styles.axis}
+          >
+            {formatTick(xInput, value)}
+          </text>
+        ))}
+        <text
+          x={PLOT.left + PLOT.width / 2}
+          y={PLOT.top + PLOT.height + 32}
+          textAnchor="middle"
+          fontSize="11"
+          fill={styles.axis}
+        >
+          {FACTOR_LABELS[xInput]} ({getUnitSymbol(xInput, displaySettings)})
+        </text>
+
+        {ticks(surface.yValues).map((value) => (
+          <text
+            key={`y-${value}`}
+            x={PLOT.left - 6}
+            y={toPlotY(value)}
+            textAnchor="end"
+            dominantBaseline="middle"
+            fontSize="10"
+            fill={styles.axis}
+          >
+            {formatTick(yInput, value)}
+          </text>
+        ))}
+        <text
+          x={12}
+          y={PLOT.top + PLOT.height / 2}
+          textAnchor="middle"
+          fontSize="11"
+          fill={styles.axis}
+          transform={`rotate(-90 12 ${PLOT.top + PLOT.height / 2})`}
+        >
+          {FACTOR_LABELS[yInput]} ({getUnitSymbol(yInput, displaySettings)})
+        </text>
+      </svg>
+
+      <div className="flex items-center gap-2 text-xs">
+        <span className={styles.description}>0%</span>
+        <div
+          className="flex-1 h-3 rounded"
+          style={{ background: `linear-gradient(to right, ${RATE_STOPS.map(([stop]) => rateColor(stop)).join(', ')})` }}
+        />
+        <span className={styles.description}>100% of maximum rate</span>
+      </div>
+      <p className={styles.description}>
+        Lines separate the regions where different factors limit; the ring marks the current conditions.
+        Click a cell to move the simulator there.
+      </p>
+    </div>
+  );
+};
+
+export default ResponseHeatmap;
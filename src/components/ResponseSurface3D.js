@@ -0,0 +1,252 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { Canvas, useFrame } from '@react-three/fiber';
+import { OrbitControls, Html, Line } from '@react-three/drei';
+import { getResponseSurface, formatMeasurement } from '../utils/photosynthesisLogic';
+
+// Footprint of the surface and height of a 100% rate (scene units)
+const SURFACE_SIZE = 8;
+const SURFACE_HEIGHT = 4;
+
+// Colour of each limiting factor (same palette as the response curves)
+const FACTOR_COLORS = {
+  Light: '#facc15',
+  CO2: '#22c55e',
+  Temperature: '#ef4444',
+  Stomata: '#06b6d4',
+  Nitrogen: '#84cc16',
+  Photoinhibition: '#f97316'
+};
+
+const AXIS_LABELS = {
+  light: 'Light',
+  co2: 'CO₂',
+  temperature: 'Temperature'
+};
+
+// Position of an input value along an axis of the surface footprint
+const toScene = (value, values) => {
+  const min = values[0];
+  const max = values[values.length - 1];
+  return ((value - min) / (max - min) - 0.5) * SURFACE_SIZE;
+};
+
+// SURFACE MESH - ONE VERTEX PER GRID CELL, COLOURED BY LIMITING FACTOR
+function SurfaceMesh({ surface }) {
+  const geometry = useMemo(() => {
+    const { cells, xValues, yValues } = surface;
+    const columns = xValues.length;
+    const positions = [];
+    const colors = [];
+    const indices = [];
+    const color = new THREE.Color();
+
+    cells.forEach((row, r) => {
+      row.forEach((cell, c) => {
+        // Input on the vertical axis of the heatmap runs into the screen (-z)
+        positions.push(toScene(cell.x, xValues), cell.rate * SURFACE_HEIGHT, -toScene(cell.y, yValues));
+        color.set(FACTOR_COLORS[cell.limitingFactor] || '#9ca3af');
+        colors.push(color.r, color.g, color.b);
+
+        if (r > 0 && c > 0) {
+          const a = (r - 1) * columns + (c - 1);
+          const b = (r - 1) * columns + c;
+          const d = r * columns + (c - 1);
+          const e = r * columns + c;
+          indices.push(a, b, d, b, e, d);
+        }
+      });
+    });
+
+    const built = new THREE.BufferGeometry();
+    built.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    built.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    built.setIndex(indices);
+    built.computeVertexNormals();
+    return built;
+  }, [surface]);
+
+  // Free the previous buffers when the surface is rebuilt
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  return (
+    <group>
+      <mesh geometry={geometry}>
+        <meshStandardMaterial vertexColors side={THREE.DoubleSide} roughness={0.6} />
+      </mesh>
+      <mesh geometry={geometry}>
+        <meshBasicMaterial color="#0f172a" wireframe transparent opacity={0.15} />
+      </mesh>
+    </group>
+  );
+}
+
+// CURRENT STATE MARKER - EASES TOWARDS THE NEW CONDITIONS AS SLIDERS MOVE
+function StateMarker({ position }) {
+  const ref = useRef();
+  // Only the first position is set directly; later ones are eased towards in useFrame
+  const start = useRef(position);
+  const [x, y, z] = position;
+  const target = useMemo(() => new THREE.Vector3(x, y, z), [x, y, z]);
+
+  useFrame(() => {
+    if (ref.current) {
+      ref.current.position.lerp(target, 0.15);
+    }
+  });
+
+  return (
+    <group ref={ref} position={start.current}>
+      <mesh>
+        <sphereGeometry args={[0.18, 24, 24]} />
+        <meshStandardMaterial color="#ffffff" emissive="#60a5fa" emissiveIntensity={0.8} />
+      </mesh>
+      {/* Drop line to the floor so the marker can be read against the axes */}
+      <Line points={[[0, 0, 0], [0, -position[1], 0]]} color="#ffffff" lineWidth={1} dashed dashSize={0.1} gapSize={0.1} />
+    </group>
+  );
+}
+
+// AXES WITH TICK LABELS IN THE USER'S UNITS
+function Axes({ surface, unitSettings }) {
+  const { xInput, yInput, xValues, yValues } = surface;
+  const half = SURFACE_SIZE / 2;
+  const labelClass = 'text-xs text-gray-300 whitespace-nowrap pointer-events-none';
+  const ends = (values) => [values[0], values[values.length - 1]];
+
+  return (
+    <group>
+      <Line points={[[-half, 0, half], [half, 0, half]]} color="#9CA3AF" lineWidth={1.5} />
+      <Line points={[[-half, 0, half], [-half, 0, -half]]} color="#9CA3AF" lineWidth={1.5} />
+      <Line points={[[-half, 0, half], [-half, SURFACE_HEIGHT, half]]} color="#9CA3AF" lineWidth={1.5} />
+
+      {ends(xValues).map((value) => (
+        <Html key={`x-${value}`} position={[toScene(value, xValues), -0.3, half + 0.3]} center>
+          <div className={labelClass}>{formatMeasurement(xInput, value, unitSettings)}</div>
+        </Html>
+      ))}
+      <Html position={[0, -0.6, half + 0.8]} center>
+        <div className={`${labelClass} font-semibold`}>{AXIS_LABELS[xInput]} →</div>
+      </Html>
+
+      {ends(yValues).map((value) => (
+        <Html key={`y-${value}`} position={[-half - 0.4, -0.3, -toScene(value, yValues)]} center>
+          <div className={labelClass}>{formatMeasurement(yInput, value, unitSettings)}</div>
+        </Html>
+      ))}
+      <Html position={[-half - 1, -0.6, 0]} center>
+        <div className={`${labelClass} font-semibold`}>{AXIS_LABELS[yInput]} →</div>
+      </Html>
+
+      {[0, 50, 100].map((percent) => (
+        <Html key={`z-${percent}`} position={[-half - 0.4, (percent / 100) * SURFACE_HEIGHT, half]} center>
+          <div className={labelClass}>{percent}%</div>
+        </Html>
+      ))}
+      <Html position={[-half - 0.4, SURFACE_HEIGHT + 0.5, half]} center>
+        <div className={`${labelClass} font-semibold`}>Rate</div>
+      </Html>
+    </group>
+  );
+}
+
+// MAIN COMPONENT
+const ResponseSurface3D = ({
+  environmentalFactors,
+  modelOptions,
+  unitSettings,
+  photosynthesisRate = 0
+}) => {
+  const [xInput, setXInput] = useState('light');
+  const [yInput, setYInput] = useState('co2');
+  const { light, co2, temperature, humidity, nitrogen, lightSource } = environmentalFactors;
+
+  // The third factor follows its slider, so the surface reshapes live
+  const surface = useMemo(
+    () => getResponseSurface(xInput, yInput, light, co2, temperature, { ...modelOptions, humidity, nitrogen, lightSource }),
+    [xInput, yInput, light, co2, temperature, humidity, nitrogen, lightSource, modelOptions]
+  );
+
+  const fixedInput = Object.keys(AXIS_LABELS).find((factor) => factor !== xInput && factor !== yInput);
+  const displaySettings = { ...unitSettings, lightSource };
+  const markerPosition = [
+    toScene(environmentalFactors[xInput], surface.xValues),
+    photosynthesisRate * SURFACE_HEIGHT,
+    -toScene(environmentalFactors[yInput], surface.yValues)
+  ];
+  const shownFactors = [...new Set(surface.regions.map((region) => region.limitingFactor))];
+
+  const changeAxis = (axis, value) => {
+    // Swap the axes instead of plotting one factor against itself
+    if (axis === 'x') {
+      if (value === yInput) setYInput(xInput);
+      setXInput(value);
+    } else {
+      if (value === xInput) setXInput(yInput);
+      setYInput(value);
+    }
+  };
+
+  return (
+    <div className="w-full h-[500px] bg-gradient-to-b from-slate-900 to-slate-800 rounded-xl overflow-hidden border border-slate-700 relative">
+      <Canvas camera={{ position: [9, 8, 10], fov: 45, near: 0.1, far: 200 }}>
+        <ambientLight intensity={0.6} />
+        <directionalLight position={[5, 10, 5]} intensity={1} />
+
+        <SurfaceMesh surface={surface} />
+        <StateMarker position={markerPosition} />
+        <Axes surface={surface} unitSettings={displaySettings} />
+
+        <OrbitControls
+          target={[0, SURFACE_HEIGHT / 3, 0]}
+          enablePan={false}
+          minDistance={6}
+          maxDistance={25}
+          maxPolarAngle={Math.PI / 2}
+          enableDamping={true}
+          dampingFactor={0.05}
+        />
+      </Canvas>
+
+      {/* AXIS CHOICE */}
+      <div className="absolute top-4 left-4 bg-black/80 backdrop-blur-sm rounded-lg p-3 border border-gray-600 space-y-2">
+        {[['x', xInput, 'Across'], ['y', yInput, 'Depth']].map(([axis, value, label]) => (
+          <label key={axis} className="flex items-center gap-2 text-sm text-gray-300">
+            <span className="w-12">{label}</span>
+            <select
+              value={value}
+              onChange={(e) => changeAxis(axis, e.target.value)}
+              className="bg-slate-700 text-white rounded px-2 py-1 text-sm border border-slate-600"
+            >
+              {Object.entries(AXIS_LABELS).map(([factor, name]) => (
+                <option key={factor} value={factor}>{name}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <div className="text-xs text-gray-400">
+          {AXIS_LABELS[fixedInput]} held at {formatMeasurement(fixedInput, environmentalFactors[fixedInput], displaySettings)}
+        </div>
+      </div>
+
+      {/* LIMITING FACTOR LEGEND */}
+      <div className="absolute bottom-4 right-4 bg-black/80 backdrop-blur-sm rounded-lg p-3 border border-gray-600">
+        <div className="text-white text-sm font-semibold mb-2">Limiting factor</div>
+        <div className="space-y-1">
+          {shownFactors.map((factor) => (
+            <div key={factor} className="flex items-center gap-2 text-xs text-gray-300">
+              <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: FACTOR_COLORS[factor] || '#9ca3af' }} />
+              {factor === 'CO2' ? 'CO₂' : factor}
+            </div>
+          ))}
+          <div className="flex items-center gap-2 text-xs text-gray-300">
+            <span className="inline-block w-3 h-3 rounded-full bg-white" />
+            Now: {(photosynthesisRate * 100).toFixed(0)}%
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResponseSurface3D;
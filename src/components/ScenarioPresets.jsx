@@ -1,4 +1,5 @@
 import React from 'react';
+import { formatMeasurement } from '../utils/photosynthesisLogic';
 
 /**
  * ScenarioPresets Component
@@ -14,6 +15,7 @@ const SCENARIOS = {
     light: 800,
     co2: 450,
     temperature: 28,
+    humidity: 55,
     color: 'bg-orange-500 hover:bg-orange-600'
   },
   greenhouseFarming: {
@@ -22,14 +24,16 @@ const SCENARIOS = {
     light: 1200,
     co2: 600,
     temperature: 22,
+    humidity: 75,
     color: 'bg-green-500 hover:bg-green-600'
   },
   droughtConditions: {
     name: 'Drought Conditions',
-    description: 'High light, low CO₂',
+    description: 'High light, low CO₂, dry air',
     light: 1500,
     co2: 250,
     temperature: 32,
+    humidity: 20,
     color: 'bg-yellow-500 hover:bg-yellow-600'
   },
   tropicalRainforest: {
@@ -38,15 +42,26 @@ const SCENARIOS = {
     light: 600,
     co2: 380,
     temperature: 26,
+    humidity: 90,
     color: 'bg-emerald-500 hover:bg-emerald-600'
+  },
+  desertNoon: {
+    name: 'Desert Noon',
+    description: 'Extreme heat - try C4 or CAM',
+    light: 1800,
+    co2: 380,
+    temperature: 46,
+    humidity: 10,
+    color: 'bg-red-500 hover:bg-red-600'
   }
 };
 
-const ScenarioPresets = ({ setLight, setCo2, setTemperature }) => {
+const ScenarioPresets = ({ setLight, setCo2, setTemperature, setHumidity, unitSettings }) => {
   const handleScenarioClick = (scenario) => {
     setLight(scenario.light);
     setCo2(scenario.co2);
     setTemperature(scenario.temperature);
+    if (setHumidity) setHumidity(scenario.humidity);
   };
 
   return (
@@ -64,9 +79,10 @@ const ScenarioPresets = ({ setLight, setCo2, setTemperature }) => {
             <h3 className="font-bold text-lg mb-1">{scenario.name}</h3>
             <p className="text-sm opacity-90 mb-2">{scenario.description}</p>
             <div className="text-xs opacity-75 space-y-1">
-              <div>Light: {scenario.light} μmol/m²/s</div>
-              <div>CO₂: {scenario.co2} ppm</div>
-              <div>Temp: {scenario.temperature} °C</div>
+              <div>Light: {formatMeasurement('light', scenario.light, unitSettings)}</div>
+              <div>CO₂: {formatMeasurement('co2', scenario.co2, unitSettings)}</div>
+              <div>Temp: {formatMeasurement('temperature', scenario.temperature, unitSettings)}</div>
+              <div>Humidity: {scenario.humidity} % RH</div>
             </div>
           </button>
         ))}
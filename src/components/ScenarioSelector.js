@@ -34,6 +34,22 @@ const ScenarioSelector = ({ currentScenario, onScenarioChange }) => {
       icon: '🏠',
       gradient: 'from-blue-500 to-blue-600',
       conditions: 'Light: 90% | CO₂: 600ppm | Temp: 26°C'
+    },
+    {
+      id: 'desert',
+      title: 'Desert Noon',
+      description: 'Intense light and extreme heat',
+      icon: '🌵',
+      gradient: 'from-amber-500 to-red-600',
+      conditions: 'Light: 100% | CO₂: 380ppm | Temp: 48°C'
+    },
+    {
+      id: 'rainforest',
+      title: 'Rainforest Floor',
+      description: 'Deep shade under a tropical canopy',
+      icon: '🌴',
+      gradient: 'from-emerald-600 to-teal-700',
+      conditions: 'Light: 15% | CO₂: 390ppm | Temp: 24°C'
     }
   ];
 
@@ -150,6 +166,24 @@ const ScenarioSelector = ({ currentScenario, onScenarioChange }) => {
             <p>• Extreme temperature severely limits enzyme function</p>
             <p>• High light intensity increases thermal stress</p>
             <p>• Plant enters survival mode, halting growth</p>
+            <p>• Switch to a C4 (maize) or CAM (cactus) pathway to compare heat tolerance</p>
+          </div>
+        )}
+        
+        {currentScenario === 'desert' && (
+          <div className="text-sm text-gray-300 space-y-1">
+            <p>• C3 enzymes denature and photorespiration soars</p>
+            <p>• C4 plants keep fixing carbon thanks to their CO₂ pump</p>
+            <p>• CAM plants open stomata only in the cool night</p>
+            <p>• Run the seasonal simulation to follow the sun and heat of Phoenix through the year</p>
+          </div>
+        )}
+
+        {currentScenario === 'rainforest' && (
+          <div className="text-sm text-gray-300 space-y-1">
+            <p>• Only about 2% of the sunlight reaches the forest floor</p>
+            <p>• Light limits all day, whatever the season</p>
+            <p>• Run the seasonal simulation to follow the real sun at Manaus</p>
           </div>
         )}
         
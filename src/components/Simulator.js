@@ -1,63 +1,119 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import PlantVisualization3D from './PlantVisualization3D';
+import ResponseSurface3D from './ResponseSurface3D';
 import EnvironmentalControls from './EnvironmentalControls';
 import ExplanationPanel from './ExplanationPanel';
 import RecommendationEngine from './RecommendationEngine';
 import ScenarioSelector from './ScenarioSelector';
 import TimeLapse from './TimeLapse';
+import OutdoorSeason from './OutdoorSeason';
+import ModelSelector from './ModelSelector';
+import UnitSettings from './UnitSettings';
+import ResponseCurves from './ResponseCurves';
+import ResponseHeatmap from './ResponseHeatmap';
+import ReachTarget from './ReachTarget';
+import CostOptimizer from './CostOptimizer';
 // BACKEND LOGIC IMPORTS - PROPER SEPARATION
-import { calculatePhotosynthesisRate, detectLimitingFactor, getRecommendation } from '../utils/photosynthesisLogic';
+import { getPlantState, getRecommendation, getLimitationTransition, describeLimitationTransition, getSensitivity, getDefaultModelOptions, getChlorophyllLevel, getLightQuality, getDefaultUnitSettings, sanitizeInterventionSchedule } from '../utils/photosynthesisLogic';
 import { SCENARIO_PRESETS } from '../logic/recommendationEngine';
+
+// Browser storage key for the time-lapse intervention schedule
+const SCHEDULE_STORAGE_KEY = 'photosynthesis-simulator.schedule';
+
+// Schedule saved by an earlier session, if the browser kept one
+const loadSchedule = () => {
+  try {
+    return sanitizeInterventionSchedule(JSON.parse(window.localStorage.getItem(SCHEDULE_STORAGE_KEY)));
+  } catch {
+    return [];
+  }
+};
+
 const Simulator = ({ onBack }) => {
   // SIMPLE INITIAL STATE
   const [environmentalFactors, setEnvironmentalFactors] = useState({
     light: 700,     // μmol/m²/s 
     co2: 400,       // ppm
-    temperature: 25 // celsius
+    temperature: 25, // celsius
+    humidity: 60,   // % RH
+    nitrogen: 100,  // % of the crop's requirement
+    lightSource: 'sunlight'
   });
 
-  const [plantHealth, setPlantHealth] = useState(85);
-  const [limitingFactor, setLimitingFactor] = useState('');
+  // One model snapshot shared by the header, explanation panel, 3D plant and time-lapse
+  const [plantState, setPlantState] = useState({
+    rate: 0.85,
+    health: 85,
+    factors: {},
+    limitingFactor: '',
+    limitingFactors: [],
+    colimitationIndex: 0
+  });
   const [explanation, setExplanation] = useState('');
   const [recommendations, setRecommendations] = useState([]);
+  const [limitationTransition, setLimitationTransition] = useState(null);
+  const [sensitivity, setSensitivity] = useState(null);
   const [currentScenario, setCurrentScenario] = useState('optimal');
   const [timelapseActive, setTimelapseActive] = useState(false);
   const [plantHistory, setPlantHistory] = useState([]);
+  // Center panel view: the 3D plant or the 3D response surface
+  const [visualTab, setVisualTab] = useState('plant');
+  const [modelOptions, setModelOptions] = useState(getDefaultModelOptions);
+  // Display units only; environmentalFactors stay in μmol/m²/s, ppm and °C
+  const [unitSettings, setUnitSettings] = useState(getDefaultUnitSettings);
+  // Scheduled interventions for the time-lapse, kept across visits
+  const [schedule, setSchedule] = useState(loadSchedule);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(SCHEDULE_STORAGE_KEY, JSON.stringify(schedule));
+    } catch {
+      // Storage can be full or disabled; the schedule still works for this visit
+    }
+  }, [schedule]);
 
   // FRONTEND → BACKEND CONNECTION 
   useEffect(() => {
-    const { light, co2, temperature } = environmentalFactors;
+    const { light, co2, temperature, humidity, nitrogen, lightSource } = environmentalFactors;
+    // Humidity (stomata), nitrogen (leaf capacity) and the lamp spectrum travel with the model options
+    const options = { ...modelOptions, humidity, nitrogen, lightSource };
     
     // Call backend logic functions
-    const photosynthesisRate = calculatePhotosynthesisRate(light, co2, temperature);
-    const limiting = detectLimitingFactor(light, co2, temperature);
-    const recommendation = getRecommendation(limiting, light, co2, temperature);
+    const snapshot = getPlantState(environmentalFactors, modelOptions);
+    const recommendation = getRecommendation(snapshot.limitingFactor, light, co2, temperature, options);
     
     // Update frontend state with backend results
-    const newHealth = Math.max(10, Math.min(100, photosynthesisRate * 100));
-    setPlantHealth(newHealth);
-    setLimitingFactor(limiting);
+    setPlantState(snapshot);
     setExplanation(recommendation);
     setRecommendations([{
       action: recommendation,
-      priority: photosynthesisRate < 0.3 ? 'critical' : photosynthesisRate < 0.6 ? 'high' : 'medium'
+      priority: snapshot.rate < 0.3 ? 'critical' : snapshot.rate < 0.6 ? 'high' : 'medium'
     }]);
+    setLimitationTransition(getLimitationTransition(light, co2, temperature, options));
+    setSensitivity(getSensitivity(light, co2, temperature, options));
 
     // Update plant history
     setPlantHistory(prev => {
       const newHistory = [...prev, { 
-        health: newHealth,
-        photosynthesisRate: photosynthesisRate,
+        health: snapshot.health,
+        photosynthesisRate: snapshot.rate,
         factors: { ...environmentalFactors }, 
-        limiting,
+        limiting: snapshot.limitingFactor,
         timestamp: Date.now() 
       }];
       return newHistory.slice(-30);
     });
-  }, [environmentalFactors]);
+  }, [environmentalFactors, modelOptions]);
 
   // HANDLE SLIDER CHANGES
+  const simulationOptions = {
+    ...modelOptions,
+    humidity: environmentalFactors.humidity,
+    nitrogen: environmentalFactors.nitrogen,
+    lightSource: environmentalFactors.lightSource
+  };
+
   const handleFactorChange = (factor, value) => {
     setEnvironmentalFactors(prev => ({
       ...prev,
@@ -70,15 +126,19 @@ const Simulator = ({ onBack }) => {
     
     // Use proper backend scenario presets
     const scenarioData = SCENARIO_PRESETS[scenario];
+    // Scenarios set the weather; the fertilizer level and light source are kept
     if (scenarioData) {
-      setEnvironmentalFactors({
+      setEnvironmentalFactors(prev => ({
+        ...prev,
         light: scenarioData.light,
         co2: scenarioData.co2,
-        temperature: scenarioData.temperature
-      });
+        temperature: scenarioData.temperature,
+        humidity: scenarioData.humidity
+      }));
     } else {
       // Default optimal conditions
-      setEnvironmentalFactors({ light: 85, co2: 400, temperature: 25 });
+      const { light, co2, temperature, humidity } = SCENARIO_PRESETS.optimal;
+      setEnvironmentalFactors(prev => ({ ...prev, light, co2, temperature, humidity }));
     }
   };
 
@@ -115,17 +175,17 @@ const Simulator = ({ onBack }) => {
                 <div className="w-32 h-3 bg-slate-700 rounded-full overflow-hidden">
                   <motion.div
                     className={`h-full transition-all duration-500 ${
-                      plantHealth > 80 ? 'bg-gradient-to-r from-green-400 to-green-500' :
-                      plantHealth > 60 ? 'bg-gradient-to-r from-yellow-400 to-yellow-500' :
-                      plantHealth > 30 ? 'bg-gradient-to-r from-orange-400 to-orange-500' :
+                      plantState.health > 80 ? 'bg-gradient-to-r from-green-400 to-green-500' :
+                      plantState.health > 60 ? 'bg-gradient-to-r from-yellow-400 to-yellow-500' :
+                      plantState.health > 30 ? 'bg-gradient-to-r from-orange-400 to-orange-500' :
                       'bg-gradient-to-r from-red-400 to-red-500'
                     }`}
                     initial={{ width: 0 }}
-                    animate={{ width: `${plantHealth}%` }}
+                    animate={{ width: `${plantState.health}%` }}
                   />
                 </div>
                 <span className="text-lg font-bold text-white min-w-[3rem]">
-                  {plantHealth}%
+                  {Math.round(plantState.health)}%
                 </span>
               </div>
             </div>
@@ -146,7 +206,21 @@ const Simulator = ({ onBack }) => {
             <EnvironmentalControls 
               factors={environmentalFactors}
               onChange={handleFactorChange}
-              limitingFactor={limitingFactor}
+              limitingFactor={plantState.limitingFactor}
+              limitingFactors={plantState.limitingFactors}
+              colimitationIndex={plantState.colimitationIndex}
+              lightQuality={getLightQuality(environmentalFactors.light, simulationOptions)}
+              unitSettings={unitSettings}
+            />
+            <ModelSelector
+              modelOptions={modelOptions}
+              onChange={setModelOptions}
+              theme="dark"
+            />
+            <UnitSettings
+              unitSettings={unitSettings}
+              onChange={setUnitSettings}
+              theme="dark"
             />
             <ScenarioSelector 
               currentScenario={currentScenario}
@@ -161,18 +235,65 @@ const Simulator = ({ onBack }) => {
             animate={{ y: 0, opacity: 1 }}
             transition={{ duration: 0.6, delay: 0.4 }}
           >
-            <PlantVisualization3D 
-              environmentalFactors={environmentalFactors}
-              plantHealth={plantHealth}
-              photosynthesisRate={calculatePhotosynthesisRate(environmentalFactors.light, environmentalFactors.co2, environmentalFactors.temperature)}
-              limitingFactor={limitingFactor}
-            />
+            <div className="flex gap-2">
+              {[['plant', '🌿 Plant'], ['surface', '📈 Response Surface']].map(([tab, label]) => (
+                <button
+                  key={tab}
+                  onClick={() => setVisualTab(tab)}
+                  className={`px-4 py-2 rounded-lg text-sm font-semibold transition-colors duration-200 ${
+                    visualTab === tab ? 'bg-blue-600 text-white' : 'bg-slate-700 text-gray-300 hover:bg-slate-600'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {visualTab === 'plant' ? (
+              <PlantVisualization3D 
+                environmentalFactors={environmentalFactors}
+                plantHealth={plantState.health}
+                photosynthesisRate={plantState.rate}
+                limitingFactor={plantState.limitingFactor}
+                chlorophyll={getChlorophyllLevel(environmentalFactors.nitrogen)}
+              />
+            ) : (
+              <ResponseSurface3D
+                environmentalFactors={environmentalFactors}
+                modelOptions={modelOptions}
+                unitSettings={unitSettings}
+                photosynthesisRate={plantState.rate}
+              />
+            )}
             <TimeLapse 
               active={timelapseActive}
               onToggle={setTimelapseActive}
               plantHistory={plantHistory}
               environmentalFactors={environmentalFactors}
-              currentPhotosynthesisRate={calculatePhotosynthesisRate(environmentalFactors.light, environmentalFactors.co2, environmentalFactors.temperature)}
+              modelOptions={modelOptions}
+              unitSettings={unitSettings}
+              currentPhotosynthesisRate={plantState.rate}
+              schedule={schedule}
+              onScheduleChange={setSchedule}
+            />
+            <OutdoorSeason
+              site={SCENARIO_PRESETS[currentScenario]?.site}
+              modelOptions={modelOptions}
+              co2={environmentalFactors.co2}
+              nitrogen={environmentalFactors.nitrogen}
+              theme="dark"
+            />
+            <ResponseCurves
+              conditions={environmentalFactors}
+              modelOptions={modelOptions}
+              unitSettings={unitSettings}
+              theme="dark"
+            />
+            <ResponseHeatmap
+              conditions={environmentalFactors}
+              modelOptions={modelOptions}
+              unitSettings={unitSettings}
+              onSelect={(values) => setEnvironmentalFactors(prev => ({ ...prev, ...values }))}
+              theme="dark"
             />
           </motion.div>
 
@@ -185,12 +306,32 @@ const Simulator = ({ onBack }) => {
           >
             <ExplanationPanel 
               explanation={explanation}
-              limitingFactor={limitingFactor}
+              limitingFactor={plantState.limitingFactor}
+              limitingDirection={plantState.limitingDirection}
               factors={environmentalFactors}
+              photosynthesisRate={plantState.rate}
+              factorRates={plantState.factors}
+              sensitivity={sensitivity}
             />
             <RecommendationEngine 
               recommendations={recommendations}
-              currentHealth={plantHealth}
+              currentHealth={plantState.health}
+              transitionText={limitationTransition && describeLimitationTransition(limitationTransition, { ...unitSettings, lightSource: environmentalFactors.lightSource })}
+            >
+              <ReachTarget
+                conditions={environmentalFactors}
+                modelOptions={modelOptions}
+                unitSettings={unitSettings}
+                onApply={(setpoint) => setEnvironmentalFactors(prev => ({ ...prev, ...setpoint }))}
+                theme="dark"
+              />
+            </RecommendationEngine>
+            <CostOptimizer
+              conditions={environmentalFactors}
+              modelOptions={modelOptions}
+              unitSettings={unitSettings}
+              onApply={(setpoint) => setEnvironmentalFactors(prev => ({ ...prev, ...setpoint }))}
+              theme="dark"
             />
           </motion.div>
         </div>
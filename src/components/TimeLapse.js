@@ -1,79 +1,119 @@
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Area, AreaChart } from 'recharts';
-import { runTimeLapseSimulation } from '../utils/photosynthesisLogic';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Area, AreaChart, ComposedChart, ReferenceLine, ReferenceArea } from 'recharts';
+import {
+  runTimeLapseSimulation,
+  getDefaultDiurnalSettings,
+  getTimeLapseDayRange,
+  parseTimeLapseDays,
+  downsampleForChart,
+  getInterventionTypes,
+  createScheduleIntervention,
+  describeScheduleIntervention,
+  isScheduleInterventionEffective,
+  getPhotoinhibitionRecovery,
+  getCompensationPoints,
+  formatMeasurement,
+  toDisplayUnits,
+  getUnitSymbol
+} from '../utils/photosynthesisLogic';
+import UncertaintyAnalysis from './UncertaintyAnalysis';
 
-const TimeLapse = ({ active, onToggle, plantHistory, environmentalFactors, currentPhotosynthesisRate }) => {
+const DAY_RANGE = getTimeLapseDayRange();
+
+// Longer runs are thinned to this many points per chart; dots only on short runs
+const CHART_POINTS = 90;
+const DOT_LIMIT = 31;
+
+const INTERVENTION_TYPES = getInterventionTypes();
+
+// Strip block class and chart marker colour per intervention type
+const INTERVENTION_COLORS = {
+  setCo2: { block: 'bg-sky-500', marker: '#0EA5E9' },
+  setLight: { block: 'bg-yellow-500', marker: '#EAB308' },
+  setTemperature: { block: 'bg-orange-500', marker: '#F97316' },
+  heatwave: { block: 'bg-red-500', marker: '#EF4444' },
+  lampsOn: { block: 'bg-violet-500', marker: '#8B5CF6' },
+  lampsOff: { block: 'bg-slate-400', marker: '#94A3B8' }
+};
+
+// Height of one intervention lane on the timeline strip (px)
+const LANE_HEIGHT = 14;
+
+// Milestones at a share of the run, so they spread over any run length
+const TIMELINE_EVENTS = [
+  { fraction: 0.25, text: 'First signs of environmental adaptation' },
+  { fraction: 0.5, text: 'Metabolic adjustment patterns established' },
+  { fraction: 0.75, text: 'Long-term stress responses activated' },
+  { fraction: 1, text: 'Complete adaptation cycle observed' }
+];
+
+const TimeLapse = ({
+  active,
+  onToggle,
+  plantHistory,
+  environmentalFactors,
+  modelOptions,
+  currentPhotosynthesisRate,
+  unitSettings,
+  schedule = [],
+  onScheduleChange
+}) => {
   const [timeScale, setTimeScale] = useState(1);
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentDay, setCurrentDay] = useState(0);
   const [simulationData, setSimulationData] = useState([]);
+  // Run length in days
+  const [days, setDays] = useState(DAY_RANGE.default);
+  // What is typed in the days field; applied when the field is left or Enter is pressed
+  const [daysInput, setDaysInput] = useState(String(DAY_RANGE.default));
+  // Intervention type added from the timeline strip, and the one picked on it
+  const [newInterventionType, setNewInterventionType] = useState(INTERVENTION_TYPES[0].id);
+  const [selectedIntervention, setSelectedIntervention] = useState(null);
+  // Day/night cycle settings, or null for constant conditions around the clock
+  const [diurnal, setDiurnal] = useState(null);
+  // Monte Carlo result for this run; its bands are drawn on the biomass chart
+  const [uncertainty, setUncertainty] = useState(null);
 
   // Regenerate simulation data when environmental factors change
   useEffect(() => {
     const generateTimelapseData = () => {
-      // Use actual logic-based simulation if environmental factors provided
-      if (environmentalFactors && environmentalFactors.light !== undefined) {
-        // Create dynamic simulation based on CURRENT environmental conditions
-        const currentConditions = {
-          light: environmentalFactors.light,
-          co2: environmentalFactors.co2,
-          temperature: environmentalFactors.temperature
-        };
-        
-        const simulationData = runTimeLapseSimulation(currentConditions, 30);
-        
-        return simulationData.map((point, index) => ({
+      // Without explicit factors, replay the latest conditions from the history
+      const latestFactors = environmentalFactors && environmentalFactors.light !== undefined
+        ? environmentalFactors
+        : plantHistory?.[plantHistory.length - 1]?.factors;
+      if (!latestFactors) return [];
+
+      const currentConditions = {
+        light: latestFactors.light,
+        co2: latestFactors.co2,
+        temperature: latestFactors.temperature,
+        humidity: latestFactors.humidity,
+        nitrogen: latestFactors.nitrogen,
+        lightSource: latestFactors.lightSource
+      };
+
+      // Same model and health scale as the header and explanation panel
+      // A schedule of interventions changes the conditions from day to day
+      const simulationData = runTimeLapseSimulation(currentConditions, days, modelOptions, diurnal, schedule);
+
+      return simulationData.map((point, index) => {
+        const dayConditions = point.conditions || currentConditions;
+        return {
           day: point.time || index + 1,
           photosynthesisRate: (point.rate * 100),
           growth: Math.min(100, (point.rate * 100)),
-          health: Math.min(100, Math.max(10, point.rate * 100)),
-          light: currentConditions.light,
-          co2: currentConditions.co2,
-          temperature: currentConditions.temperature
-        }));
-      }
-      
-      // Fallback if no factors provided
-      if (!plantHistory || plantHistory.length === 0) return [];
-      
-      const data = [];
-      const startingHealth = plantHistory[0]?.health || 85;
-      
-      for (let day = 0; day < 30; day++) {
-        const currentFactors = plantHistory[Math.min(day, plantHistory.length - 1)]?.factors || {
-          light: 70, co2: 400, temperature: 25
+          health: point.health,
+          biomass: point.biomass,
+          light: dayConditions.light,
+          co2: dayConditions.co2,
+          temperature: dayConditions.temperature,
+          net: point.net,
+          photoinhibition: point.photoinhibition * 100,
+          hours: point.hours,
+          interventions: point.interventions || []
         };
-        
-        let healthChange = 0;
-        
-        if (currentFactors.temperature > 35) {
-          healthChange -= (currentFactors.temperature - 35) * 0.5 * (day + 1) * 0.1;
-        } else if (currentFactors.temperature < 15) {
-          healthChange -= (15 - currentFactors.temperature) * 0.3 * (day + 1) * 0.1;
-        }
-        
-        if (currentFactors.light < 50) {
-          healthChange -= (50 - currentFactors.light) * 0.2 * (day + 1) * 0.05;
-        }
-        
-        if (currentFactors.co2 < 300) {
-          healthChange -= (300 - currentFactors.co2) * 0.1;
-        }
-        
-        const health = Math.max(0, Math.min(100, startingHealth + healthChange));
-        
-        data.push({
-          day: day + 1,
-          health,
-          light: currentFactors.light,
-          co2: currentFactors.co2,
-          temperature: currentFactors.temperature,
-          photosynthesisRate: Math.min(100, health * 0.9)
-        });
-      }
-      
-      return data;
+      });
     };
 
     if (active) {
@@ -83,26 +123,91 @@ const TimeLapse = ({ active, onToggle, plantHistory, environmentalFactors, curre
       setCurrentDay(0);
       setIsPlaying(false);
     }
-  }, [environmentalFactors, active, plantHistory]);
+  }, [environmentalFactors, modelOptions, active, plantHistory, diurnal, days, schedule]);
 
   useEffect(() => {
     if (isPlaying && active) {
+      // Longer runs advance several days per tick, so playback takes about as long as 30 days
+      const daysPerTick = Math.max(1, Math.round(days / DAY_RANGE.default));
       const interval = setInterval(() => {
         setCurrentDay(prev => {
-          if (prev >= 29) {
+          if (prev >= days - 1) {
             setIsPlaying(false);
             return 0;
           }
-          return prev + 1;
+          return Math.min(days - 1, prev + daysPerTick);
         });
       }, 1000 / timeScale);
 
       return () => clearInterval(interval);
     }
-  }, [isPlaying, active, timeScale]);
+  }, [isPlaying, active, timeScale, days]);
+
+  // Use cached simulation data or fallback, with the uncertainty bands of each day
+  const bandsByDay = new Map((uncertainty?.bands || []).map(band => [band.time, band]));
+  const timelapseData = simulationData.map(point => {
+    const band = bandsByDay.get(point.day);
+    return band ? { ...point, outer: band.outer, inner: band.inner } : point;
+  });
+
+  // Lux and W/m² depend on the lamp spectrum
+  const displaySettings = { ...unitSettings, lightSource: environmentalFactors?.lightSource };
+  const unitSuffix = {
+    Light: ` ${getUnitSymbol('light', displaySettings)}`,
+    Temperature: ` ${getUnitSymbol('temperature', displaySettings)}`,
+    'CO₂': ` ${getUnitSymbol('co2', displaySettings)}`,
+    Biomass: ' g/m²',
+    'Net CO₂ uptake': ' µmol/m²/s',
+    '90% band': ' g/m²',
+    '50% band': ' g/m²'
+  };
+
+  const applyDaysInput = () => {
+    const next = parseTimeLapseDays(daysInput, days);
+    setDays(next);
+    setDaysInput(String(next));
+  };
+
+  const timelineEvents = TIMELINE_EVENTS.map(event => ({ ...event, day: Math.max(1, Math.round(event.fraction * days)) }));
+
+  // Days played so far, thinned for the charts on long runs
+  const playedData = downsampleForChart(timelapseData.slice(0, currentDay + 1), CHART_POINTS);
+  const chartDot = playedData.length <= DOT_LIMIT ? { r: 3 } : false;
 
-  // Use cached simulation data or fallback
-  const timelapseData = simulationData.length > 0 ? simulationData : [];
+  // Conditions chart in the selected units
+  const conditionsData = playedData.map(point => ({
+    ...point,
+    light: toDisplayUnits('light', point.light, displaySettings),
+    co2: toDisplayUnits('co2', point.co2, displaySettings),
+    temperature: toDisplayUnits('temperature', point.temperature, displaySettings)
+  }));
+
+  // Schedule editing; the schedule itself lives with the session
+  const scheduled = schedule.length > 0;
+  const updateIntervention = (id, changes) => {
+    onScheduleChange?.(schedule.map(intervention => (intervention.id === id ? { ...intervention, ...changes } : intervention)));
+  };
+  const addIntervention = (startDay) => {
+    const intervention = createScheduleIntervention(newInterventionType, startDay, schedule);
+    onScheduleChange?.([...schedule, intervention]);
+    setSelectedIntervention(intervention.id);
+  };
+  const removeIntervention = (id) => {
+    onScheduleChange?.(schedule.filter(intervention => intervention.id !== id));
+  };
+  const handleStripClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    if (!rect.width) return;
+    const day = Math.floor(((e.clientX - rect.left) / rect.width) * days) + 1;
+    addIntervention(Math.min(days, Math.max(1, day)));
+  };
+  const interventionSpan = (intervention) => {
+    const end = Math.min(days, intervention.endDay ?? days);
+    return {
+      left: `${((intervention.startDay - 1) / days) * 100}%`,
+      width: `${(Math.max(0, end - intervention.startDay + 1) / days) * 100}%`
+    };
+  };
 
   const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
@@ -111,7 +216,9 @@ const TimeLapse = ({ active, onToggle, plantHistory, environmentalFactors, curre
           <p className="text-white font-semibold">{`Day ${label}`}</p>
           {payload.map((entry, index) => (
             <p key={index} style={{ color: entry.color }} className="text-sm">
-              {`${entry.name}: ${entry.value.toFixed(1)}${entry.name === 'Temperature' ? '°C' : entry.name === 'CO2' ? ' ppm' : entry.name === 'Light' ? '%' : '%'}`}
+              {`${entry.name}: ${Array.isArray(entry.value)
+                ? `${entry.value[0].toFixed(1)} – ${entry.value[1].toFixed(1)}`
+                : entry.value.toFixed(1)}${unitSuffix[entry.name] ?? '%'}`}
             </p>
           ))}
         </div>
@@ -130,16 +237,44 @@ const TimeLapse = ({ active, onToggle, plantHistory, environmentalFactors, curre
   const currentData = timelapseData[currentDay] || {};
   const healthStatus = getHealthStatus(currentData.health || 0);
 
+  // The current day's hourly steps in the selected units
+  const hourlyData = (currentData.hours || []).map(step => ({
+    ...step,
+    light: toDisplayUnits('light', step.light, displaySettings),
+    temperature: toDisplayUnits('temperature', step.temperature, displaySettings)
+  }));
+
+  // Below these levels the plant respires more CO₂ than it fixes
+  const compensationPoints = environmentalFactors && environmentalFactors.light !== undefined
+    ? getCompensationPoints(environmentalFactors.light, environmentalFactors.co2, environmentalFactors.temperature, {
+        ...modelOptions,
+        humidity: environmentalFactors.humidity,
+        nitrogen: environmentalFactors.nitrogen,
+        lightSource: environmentalFactors.lightSource
+      })
+    : null;
+
+  // Damaged PSII at the end of the run and how it heals once the light is eased
+  const finalDamage = (timelapseData[timelapseData.length - 1]?.photoinhibition || 0) / 100;
+  const recoveryData = finalDamage >= 0.01 && environmentalFactors
+    ? getPhotoinhibitionRecovery(finalDamage, environmentalFactors.temperature, 72, {
+        ...modelOptions,
+        lightSource: environmentalFactors.lightSource
+      }).map(point => ({ hour: point.hour, damage: point.damage * 100 }))
+    : [];
+
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
         <div>
-          <h2 className="text-2xl font-bold text-white mb-2">30-Day Time-Lapse</h2>
+          <h2 className="text-2xl font-bold text-white mb-2">{days}-Day Time-Lapse</h2>
           <p className="text-gray-400">Observe long-term plant response patterns</p>
           {environmentalFactors && (
             <div className="mt-2 text-sm text-blue-300">
               <span className="bg-slate-700 px-2 py-1 rounded mr-2">
-                Current: {environmentalFactors.light}% Light, {environmentalFactors.co2}ppm CO₂, {environmentalFactors.temperature}°C
+                Current: {formatMeasurement('light', environmentalFactors.light, displaySettings)} Light,{' '}
+                {formatMeasurement('co2', environmentalFactors.co2, displaySettings)} CO₂,{' '}
+                {formatMeasurement('temperature', environmentalFactors.temperature, displaySettings)}
               </span>
             </div>
           )}
@@ -154,7 +289,7 @@ const TimeLapse = ({ active, onToggle, plantHistory, environmentalFactors, curre
           whileHover={{ scale: 1.05 }}
           whileTap={{ scale: 0.95 }}
         >
-          {active ? 'Stop Simulation' : 'Simulate 30 Days'}
+          {active ? 'Stop Simulation' : `Simulate ${days} Day${days === 1 ? '' : 's'}`}
         </motion.button>
       </div>
 
@@ -190,6 +325,54 @@ const TimeLapse = ({ active, onToggle, plantHistory, environmentalFactors, curre
               </div>
               
               <div className="flex items-center gap-3">
+                <label className="flex items-center gap-1 text-gray-400 text-sm">
+                  Days
+                  <input
+                    type="number"
+                    min={DAY_RANGE.min}
+                    max={DAY_RANGE.max}
+                    value={daysInput}
+                    onChange={(e) => setDaysInput(e.target.value)}
+                    onBlur={applyDaysInput}
+                    onKeyDown={(e) => e.key === 'Enter' && applyDaysInput()}
+                    className="w-16 bg-slate-700 text-white rounded px-2 py-1 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none"
+                  />
+                </label>
+                <label className="flex items-center gap-2 text-gray-400 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={diurnal !== null}
+                    onChange={(e) => setDiurnal(e.target.checked ? getDefaultDiurnalSettings() : null)}
+                  />
+                  Day/night cycle
+                </label>
+                {diurnal && (
+                  <>
+                    <select
+                      value={diurnal.stepHours}
+                      onChange={(e) => setDiurnal({ ...diurnal, stepHours: Number(e.target.value) })}
+                      className="bg-slate-700 text-white rounded-lg px-3 py-1 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none"
+                      title="Time step"
+                    >
+                      <option value={0.25}>15 min</option>
+                      <option value={0.5}>30 min</option>
+                      <option value={1}>1 h</option>
+                      <option value={3}>3 h</option>
+                    </select>
+                    <label className="flex items-center gap-1 text-gray-400 text-sm">
+                      Day–night ±
+                      <input
+                        type="number"
+                        min={0}
+                        max={20}
+                        value={diurnal.temperatureRange / 2}
+                        onChange={(e) => setDiurnal({ ...diurnal, temperatureRange: Math.min(40, Math.max(0, Number(e.target.value) * 2)) })}
+                        className="w-14 bg-slate-700 text-white rounded px-2 py-1 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none"
+                      />
+                      °C
+                    </label>
+                  </>
+                )}
                 <span className="text-gray-400 text-sm">Speed:</span>
                 <select
                   value={timeScale}
@@ -228,7 +411,30 @@ const TimeLapse = ({ active, onToggle, plantHistory, environmentalFactors, curre
                 
                 <div className="text-right text-sm text-gray-400">
                   <div>Photosynthesis: {currentData.photosynthesisRate?.toFixed(1)}%</div>
-                  <div>Light: {currentData.light}% | CO2: {currentData.co2}ppm | {currentData.temperature}°C</div>
+                  {currentData.net !== undefined && (
+                    <div className={currentData.net < 0 ? 'text-red-400' : 'text-green-300'}>
+                      Net CO₂ uptake: {currentData.net.toFixed(1)} µmol/m²/s
+                      {currentData.net < 0 && ' (below compensation point)'}
+                    </div>
+                  )}
+                  {currentData.photoinhibition > 0 && (
+                    <div className="text-orange-300">PSII damage: {currentData.photoinhibition.toFixed(1)}%</div>
+                  )}
+                  {currentData.light !== undefined && (
+                    <div>
+                      Light: {formatMeasurement('light', currentData.light, displaySettings)} |
+                      CO2: {formatMeasurement('co2', currentData.co2, displaySettings)} |
+                      {' '}{formatMeasurement('temperature', currentData.temperature, displaySettings)}
+                    </div>
+                  )}
+                  {currentData.interventions?.length > 0 && (
+                    <div className="text-sky-300">
+                      Active: {schedule
+                        .filter(intervention => currentData.interventions.includes(intervention.id))
+                        .map(describeScheduleIntervention)
+                        .join('; ')}
+                    </div>
+                  )}
                 </div>
               </div>
             </motion.div>
@@ -236,35 +442,243 @@ const TimeLapse = ({ active, onToggle, plantHistory, environmentalFactors, curre
             <div className="mb-6">
               <div className="flex justify-between text-xs text-gray-400 mb-2">
                 <span>Day 1</span>
-                <span>Day 15</span>
-                <span>Day 30</span>
+                {days > 2 && <span>Day {Math.ceil(days / 2)}</span>}
+                <span>Day {days}</span>
               </div>
               <div className="relative">
                 <div className="h-2 bg-slate-700 rounded-full overflow-hidden">
                   <motion.div
                     className="h-full bg-gradient-to-r from-blue-500 to-green-500"
                     initial={{ width: 0 }}
-                    animate={{ width: `${((currentDay + 1) / 30) * 100}%` }}
+                    animate={{ width: `${((currentDay + 1) / days) * 100}%` }}
                     transition={{ duration: 0.3 }}
                   />
                 </div>
                 <motion.div
                   className="absolute top-0 w-4 h-4 bg-white rounded-full border-2 border-blue-500 -mt-1"
-                  style={{ left: `calc(${((currentDay + 1) / 30) * 100}% - 8px)` }}
+                  style={{ left: `calc(${((currentDay + 1) / days) * 100}% - 8px)` }}
                   animate={{ scale: [1, 1.2, 1] }}
                   transition={{ duration: 0.5, repeat: isPlaying ? Infinity : 0 }}
                 />
               </div>
             </div>
 
+            <div className="mb-6">
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="text-lg font-semibold text-white">Interventions</h4>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={newInterventionType}
+                    onChange={(e) => setNewInterventionType(e.target.value)}
+                    className="bg-slate-700 text-white rounded-lg px-3 py-1 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none"
+                    aria-label="Intervention type"
+                  >
+                    {INTERVENTION_TYPES.map(type => (
+                      <option key={type.id} value={type.id}>{type.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    className="px-3 py-1 bg-blue-600 hover:bg-blue-500 rounded-lg text-white text-sm transition-colors"
+                    onClick={() => addIntervention(currentDay + 1)}
+                  >
+                    Add on day {currentDay + 1}
+                  </button>
+                </div>
+              </div>
+              <p className="text-xs text-gray-400 mb-2">
+                Click the strip to add an intervention on that day. Scheduled runs use the
+                {diurnal ? ' hourly day/night engine' : ' daily engine'} and are saved with the session.
+              </p>
+              <div
+                className="relative bg-slate-700 rounded cursor-crosshair"
+                style={{ height: Math.max(1, schedule.length) * LANE_HEIGHT + 8 }}
+                onClick={handleStripClick}
+                data-testid="intervention-strip"
+              >
+                {schedule.map((intervention, index) => (
+                  <button
+                    key={intervention.id}
+                    className={`absolute rounded-sm text-[10px] leading-none text-white overflow-hidden ${
+                      INTERVENTION_COLORS[intervention.type]?.block || 'bg-blue-500'
+                    } ${selectedIntervention === intervention.id ? 'ring-2 ring-white' : ''}`}
+                    style={{ ...interventionSpan(intervention), minWidth: 4, top: 4 + index * LANE_HEIGHT, height: LANE_HEIGHT - 4 }}
+                    title={describeScheduleIntervention(intervention)}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setSelectedIntervention(intervention.id);
+                    }}
+                  >
+                    {index + 1}
+                  </button>
+                ))}
+                <div
+                  className="absolute top-0 bottom-0 w-px bg-white/60 pointer-events-none"
+                  style={{ left: `${((currentDay + 0.5) / days) * 100}%` }}
+                />
+              </div>
+              {schedule.length > 0 && (
+                <div className="mt-3 space-y-2">
+                  {schedule.map((intervention, index) => {
+                    const type = INTERVENTION_TYPES.find(entry => entry.id === intervention.type);
+                    return (
+                      <div
+                        key={intervention.id}
+                        className={`flex flex-wrap items-center gap-2 text-sm text-gray-300 rounded p-1 ${
+                          selectedIntervention === intervention.id ? 'bg-slate-700' : ''
+                        }`}
+                      >
+                        <span className="w-5 text-gray-400">{index + 1}.</span>
+                        <select
+                          value={intervention.type}
+                          onChange={(e) => {
+                            const next = INTERVENTION_TYPES.find(entry => entry.id === e.target.value);
+                            updateIntervention(intervention.id, { type: next.id, value: next.defaultValue });
+                          }}
+                          className="bg-slate-700 text-white rounded px-2 py-1 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none"
+                          aria-label={`Intervention ${index + 1} type`}
+                        >
+                          {INTERVENTION_TYPES.map(entry => (
+                            <option key={entry.id} value={entry.id}>{entry.name}</option>
+                          ))}
+                        </select>
+                        <label className="flex items-center gap-1">
+                          day
+                          <input
+                            type="number"
+                            min={1}
+                            max={days}
+                            value={intervention.startDay}
+                            onChange={(e) => {
+                              const startDay = Math.max(1, Math.round(Number(e.target.value)) || 1);
+                              updateIntervention(intervention.id, {
+                                startDay,
+                                endDay: intervention.endDay != null ? Math.max(startDay, intervention.endDay) : null
+                              });
+                            }}
+                            className="w-16 bg-slate-700 text-white rounded px-2 py-1 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none"
+                          />
+                        </label>
+                        <label className="flex items-center gap-1" title="Leave empty to keep it until the end of the run">
+                          to
+                          <input
+                            type="number"
+                            min={intervention.startDay}
+                            max={days}
+                            value={intervention.endDay ?? ''}
+                            placeholder="end"
+                            onChange={(e) => updateIntervention(intervention.id, {
+                              endDay: e.target.value === ''
+                                ? null
+                                : Math.max(intervention.startDay, Math.round(Number(e.target.value)) || intervention.startDay)
+                            })}
+                            className="w-16 bg-slate-700 text-white rounded px-2 py-1 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none"
+                          />
+                        </label>
+                        {type && !type.fixed && (
+                          <label className="flex items-center gap-1">
+                            {type.mode === 'shift' ? 'by' : 'to'}
+                            <input
+                              type="number"
+                              min={type.min}
+                              max={type.max}
+                              value={intervention.value}
+                              onChange={(e) => updateIntervention(intervention.id, {
+                                value: Math.min(type.max, Math.max(type.min, Number(e.target.value)))
+                              })}
+                              className="w-20 bg-slate-700 text-white rounded px-2 py-1 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none"
+                            />
+                            {type.unit}
+                          </label>
+                        )}
+                        {intervention.startDay > days && <span className="text-yellow-400 text-xs">after the end of the run</span>}
+                        {!isScheduleInterventionEffective(intervention, schedule) && (
+                          <span className="text-yellow-400 text-xs">no earlier lamps on to end</span>
+                        )}
+                        <button
+                          className="ml-auto text-red-400 hover:text-red-300 text-sm"
+                          onClick={() => removeIntervention(intervention.id)}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+
+            <div className="mb-6">
+              <h4 className="text-lg font-semibold text-white mb-1">Biomass</h4>
+              {scheduled && (
+                <p className="text-sm text-gray-400 mb-3">
+                  Numbered markers show when each intervention starts; shaded spans last until it ends.
+                </p>
+              )}
+              {uncertainty && (
+                <p className="text-sm text-gray-400 mb-3">
+                  Blue bands: 50% and 90% of the Monte Carlo plants ({uncertainty.samples} samples).
+                </p>
+              )}
+              <div style={{ width: '100%', height: 200 }}>
+                <ResponsiveContainer>
+                  <ComposedChart data={playedData}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                    <XAxis dataKey="day" type="number" domain={['dataMin', 'dataMax']} allowDecimals={false} stroke="#9CA3AF" tick={{ fontSize: 12 }} />
+                    <YAxis stroke="#9CA3AF" tick={{ fontSize: 12 }} domain={['auto', 'auto']} />
+                    <Tooltip content={<CustomTooltip />} />
+                    {schedule.map((intervention, index) => {
+                      const color = INTERVENTION_COLORS[intervention.type]?.marker || '#3B82F6';
+                      return intervention.endDay != null && intervention.endDay > intervention.startDay ? (
+                        <ReferenceArea
+                          key={intervention.id}
+                          x1={intervention.startDay}
+                          x2={intervention.endDay}
+                          fill={color}
+                          fillOpacity={0.15}
+                          stroke={color}
+                          strokeOpacity={0.5}
+                          label={{ value: `${index + 1}`, position: 'insideTopLeft', fill: color, fontSize: 11 }}
+                        />
+                      ) : (
+                        <ReferenceLine
+                          key={intervention.id}
+                          x={intervention.startDay}
+                          stroke={color}
+                          strokeDasharray="4 4"
+                          label={{ value: `${index + 1}`, position: 'insideTopLeft', fill: color, fontSize: 11 }}
+                        />
+                      );
+                    })}
+                    {uncertainty && (
+                      <>
+                        <Area dataKey="outer" name="90% band" stroke="none" fill="#60A5FA" fillOpacity={0.15} isAnimationActive={false} />
+                        <Area dataKey="inner" name="50% band" stroke="none" fill="#60A5FA" fillOpacity={0.3} isAnimationActive={false} />
+                      </>
+                    )}
+                    <Line
+                      type="monotone"
+                      dataKey="biomass"
+                      stroke="#10B981"
+                      strokeWidth={2}
+                      name="Biomass"
+                      dot={chartDot}
+                    />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
             <div className="mb-6">
               <h4 className="text-lg font-semibold text-white mb-3">Health Over Time</h4>
               <div style={{ width: '100%', height: 200 }}>
                 <ResponsiveContainer>
-                  <AreaChart data={timelapseData.slice(0, currentDay + 1)}>
+                  <AreaChart data={playedData}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
                     <XAxis 
                       dataKey="day" 
+                      type="number"
+                      domain={['dataMin', 'dataMax']}
+                      allowDecimals={false}
                       stroke="#9CA3AF"
                       tick={{ fontSize: 12 }}
                     />
@@ -287,14 +701,95 @@ const TimeLapse = ({ active, onToggle, plantHistory, environmentalFactors, curre
               </div>
             </div>
 
+            {timelapseData.some(point => point.net !== undefined) && (
+              <div className="mb-6">
+                <h4 className="text-lg font-semibold text-white mb-1">Net CO₂ Uptake</h4>
+                {compensationPoints && (
+                  <p className="text-sm text-gray-400 mb-3">
+                    Compensation points: light {compensationPoints.light != null ? formatMeasurement('light', compensationPoints.light, displaySettings) : 'not reached'},
+                    CO₂ {compensationPoints.co2 != null ? formatMeasurement('co2', compensationPoints.co2, displaySettings) : 'not reached'}.
+                    Below the dashed line the plant loses carbon.
+                  </p>
+                )}
+                <div style={{ width: '100%', height: 200 }}>
+                  <ResponsiveContainer>
+                    <LineChart data={playedData}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                      <XAxis dataKey="day" type="number" domain={['dataMin', 'dataMax']} allowDecimals={false} stroke="#9CA3AF" tick={{ fontSize: 12 }} />
+                      <YAxis stroke="#9CA3AF" tick={{ fontSize: 12 }} />
+                      <Tooltip content={<CustomTooltip />} />
+                      <ReferenceLine y={0} stroke="#EF4444" strokeDasharray="4 4" />
+                      <Line
+                        type="monotone"
+                        dataKey="net"
+                        stroke="#34D399"
+                        strokeWidth={2}
+                        name="Net CO₂ uptake"
+                        dot={chartDot}
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            )}
+
+            {hourlyData.length > 0 && (
+              <div className="mb-6">
+                <h4 className="text-lg font-semibold text-white mb-1">Day {currentDay + 1} Hour by Hour</h4>
+                <p className="text-sm text-gray-400 mb-3">
+                  Light follows the sun's elevation (the slider is the noon value) and temperature swings around
+                  the slider value, coolest at sunrise and warmest mid-afternoon. At night the plant only respires.
+                </p>
+                <div style={{ width: '100%', height: 200 }}>
+                  <ResponsiveContainer>
+                    <ComposedChart data={hourlyData}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                      <XAxis dataKey="hour" stroke="#9CA3AF" tick={{ fontSize: 12 }} tickFormatter={(hour) => `${Math.floor(hour)}h`} />
+                      <YAxis yAxisId="light" stroke="#FBBF24" tick={{ fontSize: 12 }} />
+                      <YAxis yAxisId="temperature" orientation="right" stroke="#EF4444" tick={{ fontSize: 12 }} domain={['auto', 'auto']} />
+                      <YAxis yAxisId="net" hide />
+                      <Tooltip
+                        contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151', borderRadius: '8px' }}
+                        labelFormatter={(hour) => `${Math.floor(hour)}:${String(Math.round((hour % 1) * 60)).padStart(2, '0')}`}
+                        formatter={(value, name, { payload }) => [
+                          `${value.toFixed(1)}${unitSuffix[name] ?? ''}`,
+                          name === 'Net CO₂ uptake' ? `${name} (${payload.limitingFactor} limits)` : name
+                        ]}
+                      />
+                      <Area yAxisId="light" type="monotone" dataKey="light" name="Light" stroke="#FBBF24" fill="#FBBF24" fillOpacity={0.2} />
+                      <Line yAxisId="temperature" type="monotone" dataKey="temperature" name="Temperature" stroke="#EF4444" strokeWidth={2} dot={false} />
+                      <Line yAxisId="net" type="monotone" dataKey="net" name="Net CO₂ uptake" stroke="#34D399" strokeWidth={2} dot={false} />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            )}
+
+            {environmentalFactors && environmentalFactors.light !== undefined && (
+              <div className="mb-6">
+                <UncertaintyAnalysis
+                  conditions={environmentalFactors}
+                  modelOptions={modelOptions}
+                  days={days}
+                  diurnal={diurnal}
+                  schedule={schedule}
+                  onResult={setUncertainty}
+                  theme="dark"
+                />
+              </div>
+            )}
+
             <div>
               <h4 className="text-lg font-semibold text-white mb-3">Environmental Conditions</h4>
               <div style={{ width: '100%', height: 200 }}>
                 <ResponsiveContainer>
-                  <LineChart data={timelapseData.slice(0, currentDay + 1)}>
+                  <LineChart data={conditionsData}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
                     <XAxis 
                       dataKey="day" 
+                      type="number"
+                      domain={['dataMin', 'dataMax']}
+                      allowDecimals={false}
                       stroke="#9CA3AF"
                       tick={{ fontSize: 12 }}
                     />
@@ -309,7 +804,7 @@ const TimeLapse = ({ active, onToggle, plantHistory, environmentalFactors, curre
                       stroke="#FBBF24"
                       strokeWidth={2}
                       name="Light"
-                      dot={{ r: 3 }}
+                      dot={chartDot}
                     />
                     <Line
                       type="monotone"
@@ -317,13 +812,69 @@ const TimeLapse = ({ active, onToggle, plantHistory, environmentalFactors, curre
                       stroke="#EF4444"
                       strokeWidth={2}
                       name="Temperature"
-                      dot={{ r: 3 }}
+                      dot={chartDot}
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="co2"
+                      stroke="#38BDF8"
+                      strokeWidth={2}
+                      name="CO₂"
+                      dot={chartDot}
                     />
                   </LineChart>
                 </ResponsiveContainer>
               </div>
             </div>
 
+            {recoveryData.length > 0 && (
+              <div className="mt-6">
+                <h4 className="text-lg font-semibold text-white mb-1">Photoinhibition</h4>
+                <p className="text-sm text-gray-400 mb-3">
+                  Excess light damages photosystem II faster than it is repaired. Left: damaged PSII per day.
+                  Right: 72 h recovery once the light is eased to saturation.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div style={{ width: '100%', height: 200 }}>
+                    <ResponsiveContainer>
+                      <LineChart data={playedData}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                        <XAxis dataKey="day" type="number" domain={['dataMin', 'dataMax']} allowDecimals={false} stroke="#9CA3AF" tick={{ fontSize: 12 }} />
+                        <YAxis stroke="#9CA3AF" tick={{ fontSize: 12 }} domain={[0, 100]} />
+                        <Tooltip content={<CustomTooltip />} />
+                        <Line
+                          type="monotone"
+                          dataKey="photoinhibition"
+                          stroke="#FB923C"
+                          strokeWidth={2}
+                          name="PSII damage"
+                          dot={chartDot}
+                        />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <div style={{ width: '100%', height: 200 }}>
+                    <ResponsiveContainer>
+                      <AreaChart data={recoveryData}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                        <XAxis dataKey="hour" stroke="#9CA3AF" tick={{ fontSize: 12 }} unit="h" />
+                        <YAxis stroke="#9CA3AF" tick={{ fontSize: 12 }} domain={[0, 100]} />
+                        <Tooltip formatter={(value) => [`${value.toFixed(1)}%`, 'PSII damage']} labelFormatter={(hour) => `Hour ${hour}`} />
+                        <Area
+                          type="monotone"
+                          dataKey="damage"
+                          stroke="#FB923C"
+                          fill="#FB923C"
+                          fillOpacity={0.3}
+                          strokeWidth={2}
+                        />
+                      </AreaChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+              </div>
+            )}
+
             {currentDay > 0 && (
               <motion.div
                 className="mt-6 p-4 bg-slate-700 rounded-lg"
@@ -333,10 +884,12 @@ const TimeLapse = ({ active, onToggle, plantHistory, environmentalFactors, curre
               >
                 <h4 className="font-semibold text-white mb-2">Timeline Events</h4>
                 <div className="space-y-1 text-sm text-gray-300">
-                  {currentDay >= 7 && <p>• Day 7: First signs of environmental adaptation</p>}
-                  {currentDay >= 14 && <p>• Day 14: Metabolic adjustment patterns established</p>}
-                  {currentDay >= 21 && <p>• Day 21: Long-term stress responses activated</p>}
-                  {currentDay === 30 && <p>• Day 30: Complete adaptation cycle observed</p>}
+                  {timelineEvents.filter(event => event.day <= currentDay + 1).map(event => (
+                    <p key={event.fraction}>• Day {event.day}: {event.text}</p>
+                  ))}
+                  {schedule.filter(intervention => intervention.startDay <= currentDay + 1).map(intervention => (
+                    <p key={`intervention-${intervention.id}`} className="text-sky-300">• {describeScheduleIntervention(intervention)}</p>
+                  ))}
                 </div>
               </motion.div>
             )}
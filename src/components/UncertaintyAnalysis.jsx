@@ -0,0 +1,298 @@
+import React, { useEffect, useState } from 'react';
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import { runUncertaintyAnalysis, getUncertaintyOptions, downsampleForChart } from '../utils/photosynthesisLogic';
+
+/**
+ * UncertaintyAnalysis Component
+ * Attach ± uncertainties to the inputs and model parameters and run a seeded
+ * Monte Carlo: confidence bands around the time-lapse biomass curve, the
+ * spread of the current rate, and the probability that each factor limits.
+ * Pure presentation component - the sampling runs in the logic adapter
+ *
+ * `theme` switches between the light page styling and the dark simulator styling.
+ * `diurnal` and `schedule` make every draw grow like the time-lapse run. With
+ * `onResult` the result is handed to the parent, which draws the bands on its
+ * own biomass chart, and the chart here is left out.
+ */
+
+const THEMES = {
+  light: {
+    container: 'bg-white rounded-lg shadow-md p-6 space-y-4',
+    title: 'text-2xl font-bold text-gray-800',
+    heading: 'text-sm font-semibold text-gray-700',
+    label: 'text-xs font-semibold text-gray-600 block mb-1',
+    input: 'w-full border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-800 focus:border-blue-500 focus:outline-none',
+    button: 'bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors',
+    text: 'text-sm text-gray-700',
+    muted: 'text-xs text-gray-500',
+    track: 'bg-gray-200',
+    grid: '#e5e7eb',
+    axis: '#6b7280',
+    band: '#2563eb',
+    nominal: '#111827',
+    tooltip: { backgroundColor: '#f9fafb', border: '1px solid #e5e7eb', borderRadius: '8px' }
+  },
+  dark: {
+    container: 'bg-slate-800 rounded-xl p-6 shadow-lg border border-slate-700 space-y-4',
+    title: 'text-lg font-bold text-white',
+    heading: 'text-sm font-semibold text-gray-200',
+    label: 'text-xs text-gray-400 block mb-1',
+    input: 'w-full bg-slate-700 text-white rounded px-2 py-1 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none',
+    button: 'bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors',
+    text: 'text-sm text-gray-200',
+    muted: 'text-xs text-gray-400',
+    track: 'bg-slate-700',
+    grid: '#374151',
+    axis: '#9CA3AF',
+    band: '#60a5fa',
+    nominal: '#f9fafb',
+    tooltip: { backgroundColor: '#1F2937', border: '1px solid #374151', borderRadius: '8px' }
+  }
+};
+
+// Starting uncertainties: ±2 °C on temperature and ±15% on light saturation
+const DEFAULT_INPUT_SPREADS = { light: 0, co2: 0, temperature: 2, humidity: 0, nitrogen: 0 };
+const DEFAULT_PARAMETER_SPREADS = {
+  light: 15,
+  co2: 0,
+  temperatureOptimum: 0,
+  maxAssimilation: 0,
+  darkRespiration: 0,
+  growthRate: 0,
+  vcmax25: 0,
+  jmax25: 0
+};
+
+// Shared default so a missing schedule does not look like a new one on every render
+const NO_SCHEDULE = [];
+
+const UncertaintyAnalysis = ({
+  conditions,
+  modelOptions,
+  days = 30,
+  currentDay,
+  diurnal = null,
+  schedule = NO_SCHEDULE,
+  onResult,
+  theme = 'light'
+}) => {
+  const styles = THEMES[theme] || THEMES.light;
+  const choices = getUncertaintyOptions();
+  const [inputSpreads, setInputSpreads] = useState(DEFAULT_INPUT_SPREADS);
+  const [parameterSpreads, setParameterSpreads] = useState(DEFAULT_PARAMETER_SPREADS);
+  const [distribution, setDistribution] = useState('normal');
+  const [samples, setSamples] = useState(200);
+  const [seed, setSeed] = useState(1);
+  const [result, setResult] = useState(null);
+
+  // A result describes the conditions it was computed for
+  const { light, co2, temperature, humidity, nitrogen, lightSource } = conditions;
+  useEffect(() => {
+    setResult(null);
+  }, [light, co2, temperature, humidity, nitrogen, lightSource, modelOptions, days, diurnal, schedule]);
+  useEffect(() => {
+    onResult?.(result);
+  }, [result, onResult]);
+
+  const inputs = choices.inputs.filter((input) => conditions[input.id] !== undefined);
+  // Vcmax and Jmax only matter to the FvCB engine
+  const parameters = choices.parameters.filter((parameter) => !parameter.fvcb || modelOptions?.model === 'fvcb');
+
+  const handleRun = () => {
+    // Parameter spreads are entered in % (scale) or °C (shift)
+    const parameterUncertainty = Object.fromEntries(parameters.map(({ id, kind }) => (
+      [id, kind === 'scale' ? (parameterSpreads[id] || 0) / 100 : parameterSpreads[id] || 0]
+    )));
+    const inputUncertainty = Object.fromEntries(inputs.map(({ id }) => [id, inputSpreads[id] || 0]));
+
+    setResult(runUncertaintyAnalysis(
+      conditions,
+      { inputs: inputUncertainty, parameters: parameterUncertainty, distribution },
+      modelOptions,
+      { samples: Math.min(2000, Math.max(10, samples)), seed, days, diurnal, schedule }
+    ));
+  };
+
+  const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+  return (
+    <div className={styles.container}>
+      <div>
+        <h2 className={styles.title}>Uncertainty (Monte Carlo)</h2>
+        <p className={styles.muted}>
+          ± values are one standard deviation (normal) or the half-width (uniform). Inputs are in model units.
+        </p>
+      </div>
+
+      <div>
+        <h3 className={styles.heading}>Inputs</h3>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mt-1">
+          {inputs.map(({ id, name, unit }) => (
+            <div key={id}>
+              <label htmlFor={`uncertainty-input-${id}`} className={styles.label}>± {name} ({unit})</label>
+              <input
+                id={`uncertainty-input-${id}`}
+                type="number"
+                min={0}
+                value={inputSpreads[id]}
+                onChange={(e) => setInputSpreads({ ...inputSpreads, [id]: Math.max(0, Number(e.target.value)) })}
+                className={styles.input}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className={styles.heading}>Model parameters</h3>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mt-1">
+          {parameters.map(({ id, name, kind }) => (
+            <div key={id}>
+              <label htmlFor={`uncertainty-parameter-${id}`} className={styles.label}>
+                ± {name} ({kind === 'scale' ? '%' : '°C'})
+              </label>
+              <input
+                id={`uncertainty-parameter-${id}`}
+                type="number"
+                min={0}
+                value={parameterSpreads[id]}
+                onChange={(e) => setParameterSpreads({ ...parameterSpreads, [id]: Math.max(0, Number(e.target.value)) })}
+                className={styles.input}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <div>
+          <label htmlFor="uncertainty-distribution" className={styles.label}>Distribution</label>
+          <select
+            id="uncertainty-distribution"
+            value={distribution}
+            onChange={(e) => setDistribution(e.target.value)}
+            className={styles.input}
+          >
+            {choices.distributions.map((entry) => (
+              <option key={entry.id} value={entry.id} title={entry.description}>{entry.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="w-24">
+          <label htmlFor="uncertainty-samples" className={styles.label}>Samples</label>
+          <input
+            id="uncertainty-samples"
+            type="number"
+            min={10}
+            max={2000}
+            step={10}
+            value={samples}
+            onChange={(e) => setSamples(Math.round(Number(e.target.value)))}
+            className={styles.input}
+          />
+        </div>
+        <div className="w-24">
+          <label htmlFor="uncertainty-seed" className={styles.label}>Seed</label>
+          <input
+            id="uncertainty-seed"
+            type="number"
+            value={seed}
+            onChange={(e) => setSeed(Math.round(Number(e.target.value)))}
+            className={styles.input}
+          />
+        </div>
+        <button onClick={handleRun} className={styles.button}>
+          Run Monte Carlo
+        </button>
+      </div>
+
+      {result && (
+        <>
+          <div className={`grid grid-cols-1 md:grid-cols-2 gap-4 ${styles.text}`}>
+            <div>
+              <p>
+                Rate now: <span className="font-semibold">{percent(result.rate.mean)} ± {percent(result.rate.sd)}</span>
+                {' '}(90% interval {percent(result.rate.p5)} – {percent(result.rate.p95)}; nominal {percent(result.nominal.rate)})
+              </p>
+              {result.finalBiomass && (
+                <p>
+                  Biomass after {days} days: <span className="font-semibold">{result.finalBiomass.p50.toFixed(1)} g/m²</span>
+                  {' '}(90% interval {result.finalBiomass.p5.toFixed(1)} – {result.finalBiomass.p95.toFixed(1)}; nominal {result.nominal.biomass.toFixed(1)})
+                </p>
+              )}
+              <p className={styles.muted}>{result.samples} samples, seed {result.seed}, {result.distribution} distribution</p>
+            </div>
+            <div className="space-y-1">
+              <h3 className={styles.heading}>Probability each factor limits</h3>
+              {result.limitingProbability.map(({ factor, probability }) => (
+                <div key={factor} className="flex items-center gap-2">
+                  <span className="w-28 text-xs">{factor}</span>
+                  <div className={`flex-1 h-2 rounded ${styles.track}`}>
+                    <div className="h-2 rounded bg-blue-500" style={{ width: `${probability * 100}%` }} />
+                  </div>
+                  <span className="w-12 text-right text-xs">{Math.round(probability * 100)}%</span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {result.bands.length > 0 && onResult && (
+            <p className={styles.muted}>The bands are drawn on the biomass chart above.</p>
+          )}
+          {result.bands.length > 0 && !onResult && (
+            <>
+              <ResponsiveContainer width="100%" height={260}>
+                <ComposedChart data={downsampleForChart(result.bands, 90)} margin={{ top: 5, right: 20, left: 10, bottom: 20 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={styles.grid} />
+                  <XAxis
+                    dataKey="time"
+                    type="number"
+                    domain={['dataMin', 'dataMax']}
+                    allowDecimals={false}
+                    label={{ value: 'Day', position: 'insideBottom', offset: -10, fill: styles.axis }}
+                    stroke={styles.axis}
+                  />
+                  <YAxis
+                    domain={['auto', 'auto']}
+                    label={{ value: 'Biomass (g/m²)', angle: -90, position: 'insideLeft', fill: styles.axis }}
+                    stroke={styles.axis}
+                  />
+                  <Tooltip
+                    contentStyle={styles.tooltip}
+                    labelFormatter={(day) => `Day ${day}`}
+                    formatter={(value, name) => [
+                      Array.isArray(value) ? `${value[0].toFixed(1)} – ${value[1].toFixed(1)}` : value.toFixed(1),
+                      name
+                    ]}
+                  />
+                  <Area dataKey="outer" name="90% band" stroke="none" fill={styles.band} fillOpacity={0.15} isAnimationActive={false} />
+                  <Area dataKey="inner" name="50% band" stroke="none" fill={styles.band} fillOpacity={0.3} isAnimationActive={false} />
+                  <Line dataKey="median" name="Median" stroke={styles.band} strokeWidth={2} dot={false} isAnimationActive={false} />
+                  <Line dataKey="nominal" name="Nominal" stroke={styles.nominal} strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+                  {currentDay !== undefined && (
+                    <ReferenceLine x={currentDay + 1} stroke={styles.axis} strokeDasharray="2 2" />
+                  )}
+                </ComposedChart>
+              </ResponsiveContainer>
+              <p className={styles.muted}>
+                Shaded: 50% and 90% of the simulated plants. Solid: median; dashed: the run without uncertainty.
+              </p>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default UncertaintyAnalysis;
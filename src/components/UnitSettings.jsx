@@ -0,0 +1,83 @@
+import React from 'react';
+import { getUnitSystemChoices, formatMeasurement } from '../utils/photosynthesisLogic';
+
+/**
+ * UnitSettings Component
+ * Lets the user pick the unit system used for every displayed value
+ * (plant science, US classroom °F, lighting engineering lux, SI) and the
+ * altitude used to turn CO₂ ppm into partial pressure.
+ * Pure presentation component - reports changes via onChange
+ *
+ * `theme` switches between the light page styling and the dark simulator styling.
+ */
+
+const THEMES = {
+  light: {
+    container: 'bg-white rounded-lg shadow-md p-6 space-y-4',
+    title: 'text-2xl font-bold text-gray-800',
+    label: 'text-sm font-semibold text-gray-600 block mb-2',
+    select: 'w-full border border-gray-300 rounded-lg px-3 py-2 text-gray-800 focus:border-blue-500 focus:outline-none',
+    description: 'text-sm text-gray-600 leading-relaxed'
+  },
+  dark: {
+    container: 'bg-slate-800 rounded-xl p-6 shadow-lg border border-slate-700 space-y-4',
+    title: 'text-lg font-bold text-white',
+    label: 'text-sm text-gray-400 block mb-2',
+    select: 'w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm border border-slate-600 focus:border-blue-500 focus:outline-none',
+    description: 'text-sm text-gray-300 leading-relaxed'
+  }
+};
+
+const UnitSettings = ({ unitSettings, onChange, theme = 'light' }) => {
+  const styles = THEMES[theme] || THEMES.light;
+  const systems = getUnitSystemChoices();
+
+  const updateSetting = (key, value) => {
+    onChange({ ...unitSettings, [key]: value });
+  };
+
+  return (
+    <div className={styles.container}>
+      <h2 className={styles.title}>Units</h2>
+
+      <div>
+        <label htmlFor="unit-system" className={styles.label}>
+          Unit system
+        </label>
+        <select
+          id="unit-system"
+          value={unitSettings.system}
+          onChange={(e) => updateSetting('system', e.target.value)}
+          className={styles.select}
+        >
+          {systems.map((system) => (
+            <option key={system.id} value={system.id}>
+              {system.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label htmlFor="unit-altitude" className={styles.label}>
+          Altitude (m above sea level)
+        </label>
+        <input
+          id="unit-altitude"
+          type="number"
+          min="0"
+          max="5000"
+          step="100"
+          value={unitSettings.altitude}
+          onChange={(e) => updateSetting('altitude', Math.max(0, Number(e.target.value)))}
+          className={styles.select}
+        />
+        <p className={`${styles.description} mt-2`}>
+          400 ppm CO₂ here is {formatMeasurement('co2', 400, { system: 'si', altitude: unitSettings.altitude })} of partial pressure.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default UnitSettings;
@@ -0,0 +1,87 @@
+/**
+ * carbonBalance.js
+ * Gross assimilation, respiration and net CO₂ uptake of a leaf
+ *
+ * Scientific Basis: a leaf exchanges CO₂ in three ways at once.
+ * - Gross assimilation: CO₂ fixed by Rubisco in the Calvin cycle
+ * - Photorespiration: when Rubisco binds O₂ instead of CO₂, the glycolate
+ *   pathway releases half a CO₂ for every oxygenation. The share released
+ *   grows with Γ* (which rises with temperature) and falls with internal CO₂.
+ * - Dark (mitochondrial) respiration: runs day and night and roughly doubles
+ *   for every 10°C of warming (Q10 ≈ 2; Atkin & Tjoelker, 2003).
+ * Net photosynthesis = gross - photorespiration - dark respiration. It is
+ * negative below the light and CO₂ compensation points, where the leaf loses
+ * more carbon than it fixes.
+ */
+
+// Respiration rises by this factor for every 10°C
+const RESPIRATION_Q10 = 2.0;
+
+// CO₂ compensation point without respiration at 25°C (μmol/mol) and its
+// activation energy (J/mol)
+const GAMMA_STAR_25 = 42.75;
+const GAMMA_STAR_ACTIVATION = 37830;
+
+// Intercellular CO₂ seen by Rubisco as a fraction of the CO₂ past the stomata
+const CI_RATIO = 0.7;
+
+/**
+ * CO₂ compensation point in the absence of dark respiration (Γ*)
+ * Rises with temperature as Rubisco's affinity for O₂ increases relative to CO₂.
+ *
+ * @param {number} temperature - Leaf temperature (°C)
+ * @returns {number} Γ* (μmol/mol)
+ */
+export function calculateGammaStar(temperature) {
+  const tK = temperature + 273.15;
+  return GAMMA_STAR_25 *
+    Math.exp((GAMMA_STAR_ACTIVATION * (tK - 298.15)) / (298.15 * 8.314 * tK));
+}
+
+/**
+ * Dark respiration at a leaf temperature (Q10 response)
+ *
+ * @param {number} temperature - Leaf temperature (°C)
+ * @param {number} respiration25 - Dark respiration at 25°C (μmol/m²/s)
+ * @returns {number} Dark respiration (μmol/m²/s)
+ */
+export function calculateDarkRespiration(temperature, respiration25) {
+  return respiration25 * Math.pow(RESPIRATION_Q10, (temperature - 25) / 10);
+}
+
+/**
+ * Share of fixed CO₂ released again by photorespiration
+ *
+ * @param {number} co2 - CO₂ past the stomata (ppm)
+ * @param {number} temperature - Leaf temperature (°C)
+ * @param {number} strength - Pathway photorespiration (1 = C3, 0 = none)
+ * @returns {number} Released fraction of gross assimilation (0-1)
+ */
+function photorespiredFraction(co2, temperature, strength) {
+  if (strength <= 0) return 0;
+  if (co2 <= 0) return 1;
+
+  return Math.min(1, strength * calculateGammaStar(temperature) / (co2 * CI_RATIO));
+}
+
+/**
+ * Convert a relative photosynthesis rate into CO₂ fluxes
+ *
+ * @param {number} rate - Relative photosynthesis rate (0-1)
+ * @param {number} internalCO2 - CO₂ past the stomata (ppm)
+ * @param {number} temperature - Leaf temperature (°C)
+ * @param {Object} params - Output of resolveModelParameters (maxAssimilation, darkRespiration, photorespiration)
+ * @returns {Object} { gross, photorespiration, respiration, net } in μmol CO₂/m²/s
+ */
+export function calculateCarbonBalance(rate, internalCO2, temperature, params) {
+  const gross = Math.max(0, rate) * params.maxAssimilation;
+  const photorespiration = gross * photorespiredFraction(internalCO2, temperature, params.photorespiration);
+  const respiration = calculateDarkRespiration(temperature, params.darkRespiration);
+
+  return {
+    gross,
+    photorespiration,
+    respiration,
+    net: gross - photorespiration - respiration
+  };
+}
@@ -0,0 +1,76 @@
+import { calculateGammaStar, calculateDarkRespiration, calculateCarbonBalance } from './carbonBalance';
+import {
+  calculatePhotosynthesisRate,
+  calculateCompensationPoints,
+  getAvailableModels
+} from './photosynthesisModel';
+
+// Net uptake is gross fixation minus photorespiration minus dark respiration,
+// whichever model produced the rate, and it changes sign at the compensation points.
+
+const MODELS = getAvailableModels().map(({ id }) => id);
+const OPTION_SETS = [
+  ...MODELS.map((model) => ({ model })),
+  { model: 'colimitation', pathway: 'C4' },
+  { model: 'colimitation', pathway: 'CAM' }
+];
+
+const CONDITIONS = [
+  [800, 400, 25],
+  [100, 400, 25],
+  [1500, 800, 35],
+  [800, 60, 25],
+  [0, 400, 25]
+];
+
+describe('carbon balance', () => {
+  test('Γ* is 42.75 μmol/mol at 25°C and rises with temperature', () => {
+    expect(calculateGammaStar(25)).toBeCloseTo(42.75, 6);
+    expect(calculateGammaStar(35)).toBeGreaterThan(calculateGammaStar(25));
+  });
+
+  test('dark respiration doubles for every 10°C', () => {
+    expect(calculateDarkRespiration(25, 1)).toBeCloseTo(1, 10);
+    expect(calculateDarkRespiration(35, 1)).toBeCloseTo(2, 10);
+    expect(calculateDarkRespiration(15, 1)).toBeCloseTo(0.5, 10);
+  });
+
+  test('a leaf in the dark only respires', () => {
+    const balance = calculateCarbonBalance(0, 400, 25, { maxAssimilation: 30, darkRespiration: 1, photorespiration: 1 });
+    expect(balance.gross).toBe(0);
+    expect(balance.photorespiration).toBe(0);
+    expect(balance.net).toBeCloseTo(-1, 10);
+  });
+});
+
+describe.each(OPTION_SETS)('gas exchange for %j', (options) => {
+  test.each(CONDITIONS)('net = gross - photorespiration - respiration at %i μmol/m²/s, %i ppm, %i°C', (light, co2, temperature) => {
+    const { gasExchange } = calculatePhotosynthesisRate(light, co2, temperature, options);
+
+    expect(gasExchange.photorespiration).toBeGreaterThanOrEqual(0);
+    expect(gasExchange.respiration).toBeGreaterThan(0);
+    expect(gasExchange.net).toBeCloseTo(
+      gasExchange.gross - gasExchange.photorespiration - gasExchange.respiration,
+      10
+    );
+  });
+
+  test('net crosses zero at the compensation points', () => {
+    const netAt = (light, co2) => calculatePhotosynthesisRate(light, co2, 25, options).gasExchange.net;
+    const points = calculateCompensationPoints(800, 400, 25, options);
+
+    expect(points.light).not.toBeNull();
+    expect(points.co2).not.toBeNull();
+    expect(netAt(points.light, 400)).toBeCloseTo(0, 4);
+    expect(netAt(points.light * 0.9, 400)).toBeLessThan(0);
+    expect(netAt(points.light * 1.1, 400)).toBeGreaterThan(0);
+    expect(netAt(800, points.co2)).toBeCloseTo(0, 4);
+    expect(netAt(800, points.co2 * 0.9)).toBeLessThan(0);
+    expect(netAt(800, points.co2 * 1.1)).toBeGreaterThan(0);
+  });
+});
+
+test('FvCB reports its own Arrhenius Rd rather than the Q10 respiration', () => {
+  const { gasExchange, assimilation } = calculatePhotosynthesisRate(800, 400, 30, { model: 'fvcb' });
+  expect(gasExchange.respiration).toBeCloseTo(assimilation.respiration, 10);
+});
@@ -0,0 +1,117 @@
+/**
+ * diurnalCycle.js
+ * Light and temperature through the 24-hour day
+ *
+ * Scientific Basis:
+ * - Light: photon flux on a horizontal leaf follows the sine of the sun's
+ *   elevation. Between sunrise and sunset the elevation rises to its noon
+ *   value and falls again, sin β = sin β_noon · sin(π (t − sunrise) / day
+ *   length), so the flux is zero at night and at its peak at solar noon.
+ * - Temperature: air is coolest just before sunrise and warmest in the early
+ *   afternoon, after the sun has heated the ground. The curve rises along a
+ *   half cosine from the minimum at sunrise to the maximum at the peak hour,
+ *   then cools along a second half cosine until the next sunrise (a common
+ *   simplification of the Parton & Logan, 1981 pattern).
+ */
+
+/**
+ * Default shape of the day
+ */
+export const DEFAULT_DIURNAL_SETTINGS = {
+  stepHours: 1,           // Length of one time step (h)
+  sunrise: 6,             // Hour of sunrise
+  dayLength: 12,          // Hours from sunrise to sunset, the daily time-lapse photoperiod
+  noonElevation: 60,      // Sun elevation at solar noon (°)
+  temperatureRange: 8,    // Daily maximum minus minimum (°C)
+  peakHour: 14            // Hour of the daily maximum temperature
+};
+
+// Degrees to radians
+const RADIANS = Math.PI / 180;
+
+/**
+ * Fill in the defaults and keep the shape of the day consistent
+ *
+ * @param {Object} settings - Partial diurnal settings
+ * @returns {Object} Complete settings with dayLength in [0, 24] and the peak after sunrise
+ */
+export function resolveDiurnalSettings(settings = {}) {
+  const s = { ...DEFAULT_DIURNAL_SETTINGS, ...settings };
+  const dayLength = Math.min(24, Math.max(0, s.dayLength));
+  const sunrise = ((s.sunrise % 24) + 24) % 24;
+  // The warmest hour falls after sunrise and before the next one
+  const peakHour = sunrise + ((((s.peakHour - sunrise) % 24) + 24) % 24 || 1);
+  return { ...s, dayLength, sunrise, peakHour };
+}
+
+/**
+ * Hours since sunrise, wrapped into [0, 24)
+ */
+function hoursSinceSunrise(hour, sunrise) {
+  return (((hour - sunrise) % 24) + 24) % 24;
+}
+
+/**
+ * Sun elevation at an hour of the day
+ *
+ * @param {number} hour - Hour of the day (0-24, may be fractional)
+ * @param {Object} settings - Diurnal settings
+ * @returns {number} Elevation in degrees (0 while the sun is down)
+ */
+export function calculateSunElevation(hour, settings = {}) {
+  const { sunrise, dayLength, noonElevation } = resolveDiurnalSettings(settings);
+  const sinceSunrise = hoursSinceSunrise(hour, sunrise);
+  if (dayLength <= 0 || sinceSunrise >= dayLength) return 0;
+
+  const sinElevation = Math.sin(noonElevation * RADIANS) * Math.sin(Math.PI * sinceSunrise / dayLength);
+  return Math.asin(sinElevation) / RADIANS;
+}
+
+/**
+ * Photon flux at an hour of the day
+ *
+ * @param {number} hour - Hour of the day
+ * @param {number} noonLight - Photon flux at solar noon (μmol/m²/s)
+ * @param {Object} settings - Diurnal settings
+ * @returns {number} Photon flux (μmol/m²/s)
+ */
+export function calculateDiurnalLight(hour, noonLight, settings = {}) {
+  const { noonElevation } = resolveDiurnalSettings(settings);
+  const noonSine = Math.sin(noonElevation * RADIANS);
+  if (noonSine <= 0) return 0;
+  return noonLight * Math.sin(calculateSunElevation(hour, settings) * RADIANS) / noonSine;
+}
+
+/**
+ * Air temperature at an hour of the day
+ *
+ * @param {number} hour - Hour of the day
+ * @param {number} meanTemperature - Midpoint of the daily minimum and maximum (°C)
+ * @param {Object} settings - Diurnal settings
+ * @returns {number} Temperature (°C)
+ */
+export function calculateDiurnalTemperature(hour, meanTemperature, settings = {}) {
+  const { sunrise, peakHour, temperatureRange } = resolveDiurnalSettings(settings);
+  const minimum = meanTemperature - temperatureRange / 2;
+  const warming = peakHour - sunrise;
+  const sinceSunrise = hoursSinceSunrise(hour, sunrise);
+
+  // Half cosine up from the minimum at sunrise, half cosine down after the peak
+  const fraction = sinceSunrise <= warming
+    ? (1 - Math.cos(Math.PI * sinceSunrise / warming)) / 2
+    : (1 + Math.cos(Math.PI * (sinceSunrise - warming) / (24 - warming))) / 2;
+  return minimum + temperatureRange * fraction;
+}
+
+/**
+ * Time steps through one day
+ *
+ * @param {Object} settings - Diurnal settings (stepHours)
+ * @returns {Array} [{ hour: midpoint of the step, duration: h }] covering 24 hours
+ */
+export function getDiurnalSteps(settings = {}) {
+  const { stepHours } = resolveDiurnalSettings(settings);
+  const count = Math.max(1, Math.round(24 / Math.max(stepHours, 0.1)));
+  const duration = 24 / count;
+  return Array.from({ length: count }, (_, i) => ({ hour: (i + 0.5) * duration, duration }));
+}
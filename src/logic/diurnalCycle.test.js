@@ -0,0 +1,91 @@
+import {
+  resolveDiurnalSettings,
+  calculateSunElevation,
+  calculateDiurnalLight,
+  calculateDiurnalTemperature,
+  getDiurnalSteps,
+  DEFAULT_DIURNAL_SETTINGS
+} from './diurnalCycle';
+
+// Default day: sunrise at 6, 12 hours of light (noon at 12), 60° noon sun,
+// 8°C between the minimum at sunrise and the maximum at 14:00.
+
+describe('diurnal settings', () => {
+  test('missing settings take the defaults', () => {
+    expect(resolveDiurnalSettings()).toEqual(DEFAULT_DIURNAL_SETTINGS);
+  });
+
+  test('day length is clamped, sunrise wraps and the peak follows sunrise', () => {
+    expect(resolveDiurnalSettings({ dayLength: 30 }).dayLength).toBe(24);
+    expect(resolveDiurnalSettings({ dayLength: -2 }).dayLength).toBe(0);
+    expect(resolveDiurnalSettings({ sunrise: -2 }).sunrise).toBe(22);
+    expect(resolveDiurnalSettings({ sunrise: 6, peakHour: 4 }).peakHour).toBe(28);
+    expect(resolveDiurnalSettings({ sunrise: 6, peakHour: 6 }).peakHour).toBe(7);
+  });
+});
+
+describe('sun and light', () => {
+  test('the sun reaches its noon elevation halfway through the day', () => {
+    expect(calculateSunElevation(12)).toBeCloseTo(60, 10);
+    expect(calculateSunElevation(9)).toBeCloseTo(Math.asin(Math.sin(Math.PI / 3) * Math.SQRT1_2) * 180 / Math.PI, 10);
+    expect(calculateSunElevation(9)).toBeCloseTo(calculateSunElevation(15), 10);
+  });
+
+  test('there is no sun at night or on a day without daylight', () => {
+    [0, 3, 5.9, 18, 23].forEach((hour) => expect(calculateSunElevation(hour)).toBe(0));
+    expect(calculateSunElevation(12, { dayLength: 0 })).toBe(0);
+  });
+
+  test('light peaks at the noon value and follows the sine of the elevation', () => {
+    expect(calculateDiurnalLight(12, 1000)).toBeCloseTo(1000, 9);
+    expect(calculateDiurnalLight(9, 1000)).toBeCloseTo(1000 * Math.SQRT1_2, 9);
+    expect(calculateDiurnalLight(22, 1000)).toBe(0);
+  });
+
+  test('the daily light sum is 2/π of noon light over the day length', () => {
+    const steps = getDiurnalSteps({ stepHours: 0.1 });
+    const total = steps.reduce((sum, { hour, duration }) => sum + calculateDiurnalLight(hour, 1000) * duration, 0);
+    expect(total).toBeCloseTo(1000 * 12 * 2 / Math.PI, 0);
+  });
+
+  test('a longer day spreads the same noon light over more hours', () => {
+    expect(calculateDiurnalLight(20, 1000, { dayLength: 16 })).toBeGreaterThan(0);
+    expect(calculateDiurnalLight(14, 1000, { dayLength: 16 })).toBeCloseTo(1000, 9);
+  });
+});
+
+describe('temperature', () => {
+  test('the minimum falls at sunrise and the maximum at the peak hour', () => {
+    expect(calculateDiurnalTemperature(6, 20)).toBeCloseTo(16, 10);
+    expect(calculateDiurnalTemperature(14, 20)).toBeCloseTo(24, 10);
+    expect(calculateDiurnalTemperature(10, 20)).toBeCloseTo(20, 10);
+  });
+
+  test('the curve stays within the range and joins up at midnight', () => {
+    for (let hour = 0; hour < 24; hour += 0.5) {
+      const temperature = calculateDiurnalTemperature(hour, 20);
+      expect(temperature).toBeGreaterThanOrEqual(16 - 1e-9);
+      expect(temperature).toBeLessThanOrEqual(24 + 1e-9);
+    }
+    expect(calculateDiurnalTemperature(24, 20)).toBeCloseTo(calculateDiurnalTemperature(0, 20), 10);
+  });
+
+  test('no daily range keeps the temperature constant', () => {
+    expect(calculateDiurnalTemperature(3, 25, { temperatureRange: 0 })).toBe(25);
+  });
+});
+
+describe('time steps', () => {
+  test.each([
+    [1, 24],
+    [2, 12],
+    [0.5, 48],
+    [7, 3]
+  ])('%d-hour steps divide the day into %i', (stepHours, count) => {
+    const steps = getDiurnalSteps({ stepHours });
+
+    expect(steps).toHaveLength(count);
+    expect(steps.reduce((sum, { duration }) => sum + duration, 0)).toBeCloseTo(24, 10);
+    expect(steps[0].hour).toBeCloseTo(steps[0].duration / 2, 10);
+  });
+});
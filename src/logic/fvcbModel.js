@@ -0,0 +1,261 @@
+/**
+ * fvcbModel.js
+ * Biochemical photosynthesis engine (Farquhar, von Caemmerer & Berry, 1980)
+ *
+ * Scientific Basis: net CO₂ assimilation is the minimum of three processes
+ * - Rubisco-limited carboxylation (Ac)       → low CO₂
+ * - RuBP-regeneration / electron transport (Aj) → low light
+ * - Triose-phosphate utilisation (Ap)        → end-product export, strongly temperature-bound
+ *
+ * Kinetic constants and temperature responses follow Bernacchi et al. (2001)
+ * and Medlyn et al. (2002).
+ *
+ * Each limit is already net of photorespiration: A = Vc·(1 − Γ* / Ci), where
+ * Vc is the carboxylation rate and Vc·Γ* / Ci the CO₂ released again by
+ * photorespiration (half a CO₂ per oxygenation). Net uptake is A − Rd.
+ */
+
+// Universal gas constant (J/mol/K)
+const R = 8.314;
+
+// Oxygen partial pressure at the chloroplast (mmol/mol)
+const OXYGEN = 210;
+
+// Default leaf parameters at 25°C (μmol/m²/s unless noted)
+const DEFAULT_PARAMETERS = {
+  vcmax25: 60,        // Maximum Rubisco carboxylation rate
+  jmax25: 100,        // Maximum electron transport rate
+  tpu25: 8,           // Triose-phosphate utilisation rate
+  rd25: 0.9,          // Day respiration
+  gammaStar25: 42.75, // CO₂ compensation point without Rd (μmol/mol)
+  kc25: 404.9,        // Michaelis constant for CO₂ (μmol/mol)
+  ko25: 278.4,        // Michaelis constant for O₂ (mmol/mol)
+  ciRatio: 0.7,       // Intercellular / ambient CO₂ ratio
+  quantumYield: 0.3,  // Electrons transported per absorbed photon
+  curvature: 0.7      // Curvature of the light response of J
+};
+
+// Arrhenius temperature responses: activation energy Ha (J/mol), and for
+// peaked responses the deactivation energy Hd (J/mol) and entropy term dS (J/mol/K)
+const TEMPERATURE_RESPONSE = {
+  vcmax: { ha: 65330, hd: 200000, ds: 650 },
+  jmax: { ha: 43540, hd: 200000, ds: 640 },
+  tpu: { ha: 53100, hd: 201800, ds: 650 },
+  rd: { ha: 46390 },
+  gammaStar: { ha: 37830 },
+  kc: { ha: 79430 },
+  ko: { ha: 36380 }
+};
+
+// Saturating conditions used to express assimilation on the 0-1 scale
+const REFERENCE_CONDITIONS = {
+  light: 2000,       // μmol/m²/s
+  co2: 1000,         // ppm
+  temperature: 25    // °C
+};
+
+/**
+ * Arrhenius scaling relative to 25°C, optionally with high-temperature deactivation
+ *
+ * @param {number} temperature - Leaf temperature (°C)
+ * @param {Object} response - { ha, hd?, ds? }
+ * @returns {number} Multiplier relative to the 25°C value
+ */
+function arrhenius(temperature, response) {
+  const tRef = 298.15;
+  const tK = temperature + 273.15;
+
+  const activation = Math.exp((response.ha * (tK - tRef)) / (tRef * R * tK));
+  if (!response.hd) return activation;
+
+  // Enzyme deactivation above the optimum (peaked Arrhenius)
+  const deactivationRef = 1 + Math.exp((tRef * response.ds - response.hd) / (tRef * R));
+  const deactivation = 1 + Math.exp((tK * response.ds - response.hd) / (tK * R));
+  return activation * (deactivationRef / deactivation);
+}
+
+/**
+ * Electron transport rate from absorbed light (non-rectangular hyperbola)
+ *
+ * @param {number} light - Photon flux (μmol/m²/s)
+ * @param {number} jmax - Temperature-adjusted Jmax
+ * @param {Object} params - Leaf parameters
+ * @returns {number} Electron transport rate J (μmol/m²/s)
+ */
+function electronTransportRate(light, jmax, params) {
+  const absorbed = params.quantumYield * Math.max(0, light);
+  const sum = absorbed + jmax;
+  const theta = params.curvature;
+  return (sum - Math.sqrt(Math.max(0, sum * sum - 4 * theta * absorbed * jmax))) / (2 * theta);
+}
+
+/**
+ * Compute the three FvCB assimilation limits in absolute units
+ *
+ * @param {number} light - Light intensity (μmol/m²/s)
+ * @param {number} co2 - Ambient CO₂ concentration (ppm)
+ * @param {number} temperature - Leaf temperature (°C)
+ * @param {Object} overrides - Optional parameter overrides (see DEFAULT_PARAMETERS)
+ * @returns {Object} { rubisco, rubp, tpu, gross: A (net of photorespiration), carboxylation: Vc,
+ *   photorespiration: Vc·Γ* / Ci, respiration: Rd, net: A − Rd, ci, gammaStar, limitation }
+ */
+export function calculateAssimilation(light, co2, temperature, overrides = {}) {
+  const params = { ...DEFAULT_PARAMETERS, ...overrides };
+
+  // Temperature-adjusted kinetic parameters
+  const vcmax = params.vcmax25 * arrhenius(temperature, TEMPERATURE_RESPONSE.vcmax);
+  const jmax = params.jmax25 * arrhenius(temperature, TEMPERATURE_RESPONSE.jmax);
+  const tpuMax = params.tpu25 * arrhenius(temperature, TEMPERATURE_RESPONSE.tpu);
+  const rd = params.rd25 * arrhenius(temperature, TEMPERATURE_RESPONSE.rd);
+  const gammaStar = params.gammaStar25 * arrhenius(temperature, TEMPERATURE_RESPONSE.gammaStar);
+  const kc = params.kc25 * arrhenius(temperature, TEMPERATURE_RESPONSE.kc);
+  const ko = params.ko25 * arrhenius(temperature, TEMPERATURE_RESPONSE.ko);
+
+  // Intercellular CO₂ seen by Rubisco
+  const ci = Math.max(0, co2) * params.ciRatio;
+
+  // Rubisco-limited rate
+  const rubisco = (vcmax * (ci - gammaStar)) / (ci + kc * (1 + OXYGEN / ko));
+
+  // RuBP-regeneration (electron transport) limited rate
+  const j = electronTransportRate(light, jmax, params);
+  // Without CO₂ or Γ* (a C4 leaf at 0 ppm) there is nothing to regenerate RuBP for
+  const electronDemand = 4 * ci + 8 * gammaStar;
+  const rubp = electronDemand > 0 ? (j * (ci - gammaStar)) / electronDemand : 0;
+
+  // Triose-phosphate utilisation limited rate
+  const tpu = 3 * tpuMax;
+
+  const gross = Math.min(rubisco, rubp, tpu);
+  let limitation = "tpu";
+  if (gross === rubisco) limitation = "rubisco";
+  else if (gross === rubp) limitation = "rubp";
+
+  // Carboxylation behind the limiting rate; TPU only limits above Γ*
+  let carboxylation;
+  if (limitation === "rubisco") carboxylation = (vcmax * ci) / (ci + kc * (1 + OXYGEN / ko));
+  else if (limitation === "rubp") carboxylation = electronDemand > 0 ? (j * ci) / electronDemand : 0;
+  else carboxylation = ci > gammaStar ? (tpu * ci) / (ci - gammaStar) : 0;
+
+  return {
+    rubisco,
+    rubp,
+    tpu,
+    gross,
+    carboxylation,
+    photorespiration: ci > 0 ? (carboxylation * gammaStar) / ci : 0,
+    respiration: rd,
+    net: gross - rd,
+    ci,
+    gammaStar,
+    limitation
+  };
+}
+
+/**
+ * Calculate photosynthesis rate with the FvCB engine
+ * Returns the same { rate, factors } contract as calculatePhotosynthesisRate so
+ * limiting-factor analysis and growth simulation work unchanged.
+ *
+ * Each process is mapped onto the slider it responds to:
+ * light → RuBP regeneration, CO₂ → Rubisco, temperature → TPU.
+ * Rubisco also slows down away from the plant's optimum temperature (heat
+ * deactivation, cold kinetics). Its capacity is split into a thermal share,
+ * Rubisco at the leaf temperature relative to Rubisco at the optimum, and
+ * the CO₂ supply at the optimum. The Rubisco-limited rate is reported under
+ * whichever falls shorter, so a heat-stressed leaf is temperature-limited
+ * rather than asking for more CO₂.
+ * When stomata close (ciFraction < 1) the Rubisco rate at the reduced Ci is
+ * reported as the stomata factor, while CO₂ keeps the open-stomata value.
+ * Nitrogen capacity is the fraction of the well-fertilized leaf's maximum
+ * assimilation that a deficient leaf can still build, reported as the nitrogen
+ * factor so it caps the rate alongside the three processes.
+ * Light is scaled by the spectral efficiency of the light source first.
+ * Photoinhibition (the fraction of intact PSII) caps the rate the same way.
+ * All values are expressed relative to assimilation of the default leaf at
+ * saturating reference conditions.
+ *
+ * `gasExchange` comes from the engine itself: carboxylation as gross uptake,
+ * the Γ*-derived photorespiration, the Arrhenius day respiration Rd and their
+ * net. Nitrogen and photoinhibition caps scale carboxylation and
+ * photorespiration together.
+ *
+ * @param {number} light - Light intensity (μmol/m²/s)
+ * @param {number} co2 - CO₂ concentration (ppm)
+ * @param {number} temperature - Temperature (°C)
+ * @param {Object} options - { fvcb?: parameter overrides, ciFraction?: stomatal Ci fraction (0-1), nitrogenCapacity?: relative capacity (0-1), spectralEfficiency?: light-source weighting, photoinhibition?: intact PSII fraction (0-1), optimalTemperature?: °C (default 25) }
+ * @returns {Object} { rate, factors: { light, co2, temperature, stomata, nitrogen, photoinhibition }, assimilation,
+ *   gasExchange: { gross, photorespiration, respiration, net } in μmol CO₂/m²/s }
+ */
+export function calculateFvcbRate(light, co2, temperature, options = {}) {
+  const leaf = { ...DEFAULT_PARAMETERS, ...options.fvcb };
+  const ciFraction = options.ciFraction ?? 1;
+  const effectiveLight = light * (options.spectralEfficiency ?? 1);
+  const closedLeaf = { ...leaf, ciRatio: leaf.ciRatio * ciFraction };
+  const optimalTemperature = options.optimalTemperature ?? REFERENCE_CONDITIONS.temperature;
+  const openStomata = calculateAssimilation(effectiveLight, co2, temperature, leaf);
+  const assimilation = calculateAssimilation(effectiveLight, co2, temperature, closedLeaf);
+  const openAtOptimum = calculateAssimilation(effectiveLight, co2, optimalTemperature, leaf);
+  const closedAtOptimum = calculateAssimilation(effectiveLight, co2, optimalTemperature, closedLeaf);
+
+  // Reference uses the default leaf so edited parameters change the rate
+  const reference = calculateAssimilation(
+    REFERENCE_CONDITIONS.light,
+    REFERENCE_CONDITIONS.co2,
+    REFERENCE_CONDITIONS.temperature
+  );
+
+  const scale = (value) => Math.max(0, Math.min(1, value / reference.gross));
+
+  // Share of Rubisco capacity left at the leaf temperature
+  const thermal = openAtOptimum.rubisco > 0
+    ? Math.max(0, Math.min(1, openStomata.rubisco / openAtOptimum.rubisco))
+    : 1;
+  const rubisco = scale(assimilation.rubisco);
+  const heatLimited = thermal < scale(closedAtOptimum.rubisco);
+  const rubiscoFactors = heatLimited
+    ? {
+      co2: Math.max(scale(openStomata.rubisco), scale(openAtOptimum.rubisco)),
+      stomata: Math.max(rubisco, scale(closedAtOptimum.rubisco)),
+      temperature: rubisco
+    }
+    : {
+      co2: scale(openStomata.rubisco),
+      stomata: rubisco,
+      temperature: Math.max(scale(openStomata.rubisco), thermal)
+    };
+
+  const factors = {
+    light: scale(assimilation.rubp),
+    co2: rubiscoFactors.co2,
+    temperature: Math.min(scale(assimilation.tpu), rubiscoFactors.temperature),
+    stomata: rubiscoFactors.stomata,
+    nitrogen: options.nitrogenCapacity ?? 1,
+    photoinhibition: options.photoinhibition ?? 1
+  };
+
+  // A nitrogen-poor or photoinhibited leaf cannot fix more than its capacity allows
+  const capacity = Math.min(factors.nitrogen, factors.photoinhibition) * reference.gross;
+  const capped = assimilation.gross > capacity ? capacity / assimilation.gross : 1;
+  const fixed = assimilation.gross * capped;
+
+  return {
+    rate: Math.min(...Object.values(factors)),
+    factors,
+    assimilation,
+    gasExchange: {
+      gross: assimilation.carboxylation * capped,
+      photorespiration: assimilation.photorespiration * capped,
+      respiration: assimilation.respiration,
+      net: fixed - assimilation.respiration
+    }
+  };
+}
+
+/**
+ * Get default FvCB leaf parameters for display/editing
+ * @returns {Object} Default parameters at 25°C
+ */
+export function getDefaultFvcbParameters() {
+  return { ...DEFAULT_PARAMETERS };
+}
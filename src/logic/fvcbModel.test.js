@@ -0,0 +1,149 @@
+import { calculateAssimilation, calculateFvcbRate, getDefaultFvcbParameters } from './fvcbModel';
+import { calculatePhotosynthesisRate } from './photosynthesisModel';
+import { identifyLimitingFactor } from './limitingFactor';
+
+// Saturating conditions at which the default leaf has a rate of exactly 1
+const REFERENCE = [2000, 1000, 25];
+const ORDER = ['rubisco', 'rubp', 'tpu'];
+
+const limitingAt = (light, co2, temperature, options = {}) => (
+  identifyLimitingFactor(calculatePhotosynthesisRate(light, co2, temperature, { model: 'fvcb', ...options }).factors).limitingFactor
+);
+
+describe('Rubisco limitation by temperature', () => {
+  test.each([35, 40, 45, 50])('a CO₂-enriched leaf at %i°C is limited by heat, not CO₂', (temperature) => {
+    const { factors, rate } = calculateFvcbRate(1500, 800, temperature);
+
+    expect(limitingAt(1500, 800, temperature)).toBe('temperature');
+    expect(factors.temperature).toBeCloseTo(rate, 12);
+    expect(factors.co2).toBeGreaterThan(rate);
+  });
+
+  test('a CO₂-starved leaf near its optimum is still limited by CO₂', () => {
+    expect(limitingAt(1500, 200, 25)).toBe('co2');
+    expect(limitingAt(1500, 200, 20)).toBe('co2');
+  });
+
+  test('the optimum follows the pathway, so a warm C4 leaf is not heat-limited', () => {
+    const { factors } = calculatePhotosynthesisRate(1500, 400, 32, { model: 'fvcb', pathway: 'C4' });
+    expect(factors.temperature).toBe(1);
+  });
+
+  test('splitting Rubisco between CO₂ and temperature leaves the rate unchanged', () => {
+    [[1500, 800, 45], [1500, 200, 25], [1500, 400, 10], [300, 400, 25]].forEach(([light, co2, temperature]) => {
+      const { factors, rate, assimilation } = calculateFvcbRate(light, co2, temperature);
+      expect(Math.min(...Object.values(factors))).toBe(rate);
+      expect(rate).toBeCloseTo(Math.min(1, assimilation.gross / calculateFvcbRate(2000, 1000, 25).assimilation.gross), 12);
+    });
+  });
+});
+
+describe('FvCB limits', () => {
+  test('gross assimilation is the smallest of the three limits', () => {
+    [[200, 400, 25], [2000, 100, 25], [2000, 2000, 15]].forEach(([light, co2, temperature]) => {
+      const { rubisco, rubp, tpu, gross, limitation } = calculateAssimilation(light, co2, temperature);
+      expect(gross).toBe(Math.min(rubisco, rubp, tpu));
+      expect({ rubisco, rubp, tpu }[limitation]).toBe(gross);
+    });
+  });
+
+  test('raising light moves the limit from RuBP regeneration to Rubisco', () => {
+    const sweep = [50, 200, 500, 1000, 2000].map((light) => calculateAssimilation(light, 400, 25).limitation);
+    expect(sweep[0]).toBe('rubp');
+    expect(sweep[sweep.length - 1]).toBe('rubisco');
+  });
+
+  test('raising CO₂ moves the limit from Rubisco through RuBP to TPU', () => {
+    const sweep = [50, 100, 200, 400, 800, 1000, 1500, 2000].map((co2) => calculateAssimilation(2000, co2, 15).limitation);
+
+    expect(sweep[0]).toBe('rubisco');
+    expect(sweep).toContain('rubp');
+    expect(sweep[sweep.length - 1]).toBe('tpu');
+    sweep.slice(1).forEach((limitation, i) => {
+      expect(ORDER.indexOf(limitation)).toBeGreaterThanOrEqual(ORDER.indexOf(sweep[i]));
+    });
+  });
+
+  test('below Γ* the leaf releases CO₂ and net uptake is gross minus Rd', () => {
+    const assimilation = calculateAssimilation(1000, 40, 25);
+    expect(assimilation.ci).toBeLessThan(assimilation.gammaStar);
+    expect(assimilation.gross).toBeLessThan(0);
+    expect(assimilation.net).toBeCloseTo(assimilation.gross - assimilation.respiration, 12);
+  });
+
+  test('photorespiration is carboxylation × Γ* / Ci', () => {
+    const { carboxylation, photorespiration, gammaStar, ci, gross } = calculateAssimilation(800, 400, 25);
+    expect(photorespiration).toBeCloseTo(carboxylation * gammaStar / ci, 12);
+    expect(gross).toBeCloseTo(carboxylation - photorespiration, 12);
+  });
+});
+
+describe('FvCB temperature response', () => {
+  const TEMPERATURES = Array.from({ length: 51 }, (_, i) => i);
+
+  test('Rubisco capacity peaks once, around 30°C, and collapses in the heat', () => {
+    const rates = TEMPERATURES.map((temperature) => calculateAssimilation(2000, 2000, temperature).rubisco);
+    const peak = rates.indexOf(Math.max(...rates));
+
+    expect(peak).toBeGreaterThanOrEqual(27);
+    expect(peak).toBeLessThanOrEqual(35);
+    rates.slice(1, peak + 1).forEach((rate, i) => expect(rate).toBeGreaterThan(rates[i]));
+    rates.slice(peak + 1).forEach((rate, i) => expect(rate).toBeLessThan(rates[peak + i]));
+    expect(rates[50]).toBeLessThan(rates[25] / 2);
+  });
+
+  test('Γ* and Rd follow plain Arrhenius curves from their 25°C values', () => {
+    const parameters = getDefaultFvcbParameters();
+    const atReference = calculateAssimilation(0, 400, 25);
+
+    expect(atReference.gammaStar).toBeCloseTo(parameters.gammaStar25, 10);
+    expect(atReference.respiration).toBeCloseTo(parameters.rd25, 10);
+    TEMPERATURES.slice(1).forEach((temperature) => {
+      expect(calculateAssimilation(0, 400, temperature).respiration)
+        .toBeGreaterThan(calculateAssimilation(0, 400, temperature - 1).respiration);
+    });
+  });
+});
+
+describe('FvCB rate scaling', () => {
+  test('the default leaf has a rate of 1 at the reference conditions', () => {
+    expect(calculateFvcbRate(...REFERENCE).rate).toBeCloseTo(1, 12);
+    expect(calculateFvcbRate(1000, 400, 25).rate).toBeLessThan(1);
+  });
+
+  test('a leaf with more Jmax than the default saturates at 1', () => {
+    expect(calculateFvcbRate(...REFERENCE, { fvcb: { jmax25: 200, vcmax25: 120, tpu25: 16 } }).rate).toBe(1);
+  });
+
+  test('the rate is gross assimilation relative to the reference', () => {
+    const reference = calculateAssimilation(...REFERENCE).gross;
+    const { rate, assimilation } = calculateFvcbRate(600, 300, 22);
+    expect(rate).toBeCloseTo(assimilation.gross / reference, 12);
+  });
+});
+
+describe('FvCB capacity cap', () => {
+  test('nitrogen caps the rate and scales the gas exchange with it', () => {
+    const full = calculateFvcbRate(...REFERENCE);
+    const deficient = calculateFvcbRate(...REFERENCE, { nitrogenCapacity: 0.5 });
+
+    expect(deficient.rate).toBeCloseTo(0.5, 12);
+    expect(deficient.gasExchange.gross).toBeCloseTo(full.gasExchange.gross / 2, 10);
+    expect(deficient.gasExchange.photorespiration).toBeCloseTo(full.gasExchange.photorespiration / 2, 10);
+    expect(deficient.gasExchange.respiration).toBe(full.gasExchange.respiration);
+    expect(deficient.gasExchange.net).toBeCloseTo(full.assimilation.gross / 2 - full.gasExchange.respiration, 10);
+  });
+
+  test('photoinhibition caps the same way, and the tighter cap wins', () => {
+    const result = calculateFvcbRate(...REFERENCE, { nitrogenCapacity: 0.8, photoinhibition: 0.3 });
+    expect(result.rate).toBeCloseTo(0.3, 12);
+    expect(result.gasExchange.net).toBeCloseTo(0.3 * result.assimilation.gross - result.gasExchange.respiration, 10);
+  });
+
+  test('a cap above the current rate changes nothing', () => {
+    const free = calculateFvcbRate(300, 400, 25);
+    const capped = calculateFvcbRate(300, 400, 25, { nitrogenCapacity: 0.9 });
+    expect(capped.rate).toBe(free.rate);
+    expect(capped.gasExchange).toEqual(free.gasExchange);
+  });
+});
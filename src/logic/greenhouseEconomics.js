@@ -0,0 +1,253 @@
+/**
+ * greenhouseEconomics.js
+ * Running costs, crop value and profit of greenhouse setpoints
+ *
+ * All quantities are per m² of growing area over a growing period simulated
+ * with simulateGrowth (biomass in g/m²).
+ *
+ * Scientific Basis (and the greenhouse rules of thumb behind it):
+ * - Lighting: lamps convert electricity to photons at their efficacy
+ *   (μmol/J; ≈ 1.7 for HPS, 2.5-3 for modern LEDs). Only the light above
+ *   the daylight already available has to come from the lamps, and only
+ *   during the photoperiod.
+ * - CO₂ enrichment: ventilation replaces the greenhouse air with outside air
+ *   several times an hour, so holding CO₂ above ambient costs the excess
+ *   times the ventilated air volume (1.8 kg of CO₂ per m³ of pure gas).
+ *   Crop uptake is small next to ventilation losses and is ignored.
+ * - Climate: heating or cooling energy scales with the difference between
+ *   setpoint and outside temperature, expressed as a cost per degree-hour.
+ * - Revenue is the biomass gained times the crop's value per gram.
+ */
+
+import { simulateGrowth, DAYLIGHT_HOURS } from './timeLapseSimulation.js';
+import { INPUT_RANGES } from './units.js';
+
+// Density of CO₂ gas at greenhouse conditions (kg/m³)
+const CO2_DENSITY = 1.8;
+
+// Joules per kWh
+const JOULES_PER_KWH = 3.6e6;
+
+/**
+ * Default prices and greenhouse properties
+ */
+export const DEFAULT_COST_SETTINGS = {
+  electricityPrice: 0.15,     // $/kWh
+  lampEfficacy: 2.5,          // μmol/J
+  daylight: 0,                // μmol/m²/s supplied by the sun during the photoperiod
+  co2Price: 0.5,              // $/kg
+  ambientCO2: 400,            // ppm outside
+  airVolume: 4,               // m³ of air per m² of floor
+  airExchanges: 1,            // air changes per hour
+  heatingCost: 0.0004,        // $ per °C·h per m² when heating above the outside temperature
+  coolingCost: 0.0006,        // $ per °C·h per m² when cooling below it
+  outsideTemperature: 15,     // °C
+  cropValue: 0.2,             // $ per g of biomass
+  days: 30                    // growing period
+};
+
+/**
+ * What the optimizer maximises
+ */
+export const ECONOMIC_OBJECTIVES = {
+  profit: {
+    id: "profit",
+    name: "Maximise profit",
+    description: "Crop value of the biomass gained minus lighting, CO₂ and climate costs"
+  },
+  efficiency: {
+    id: "efficiency",
+    name: "Biomass per dollar",
+    description: "Grams of biomass gained per dollar of running costs"
+  }
+};
+
+// Coarse grid (in slider steps) and number of refinement passes
+const GRID_STEPS = { light: 20, co2: 10, temperature: 2 };
+const REFINE_PASSES = 4;
+
+// Starting biomass of the growing period (g/m²), as in the time-lapse
+const INITIAL_BIOMASS = 100;
+
+// Cost ($/m²) added to the running costs when scoring biomass per dollar, so a
+// setpoint that costs nothing (daylight only, ambient CO₂, outside temperature)
+// gets a finite score instead of dividing by zero
+const COST_FLOOR = 0.01;
+
+/**
+ * Running costs of holding a setpoint for a growing period
+ *
+ * @param {Object} conditions - { light, co2, temperature }
+ * @param {Object} settings - Cost settings (see DEFAULT_COST_SETTINGS)
+ * @param {number} period - Length of the growing period in days (default: settings.days)
+ * @returns {Object} { lampEnergy: kWh, co2Used: kg, degreeHours: °C·h,
+ *   costs: { lighting, co2, climate, total } in $ }
+ */
+export function calculateGrowingCosts(conditions, settings = DEFAULT_COST_SETTINGS, period) {
+  const s = { ...DEFAULT_COST_SETTINGS, ...settings };
+  const days = period ?? s.days;
+
+  const lampFlux = Math.max(0, conditions.light - s.daylight);
+  const lampEnergy = (lampFlux / s.lampEfficacy) * DAYLIGHT_HOURS * 3600 * days / JOULES_PER_KWH;
+
+  const excessCO2 = Math.max(0, conditions.co2 - s.ambientCO2) * 1e-6;
+  const co2Used = excessCO2 * s.airVolume * s.airExchanges * 24 * days * CO2_DENSITY;
+
+  const difference = conditions.temperature - s.outsideTemperature;
+  const degreeHours = Math.abs(difference) * 24 * days;
+  const climateRate = difference >= 0 ? s.heatingCost : s.coolingCost;
+
+  const costs = {
+    lighting: lampEnergy * s.electricityPrice,
+    co2: co2Used * s.co2Price,
+    climate: degreeHours * climateRate
+  };
+  costs.total = costs.lighting + costs.co2 + costs.climate;
+
+  return { lampEnergy, co2Used, degreeHours, costs };
+}
+
+/**
+ * Grow a crop at a setpoint and weigh the biomass against its costs
+ *
+ * @param {Object} conditions - { light, co2, temperature, humidity?, nitrogen?, lightSource? }
+ * @param {Object} settings - Cost settings
+ * @param {Object} options - Model options forwarded to simulateGrowth
+ * @returns {Object} { conditions, biomass, gain, revenue, costs, profit, biomassPerDollar,
+ *   lampEnergy, co2Used, degreeHours }; biomassPerDollar is gain / (costs + 1 cent) and always finite
+ */
+export function evaluateGreenhouseSetpoint(conditions, settings = DEFAULT_COST_SETTINGS, options = {}) {
+  const s = { ...DEFAULT_COST_SETTINGS, ...settings };
+  const growth = simulateGrowth(conditions, s.days, INITIAL_BIOMASS, options);
+  const biomass = growth[growth.length - 1].biomass;
+  const gain = biomass - INITIAL_BIOMASS;
+  const running = calculateGrowingCosts(conditions, s);
+  const revenue = gain * s.cropValue;
+
+  return {
+    conditions,
+    biomass,
+    gain,
+    revenue,
+    ...running,
+    profit: revenue - running.costs.total,
+    biomassPerDollar: gain / (running.costs.total + COST_FLOOR)
+  };
+}
+
+/**
+ * Score of an evaluated setpoint for an objective (higher is better)
+ */
+function objectiveScore(evaluation, objective) {
+  return objective === "efficiency" ? evaluation.biomassPerDollar : evaluation.profit;
+}
+
+/**
+ * Whether a setpoint competes for an objective
+ * Biomass per dollar ranks what the money buys, so setpoints that spend
+ * nothing are left out of it.
+ */
+function isRanked(evaluation, objective) {
+  return objective !== "efficiency" || evaluation.costs.total > 0;
+}
+
+/**
+ * Values of one input on the coarse grid
+ * CO₂ is never held below the outside air, which would need scrubbing.
+ */
+function gridValues(input, settings) {
+  const { min, max, step } = INPUT_RANGES[input];
+  const low = input === "co2" ? Math.ceil(settings.ambientCO2 / step) * step : min;
+  const spacing = GRID_STEPS[input] * step;
+  const values = [];
+  for (let value = low; value <= max; value += spacing) values.push(value);
+  return values;
+}
+
+/**
+ * Cost / biomass trade-off: the setpoints no other setpoint beats on both
+ * (cheaper and at least as much biomass)
+ *
+ * @param {Array} evaluations - Evaluated setpoints
+ * @returns {Array} Frontier sorted by cost
+ */
+function tradeOffFrontier(evaluations) {
+  const sorted = [...evaluations].sort((a, b) => a.costs.total - b.costs.total || b.gain - a.gain);
+  const frontier = [];
+  sorted.forEach((evaluation) => {
+    const last = frontier[frontier.length - 1];
+    if (!last || evaluation.gain > last.gain) frontier.push(evaluation);
+  });
+  return frontier;
+}
+
+/**
+ * Find the light, CO₂ and temperature setpoint with the best economics
+ * A coarse grid over the three inputs is followed by coordinate refinement
+ * in ever smaller slider steps around the best grid point. Humidity, nitrogen
+ * and the light source stay as given. Biomass per dollar only ranks
+ * setpoints with running costs.
+ *
+ * @param {Object} conditions - Current { light, co2, temperature, humidity?, nitrogen?, lightSource? }
+ * @param {Object} settings - Cost settings (prices, greenhouse, days)
+ * @param {Object} options - Model options (model, theta, fvcb, pathway, species)
+ * @param {string} objective - "profit" or "efficiency"
+ * @returns {Object} { objective, current, best, frontier } with evaluated setpoints
+ */
+export function optimizeGreenhouse(conditions, settings = DEFAULT_COST_SETTINGS, options = {}, objective = "profit") {
+  const s = { ...DEFAULT_COST_SETTINGS, ...settings };
+  const goal = ECONOMIC_OBJECTIVES[objective] ? objective : "profit";
+  const evaluate = (setpoint) => evaluateGreenhouseSetpoint({ ...conditions, ...setpoint }, s, options);
+
+  const evaluations = [];
+  gridValues("light", s).forEach((light) => {
+    gridValues("co2", s).forEach((co2) => {
+      gridValues("temperature", s).forEach((temperature) => {
+        evaluations.push(evaluate({ light, co2, temperature }));
+      });
+    });
+  });
+
+  const ranked = evaluations.filter((evaluation) => isRanked(evaluation, goal));
+  let best = (ranked.length > 0 ? ranked : evaluations).reduce((top, evaluation) => (
+    objectiveScore(evaluation, goal) > objectiveScore(top, goal) ? evaluation : top
+  ));
+
+  // Coordinate refinement: try one step either way on each input, halving the step each pass
+  for (let pass = 0; pass < REFINE_PASSES; pass++) {
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (const input of ["light", "co2", "temperature"]) {
+        const { min, max, step } = INPUT_RANGES[input];
+        const low = input === "co2" ? Math.max(min, s.ambientCO2) : min;
+        const stride = Math.max(1, Math.round(GRID_STEPS[input] / 2 ** (pass + 1))) * step;
+        for (const sign of [-1, 1]) {
+          const value = best.conditions[input] + sign * stride;
+          if (value < low || value > max) continue;
+          const candidate = evaluate({ ...best.conditions, [input]: value });
+          evaluations.push(candidate);
+          if (isRanked(candidate, goal) && objectiveScore(candidate, goal) > objectiveScore(best, goal)) {
+            best = candidate;
+            improved = true;
+          }
+        }
+      }
+    }
+  }
+
+  return {
+    objective: goal,
+    current: evaluateGreenhouseSetpoint(conditions, s, options),
+    best,
+    frontier: tradeOffFrontier(evaluations)
+  };
+}
+
+/**
+ * List the economic objectives for display
+ * @returns {Array} [{ id, name, description }]
+ */
+export function getAvailableEconomicObjectives() {
+  return Object.values(ECONOMIC_OBJECTIVES).map(({ id, name, description }) => ({ id, name, description }));
+}
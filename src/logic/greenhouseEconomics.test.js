@@ -0,0 +1,40 @@
+import {
+  calculateGrowingCosts,
+  evaluateGreenhouseSetpoint,
+  optimizeGreenhouse,
+  DEFAULT_COST_SETTINGS
+} from './greenhouseEconomics';
+
+// With daylight in the greenhouse, holding light at daylight, CO₂ at ambient
+// and the temperature at the outside temperature costs nothing.
+
+const SETTINGS = { ...DEFAULT_COST_SETTINGS, daylight: 400 };
+const FREE_SETPOINT = { light: 400, co2: 400, temperature: 15 };
+
+describe('greenhouse economics', () => {
+  test('lamps only pay for the light above daylight', () => {
+    expect(calculateGrowingCosts(FREE_SETPOINT, SETTINGS).costs.total).toBe(0);
+    expect(calculateGrowingCosts({ ...FREE_SETPOINT, light: 900 }, SETTINGS).costs.lighting)
+      .toBeCloseTo(calculateGrowingCosts({ ...FREE_SETPOINT, light: 500 }, DEFAULT_COST_SETTINGS).costs.lighting, 10);
+  });
+
+  test('a setpoint with no running costs has a finite biomass per dollar', () => {
+    const evaluation = evaluateGreenhouseSetpoint(FREE_SETPOINT, SETTINGS);
+    expect(evaluation.costs.total).toBe(0);
+    expect(evaluation.gain).toBeGreaterThan(0);
+    expect(Number.isFinite(evaluation.biomassPerDollar)).toBe(true);
+  });
+
+  test('the efficiency optimum spends money and beats the other setpoints it tried', () => {
+    const result = optimizeGreenhouse({ light: 800, co2: 400, temperature: 25 }, SETTINGS, {}, 'efficiency');
+
+    expect(result.best.costs.total).toBeGreaterThan(0);
+    expect(Number.isFinite(result.best.biomassPerDollar)).toBe(true);
+    expect(result.best.conditions).not.toEqual(FREE_SETPOINT);
+    result.frontier
+      .filter((evaluation) => evaluation.costs.total > 0)
+      .forEach((evaluation) => {
+        expect(evaluation.biomassPerDollar).toBeLessThanOrEqual(result.best.biomassPerDollar);
+      });
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * interventionSchedule.js
+ * Scheduled changes to the growing conditions during a time-lapse
+ *
+ * A schedule is a list of interventions such as "day 10: raise CO₂ to
+ * 800 ppm", "days 20-25: heatwave +8 °C" or "day 30: end lamp extension".
+ * Each one acts from its start day to its end day (or to the end of the run
+ * when it has none). The schedule becomes a day-by-day condition generator
+ * for simulateVariableConditions, or for simulateDiurnalGrowth when the run
+ * follows the day/night cycle.
+ *
+ * Scientific Basis:
+ * - A day's conditions are the base conditions with every intervention that
+ *   is active that day applied in schedule order: a setpoint replaces the
+ *   value, a shift adds to it (a heatwave raises the usual temperature)
+ * - Lamps at night lengthen the photoperiod. The plant assimilates for the
+ *   hours the light is on and only respires for the rest of the day, so
+ *   supplementary light adds carbon. Ending the extension returns to the
+ *   natural day length; it has no effect without lamps on before it.
+ * - Scheduled values are kept inside the slider ranges
+ */
+
+import { simulateGrowth, simulateVariableConditions, simulateDiurnalGrowth, DAYLIGHT_HOURS } from './timeLapseSimulation.js';
+import { INPUT_RANGES } from './units.js';
+
+// Hours of light a day can have
+const PHOTOPERIOD_RANGE = { min: 0, max: 24 };
+
+/**
+ * Kinds of intervention
+ * mode "set" replaces the input with value, "shift" adds value to it and
+ * "clear" removes an earlier setting of it. fixed types take no value.
+ */
+export const INTERVENTION_TYPES = {
+  setCo2: { id: "setCo2", name: "Set CO₂", input: "co2", mode: "set", unit: "ppm", defaultValue: 800 },
+  setLight: { id: "setLight", name: "Set light", input: "light", mode: "set", unit: "μmol/m²/s", defaultValue: 1200 },
+  setTemperature: { id: "setTemperature", name: "Set temperature", input: "temperature", mode: "set", unit: "°C", defaultValue: 30 },
+  heatwave: { id: "heatwave", name: "Heatwave / cold snap", input: "temperature", mode: "shift", unit: "°C", defaultValue: 8 },
+  lampsOn: { id: "lampsOn", name: "Lamps on at night", input: "photoperiod", mode: "set", unit: "h of light", defaultValue: 18 },
+  lampsOff: { id: "lampsOff", name: "End lamp extension", input: "photoperiod", mode: "clear", unit: "h of light", defaultValue: DAYLIGHT_HOURS, fixed: true }
+};
+
+/**
+ * Allowed range of an input
+ */
+function rangeOf(input) {
+  return input === "photoperiod" ? PHOTOPERIOD_RANGE : INPUT_RANGES[input];
+}
+
+/**
+ * New intervention with the type's default value
+ *
+ * @param {string} type - Key of INTERVENTION_TYPES
+ * @param {number} startDay - First day it acts on
+ * @param {Array} schedule - Existing schedule (for a unique id)
+ * @returns {Object} { id, type, startDay, endDay: null, value }
+ */
+export function createIntervention(type, startDay = 1, schedule = []) {
+  const definition = INTERVENTION_TYPES[type] || INTERVENTION_TYPES.setCo2;
+  const id = schedule.reduce((max, intervention) => Math.max(max, intervention.id), 0) + 1;
+  return { id, type: definition.id, startDay: Math.max(1, Math.round(startDay)), endDay: null, value: definition.defaultValue };
+}
+
+/**
+ * Drop malformed entries and fill in missing fields, e.g. for a schedule
+ * restored from storage
+ *
+ * @param {Array} schedule - Interventions
+ * @returns {Array} Valid interventions with unique ids, startDay ≥ 1 and endDay ≥ startDay (or null)
+ */
+export function sanitizeSchedule(schedule) {
+  if (!Array.isArray(schedule)) return [];
+  const seen = new Set();
+
+  return schedule
+    .filter((intervention) => intervention && INTERVENTION_TYPES[intervention.type] && Number.isFinite(intervention.startDay))
+    .map((intervention) => {
+      const definition = INTERVENTION_TYPES[intervention.type];
+      const startDay = Math.max(1, Math.round(intervention.startDay));
+      const endDay = Number.isFinite(intervention.endDay) ? Math.max(startDay, Math.round(intervention.endDay)) : null;
+      const value = definition.fixed || !Number.isFinite(intervention.value) ? definition.defaultValue : intervention.value;
+      const id = Number.isFinite(intervention.id) && !seen.has(intervention.id)
+        ? intervention.id
+        : Math.max(0, ...seen) + 1;
+      seen.add(id);
+      return { id, type: definition.id, startDay, endDay, value };
+    });
+}
+
+/**
+ * Whether an intervention acts on a day
+ *
+ * @param {Object} intervention - { startDay, endDay }
+ * @param {number} day - Simulation day (1-based)
+ * @returns {boolean}
+ */
+export function isInterventionActive(intervention, day) {
+  return day >= intervention.startDay && (intervention.endDay == null || day <= intervention.endDay);
+}
+
+/**
+ * Whether an intervention changes anything when it starts
+ * Ending the lamp extension only matters while lamps switched on by an
+ * earlier intervention in the schedule are still on.
+ *
+ * @param {Object} intervention - One intervention of the schedule
+ * @param {Array} schedule - Interventions
+ * @returns {boolean}
+ */
+export function isInterventionEffective(intervention, schedule) {
+  const definition = INTERVENTION_TYPES[intervention.type];
+  if (!definition || definition.mode !== "clear") return Boolean(definition);
+  const earlier = schedule.slice(0, schedule.indexOf(intervention));
+  return earlier.some((other) => {
+    const otherDefinition = INTERVENTION_TYPES[other.type];
+    return otherDefinition && otherDefinition.input === definition.input && otherDefinition.mode !== "clear" &&
+      isInterventionActive(other, intervention.startDay);
+  });
+}
+
+/**
+ * Conditions on one day of a scheduled run
+ *
+ * @param {Object} conditions - Base { light, co2, temperature, ... }
+ * @param {Array} schedule - Interventions
+ * @param {number} day - Simulation day (1-based)
+ * @returns {Object} Conditions with the active interventions applied; photoperiod only when one sets it
+ */
+export function applyInterventions(conditions, schedule, day) {
+  return schedule.reduce((current, intervention) => {
+    const definition = INTERVENTION_TYPES[intervention.type];
+    if (!definition || !isInterventionActive(intervention, day)) return current;
+
+    const { input, mode } = definition;
+    if (mode === "clear") {
+      const { [input]: cleared, ...rest } = current;
+      return rest;
+    }
+    const value = definition.fixed ? definition.defaultValue : intervention.value;
+    const base = current[input] ?? (input === "photoperiod" ? DAYLIGHT_HOURS : 0);
+    const { min, max } = rangeOf(input);
+    return { ...current, [input]: Math.min(max, Math.max(min, mode === "shift" ? base + value : value)) };
+  }, { ...conditions });
+}
+
+/**
+ * Day-by-day conditions for simulateVariableConditions or simulateDiurnalGrowth
+ *
+ * @param {Object|Function} conditions - Base conditions, or a function of the day returning them
+ * @param {Array} schedule - Interventions
+ * @returns {Function} day → conditions
+ */
+export function createScheduledConditions(conditions, schedule) {
+  const conditionsFor = typeof conditions === "function" ? conditions : () => conditions;
+  return (day) => applyInterventions(conditionsFor(day), schedule, day);
+}
+
+/**
+ * Grow a plant through a schedule of interventions
+ * With diurnal settings the days run hour by hour through the day/night
+ * cycle; a scheduled photoperiod then sets that day's day length.
+ *
+ * @param {Object|Function} conditions - Base conditions, or a function of the day returning them
+ * @param {Array} schedule - Interventions
+ * @param {number} days - Number of days to simulate
+ * @param {number} initialBiomass - Starting biomass
+ * @param {Object} options - Model options forwarded to the model
+ * @param {Object|null} diurnal - Day/night cycle settings for simulateDiurnalGrowth, or null for whole days
+ * @returns {Array} Daily results from simulateVariableConditions (or simulateDiurnalGrowth), each with
+ *   conditions: the day's conditions, and interventions: ids of the interventions active that day
+ */
+export function simulateSchedule(conditions, schedule, days, initialBiomass = 100, options = {}, diurnal = null) {
+  const valid = sanitizeSchedule(schedule);
+  const conditionsFor = createScheduledConditions(conditions, valid);
+  const results = diurnal
+    ? simulateDiurnalGrowth(conditionsFor, days, initialBiomass, options, diurnal)
+    : simulateVariableConditions(conditionsFor, days, initialBiomass, options);
+
+  return results.map((entry) => ({
+    ...entry,
+    conditions: entry.conditions ?? conditionsFor(entry.day),
+    interventions: valid.filter((intervention) => isInterventionActive(intervention, entry.day)).map(({ id }) => id)
+  }));
+}
+
+/**
+ * Grow a plant with the engine the time-lapse picks for its settings:
+ * the schedule when it has interventions, else the day/night cycle when
+ * it is on, else constant conditions
+ *
+ * @param {Object} conditions - Base { light, co2, temperature, ... }
+ * @param {number} days - Number of days to simulate
+ * @param {number} initialBiomass - Starting biomass
+ * @param {Object} options - Model options forwarded to the model
+ * @param {Object} settings - { diurnal?: day/night settings or null, schedule?: interventions }
+ * @returns {Array} Daily results from simulateSchedule, simulateDiurnalGrowth or simulateGrowth
+ */
+export function simulateTimeLapse(conditions, days, initialBiomass = 100, options = {}, settings = {}) {
+  const { diurnal = null, schedule = [] } = settings;
+  if (schedule && schedule.length > 0) return simulateSchedule(conditions, schedule, days, initialBiomass, options, diurnal);
+  if (diurnal) return simulateDiurnalGrowth(conditions, days, initialBiomass, options, diurnal);
+  return simulateGrowth(conditions, days, initialBiomass, options);
+}
+
+/**
+ * One-line description of an intervention
+ *
+ * @param {Object} intervention - { type, startDay, endDay, value }
+ * @returns {string} e.g. "Day 10+: Set CO₂ to 800 ppm", "Days 20–25: Heatwave +8 °C"
+ */
+export function describeIntervention(intervention) {
+  const definition = INTERVENTION_TYPES[intervention.type];
+  if (!definition) return "Unknown intervention";
+  const { startDay, endDay } = intervention;
+
+  const when = endDay == null
+    ? `Day ${startDay}+`
+    : endDay === startDay ? `Day ${startDay}` : `Days ${startDay}–${endDay}`;
+
+  let action;
+  if (definition.fixed) {
+    action = definition.name;
+  } else if (definition.id === "heatwave") {
+    action = `${intervention.value >= 0 ? "Heatwave +" : "Cold snap −"}${Math.abs(intervention.value)} ${definition.unit}`;
+  } else if (definition.input === "photoperiod") {
+    action = `${definition.name} (${intervention.value} ${definition.unit})`;
+  } else {
+    action = `${definition.name} to ${intervention.value} ${definition.unit}`;
+  }
+  return `${when}: ${action}`;
+}
+
+/**
+ * List the intervention types for display
+ * @returns {Array} [{ id, name, unit, mode, fixed, defaultValue, min, max }]
+ *   min and max bound the value (a shift may be negative)
+ */
+export function getAvailableInterventions() {
+  return Object.values(INTERVENTION_TYPES).map(({ id, name, input, unit, mode, fixed, defaultValue }) => {
+    const { min, max } = rangeOf(input);
+    return {
+      id,
+      name,
+      unit,
+      mode,
+      fixed: Boolean(fixed),
+      defaultValue,
+      min: mode === "shift" ? min - max : min,
+      max: mode === "shift" ? max - min : max
+    };
+  });
+}
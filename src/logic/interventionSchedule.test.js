@@ -0,0 +1,53 @@
+import {
+  applyInterventions,
+  createIntervention,
+  isInterventionEffective,
+  simulateSchedule
+} from './interventionSchedule';
+import { simulateDiurnalGrowth } from './timeLapseSimulation';
+import { DEFAULT_DIURNAL_SETTINGS } from './diurnalCycle';
+
+const BASE = { light: 800, co2: 400, temperature: 25 };
+
+describe('scheduled interventions', () => {
+  test('ending the lamp extension returns to the natural day length', () => {
+    const schedule = [
+      { ...createIntervention('lampsOn', 5), id: 1, endDay: null },
+      { ...createIntervention('lampsOff', 10), id: 2 }
+    ];
+    expect(applyInterventions(BASE, schedule, 4).photoperiod).toBeUndefined();
+    expect(applyInterventions(BASE, schedule, 7).photoperiod).toBe(18);
+    expect(applyInterventions(BASE, schedule, 12).photoperiod).toBeUndefined();
+  });
+
+  test('ending the lamp extension without lamps on before it has no effect', () => {
+    const lampsOff = { ...createIntervention('lampsOff', 10), id: 1 };
+    const lampsOn = { ...createIntervention('lampsOn', 2), id: 2, endDay: 5 };
+
+    expect(isInterventionEffective(lampsOff, [lampsOff])).toBe(false);
+    expect(isInterventionEffective(lampsOff, [lampsOn, lampsOff])).toBe(false);
+    expect(isInterventionEffective(lampsOff, [{ ...lampsOn, endDay: null }, lampsOff])).toBe(true);
+    expect(isInterventionEffective(lampsOn, [lampsOn])).toBe(true);
+  });
+
+  test('a schedule runs through the day/night cycle when it is given', () => {
+    const schedule = [{ ...createIntervention('setCo2', 3), id: 1 }];
+    const results = simulateSchedule(BASE, schedule, 5, 100, {}, DEFAULT_DIURNAL_SETTINGS);
+    const byHand = simulateDiurnalGrowth((day) => (day >= 3 ? { ...BASE, co2: 800 } : BASE), 5, 100, {}, DEFAULT_DIURNAL_SETTINGS);
+
+    expect(results.map((day) => day.biomass)).toEqual(byHand.map((day) => day.biomass));
+    expect(results[0].hours).toHaveLength(byHand[0].hours.length);
+    expect(results[4].conditions.co2).toBe(800);
+    expect(results[4].interventions).toEqual([1]);
+  });
+
+  test('lamps lengthen the lit part of the day in the day/night cycle', () => {
+    const schedule = [{ ...createIntervention('lampsOn', 1), id: 1 }];
+    const lit = (day) => day.hours.filter((step) => step.light > 0).length;
+    const [plain] = simulateSchedule(BASE, [], 1, 100, {}, DEFAULT_DIURNAL_SETTINGS);
+    const [lamps] = simulateSchedule(BASE, schedule, 1, 100, {}, DEFAULT_DIURNAL_SETTINGS);
+
+    expect(lit(lamps)).toBeGreaterThan(lit(plain));
+    expect(lamps.dailyCarbon).toBeGreaterThan(plain.dailyCarbon);
+  });
+});
@@ -0,0 +1,351 @@
+/**
+ * inverseSolver.js
+ * Finds conditions that reach a target photosynthesis rate or biomass
+ *
+ * The forward model answers "what rate do these conditions give?"; the solver
+ * answers the grower's question "what do I have to change to get this rate
+ * (or this much biomass after N days)?".
+ *
+ * Scientific Basis: by Blackman's Law of Limiting Factors, raising a factor
+ * only helps until another one limits, so a target above the current plateau
+ * usually needs two or more inputs raised together. The search therefore
+ * tries single inputs, pairs of inputs and a greedy path that always moves
+ * the input with the best gain per unit of cost. Every candidate is then
+ * pulled back towards the current state as far as the target allows, so it
+ * is the smallest adjustment in its direction.
+ */
+
+import { calculatePhotosynthesisRate, resolveModelParameters } from './photosynthesisModel.js';
+import { identifyLimitingFactor } from './limitingFactor.js';
+import { simulateGrowth } from './timeLapseSimulation.js';
+import { INPUT_RANGES } from './units.js';
+
+// Inputs the solver may adjust (humidity and nitrogen only when given)
+export const ADJUSTABLE_INPUTS = ["light", "co2", "temperature", "humidity", "nitrogen"];
+
+// Cost of moving each input across its whole slider range
+export const DEFAULT_COST_WEIGHTS = {
+  light: 1,
+  co2: 1,
+  temperature: 1,
+  humidity: 1,
+  nitrogen: 1
+};
+
+/**
+ * Ways to rank the candidate setpoints
+ */
+export const SOLVER_OBJECTIVES = {
+  change: {
+    id: "change",
+    name: "Smallest change",
+    description: "Closest setpoint to the current conditions, each input measured as a fraction of its range"
+  },
+  cost: {
+    id: "cost",
+    name: "Cheapest",
+    description: "Lowest total cost, with each input's change weighted by its cost per full range"
+  }
+};
+
+// Candidates returned per search
+const MAX_CANDIDATES = 5;
+
+// Search resolution per target type: single-input scan steps, pair grid
+// steps per axis and bisection steps. A biomass probe runs a whole growth
+// simulation, so that search is coarser; snapping to the slider steps
+// limits the precision that is useful anyway.
+const SEARCH_RESOLUTION = {
+  rate: { scan: 40, pairs: 8, bisection: 20 },
+  biomass: { scan: 20, pairs: 5, bisection: 12 }
+};
+
+// Greedy step (fraction of range)
+const GREEDY_STEP = 0.05;
+
+/**
+ * Build the function that scores a set of conditions against the target
+ * Results are cached by the adjustable inputs: the searches, the pull-back
+ * and the final description often score the same point more than once.
+ *
+ * @param {Object} target - { type: "rate", value: 0-1 } or { type: "biomass", value: g, days, initialBiomass? }
+ * @param {Object} options - Model options
+ * @returns {Function} conditions → { value, limitingFactor, direction }
+ */
+function createMetric(target, options) {
+  let evaluate;
+  if (target.type === "biomass") {
+    evaluate = (conditions) => {
+      const days = simulateGrowth(conditions, target.days, target.initialBiomass ?? 100, options);
+      const last = days[days.length - 1];
+      return { value: last.biomass, limitingFactor: last.limitingFactor, direction: last.limitingDirection };
+    };
+  } else {
+    const { temperature: temperatureRange } = resolveModelParameters(options);
+    evaluate = (conditions) => {
+      const { light, co2, temperature, ...extra } = conditions;
+      const result = calculatePhotosynthesisRate(light, co2, temperature, { ...options, ...extra });
+      const limiting = identifyLimitingFactor(result.factors, { temperature, temperatureRange });
+      return { value: result.rate, limitingFactor: limiting.limitingFactor, direction: limiting.direction };
+    };
+  }
+
+  const cache = new Map();
+  return (conditions) => {
+    const key = ADJUSTABLE_INPUTS.map((input) => conditions[input]).join("|");
+    if (!cache.has(key)) cache.set(key, evaluate(conditions));
+    return cache.get(key);
+  };
+}
+
+/**
+ * Size of an adjustment: Euclidean distance ("change") and weighted cost
+ * Each input's change is measured as a fraction of its slider range.
+ *
+ * @param {Object} from - Current conditions
+ * @param {Object} to - Candidate conditions
+ * @param {Array<string>} inputs - Adjustable inputs
+ * @param {Object} weights - Cost per full range of each input
+ * @returns {Object} { change, cost }
+ */
+function measureAdjustment(from, to, inputs, weights) {
+  return inputs.reduce((size, input) => {
+    const { min, max } = INPUT_RANGES[input];
+    const fraction = Math.abs(to[input] - from[input]) / (max - min);
+    return {
+      change: Math.sqrt(size.change ** 2 + fraction ** 2),
+      cost: size.cost + (weights[input] ?? 1) * fraction
+    };
+  }, { change: 0, cost: 0 });
+}
+
+/**
+ * Point a fraction t of the way from one set of conditions to another
+ */
+function interpolate(from, to, inputs, t) {
+  return inputs.reduce(
+    (point, input) => ({ ...point, [input]: from[input] + (to[input] - from[input]) * t }),
+    { ...from }
+  );
+}
+
+/**
+ * Pull a candidate back towards the current conditions as far as the target allows
+ *
+ * @param {Object} current - Current conditions (missing the target)
+ * @param {Object} candidate - Conditions reaching the target
+ * @param {Array<string>} inputs - Adjustable inputs
+ * @param {Function} reaches - conditions → boolean
+ * @param {Object} resolution - Entry of SEARCH_RESOLUTION
+ * @returns {Object} Closest conditions on the segment that still reach the target
+ */
+function pullBack(current, candidate, inputs, reaches, resolution) {
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < resolution.bisection; i++) {
+    const middle = (low + high) / 2;
+    if (reaches(interpolate(current, candidate, inputs, middle))) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+  return interpolate(current, candidate, inputs, high);
+}
+
+/**
+ * Round each changed input to its slider step, away from the current value,
+ * so the setpoint can be applied to the sliders without falling short
+ */
+function snapToSteps(current, candidate, inputs) {
+  return inputs.reduce((point, input) => {
+    const { min, max, step } = INPUT_RANGES[input];
+    const delta = candidate[input] - current[input];
+    if (Math.abs(delta) < 1e-9) return point;
+    const steps = Math.ceil(Math.abs(delta) / step - 1e-9);
+    const value = current[input] + Math.sign(delta) * steps * step;
+    return { ...point, [input]: Math.min(max, Math.max(min, Math.round(value * 1e6) / 1e6)) };
+  }, { ...candidate });
+}
+
+/**
+ * Single-input candidates: move one input towards each end of its range
+ * and stop at the first value that reaches the target
+ */
+function searchSingleInputs(current, inputs, reaches, resolution) {
+  const candidates = [];
+  inputs.forEach((input) => {
+    const { min, max } = INPUT_RANGES[input];
+    [min, max].forEach((end) => {
+      for (let step = 1; step <= resolution.scan; step++) {
+        const point = { ...current, [input]: current[input] + (end - current[input]) * (step / resolution.scan) };
+        if (reaches(point)) {
+          candidates.push(point);
+          return;
+        }
+      }
+    });
+  });
+  return candidates;
+}
+
+/**
+ * Pair candidates: a coarse grid over each pair of inputs, keeping the
+ * reaching grid point closest to the current conditions
+ */
+function searchPairs(current, inputs, reaches, score, resolution) {
+  const candidates = [];
+  const gridValues = (input) => {
+    const { min, max } = INPUT_RANGES[input];
+    return Array.from({ length: resolution.pairs + 1 }, (_, i) => min + (max - min) * (i / resolution.pairs));
+  };
+
+  inputs.forEach((a, i) => {
+    inputs.slice(i + 1).forEach((b) => {
+      let best = null;
+      gridValues(a).forEach((valueA) => {
+        gridValues(b).forEach((valueB) => {
+          const point = { ...current, [a]: valueA, [b]: valueB };
+          if (reaches(point) && (!best || score(point) < score(best))) {
+            best = point;
+          }
+        });
+      });
+      if (best) candidates.push(best);
+    });
+  });
+  return candidates;
+}
+
+/**
+ * Best single greedy step: the move of one input by GREEDY_STEP of its range
+ * that gains the most per unit of cost
+ *
+ * @returns {Object|null} { point, value } or null when no step improves the value
+ */
+function bestGreedyMove(point, value, inputs, metric, weights) {
+  let bestMove = null;
+  inputs.forEach((input) => {
+    const { min, max } = INPUT_RANGES[input];
+    [-1, 1].forEach((sign) => {
+      const next = Math.min(max, Math.max(min, point[input] + sign * GREEDY_STEP * (max - min)));
+      if (next === point[input]) return;
+      const nextPoint = { ...point, [input]: next };
+      const nextValue = metric(nextPoint).value;
+      const efficiency = (nextValue - value) / ((weights[input] ?? 1) || 1e-6);
+      if (nextValue > value && (!bestMove || efficiency > bestMove.efficiency)) {
+        bestMove = { point: nextPoint, value: nextValue, efficiency };
+      }
+    });
+  });
+  return bestMove;
+}
+
+/**
+ * Greedy path: repeatedly move the input with the best gain per unit of cost
+ * Also remembers the best conditions found, for targets out of reach.
+ *
+ * @returns {Object} { candidate: reaching conditions or null, best: highest-scoring conditions }
+ */
+function searchGreedy(current, inputs, metric, targetValue, weights) {
+  let point = current;
+  let value = metric(point).value;
+  const maxMoves = Math.ceil(inputs.length / GREEDY_STEP);
+
+  for (let move = 0; move < maxMoves && value < targetValue; move++) {
+    const bestMove = bestGreedyMove(point, value, inputs, metric, weights);
+    if (!bestMove) break;
+    point = bestMove.point;
+    value = bestMove.value;
+  }
+
+  return { candidate: value >= targetValue ? point : null, best: point };
+}
+
+/**
+ * Describe a setpoint relative to the current conditions
+ */
+function describeCandidate(current, point, inputs, metric, weights) {
+  const evaluation = metric(point);
+  return {
+    conditions: point,
+    changes: inputs
+      .filter((input) => Math.abs(point[input] - current[input]) > 1e-9)
+      .map((input) => ({ input, from: current[input], to: point[input] })),
+    ...measureAdjustment(current, point, inputs, weights),
+    value: evaluation.value,
+    limitingFactor: evaluation.limitingFactor,
+    direction: evaluation.direction
+  };
+}
+
+/**
+ * Search for conditions that reach a target rate or biomass
+ *
+ * @param {Object} conditions - Current { light, co2, temperature, humidity?, nitrogen?, lightSource? }
+ * @param {Object} target - { type: "rate", value: 0-1 } or
+ *   { type: "biomass", value: g after `days`, days, initialBiomass?: g (default 100) }
+ * @param {Object} options - Model options (model, theta, fvcb, pathway, species)
+ * @param {Object} search - { objective?: "change" | "cost", weights?: cost per full range of each input }
+ * @returns {Object} { target, objective, current: { value, limitingFactor, direction }, reached,
+ *   candidates: [{ conditions, changes: [{ input, from, to }], change, cost, value, limitingFactor, direction }],
+ *   best }
+ *   reached is true when the current conditions already meet the target; best is the
+ *   highest value found when no candidate reaches it (otherwise null)
+ */
+export function solveForTarget(conditions, target, options = {}, search = {}) {
+  const objective = SOLVER_OBJECTIVES[search.objective] ? search.objective : "change";
+  const weights = { ...DEFAULT_COST_WEIGHTS, ...search.weights };
+  const inputs = ADJUSTABLE_INPUTS.filter((input) => conditions[input] !== undefined);
+  const metric = createMetric(target, options);
+  const resolution = SEARCH_RESOLUTION[target.type] || SEARCH_RESOLUTION.rate;
+  const reaches = (point) => metric(point).value >= target.value;
+  const score = (point) => measureAdjustment(conditions, point, inputs, weights)[objective];
+
+  const currentEvaluation = metric(conditions);
+  const result = {
+    target,
+    objective,
+    current: currentEvaluation,
+    reached: currentEvaluation.value >= target.value,
+    candidates: [],
+    best: null
+  };
+  if (result.reached) return result;
+
+  const greedy = searchGreedy(conditions, inputs, metric, target.value, objective === "cost" ? weights : DEFAULT_COST_WEIGHTS);
+  const raw = [
+    ...searchSingleInputs(conditions, inputs, reaches, resolution),
+    ...searchPairs(conditions, inputs, reaches, score, resolution),
+    ...(greedy.candidate ? [greedy.candidate] : [])
+  ];
+
+  // Tighten, snap to the sliders and drop duplicates
+  const seen = new Set();
+  raw.forEach((candidate) => {
+    let point = snapToSteps(conditions, pullBack(conditions, candidate, inputs, reaches, resolution), inputs);
+    if (!reaches(point)) point = snapToSteps(conditions, candidate, inputs);
+    if (!reaches(point)) return;
+
+    const key = inputs.map((input) => point[input]).join("|");
+    if (seen.has(key)) return;
+    seen.add(key);
+    result.candidates.push(describeCandidate(conditions, point, inputs, metric, weights));
+  });
+
+  result.candidates.sort((a, b) => a[objective] - b[objective] || b.value - a.value);
+  result.candidates = result.candidates.slice(0, MAX_CANDIDATES);
+
+  if (result.candidates.length === 0) {
+    result.best = describeCandidate(conditions, snapToSteps(conditions, greedy.best, inputs), inputs, metric, weights);
+  }
+  return result;
+}
+
+/**
+ * List the solver objectives for display
+ * @returns {Array} [{ id, name, description }]
+ */
+export function getAvailableSolverObjectives() {
+  return Object.values(SOLVER_OBJECTIVES).map(({ id, name, description }) => ({ id, name, description }));
+}
@@ -0,0 +1,59 @@
+import { solveForTarget } from './inverseSolver';
+import { calculatePhotosynthesisRate } from './photosynthesisModel';
+import { simulateGrowth } from './timeLapseSimulation';
+
+const CURRENT = { light: 300, co2: 400, temperature: 20, humidity: 60, nitrogen: 80 };
+
+const rateOf = ({ light, co2, temperature, ...extra }) => calculatePhotosynthesisRate(light, co2, temperature, extra).rate;
+
+describe('inverse solver', () => {
+  test('every rate candidate reaches the target', () => {
+    const target = { type: 'rate', value: 0.8 };
+    const result = solveForTarget(CURRENT, target);
+
+    expect(result.reached).toBe(false);
+    expect(result.best).toBeNull();
+    expect(result.candidates.length).toBeGreaterThan(0);
+    result.candidates.forEach((candidate) => {
+      expect(rateOf(candidate.conditions)).toBeGreaterThanOrEqual(target.value);
+      expect(candidate.value).toBeCloseTo(rateOf(candidate.conditions), 10);
+      expect(candidate.changes.length).toBeGreaterThan(0);
+    });
+  });
+
+  test('every biomass candidate grows to the target', () => {
+    const target = { type: 'biomass', value: 350, days: 30 };
+    const result = solveForTarget(CURRENT, target);
+
+    expect(result.candidates.length).toBeGreaterThan(0);
+    result.candidates.forEach((candidate) => {
+      const growth = simulateGrowth(candidate.conditions, target.days, 100);
+      expect(growth[growth.length - 1].biomass).toBeGreaterThanOrEqual(target.value);
+    });
+  });
+
+  test('candidates are sorted by the objective', () => {
+    const result = solveForTarget(CURRENT, { type: 'rate', value: 0.8 }, {}, { objective: 'cost' });
+    const costs = result.candidates.map((candidate) => candidate.cost);
+    expect(costs).toEqual([...costs].sort((a, b) => a - b));
+  });
+
+  test('a target already met needs no change', () => {
+    const result = solveForTarget(CURRENT, { type: 'rate', value: 0.01 });
+    expect(result.reached).toBe(true);
+    expect(result.candidates).toEqual([]);
+  });
+
+  test.each([
+    [{ type: 'rate', value: 2 }],
+    [{ type: 'biomass', value: 1e6, days: 30 }]
+  ])('an unreachable target %j returns the best conditions found', (target) => {
+    const result = solveForTarget(CURRENT, target);
+
+    expect(result.reached).toBe(false);
+    expect(result.candidates).toEqual([]);
+    expect(result.best).not.toBeNull();
+    expect(result.best.value).toBeGreaterThan(result.current.value);
+    expect(result.best.value).toBeLessThan(target.value);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * lightSpectrum.js
+ * Light quality: lamp spectra, PAR photon flux and spectrally weighted light
+ *
+ * Scientific Basis:
+ * - Only photons between 400 and 700 nm (PAR) drive photosynthesis directly.
+ *   Far-red (700-750 nm) photons are barely used on their own.
+ * - Not every PAR photon is equally useful: red photons give the highest
+ *   quantum yield, blue and green photons are partly absorbed by carotenoids
+ *   and non-photosynthetic tissue (McCree, 1972).
+ * - C4 leaves use blue light less efficiently than C3 leaves because it is
+ *   absorbed mainly in the mesophyll, unbalancing the two-cell CO₂ pump.
+ *
+ * The light slider is the total photon flux of the source between 400 and
+ * 750 nm (μmol/m²/s). Each source splits that flux into spectral bands.
+ */
+
+// Fraction of the source's photons in each band (sums to 1)
+export const LIGHT_SOURCES = {
+  sunlight: {
+    id: "sunlight",
+    name: "Sunlight",
+    description: "Broad, balanced spectrum with some far-red. The reference the model is calibrated against.",
+    bands: { blue: 0.25, green: 0.31, red: 0.30, farRed: 0.14 }
+  },
+  hps: {
+    id: "hps",
+    name: "High-pressure sodium (HPS)",
+    description: "Orange-yellow greenhouse lamp. Strong in green and red, very little blue.",
+    bands: { blue: 0.05, green: 0.45, red: 0.42, farRed: 0.08 }
+  },
+  whiteLed: {
+    id: "whiteLed",
+    name: "White LED",
+    description: "Blue diode with a phosphor coating. Broad spectrum, pleasant to work under.",
+    bands: { blue: 0.20, green: 0.42, red: 0.34, farRed: 0.04 }
+  },
+  redBlueLed: {
+    id: "redBlueLed",
+    name: "Red/blue LED",
+    description: "Narrow red and blue diodes placed at the chlorophyll absorption peaks. Most photosynthesis per photon, purple light.",
+    bands: { blue: 0.15, green: 0.02, red: 0.83, farRed: 0.0 }
+  },
+  shade: {
+    id: "shade",
+    name: "Canopy shade",
+    description: "Light filtered through leaves above. Red and blue are absorbed, leaving mostly far-red and green.",
+    bands: { blue: 0.10, green: 0.20, red: 0.15, farRed: 0.55 }
+  }
+};
+
+export const DEFAULT_LIGHT_SOURCE = "sunlight";
+
+/**
+ * Look up a light source, falling back to sunlight
+ *
+ * @param {string} source - Light source id (e.g. "hps")
+ * @returns {Object} Light source profile
+ */
+export function getLightSource(source) {
+  return LIGHT_SOURCES[source] || LIGHT_SOURCES[DEFAULT_LIGHT_SOURCE];
+}
+
+/**
+ * Quantum yield of a light source per photon of the 400-750 nm flux
+ *
+ * @param {Object} bands - { blue, green, red, farRed } photon fractions
+ * @param {Object} quantumYield - { blue, green, red, farRed } mol CO₂ per mol photons
+ * @returns {number} Weighted quantum yield (mol CO₂ / mol photons)
+ */
+function weightedQuantumYield(bands, quantumYield) {
+  return Object.keys(bands).reduce(
+    (sum, band) => sum + bands[band] * (quantumYield[band] ?? 0),
+    0
+  );
+}
+
+/**
+ * Convert a light source's photon flux into PAR and spectrally weighted light
+ * The spectral efficiency compares the source with sunlight for the same
+ * pathway, so sunlight always gives an efficiency of 1.
+ *
+ * @param {number} light - Total photon flux of the source, 400-750 nm (μmol/m²/s)
+ * @param {string} source - Light source id
+ * @param {Object} quantumYield - Pathway quantum yield by band (see photosyntheticPathways.js)
+ * @returns {Object} { source, par, effective, spectralEfficiency, quantumYield }
+ */
+export function calculateLightQuality(light, source, quantumYield) {
+  const profile = getLightSource(source);
+  const sourceYield = weightedQuantumYield(profile.bands, quantumYield);
+  const sunlightYield = weightedQuantumYield(LIGHT_SOURCES.sunlight.bands, quantumYield);
+  const parFraction = 1 - profile.bands.farRed;
+  const spectralEfficiency = sourceYield / sunlightYield;
+
+  return {
+    source: profile.id,
+    par: Math.max(0, light) * parFraction,
+    effective: Math.max(0, light) * spectralEfficiency,
+    spectralEfficiency,
+    // Quantum yield per PAR photon, as reported by leaf gas-exchange measurements
+    quantumYield: parFraction > 0
+      ? (sourceYield - profile.bands.farRed * (quantumYield.farRed ?? 0)) / parFraction
+      : 0
+  };
+}
+
+/**
+ * List the light sources for display
+ * @returns {Array} [{ id, name, description }]
+ */
+export function getAvailableLightSources() {
+  return Object.values(LIGHT_SOURCES).map(({ id, name, description }) => ({
+    id,
+    name,
+    description
+  }));
+}
@@ -0,0 +1,52 @@
+import { calculateLightQuality, getLightSource, getAvailableLightSources, LIGHT_SOURCES } from './lightSpectrum';
+import { PHOTOSYNTHETIC_PATHWAYS } from './photosyntheticPathways';
+import { calculatePhotosynthesisRate } from './photosynthesisModel';
+
+const SOURCES = Object.keys(LIGHT_SOURCES);
+const C3_YIELD = PHOTOSYNTHETIC_PATHWAYS.C3.quantumYield;
+
+describe('light sources', () => {
+  test.each(SOURCES)('%s splits all of its photons into bands', (source) => {
+    const total = Object.values(LIGHT_SOURCES[source].bands).reduce((sum, fraction) => sum + fraction, 0);
+    expect(total).toBeCloseTo(1, 12);
+  });
+
+  test('unknown sources fall back to sunlight', () => {
+    expect(getLightSource('candle')).toBe(LIGHT_SOURCES.sunlight);
+    expect(calculateLightQuality(500, undefined, C3_YIELD).source).toBe('sunlight');
+  });
+
+  test('lists every source for display', () => {
+    expect(getAvailableLightSources().map(({ id }) => id)).toEqual(SOURCES);
+  });
+});
+
+describe('light quality', () => {
+  test.each(Object.keys(PHOTOSYNTHETIC_PATHWAYS))('sunlight has an efficiency of 1 for %s', (pathway) => {
+    const quality = calculateLightQuality(1000, 'sunlight', PHOTOSYNTHETIC_PATHWAYS[pathway].quantumYield);
+    expect(quality.spectralEfficiency).toBeCloseTo(1, 12);
+    expect(quality.effective).toBeCloseTo(1000, 9);
+  });
+
+  test('PAR excludes the far-red photons', () => {
+    expect(calculateLightQuality(1000, 'sunlight', C3_YIELD).par).toBeCloseTo(860, 9);
+    expect(calculateLightQuality(1000, 'redBlueLed', C3_YIELD).par).toBeCloseTo(1000, 9);
+    expect(calculateLightQuality(-50, 'sunlight', C3_YIELD).par).toBe(0);
+  });
+
+  test('a C3 leaf in sunlight fixes about 0.047 mol CO₂ per mol of PAR', () => {
+    expect(calculateLightQuality(1000, 'sunlight', C3_YIELD).quantumYield).toBeCloseTo(0.04045 / 0.86, 12);
+  });
+
+  test('red/blue LEDs beat sunlight and canopy shade falls short', () => {
+    expect(calculateLightQuality(1000, 'redBlueLed', C3_YIELD).spectralEfficiency).toBeCloseTo(0.05255 / 0.04115, 12);
+    expect(calculateLightQuality(1000, 'shade', C3_YIELD).spectralEfficiency).toBeLessThan(1);
+  });
+
+  test('the spectrum moves the light factor of a light-limited leaf', () => {
+    const lightFactor = (lightSource) => calculatePhotosynthesisRate(200, 800, 25, { lightSource }).factors.light;
+    expect(lightFactor('redBlueLed')).toBeGreaterThan(lightFactor('sunlight'));
+    expect(lightFactor('shade')).toBeLessThan(lightFactor('sunlight'));
+    expect(calculatePhotosynthesisRate(200, 800, 25, { lightSource: 'hps' }).lightQuality.source).toBe('hps');
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * limitationTransition.js
+ * How far the limiting factor can be improved before another factor takes over
+ *
+ * Scientific Basis: under Blackman's Law of Limiting Factors, raising the
+ * limiting factor increases the rate only until a second factor becomes the
+ * shortest supply. Past that transition point, extra light (or CO₂, ...)
+ * is wasted. Knowing where the transition lies ("raise light from 300 to
+ * 520 μmol/m²/s, then CO₂ becomes limiting at 61%") tells a grower exactly how
+ * much of an input is worth adding.
+ */
+
+import { calculatePhotosynthesisRate, getOptimalValues } from './photosynthesisModel.js';
+import { identifyLimitingFactor } from './limitingFactor.js';
+import { INPUT_RANGES } from './units.js';
+
+// Input adjusted to relieve each limiting factor; photoinhibition is relieved
+// by lowering the light, temperature by moving towards its optimum
+const RELIEVING_INPUTS = {
+  light: { input: "light", direction: "raise" },
+  co2: { input: "co2", direction: "raise" },
+  stomata: { input: "humidity", direction: "raise" },
+  nitrogen: { input: "nitrogen", direction: "raise" },
+  photoinhibition: { input: "light", direction: "lower" },
+  temperature: { input: "temperature" }
+};
+
+// Coarse scan steps along the input range, then bisection steps to pin down the transition
+const SCAN_STEPS = 200;
+const BISECTION_STEPS = 30;
+
+/**
+ * Rate and limiting factor for a set of conditions
+ *
+ * @param {Object} conditions - { light, co2, temperature, humidity?, nitrogen?, lightSource? }
+ * @param {Object} options - Model options
+ * @returns {Object} { rate, limitingFactor }
+ */
+function evaluate(conditions, options) {
+  const { light, co2, temperature, ...extra } = conditions;
+  const result = calculatePhotosynthesisRate(light, co2, temperature, { ...options, ...extra });
+  return {
+    rate: result.rate,
+    limitingFactor: identifyLimitingFactor(result.factors).limitingFactor
+  };
+}
+
+/**
+ * Find how far the limiting factor's input can move before another factor limits
+ * The input is scanned from its current value towards the end of its slider
+ * range (or the temperature optimum); the first change of limiting factor is
+ * then refined by bisection.
+ *
+ * @param {Object} conditions - { light, co2, temperature, humidity?, nitrogen?, lightSource? }
+ * @param {Object} options - Model options (model, theta, fvcb, pathway, species)
+ * @returns {Object} { factor, input, direction, from, to, nextFactor, rate, currentRate }
+ *   nextFactor is null when the factor stays limiting all the way to `to`
+ */
+export function calculateLimitationTransition(conditions, options = {}) {
+  const current = evaluate(conditions, options);
+  const factor = current.limitingFactor;
+  const { input } = RELIEVING_INPUTS[factor];
+  const from = conditions[input];
+  const evaluateAt = (value) => evaluate({ ...conditions, [input]: value }, options);
+
+  let target;
+  let direction = RELIEVING_INPUTS[factor].direction;
+  if (factor === "temperature") {
+    target = getOptimalValues(options).temperature;
+    direction = target >= from ? "raise" : "lower";
+  } else {
+    target = direction === "raise" ? INPUT_RANGES[input].max : INPUT_RANGES[input].min;
+  }
+
+  const result = {
+    factor,
+    input,
+    direction,
+    from,
+    to: from,
+    nextFactor: null,
+    rate: current.rate,
+    currentRate: current.rate
+  };
+
+  // Already at the end of the range: nothing left to improve
+  if ((direction === "raise" && from >= target) || (direction === "lower" && from <= target)) {
+    return result;
+  }
+
+  // Scan for the first value at which another factor limits
+  let previous = from;
+  for (let step = 1; step <= SCAN_STEPS; step++) {
+    const value = from + (target - from) * (step / SCAN_STEPS);
+    const state = evaluateAt(value);
+
+    if (state.limitingFactor !== factor) {
+      // Bisect between the last value still limited by `factor` and this one
+      let low = previous;
+      let high = value;
+      let next = state;
+      for (let i = 0; i < BISECTION_STEPS; i++) {
+        const middle = (low + high) / 2;
+        const middleState = evaluateAt(middle);
+        if (middleState.limitingFactor === factor) {
+          low = middle;
+        } else {
+          high = middle;
+          next = middleState;
+        }
+      }
+      return { ...result, to: high, nextFactor: next.limitingFactor, rate: next.rate };
+    }
+    previous = value;
+  }
+
+  // The factor stays limiting across the whole range
+  return { ...result, to: target, rate: evaluateAt(target).rate };
+}
@@ -0,0 +1,66 @@
+import { calculateLimitationTransition } from './limitationTransition';
+import { calculatePhotosynthesisRate } from './photosynthesisModel';
+import { identifyLimitingFactor } from './limitingFactor';
+import { INPUT_RANGES } from './units';
+
+// For a generic C3 leaf at 400 ppm and 25°C the CO₂ factor is 1 - e⁻¹, and
+// the light factor L / (L + 240) reaches it at L = 240 (e - 1).
+const CO2_FACTOR = 1 - Math.exp(-1);
+const LIGHT_CROSSOVER = 240 * (Math.E - 1);
+
+const limitingAt = (light, co2, temperature) => (
+  identifyLimitingFactor(calculatePhotosynthesisRate(light, co2, temperature).factors).limitingFactor
+);
+
+describe('limitation transition', () => {
+  test('bisection finds where light stops limiting and CO₂ takes over', () => {
+    const transition = calculateLimitationTransition({ light: 200, co2: 400, temperature: 25 });
+
+    expect(transition).toMatchObject({ factor: 'light', input: 'light', direction: 'raise', from: 200, nextFactor: 'co2' });
+    expect(transition.to).toBeCloseTo(LIGHT_CROSSOVER, 3);
+    expect(transition.rate).toBeCloseTo(CO2_FACTOR, 6);
+    expect(transition.currentRate).toBeCloseTo(200 / 440, 12);
+  });
+
+  test('the transition sits right at the change of limiting factor', () => {
+    const { to } = calculateLimitationTransition({ light: 200, co2: 400, temperature: 25 });
+    expect(limitingAt(to - 0.01, 400, 25)).toBe('light');
+    expect(limitingAt(to + 0.01, 400, 25)).toBe('co2');
+  });
+
+  test('CO₂ limitation is relieved by raising CO₂ until light limits', () => {
+    const transition = calculateLimitationTransition({ light: 1500, co2: 200, temperature: 25 });
+
+    expect(transition.factor).toBe('co2');
+    expect(transition.nextFactor).toBe('light');
+    expect(transition.to).toBeCloseTo(-400 * Math.log(1 - 1500 / 1740), 3);
+    expect(limitingAt(1500, transition.to - 0.01, 25)).toBe('co2');
+    expect(limitingAt(1500, transition.to + 0.01, 25)).toBe('light');
+  });
+
+  test('a factor that limits across the whole range runs to the end of the slider', () => {
+    const transition = calculateLimitationTransition({ light: 200, co2: 2000, temperature: 25 });
+
+    expect(transition.nextFactor).toBeNull();
+    expect(transition.to).toBe(INPUT_RANGES.light.max);
+    expect(transition.rate).toBeGreaterThan(transition.currentRate);
+  });
+
+  test('at the end of the slider there is nothing left to improve', () => {
+    const transition = calculateLimitationTransition({ light: INPUT_RANGES.light.max, co2: 2000, temperature: 25 });
+    expect(transition.to).toBe(transition.from);
+    expect(transition.rate).toBe(transition.currentRate);
+  });
+
+  test('temperature moves towards the optimum from either side', () => {
+    const cold = calculateLimitationTransition({ light: 1500, co2: 1200, temperature: 8 });
+    const hot = calculateLimitationTransition({ light: 1500, co2: 1200, temperature: 42 });
+
+    expect(cold).toMatchObject({ factor: 'temperature', direction: 'raise' });
+    expect(hot).toMatchObject({ factor: 'temperature', direction: 'lower' });
+    expect(cold.to).toBeGreaterThan(8);
+    expect(cold.to).toBeLessThanOrEqual(25);
+    expect(hot.to).toBeLessThan(42);
+    expect(hot.to).toBeGreaterThanOrEqual(25);
+  });
+});
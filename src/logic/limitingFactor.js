@@ -22,20 +22,191 @@ const EXPLANATIONS = {
     low: "Temperature is limiting because enzymes (like RuBisCO and ATP synthase) have reduced kinetic energy at low temperatures. Molecular collisions happen less frequently, slowing all biochemical reactions.",
     high: "Temperature is limiting because excessive heat denatures photosynthetic enzymes, disrupting their 3D structure. This permanently damages the catalytic sites needed for the Calvin cycle and light reactions.",
     optimal: "Temperature is optimal. Enzymes are working at peak efficiency with maximum molecular collision rates and intact protein structures."
+  },
+  stomata: {
+    low: "Stomatal closure is limiting because the air is too dry. A high vapour-pressure deficit makes the leaf close its stomata to save water, so less CO₂ diffuses in and internal CO₂ (Ci) falls even though there is enough CO₂ in the air.",
+    adequate: "Stomata are open. Humidity is high enough that the leaf can let CO₂ diffuse in freely without losing too much water."
+  },
+  nitrogen: {
+    low: "Nitrogen is limiting photosynthesis. Rubisco, chlorophyll and the electron-transport proteins are all built from nitrogen, so a deficient leaf has less photosynthetic machinery and turns pale yellow-green (chlorosis), starting with the older leaves.",
+    adequate: "Nitrogen supply is adequate. The leaf has enough Rubisco and chlorophyll to use the available light and CO₂."
+  },
+  photoinhibition: {
+    low: "Photoinhibition is limiting photosynthesis. Excess light has damaged the D1 protein of photosystem II faster than the leaf can repair it, so fewer reaction centres are working. Heat makes the damage worse and cold slows the repair.",
+    adequate: "Photosystem II is intact. Light is not high enough to cause damage the leaf cannot repair."
   }
 };
 
+// Factors within this distance of the minimum (0-1 scale) count as co-limiting
+export const DEFAULT_COLIMITATION_TOLERANCE = 0.05;
+
+/**
+ * Find every factor within a tolerance band of the minimum
+ * Real leaves are often co-limited: near a crossover point two factors hold
+ * the rate back almost equally, and raising only one barely helps.
+ * Stomata only compete when they are below CO₂, nitrogen and photoinhibition
+ * only when they are below 1, matching identifyLimitingFactor.
+ *
+ * Strength is 1 for the minimum and falls linearly to 0 at the edge of the band.
+ * The co-limitation index is the strength of the runner-up: 0 means a single
+ * factor limits, 1 means two factors are exactly tied.
+ *
+ * @param {Object} normalizedFactors - { light, co2, temperature, stomata?, nitrogen?, photoinhibition? } normalized 0-1
+ * @param {number} tolerance - Width of the band above the minimum (0-1 scale)
+ * @returns {Object} { factors: [{ factor, value, strength }] sorted most limiting first, index }
+ */
+export function identifyColimitation(normalizedFactors, tolerance = DEFAULT_COLIMITATION_TOLERANCE) {
+  const { light, co2, temperature } = normalizedFactors;
+  const stomata = normalizedFactors.stomata ?? 1;
+  const nitrogen = normalizedFactors.nitrogen ?? 1;
+  const photoinhibition = normalizedFactors.photoinhibition ?? 1;
+
+  const candidates = [
+    { factor: "light", value: light },
+    { factor: "co2", value: co2 },
+    { factor: "temperature", value: temperature }
+  ];
+  if (stomata < co2) candidates.push({ factor: "stomata", value: stomata });
+  if (nitrogen < 1) candidates.push({ factor: "nitrogen", value: nitrogen });
+  if (photoinhibition < 1) candidates.push({ factor: "photoinhibition", value: photoinhibition });
+
+  const minValue = Math.min(...candidates.map((candidate) => candidate.value));
+  const band = Math.max(0, tolerance);
+  const strengthOf = (value) => {
+    if (value <= minValue) return 1;
+    return band > 0 ? Math.max(0, 1 - (value - minValue) / band) : 0;
+  };
+
+  // The primary factor always leads so ties keep identifyLimitingFactor's order
+  const { limitingFactor } = identifyLimitingFactor(normalizedFactors);
+  const factors = candidates
+    .filter((candidate) => candidate.value - minValue <= band)
+    .map((candidate) => ({ ...candidate, strength: strengthOf(candidate.value) }))
+    .sort((a, b) => {
+      if (a.factor === limitingFactor) return -1;
+      if (b.factor === limitingFactor) return 1;
+      return a.value - b.value;
+    });
+
+  return {
+    factors,
+    index: factors.length > 1 ? factors[1].strength : 0
+  };
+}
+
+// Short factor names for summaries
+const FACTOR_NAMES = {
+  light: "light",
+  co2: "CO₂",
+  temperature: "temperature",
+  stomata: "stomatal closure",
+  nitrogen: "nitrogen",
+  photoinhibition: "photoinhibition"
+};
+
+// A temperature counts as inside the optimum band while its factor stays above this
+const OPTIMUM_BAND_EFFICIENCY = 0.95;
+
+// Direction of the limitation for factors that can only be short (or, for
+// photoinhibition, in excess); temperature is diagnosed from the raw value
+const FACTOR_DIRECTIONS = {
+  light: "low",
+  co2: "low",
+  stomata: "low",
+  nitrogen: "low",
+  photoinhibition: "high"
+};
+
+/**
+ * Diagnose a raw temperature against the plant's optimum band
+ * The normalized temperature factor is symmetric around the optimum, so the
+ * same 0.5 can mean too cold or too hot; only the raw value tells them apart.
+ * The band covers temperatures whose bell-curve factor is at least 0.95.
+ * `side` is the side of the optimum the temperature lies on, which still
+ * matters inside the band when temperature is the lowest factor.
+ * 
+ * @param {number} temperature - Leaf temperature (°C)
+ * @param {Object} range - { optimal, width } temperature response of the plant
+ * @returns {Object} { direction: "cold" | "hot" | "optimal", side: "cold" | "hot", distance: °C outside the band, band: { low, high } }
+ */
+export function diagnoseTemperature(temperature, range) {
+  const halfWidth = range.width * Math.sqrt(-2 * Math.log(OPTIMUM_BAND_EFFICIENCY));
+  const band = { low: range.optimal - halfWidth, high: range.optimal + halfWidth };
+  const side = Math.sign(temperature - range.optimal) < 0 ? "cold" : "hot";
+  
+  if (temperature < band.low) {
+    return { direction: "cold", side, distance: band.low - temperature, band };
+  }
+  if (temperature > band.high) {
+    return { direction: "hot", side, distance: temperature - band.high, band };
+  }
+  return { direction: "optimal", side, distance: 0, band };
+}
+
+/**
+ * Direction of a temperature that limits the rate
+ * A limiting temperature is never optimal: even inside the band it is the
+ * lowest factor, and only warming or cooling towards the optimum relieves it.
+ * 
+ * @param {Object} diagnosis - Result of diagnoseTemperature
+ * @returns {string} "cold" | "hot"
+ */
+function limitingTemperatureDirection(diagnosis) {
+  return diagnosis.direction === "optimal" ? diagnosis.side : diagnosis.direction;
+}
+
+/**
+ * Explanation for a temperature diagnosis
+ * Without raw conditions the direction is guessed from the normalized value.
+ * A limiting temperature always gets the cold or hot explanation.
+ * 
+ * @param {number} factor - Normalized temperature factor (0-1)
+ * @param {Object|null} diagnosis - Result of diagnoseTemperature
+ * @param {boolean} limiting - Whether temperature limits the rate
+ * @returns {string} Explanation text
+ */
+function explainTemperature(factor, diagnosis, limiting = false) {
+  if (diagnosis) {
+    const direction = limiting ? limitingTemperatureDirection(diagnosis) : diagnosis.direction;
+    if (direction === "cold") return EXPLANATIONS.temperature.low;
+    if (direction === "hot") return EXPLANATIONS.temperature.high;
+    return EXPLANATIONS.temperature.optimal;
+  }
+  if (factor < 0.7) return EXPLANATIONS.temperature.low;
+  if (factor > 0.95 && !limiting) return EXPLANATIONS.temperature.optimal;
+  return EXPLANATIONS.temperature.high;
+}
+
 /**
  * Determine which factor is the primary limiting factor
  * 
- * @param {Object} normalizedFactors - { light, co2, temperature } normalized 0-1
- * @returns {Object} { limitingFactor: string, reason: string, severity: string }
+ * The stomata factor is optional; it can only win when it is strictly lower
+ * than CO₂, i.e. when dry air rather than the atmosphere starves the leaf of CO₂.
+ * Nitrogen and photoinhibition are optional too and only win when strictly
+ * lower than the environmental factors.
+ * 
+ * Pass the raw temperature and the plant's temperature range so a limiting
+ * temperature is diagnosed as too cold or too hot; without them the
+ * direction is guessed from the normalized value and `direction` is null.
+ * 
+ * @param {Object} normalizedFactors - { light, co2, temperature, stomata?, nitrogen?, photoinhibition? } normalized 0-1
+ * @param {Object} conditions - { temperature?: °C, temperatureRange?: { optimal, width } } raw conditions
+ * @returns {Object} { limitingFactor, reason, severity, value, direction, distance, temperature }
+ *   direction is "low" / "high" for most factors and "cold" / "hot" for temperature;
+ *   distance is the °C outside the optimum band when temperature limits (else null);
+ *   temperature is the full temperature diagnosis (or null without raw conditions)
  */
-export function identifyLimitingFactor(normalizedFactors) {
+export function identifyLimitingFactor(normalizedFactors, conditions = {}) {
   const { light, co2, temperature } = normalizedFactors;
+  const stomata = normalizedFactors.stomata ?? 1;
+  const nitrogen = normalizedFactors.nitrogen ?? 1;
+  const photoinhibition = normalizedFactors.photoinhibition ?? 1;
+  const diagnosis = conditions.temperature !== undefined && conditions.temperatureRange
+    ? diagnoseTemperature(conditions.temperature, conditions.temperatureRange)
+    : null;
   
   // Find the minimum (most limiting) factor
-  const minValue = Math.min(light, co2, temperature);
+  const minValue = Math.min(light, co2, temperature, stomata, nitrogen, photoinhibition);
   
   // Determine which factor(s) match the minimum
   let limitingFactor;
@@ -48,17 +219,18 @@ export function identifyLimitingFactor(normalizedFactors) {
   } else if (co2 === minValue) {
     limitingFactor = "co2";
     reason = EXPLANATIONS.co2.low;
+  } else if (temperature !== minValue && stomata === minValue) {
+    limitingFactor = "stomata";
+    reason = EXPLANATIONS.stomata.low;
+  } else if (temperature !== minValue && nitrogen === minValue) {
+    limitingFactor = "nitrogen";
+    reason = EXPLANATIONS.nitrogen.low;
+  } else if (temperature !== minValue && photoinhibition === minValue) {
+    limitingFactor = "photoinhibition";
+    reason = EXPLANATIONS.photoinhibition.low;
   } else {
     limitingFactor = "temperature";
-    // Determine if temperature is too low or too high
-    // (This requires additional context - we'll use a heuristic)
-    if (temperature < 0.7) {
-      reason = EXPLANATIONS.temperature.low;
-    } else if (temperature > 0.95) {
-      reason = EXPLANATIONS.temperature.optimal;
-    } else {
-      reason = EXPLANATIONS.temperature.high;
-    }
+    reason = explainTemperature(temperature, diagnosis, true);
   }
   
   // Calculate severity based on how limiting the factor is
@@ -71,11 +243,16 @@ export function identifyLimitingFactor(normalizedFactors) {
     severity = "mild"; // Minor limitation
   }
   
+  const isTemperature = limitingFactor === "temperature";
+  
   return {
     limitingFactor,
     reason,
     severity,
-    value: minValue
+    value: minValue,
+    direction: isTemperature ? (diagnosis ? limitingTemperatureDirection(diagnosis) : null) : FACTOR_DIRECTIONS[limitingFactor],
+    distance: isTemperature && diagnosis ? diagnosis.distance : null,
+    temperature: diagnosis
   };
 }
 
@@ -83,12 +260,21 @@ export function identifyLimitingFactor(normalizedFactors) {
  * Analyze all factors and provide a comprehensive breakdown
  * Useful for detailed reporting and educational displays
  * 
- * @param {Object} normalizedFactors - { light, co2, temperature }
- * @param {Object} rawValues - { light, co2, temperature } original values
- * @returns {Object} Detailed analysis of each factor
+ * @param {Object} normalizedFactors - { light, co2, temperature, stomata?, nitrogen?, photoinhibition? }
+ * @param {Object} rawValues - { light, co2, temperature, humidity?, nitrogen?, temperatureRange? } original values
+ *   and the plant's temperature range, used to tell too cold from too hot
+ * @param {number} tolerance - Co-limitation band above the minimum (0-1 scale)
+ * @returns {Object} Detailed analysis of each factor, with the co-limiting factors and index
  */
-export function analyzeAllFactors(normalizedFactors, rawValues) {
+export function analyzeAllFactors(normalizedFactors, rawValues, tolerance = DEFAULT_COLIMITATION_TOLERANCE) {
   const { light, co2, temperature } = normalizedFactors;
+  const stomata = normalizedFactors.stomata ?? 1;
+  const nitrogen = normalizedFactors.nitrogen ?? 1;
+  const photoinhibition = normalizedFactors.photoinhibition ?? 1;
+  const limiting = identifyLimitingFactor(normalizedFactors, rawValues);
+  // Everything co-limiting with the primary limiting factor
+  const colimitation = identifyColimitation(normalizedFactors, tolerance);
+  const temperatureLimits = colimitation.factors.some(({ factor }) => factor === "temperature");
   
   // Determine status for each factor
   const analysis = {
@@ -108,20 +294,52 @@ export function analyzeAllFactors(normalizedFactors, rawValues) {
       value: temperature,
       status: temperature > 0.85 ? "optimal" : temperature > 0.5 ? "suboptimal" : "limiting",
       rawValue: rawValues.temperature,
-      explanation: temperature > 0.85 ? EXPLANATIONS.temperature.optimal : 
-                   rawValues.temperature < 20 ? EXPLANATIONS.temperature.low : 
-                   EXPLANATIONS.temperature.high
+      direction: limiting.temperature
+        ? (temperatureLimits ? limitingTemperatureDirection(limiting.temperature) : limiting.temperature.direction)
+        : null,
+      distance: limiting.temperature ? limiting.temperature.distance : null,
+      explanation: temperature > 0.85 && !temperatureLimits
+        ? EXPLANATIONS.temperature.optimal
+        : explainTemperature(temperature, limiting.temperature, temperatureLimits)
+    },
+    // Judged against CO₂: how much of the available CO₂ the stomata let through
+    stomata: {
+      value: stomata,
+      status: stomata >= co2 * 0.9 ? "optimal" : stomata >= co2 * 0.7 ? "suboptimal" : "limiting",
+      rawValue: rawValues.humidity,
+      explanation: stomata >= co2 * 0.9 ? EXPLANATIONS.stomata.adequate : EXPLANATIONS.stomata.low
+    },
+    nitrogen: {
+      value: nitrogen,
+      status: nitrogen >= 0.9 ? "optimal" : nitrogen >= 0.6 ? "suboptimal" : "limiting",
+      rawValue: rawValues.nitrogen,
+      explanation: nitrogen >= 0.9 ? EXPLANATIONS.nitrogen.adequate : EXPLANATIONS.nitrogen.low
+    },
+    photoinhibition: {
+      value: photoinhibition,
+      status: photoinhibition >= 0.95 ? "optimal" : photoinhibition >= 0.8 ? "suboptimal" : "limiting",
+      rawValue: rawValues.light,
+      explanation: photoinhibition >= 0.95 ? EXPLANATIONS.photoinhibition.adequate : EXPLANATIONS.photoinhibition.low
     }
   };
   
-  // Identify primary limiting factor
-  const limiting = identifyLimitingFactor(normalizedFactors);
+  colimitation.factors.forEach(({ factor, strength }) => {
+    analysis[factor].status = "limiting";
+    analysis[factor].colimitationStrength = strength;
+  });
+  
+  const summary = colimitation.factors.length > 1
+    ? `Photosynthesis is operating at ${Math.round(limiting.value * 100)}% efficiency and is co-limited by ${colimitation.factors.map(({ factor }) => FACTOR_NAMES[factor]).join(", ")} (co-limitation index ${colimitation.index.toFixed(2)}). Improving only one of them will barely raise the rate.`
+    : `Photosynthesis is operating at ${Math.round(limiting.value * 100)}% efficiency. ${limiting.reason}`;
   
   return {
     factors: analysis,
     limiting: limiting.limitingFactor,
-    overallEfficiency: Math.min(light, co2, temperature),
-    summary: `Photosynthesis is operating at ${Math.round(limiting.value * 100)}% efficiency. ${limiting.reason}`
+    direction: limiting.direction,
+    colimiting: colimitation.factors.map(({ factor }) => factor),
+    colimitationIndex: colimitation.index,
+    overallEfficiency: Math.min(light, co2, temperature, stomata, nitrogen, photoinhibition),
+    summary
   };
 }
 
@@ -0,0 +1,120 @@
+import {
+  identifyLimitingFactor,
+  identifyColimitation,
+  analyzeAllFactors,
+  diagnoseTemperature,
+  DEFAULT_COLIMITATION_TOLERANCE
+} from './limitingFactor';
+
+// The temperature factor is a bell curve, so a cold and a hot leaf can have the
+// same normalized value; only the raw temperature tells them apart.
+
+const RANGE = { optimal: 25, width: 10 };
+const factorAt = (temperature) => Math.exp(-((temperature - RANGE.optimal) ** 2) / (2 * RANGE.width ** 2));
+
+describe('directional temperature diagnosis', () => {
+  test('15°C and 35°C have equal factors but opposite directions', () => {
+    const temperature = factorAt(15);
+    expect(factorAt(35)).toBeCloseTo(temperature, 10);
+
+    const cold = identifyLimitingFactor({ light: 1, co2: 1, temperature }, { temperature: 15, temperatureRange: RANGE });
+    const hot = identifyLimitingFactor({ light: 1, co2: 1, temperature }, { temperature: 35, temperatureRange: RANGE });
+
+    expect(cold.limitingFactor).toBe('temperature');
+    expect(hot.limitingFactor).toBe('temperature');
+    expect(cold.direction).toBe('cold');
+    expect(hot.direction).toBe('hot');
+    expect(cold.reason).not.toBe(hot.reason);
+    expect(cold.distance).toBeCloseTo(hot.distance, 10);
+  });
+
+  test('a limiting temperature inside the optimum band is cold or hot, never optimal', () => {
+    expect(diagnoseTemperature(24, RANGE).direction).toBe('optimal');
+
+    const below = identifyLimitingFactor({ light: 1, co2: 1, temperature: factorAt(24) }, { temperature: 24, temperatureRange: RANGE });
+    const above = identifyLimitingFactor({ light: 1, co2: 1, temperature: factorAt(27) }, { temperature: 27, temperatureRange: RANGE });
+    const optimalText = identifyLimitingFactor({ light: 1, co2: 1, temperature: 1 }).reason;
+
+    expect(below.limitingFactor).toBe('temperature');
+    expect(below.direction).toBe('cold');
+    expect(below.distance).toBe(0);
+    expect(above.direction).toBe('hot');
+    expect(below.reason).toBe(identifyLimitingFactor({ light: 1, co2: 1, temperature: 0.5 }, { temperature: 15, temperatureRange: RANGE }).reason);
+    expect(below.reason).not.toBe(above.reason);
+    expect([below.reason, above.reason]).not.toContain(optimalText);
+  });
+
+  test('the factor breakdown explains a limiting temperature by its direction', () => {
+    const factors = { light: 1, co2: 1, temperature: factorAt(24) };
+    const raw = { light: 1500, co2: 800, temperature: 24, temperatureRange: RANGE };
+    const analysis = analyzeAllFactors(factors, raw);
+
+    expect(analysis.limiting).toBe('temperature');
+    expect(analysis.direction).toBe('cold');
+    expect(analysis.factors.temperature.direction).toBe('cold');
+    expect(analysis.factors.temperature.explanation).toBe(identifyLimitingFactor(factors, raw).reason);
+  });
+
+  test('a non-limiting temperature inside the band is still reported as optimal', () => {
+    const analysis = analyzeAllFactors(
+      { light: 0.3, co2: 1, temperature: factorAt(24) },
+      { light: 200, co2: 800, temperature: 24, temperatureRange: RANGE }
+    );
+
+    expect(analysis.limiting).toBe('light');
+    expect(analysis.factors.temperature.direction).toBe('optimal');
+    expect(analysis.factors.temperature.status).toBe('optimal');
+  });
+});
+
+describe('co-limitation tolerance', () => {
+  const NEAR_TIE = { light: 0.5, co2: 0.52, temperature: 0.9 };
+
+  test('factors within the band co-limit with a strength falling to its edge', () => {
+    const { factors, index } = identifyColimitation(NEAR_TIE, 0.05);
+
+    expect(factors.map(({ factor }) => factor)).toEqual(['light', 'co2']);
+    expect(factors[0].strength).toBe(1);
+    expect(factors[1].strength).toBeCloseTo(0.6, 12);
+    expect(index).toBeCloseTo(0.6, 12);
+  });
+
+  test('a tie has index 1 and a zero band leaves a single factor', () => {
+    expect(identifyColimitation({ light: 0.5, co2: 0.5, temperature: 0.9 }).index).toBe(1);
+    expect(identifyColimitation(NEAR_TIE, 0)).toEqual({ factors: [{ factor: 'light', value: 0.5, strength: 1 }], index: 0 });
+    expect(identifyColimitation(NEAR_TIE, -1).factors).toHaveLength(1);
+  });
+
+  test('the default band is 0.05 and a wider one takes in more factors', () => {
+    expect(DEFAULT_COLIMITATION_TOLERANCE).toBe(0.05);
+    expect(identifyColimitation(NEAR_TIE, 0.01).factors).toHaveLength(1);
+    expect(identifyColimitation(NEAR_TIE, 0.5).factors.map(({ factor }) => factor)).toEqual(['light', 'co2', 'temperature']);
+  });
+
+  test('stomata compete only below CO₂, nitrogen and PSII only below 1', () => {
+    const factors = (normalized) => identifyColimitation(normalized, 0.1).factors.map(({ factor }) => factor);
+
+    expect(factors({ ...NEAR_TIE, stomata: 0.52, nitrogen: 1, photoinhibition: 1 })).toEqual(['light', 'co2']);
+    expect(factors({ ...NEAR_TIE, stomata: 0.51 })).toEqual(['light', 'stomata', 'co2']);
+    expect(factors({ ...NEAR_TIE, nitrogen: 0.48 })).toEqual(['nitrogen', 'light', 'co2']);
+  });
+
+  test('the primary factor leads even when tied', () => {
+    const tied = { light: 0.5, co2: 0.5, temperature: 0.5 };
+    expect(identifyColimitation(tied).factors[0].factor).toBe(identifyLimitingFactor(tied).limitingFactor);
+  });
+
+  test('the breakdown marks every co-limiting factor and follows the tolerance', () => {
+    const raw = { light: 300, co2: 250, temperature: 25 };
+    const colimited = analyzeAllFactors(NEAR_TIE, raw);
+    const single = analyzeAllFactors(NEAR_TIE, raw, 0.01);
+
+    expect(colimited.colimiting).toEqual(['light', 'co2']);
+    expect(colimited.colimitationIndex).toBeCloseTo(0.6, 12);
+    expect(colimited.factors.co2.status).toBe('limiting');
+    expect(colimited.factors.co2.colimitationStrength).toBeCloseTo(0.6, 12);
+    expect(colimited.summary).toContain('co-limited by light, CO₂');
+    expect(single.colimiting).toEqual(['light']);
+    expect(single.factors.co2.status).toBe('suboptimal');
+  });
+});
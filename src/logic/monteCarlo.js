@@ -0,0 +1,283 @@
+/**
+ * monteCarlo.js
+ * Monte Carlo propagation of input and parameter uncertainty
+ *
+ * Measured conditions and fitted model parameters both carry error. Instead
+ * of one line, the model is run for many random draws of the uncertain
+ * quantities and the spread of the outputs is reported: percentile bands of
+ * the rate and of biomass over the time-lapse, and how often each factor is
+ * the limiting one.
+ *
+ * Scientific Basis:
+ * - Each uncertain quantity is drawn independently, either from a normal
+ *   distribution (the ± value is one standard deviation) or a uniform one
+ *   (the ± value is the half-width)
+ * - Inputs are perturbed in their own units and kept inside their slider
+ *   range; parameters are perturbed relative to their value (± fraction),
+ *   except the temperature optimum, which is shifted in °C
+ * - A seeded pseudo-random generator (mulberry32) makes every run
+ *   reproducible: the same seed gives the same distribution
+ * - Near a crossover point the limiting factor flips between draws, so the
+ *   probability that each factor limits is the Law of Limiting Factors with
+ *   error bars
+ * - Every draw grows with the same engine as the time-lapse it describes
+ *   (day/night cycle and scheduled interventions included), so the bands
+ *   belong to that run
+ */
+
+import { calculatePhotosynthesisRate, resolveModelParameters } from './photosynthesisModel.js';
+import { identifyLimitingFactor } from './limitingFactor.js';
+import { simulateTimeLapse } from './interventionSchedule.js';
+import { INPUT_RANGES } from './units.js';
+
+/**
+ * Inputs that can be given an uncertainty (± in the input's own unit)
+ */
+export const UNCERTAIN_INPUTS = {
+  light: { id: "light", name: "Light", unit: "μmol/m²/s" },
+  co2: { id: "co2", name: "CO₂", unit: "ppm" },
+  temperature: { id: "temperature", name: "Temperature", unit: "°C" },
+  humidity: { id: "humidity", name: "Humidity", unit: "% RH" },
+  nitrogen: { id: "nitrogen", name: "Nitrogen", unit: "%" }
+};
+
+/**
+ * Model parameters that can be given an uncertainty
+ * "scale" parameters take a relative ± (0.15 = ±15%); "shift" parameters a ± in °C.
+ * The FvCB leaf parameters only matter when the FvCB engine is selected.
+ */
+export const UNCERTAIN_PARAMETERS = {
+  light: { id: "light", name: "Light saturation", kind: "scale" },
+  co2: { id: "co2", name: "CO₂ saturation", kind: "scale" },
+  temperatureOptimum: { id: "temperatureOptimum", name: "Temperature optimum", kind: "shift" },
+  maxAssimilation: { id: "maxAssimilation", name: "Max. assimilation", kind: "scale" },
+  darkRespiration: { id: "darkRespiration", name: "Dark respiration", kind: "scale" },
+  growthRate: { id: "growthRate", name: "Growth rate", kind: "scale" },
+  vcmax25: { id: "vcmax25", name: "Vcmax (FvCB)", kind: "scale", fvcb: true },
+  jmax25: { id: "jmax25", name: "Jmax (FvCB)", kind: "scale", fvcb: true }
+};
+
+/**
+ * Distributions the uncertain quantities can be drawn from
+ */
+export const UNCERTAINTY_DISTRIBUTIONS = {
+  normal: { id: "normal", name: "Normal", description: "± is one standard deviation" },
+  uniform: { id: "uniform", name: "Uniform", description: "± is the half-width of the range" }
+};
+
+/**
+ * Default run settings
+ */
+export const DEFAULT_MONTE_CARLO_SETTINGS = {
+  samples: 200,
+  seed: 1,
+  days: 30,
+  initialBiomass: 100,
+  diurnal: null,
+  schedule: []
+};
+
+// Percentiles reported for every output
+const PERCENTILES = [5, 25, 50, 75, 95];
+
+// Smallest scale factor a parameter can be drawn with
+const MIN_SCALE = 0.05;
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} () → uniform number in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw a zero-centred deviation with the given spread
+ *
+ * @param {Function} random - Uniform generator
+ * @param {number} spread - ± value (standard deviation or half-width)
+ * @param {string} distribution - "normal" or "uniform"
+ * @returns {number} Deviation
+ */
+function drawDeviation(random, spread, distribution) {
+  if (distribution === "uniform") return (random() * 2 - 1) * spread;
+  // Box–Muller; 1 - u keeps the logarithm finite
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v) * spread;
+}
+
+/**
+ * Draw one set of conditions and model options
+ *
+ * @param {Object} conditions - Nominal conditions
+ * @param {Object} uncertainty - { inputs, parameters, distribution }
+ * @param {Object} options - Nominal model options
+ * @param {Function} random - Uniform generator
+ * @returns {Object} { conditions, options }
+ */
+function drawSample(conditions, uncertainty, options, random) {
+  const distribution = UNCERTAINTY_DISTRIBUTIONS[uncertainty.distribution] ? uncertainty.distribution : "normal";
+  const sampled = { ...conditions };
+  const adjustments = { ...options.parameterAdjustments };
+  const fvcb = { ...options.fvcb };
+
+  Object.entries(uncertainty.inputs || {}).forEach(([input, spread]) => {
+    if (!UNCERTAIN_INPUTS[input] || !spread || sampled[input] === undefined) return;
+    const { min, max } = INPUT_RANGES[input];
+    sampled[input] = Math.min(max, Math.max(min, sampled[input] + drawDeviation(random, spread, distribution)));
+  });
+
+  Object.entries(uncertainty.parameters || {}).forEach(([parameter, spread]) => {
+    const definition = UNCERTAIN_PARAMETERS[parameter];
+    if (!definition || !spread) return;
+    const deviation = drawDeviation(random, spread, distribution);
+    if (definition.kind === "shift") {
+      adjustments[parameter] = (adjustments[parameter] ?? 0) + deviation;
+    } else if (definition.fvcb) {
+      if (fvcb[parameter] !== undefined) fvcb[parameter] *= Math.max(MIN_SCALE, 1 + deviation);
+    } else {
+      adjustments[parameter] = (adjustments[parameter] ?? 1) * Math.max(MIN_SCALE, 1 + deviation);
+    }
+  });
+
+  const sampledOptions = { ...options, parameterAdjustments: adjustments };
+  if (options.fvcb) sampledOptions.fvcb = fvcb;
+  return { conditions: sampled, options: sampledOptions };
+}
+
+/**
+ * Value at a percentile of sorted values (linear interpolation)
+ */
+function percentileOf(sorted, percentile) {
+  const position = (sorted.length - 1) * (percentile / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Mean, standard deviation and percentiles of a sample
+ *
+ * @param {Array<number>} values - Sampled values
+ * @returns {Object} { mean, sd, p5, p25, p50, p75, p95 }
+ */
+export function summarizeDistribution(values) {
+  if (values.length === 0) return null;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.length > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+    : 0;
+  const sorted = [...values].sort((a, b) => a - b);
+
+  return PERCENTILES.reduce(
+    (summary, percentile) => ({ ...summary, [`p${percentile}`]: percentileOf(sorted, percentile) }),
+    { mean, sd: Math.sqrt(variance) }
+  );
+}
+
+/**
+ * Rate, net uptake and limiting factor of one set of conditions
+ */
+function evaluateRate(conditions, options) {
+  const { light, co2, temperature, ...extra } = conditions;
+  const result = calculatePhotosynthesisRate(light, co2, temperature, { ...options, ...extra });
+  const limiting = identifyLimitingFactor(result.factors, {
+    temperature,
+    temperatureRange: resolveModelParameters(options).temperature
+  });
+  return { rate: result.rate, net: result.gasExchange.net, limitingFactor: limiting.limitingFactor };
+}
+
+/**
+ * Propagate uncertainty through the rate and the time-lapse
+ *
+ * @param {Object} conditions - Nominal { light, co2, temperature, humidity?, nitrogen?, lightSource? }
+ * @param {Object} uncertainty - { inputs?: { [input]: ± in its unit }, parameters?: { [parameter]: ± fraction or °C },
+ *   distribution?: "normal" | "uniform" }
+ * @param {Object} options - Model options (model, theta, fvcb, pathway, species)
+ * @param {Object} settings - { samples?, seed?, days?: 0 skips the time-lapse, initialBiomass?,
+ *   diurnal?: day/night settings, schedule?: interventions } (see simulateTimeLapse)
+ * @returns {Object} { samples, seed, distribution, nominal: { rate, net, limitingFactor, biomass },
+ *   rate, net, finalBiomass: summaries (see summarizeDistribution),
+ *   limitingProbability: [{ factor, probability }] most likely first,
+ *   growth: [{ day, rate, biomass }] with a summary per day, nominal growth under nominalGrowth }
+ */
+export function runMonteCarlo(conditions, uncertainty = {}, options = {}, settings = {}) {
+  const { samples, seed, days, initialBiomass, diurnal, schedule } = { ...DEFAULT_MONTE_CARLO_SETTINGS, ...settings };
+  const count = Math.max(1, Math.round(samples));
+  const random = createRandom(seed);
+  const grow = (sampleConditions, sampleOptions) => (
+    simulateTimeLapse(sampleConditions, days, initialBiomass, sampleOptions, { diurnal, schedule })
+  );
+
+  const nominal = evaluateRate(conditions, options);
+  const nominalGrowth = days > 0 ? grow(conditions, options) : [];
+
+  const rates = [];
+  const nets = [];
+  const limitingCounts = {};
+  const dailyRates = Array.from({ length: nominalGrowth.length }, () => []);
+  const dailyBiomass = Array.from({ length: nominalGrowth.length }, () => []);
+
+  for (let i = 0; i < count; i++) {
+    const sample = drawSample(conditions, uncertainty, options, random);
+    const evaluation = evaluateRate(sample.conditions, sample.options);
+    rates.push(evaluation.rate);
+    nets.push(evaluation.net);
+    limitingCounts[evaluation.limitingFactor] = (limitingCounts[evaluation.limitingFactor] || 0) + 1;
+
+    if (days > 0) {
+      grow(sample.conditions, sample.options).forEach((day, index) => {
+        dailyRates[index].push(day.rate);
+        dailyBiomass[index].push(day.biomass);
+      });
+    }
+  }
+
+  const growth = nominalGrowth.map((day, index) => ({
+    day: day.day,
+    rate: summarizeDistribution(dailyRates[index]),
+    biomass: summarizeDistribution(dailyBiomass[index])
+  }));
+
+  return {
+    samples: count,
+    seed,
+    distribution: UNCERTAINTY_DISTRIBUTIONS[uncertainty.distribution] ? uncertainty.distribution : "normal",
+    nominal: {
+      ...nominal,
+      biomass: nominalGrowth.length > 0 ? nominalGrowth[nominalGrowth.length - 1].biomass : null
+    },
+    nominalGrowth,
+    rate: summarizeDistribution(rates),
+    net: summarizeDistribution(nets),
+    finalBiomass: growth.length > 0 ? growth[growth.length - 1].biomass : null,
+    limitingProbability: Object.entries(limitingCounts)
+      .map(([factor, hits]) => ({ factor, probability: hits / count }))
+      .sort((a, b) => b.probability - a.probability),
+    growth
+  };
+}
+
+/**
+ * List the uncertain inputs, parameters and distributions for display
+ * @returns {Object} { inputs: [{ id, name, unit }], parameters: [{ id, name, kind, fvcb }], distributions: [{ id, name, description }] }
+ *   fvcb marks parameters used only by the FvCB engine
+ */
+export function getUncertaintyChoices() {
+  return {
+    inputs: Object.values(UNCERTAIN_INPUTS).map(({ id, name, unit }) => ({ id, name, unit })),
+    parameters: Object.values(UNCERTAIN_PARAMETERS).map(({ id, name, kind, fvcb }) => ({ id, name, kind, fvcb: Boolean(fvcb) })),
+    distributions: Object.values(UNCERTAINTY_DISTRIBUTIONS).map(({ id, name, description }) => ({ id, name, description }))
+  };
+}
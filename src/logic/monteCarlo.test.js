@@ -0,0 +1,77 @@
+import { runMonteCarlo, createRandom, summarizeDistribution } from './monteCarlo';
+import { simulateDiurnalGrowth } from './timeLapseSimulation';
+import { simulateSchedule } from './interventionSchedule';
+import { DEFAULT_DIURNAL_SETTINGS } from './diurnalCycle';
+
+const CONDITIONS = { light: 800, co2: 400, temperature: 25 };
+const UNCERTAINTY = { inputs: { temperature: 2, light: 100 }, parameters: { light: 0.15, growthRate: 0.1 } };
+const SETTINGS = { samples: 40, seed: 7, days: 10 };
+
+const expectOrdered = (summary) => {
+  expect(summary.p5).toBeLessThanOrEqual(summary.p25);
+  expect(summary.p25).toBeLessThanOrEqual(summary.p50);
+  expect(summary.p50).toBeLessThanOrEqual(summary.p75);
+  expect(summary.p75).toBeLessThanOrEqual(summary.p95);
+};
+
+describe('Monte Carlo uncertainty', () => {
+  test('the generator repeats for a seed and stays in [0, 1)', () => {
+    const first = createRandom(42);
+    const second = createRandom(42);
+    const draws = Array.from({ length: 100 }, () => first());
+
+    expect(draws).toEqual(Array.from({ length: 100 }, () => second()));
+    draws.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+    expect(createRandom(43)()).not.toBe(draws[0]);
+  });
+
+  test('percentiles of 1..101 fall on the matching values', () => {
+    const summary = summarizeDistribution(Array.from({ length: 101 }, (_, i) => i + 1));
+    expect(summary.mean).toBe(51);
+    expect(summary.p5).toBe(6);
+    expect(summary.p50).toBe(51);
+    expect(summary.p95).toBe(96);
+  });
+
+  test('the same seed reproduces the same result', () => {
+    const first = runMonteCarlo(CONDITIONS, UNCERTAINTY, {}, SETTINGS);
+    const second = runMonteCarlo(CONDITIONS, UNCERTAINTY, {}, SETTINGS);
+    const other = runMonteCarlo(CONDITIONS, UNCERTAINTY, {}, { ...SETTINGS, seed: 8 });
+
+    expect(second).toEqual(first);
+    expect(other.finalBiomass).not.toEqual(first.finalBiomass);
+  });
+
+  test('percentile bands are ordered for the rate and every day of growth', () => {
+    const result = runMonteCarlo(CONDITIONS, UNCERTAINTY, {}, SETTINGS);
+
+    expectOrdered(result.rate);
+    expectOrdered(result.net);
+    expect(result.growth).toHaveLength(SETTINGS.days);
+    result.growth.forEach((day) => {
+      expectOrdered(day.rate);
+      expectOrdered(day.biomass);
+    });
+    const total = result.limitingProbability.reduce((sum, { probability }) => sum + probability, 0);
+    expect(total).toBeCloseTo(1, 10);
+  });
+
+  test('draws grow with the day/night engine when it is on', () => {
+    const result = runMonteCarlo(CONDITIONS, UNCERTAINTY, {}, { ...SETTINGS, samples: 10, diurnal: DEFAULT_DIURNAL_SETTINGS });
+    const nominal = simulateDiurnalGrowth(CONDITIONS, SETTINGS.days, 100, {}, DEFAULT_DIURNAL_SETTINGS);
+
+    expect(result.nominal.biomass).toBe(nominal[nominal.length - 1].biomass);
+    result.growth.forEach((day) => expectOrdered(day.biomass));
+  });
+
+  test('draws follow the schedule of the time-lapse', () => {
+    const schedule = [{ id: 1, type: 'setCo2', startDay: 4, endDay: null, value: 900 }];
+    const result = runMonteCarlo(CONDITIONS, UNCERTAINTY, {}, { ...SETTINGS, schedule });
+    const nominal = simulateSchedule(CONDITIONS, schedule, SETTINGS.days, 100, {});
+
+    expect(result.nominal.biomass).toBe(nominal[nominal.length - 1].biomass);
+  });
+});
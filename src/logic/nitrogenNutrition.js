@@ -0,0 +1,54 @@
+/**
+ * nitrogenNutrition.js
+ * Leaf nitrogen supply and its effect on photosynthetic capacity and chlorophyll
+ *
+ * Scientific Basis: most leaf nitrogen is invested in the photosynthetic
+ * machinery - about a quarter in Rubisco alone, much of the rest in chlorophyll
+ * and the thylakoid proteins of electron transport (Evans, 1989). Maximum
+ * photosynthesis therefore rises with leaf nitrogen and saturates once the
+ * crop's requirement is met. Deficient leaves lose chlorophyll first in the
+ * older leaves and turn pale yellow-green (chlorosis).
+ *
+ * Nitrogen is expressed as the fertilizer level in % of the crop's requirement
+ * (100 % = fully fertilized).
+ */
+
+// Nitrogen level (% of requirement) at which capacity / chlorophyll are half of their maximum
+const NITROGEN_RESPONSE = {
+  capacityHalfSaturation: 30,
+  chlorophyllHalfSaturation: 20
+};
+
+// Fertilizer level treated as fully meeting the crop's requirement (%)
+const FULL_REQUIREMENT = 100;
+
+/**
+ * Saturating response scaled so the full requirement gives 1.0
+ *
+ * @param {number} nitrogen - Fertilizer level (% of requirement)
+ * @param {number} halfSaturation - Level giving half of the unscaled maximum
+ * @returns {number} Relative value (0-1)
+ */
+function saturatingResponse(nitrogen, halfSaturation) {
+  const n = Math.max(0, nitrogen);
+  const scaled = (n * (FULL_REQUIREMENT + halfSaturation)) / (FULL_REQUIREMENT * (n + halfSaturation));
+  return Math.min(1, scaled);
+}
+
+/**
+ * Photosynthetic capacity and chlorophyll content for a nitrogen supply
+ * Without a nitrogen value the plant is assumed fully fertilized.
+ *
+ * @param {number|undefined} nitrogen - Fertilizer level (% of requirement)
+ * @returns {Object} { capacity, chlorophyll } both relative to a well-fertilized leaf (0-1)
+ */
+export function calculateNitrogenStatus(nitrogen) {
+  if (nitrogen === undefined || nitrogen === null) {
+    return { capacity: 1, chlorophyll: 1 };
+  }
+
+  return {
+    capacity: saturatingResponse(nitrogen, NITROGEN_RESPONSE.capacityHalfSaturation),
+    chlorophyll: saturatingResponse(nitrogen, NITROGEN_RESPONSE.chlorophyllHalfSaturation)
+  };
+}
@@ -0,0 +1,51 @@
+import { calculateNitrogenStatus } from './nitrogenNutrition';
+import { calculatePhotosynthesisRate } from './photosynthesisModel';
+
+describe('nitrogen status', () => {
+  test('a plant without a nitrogen value is fully fertilized', () => {
+    expect(calculateNitrogenStatus(undefined)).toEqual({ capacity: 1, chlorophyll: 1 });
+    expect(calculateNitrogenStatus(null)).toEqual({ capacity: 1, chlorophyll: 1 });
+  });
+
+  test.each([
+    [0, 0, 0],
+    [20, 20 * 130 / (100 * 50), 0.6],
+    [30, 0.65, 30 * 120 / (100 * 50)],
+    [100, 1, 1],
+    [150, 1, 1]
+  ])('%i %% of the requirement gives capacity %f and chlorophyll %f', (nitrogen, capacity, chlorophyll) => {
+    const status = calculateNitrogenStatus(nitrogen);
+    expect(status.capacity).toBeCloseTo(capacity, 12);
+    expect(status.chlorophyll).toBeCloseTo(chlorophyll, 12);
+  });
+
+  test('negative supplies count as none', () => {
+    expect(calculateNitrogenStatus(-20)).toEqual(calculateNitrogenStatus(0));
+  });
+
+  test('capacity rises with nitrogen and chlorophyll saturates sooner', () => {
+    let previous = 0;
+    for (let nitrogen = 10; nitrogen < 100; nitrogen += 10) {
+      const { capacity, chlorophyll } = calculateNitrogenStatus(nitrogen);
+      expect(capacity).toBeGreaterThan(previous);
+      expect(chlorophyll).toBeGreaterThan(capacity);
+      previous = capacity;
+    }
+  });
+});
+
+describe('nitrogen in the photosynthesis model', () => {
+  test('deficiency caps the Blackman rate at the leaf capacity', () => {
+    const result = calculatePhotosynthesisRate(1500, 1200, 25, { nitrogen: 20 });
+    expect(result.factors.nitrogen).toBeCloseTo(calculateNitrogenStatus(20).capacity, 12);
+    expect(result.rate).toBeCloseTo(result.factors.nitrogen, 12);
+    expect(result.nutrition).toEqual({ nitrogen: 20, ...calculateNitrogenStatus(20) });
+  });
+
+  test('deficiency lowers the biochemical rate too', () => {
+    const full = calculatePhotosynthesisRate(1500, 800, 25, { model: 'fvcb' });
+    const deficient = calculatePhotosynthesisRate(1500, 800, 25, { model: 'fvcb', nitrogen: 20 });
+    expect(deficient.rate).toBeLessThan(full.rate);
+    expect(deficient.gasExchange.net).toBeLessThan(full.gasExchange.net);
+  });
+});
@@ -0,0 +1,88 @@
+import { calculatePhotoinhibitionRates, steadyStateDamage, advanceDamage } from './photoinhibition';
+import { simulateGrowth, calculateRecoveryCurve } from './timeLapseSimulation';
+
+const PARAMS = { light: 800, temperature: { optimal: 25, width: 8 } };
+const RATES = { damage: 0.08, repair: 0.12 };
+
+describe('damage and repair rates', () => {
+  test('light up to saturation does no harm', () => {
+    expect(calculatePhotoinhibitionRates(0, 25, PARAMS).damage).toBe(0);
+    expect(calculatePhotoinhibitionRates(800, 25, PARAMS).damage).toBe(0);
+  });
+
+  test('twice the saturating light at the optimum gives the reference rates', () => {
+    const rates = calculatePhotoinhibitionRates(1600, 25, PARAMS);
+    expect(rates.damage).toBeCloseTo(0.08, 12);
+    expect(rates.repair).toBeCloseTo(0.12, 12);
+  });
+
+  test('damage grows with the excess light and with heat', () => {
+    expect(calculatePhotoinhibitionRates(2400, 25, PARAMS).damage).toBeCloseTo(0.16, 12);
+    expect(calculatePhotoinhibitionRates(1600, 40, PARAMS).damage).toBeCloseTo(0.16, 12);
+    expect(calculatePhotoinhibitionRates(1600, 10, PARAMS).damage).toBeCloseTo(0.08, 12);
+  });
+
+  test('repair slows down in the cold and in the heat alike', () => {
+    const cold = calculatePhotoinhibitionRates(1600, 25 - 16, PARAMS).repair;
+    const hot = calculatePhotoinhibitionRates(1600, 25 + 16, PARAMS).repair;
+    expect(cold).toBeCloseTo(0.12 * Math.exp(-1), 12);
+    expect(hot).toBeCloseTo(cold, 12);
+  });
+});
+
+describe('damage kinetics', () => {
+  test('the steady state balances damage against repair', () => {
+    expect(steadyStateDamage(RATES)).toBeCloseTo(0.4, 12);
+    expect(steadyStateDamage({ damage: 0, repair: 0.12 })).toBe(0);
+    expect(steadyStateDamage({ damage: 0, repair: 0 })).toBe(0);
+  });
+
+  test('long exposure settles at the steady state from either side', () => {
+    expect(advanceDamage(0, RATES, 200).damage).toBeCloseTo(0.4, 10);
+    expect(advanceDamage(0.9, RATES, 200).damage).toBeCloseTo(0.4, 10);
+  });
+
+  test('one long step equals several short ones', () => {
+    const once = advanceDamage(0.1, RATES, 6).damage;
+    let damage = 0.1;
+    for (let hour = 0; hour < 6; hour++) {
+      damage = advanceDamage(damage, RATES, 1).damage;
+    }
+    expect(damage).toBeCloseTo(once, 12);
+  });
+
+  test('the exact solution agrees with a fine numerical integration', () => {
+    let damage = 0;
+    const dt = 0.0005;
+    for (let t = 0; t < 5; t += dt) {
+      damage += dt * (RATES.damage * (1 - damage) - RATES.repair * damage);
+    }
+    expect(advanceDamage(0, RATES, 5).damage).toBeCloseTo(damage, 4);
+  });
+
+  test('the period mean lies between the start and end damage', () => {
+    const { damage, mean } = advanceDamage(0, RATES, 8);
+    expect(mean).toBeGreaterThan(0);
+    expect(mean).toBeLessThan(damage);
+  });
+
+  test('no time or no rates leave the damage unchanged', () => {
+    expect(advanceDamage(0.3, RATES, 0)).toEqual({ damage: 0.3, mean: 0.3 });
+    expect(advanceDamage(0.3, { damage: 0, repair: 0 }, 10)).toEqual({ damage: 0.3, mean: 0.3 });
+  });
+});
+
+describe('photoinhibition over time', () => {
+  test('damage builds up day by day under excess light', () => {
+    const days = simulateGrowth({ light: 2000, co2: 800, temperature: 32 }, 5);
+    expect(days[0].photoinhibition).toBeGreaterThan(0);
+    expect(days[4].photoinhibition).toBeGreaterThan(days[0].photoinhibition);
+  });
+
+  test('a damaged leaf recovers in dim light', () => {
+    const curve = calculateRecoveryCurve(0.5, { light: 200, temperature: 25 }, 48);
+    expect(curve[0].damage).toBe(0.5);
+    expect(curve[48].damage).toBeLessThan(0.1);
+    expect(curve[48].functional).toBeCloseTo(1 - curve[48].damage, 10);
+  });
+});
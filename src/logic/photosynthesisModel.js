@@ -6,6 +6,15 @@
  * The rate of photosynthesis is determined by the factor in shortest supply.
  */
 
+import { calculateFvcbRate, getDefaultFvcbParameters } from './fvcbModel.js';
+import { getPathwayProfile, DEFAULT_PATHWAY } from './photosyntheticPathways.js';
+import { getSpeciesProfile } from './speciesProfiles.js';
+import { calculateStomatalResponse } from './stomatalConductance.js';
+import { calculateNitrogenStatus } from './nitrogenNutrition.js';
+import { calculateLightQuality } from './lightSpectrum.js';
+import { calculateGammaStar, calculateCarbonBalance } from './carbonBalance.js';
+import { DEFAULT_COLIMITATION_TOLERANCE } from './limitingFactor.js';
+
 // Optimal reference values for maximum photosynthesis
 const OPTIMAL_VALUES = {
   light: 800,        // μmol/m²/s (micromoles per square meter per second)
@@ -17,24 +26,74 @@ const OPTIMAL_VALUES = {
 const TEMP_RANGE = {
   min: 0,           // Below this, enzymes are inactive
   optimal: 25,      // Peak enzyme efficiency
-  max: 45           // Above this, enzymes denature
+  max: 45,          // Above this, enzymes denature
+  width: 8          // Standard deviation of the bell curve (~15-35°C reasonably productive)
 };
 
+// Fraction of biomass gained per day at a rate of 1.0
+const BASE_GROWTH_RATE = 0.05;
+
+// Searched ranges for the light (μmol/m²/s) and CO₂ (ppm) compensation points
+const COMPENSATION_SEARCH = {
+  light: 3000,
+  co2: 2000
+};
+
+/**
+ * Resolve the parameter set used by the normalization curves
+ * Starts from the global C3 reference values, overlays the pathway
+ * (explicit `pathway`, else the species' own) and then the species profile.
+ * `parameterAdjustments` perturbs the result for uncertainty analysis:
+ * light, co2, maxAssimilation, darkRespiration and growthRate are scale
+ * factors, temperatureOptimum is a shift in °C.
+ * 
+ * @param {Object} options - { pathway?: string, species?: string, parameterAdjustments?: Object }
+ * @returns {Object} { pathway, species, light, co2, temperature: { min, optimal, max, width }, photorespiration, stomatal, quantumYield, maxAssimilation, darkRespiration, growthRate }
+ */
+export function resolveModelParameters(options = {}) {
+  const species = getSpeciesProfile(options.species);
+  const profile = getPathwayProfile(options.pathway || (species && species.pathway));
+  const overrides = species || {};
+  const adjust = options.parameterAdjustments || {};
+  const temperature = { ...TEMP_RANGE, ...profile.temperature, ...overrides.temperature };
+  
+  return {
+    pathway: profile.id,
+    species: species ? species.id : null,
+    light: (overrides.light ?? profile.light ?? OPTIMAL_VALUES.light) * (adjust.light ?? 1),
+    co2: (overrides.co2 ?? profile.co2 ?? OPTIMAL_VALUES.co2) * (adjust.co2 ?? 1),
+    temperature: { ...temperature, optimal: temperature.optimal + (adjust.temperatureOptimum ?? 0) },
+    photorespiration: profile.photorespiration,
+    stomatal: profile.stomatal,
+    quantumYield: profile.quantumYield,
+    maxAssimilation: (overrides.maxAssimilation ?? profile.maxAssimilation) * (adjust.maxAssimilation ?? 1),
+    darkRespiration: (overrides.darkRespiration ?? profile.darkRespiration) * (adjust.darkRespiration ?? 1),
+    // Species growth rates already reflect their pathway
+    growthRate: (overrides.growthRate ?? BASE_GROWTH_RATE * profile.growthScale) * (adjust.growthRate ?? 1)
+  };
+}
+
 /**
  * Normalize light intensity to a 0-1 scale
  * Light follows a saturation curve - increases rapidly at low levels,
  * then plateaus as light-harvesting complexes become saturated.
+ * The spectral efficiency of the light source (1 for sunlight) scales the
+ * photon flux first: a red/blue LED drives more photosynthesis per photon
+ * than far-red-rich shade light.
  * 
  * @param {number} light - Light intensity (0-1000+ μmol/m²/s)
+ * @param {number} saturation - Near-saturating light for the plant (μmol/m²/s)
+ * @param {number} spectralEfficiency - Light-source weighting from lightSpectrum.js
  * @returns {number} Normalized factor (0-1)
  */
-function normalizeLightFactor(light) {
-  if (light <= 0) return 0;
+function normalizeLightFactor(light, saturation = OPTIMAL_VALUES.light, spectralEfficiency = 1) {
+  const effectiveLight = light * spectralEfficiency;
+  if (effectiveLight <= 0) return 0;
   
   // Michaelis-Menten-like saturation curve
   // This mimics how chloroplasts absorb light efficiently at low levels
   // but reach maximum capacity around optimal levels
-  const normalized = light / (light + OPTIMAL_VALUES.light * 0.3);
+  const normalized = effectiveLight / (effectiveLight + saturation * 0.3);
   
   // Cap at 1.0 (100% efficiency)
   return Math.min(normalized, 1.0);
@@ -46,20 +105,43 @@ function normalizeLightFactor(light) {
  * up to the point where RuBisCO (the CO₂-fixing enzyme) is saturated.
  * 
  * @param {number} co2 - CO₂ concentration (0-2000+ ppm)
+ * @param {number} saturation - Near-saturating CO₂ for the plant (ppm)
  * @returns {number} Normalized factor (0-1)
  */
-function normalizeCO2Factor(co2) {
+function normalizeCO2Factor(co2, saturation = OPTIMAL_VALUES.co2) {
   if (co2 <= 0) return 0;
   
   // Linear rise with saturation
   // Below optimal: proportional increase
   // Above optimal: diminishing returns as RuBisCO saturates
-  const normalized = Math.min(co2 / OPTIMAL_VALUES.co2, 1.0) * 
-                     (1 - Math.exp(-co2 / OPTIMAL_VALUES.co2));
+  const normalized = Math.min(co2 / saturation, 1.0) * 
+                     (1 - Math.exp(-co2 / saturation));
   
   return Math.min(normalized, 1.0);
 }
 
+/**
+ * Photorespiration penalty on carbon fixation
+ * RuBisCO also binds O₂; the wasted fraction grows with temperature (Γ* rises)
+ * and shrinks with CO₂. Expressed relative to 25°C / 400 ppm so the reference
+ * C3 plant is unaffected under standard conditions.
+ * 
+ * @param {number} co2 - CO₂ concentration (ppm)
+ * @param {number} temperature - Temperature in °C
+ * @param {number} strength - Pathway photorespiration (1 = C3, 0 = none)
+ * @returns {number} Multiplier on the CO₂ factor (0-1)
+ */
+function photorespirationFactor(co2, temperature, strength) {
+  if (strength <= 0 || co2 <= 0) return 1;
+  
+  // Intercellular CO₂ is roughly 70% of ambient
+  const efficiency = Math.max(0, 1 - calculateGammaStar(temperature) / (co2 * 0.7));
+  const reference = 1 - calculateGammaStar(OPTIMAL_VALUES.temperature) / (OPTIMAL_VALUES.co2 * 0.7);
+  const relative = Math.min(1, efficiency / reference);
+  
+  return 1 - strength * (1 - relative);
+}
+
 /**
  * Normalize temperature to a 0-1 scale
  * Temperature affects enzyme kinetics. Too cold = slow reactions.
@@ -68,64 +150,300 @@ function normalizeCO2Factor(co2) {
  * This follows a bell curve (normal distribution around optimal temp).
  * 
  * @param {number} temperature - Temperature in °C
+ * @param {Object} range - { min, optimal, max, width } for the plant
  * @returns {number} Normalized factor (0-1)
  */
-function normalizeTemperatureFactor(temperature) {
+function normalizeTemperatureFactor(temperature, range = TEMP_RANGE) {
   // Below minimum or above maximum = near-zero activity
-  if (temperature <= TEMP_RANGE.min) return 0.05;
-  if (temperature >= TEMP_RANGE.max) return 0.05;
+  if (temperature <= range.min) return 0.05;
+  if (temperature >= range.max) return 0.05;
   
   // Bell curve centered at optimal temperature
-  // Standard deviation controls the width of the optimal range
-  const stdDev = 8; // Allows ~15-35°C to be reasonably productive
-  const exponent = -Math.pow(temperature - TEMP_RANGE.optimal, 2) / (2 * stdDev * stdDev);
+  // Width (standard deviation) controls the breadth of the optimal range
+  const stdDev = range.width;
+  const exponent = -Math.pow(temperature - range.optimal, 2) / (2 * stdDev * stdDev);
   
   return Math.exp(exponent);
 }
 
+// Default curvature (θ) for the co-limitation model.
+// θ = 1 reproduces Blackman's sharp corner, θ → 0 gives a very gradual transition.
+const DEFAULT_THETA = 0.9;
+
+/**
+ * Smooth co-limitation of two factors using a non-rectangular hyperbola
+ * Solves θ·A² - (a + b)·A + a·b = 0 for the smaller root A.
+ * 
+ * @param {number} a - First normalized factor (0-1)
+ * @param {number} b - Second normalized factor (0-1)
+ * @param {number} theta - Curvature parameter (0-1)
+ * @returns {number} Co-limited value (0-1)
+ */
+function coLimit(a, b, theta) {
+  const sum = a + b;
+  if (sum <= 0) return 0;
+  
+  // θ = 0 degenerates to a rectangular hyperbola
+  if (theta <= 0) return (a * b) / sum;
+  
+  const discriminant = Math.max(0, sum * sum - 4 * theta * a * b);
+  return (sum - Math.sqrt(discriminant)) / (2 * theta);
+}
+
 /**
- * Calculate photosynthesis rate based on light, CO₂, and temperature
+ * Registry of photosynthesis models
+ * Combiner models turn the normalized light, CO₂ and temperature factors
+ * into a single photosynthesis rate (0-1). The CO₂ they receive is the supply
+ * that actually passes the stomata; `nitrogen` is the leaf's photosynthetic
+ * capacity (1 for a well-fertilized leaf) and `photoinhibition` the fraction
+ * of undamaged photosystem II. Engine models provide their own
+ * `calculate` function returning the same { rate, factors } contract.
+ */
+export const PHOTOSYNTHESIS_MODELS = {
+  blackman: {
+    id: "blackman",
+    name: "Blackman (strict minimum)",
+    description: "The rate equals the factor in shortest supply. Increasing any other factor has no effect until the limiting one is relieved, giving the classic sharp corner.",
+    combine: (factors) => Math.min(
+      factors.light,
+      factors.co2,
+      factors.temperature,
+      factors.nitrogen,
+      factors.photoinhibition
+    )
+  },
+  multiplicative: {
+    id: "multiplicative",
+    name: "Multiplicative",
+    description: "Every factor scales the rate at the same time. There is no single limiting factor: improving any input always raises the rate a little.",
+    combine: (factors) => factors.light * factors.co2 * factors.temperature * factors.nitrogen * factors.photoinhibition
+  },
+  colimitation: {
+    id: "colimitation",
+    name: "Smooth co-limitation",
+    description: "Factors are combined with a non-rectangular hyperbola. The curvature θ rounds off Blackman's corner the way measured response curves do. Nitrogen scales the plateau of the curve.",
+    combine: (factors, options) => {
+      const theta = Math.max(0, Math.min(1, options.theta ?? DEFAULT_THETA));
+      // Nitrogen and intact PSII set the leaf's maximum capacity, i.e. the height of the plateau
+      const environment = coLimit(coLimit(factors.light, factors.co2, theta), factors.temperature, theta);
+      return environment * factors.nitrogen * factors.photoinhibition;
+    }
+  },
+  fvcb: {
+    id: "fvcb",
+    name: "Farquhar–von Caemmerer–Berry (biochemical)",
+    description: "Assimilation is the minimum of Rubisco-limited, RuBP-regeneration-limited and TPU-limited rates, computed from Vcmax, Jmax, Rd and Γ* with Arrhenius temperature responses.",
+    calculate: calculateFvcbRate
+  }
+};
+
+export const DEFAULT_MODEL = "blackman";
+
+/**
+ * Calculate photosynthesis rate based on light, CO₂, temperature, humidity and nitrogen
  * Returns both the overall rate and individual factor contributions.
  * 
- * The MINIMUM of the three factors determines the rate (Blackman's Law).
+ * By default the MINIMUM of the factors determines the rate (Blackman's Law).
+ * Other combiners from PHOTOSYNTHESIS_MODELS can be selected through `options.model`.
+ * 
+ * Humidity acts through the stomata: dry air lowers internal CO₂ (Ci). The
+ * `stomata` factor is the CO₂ factor at that reduced Ci, so it never exceeds
+ * `co2` and equals it while the stomata are fully open.
+ * 
+ * Nitrogen sets the photosynthetic capacity of the leaf: the `nitrogen`
+ * factor is the fraction of a well-fertilized leaf's maximum rate.
+ * 
+ * `lightSource` picks the lamp spectrum (default sunlight); the light value
+ * is the source's photon flux and is weighted by the pathway's quantum yield.
+ * 
+ * `photodamage` is the fraction of photosystem II damaged by earlier high
+ * light (see photoinhibition.js). It builds up over time, so a single call
+ * assumes a healthy leaf unless the time-lapse passes its current state.
+ * 
+ * `rate` stays on the 0-1 scale; `gasExchange` converts it into gross
+ * assimilation, photorespiration, dark respiration and net CO₂ uptake in
+ * μmol/m²/s (see carbonBalance.js). Net uptake is negative in the dark.
  * 
  * @param {number} light - Light intensity (μmol/m²/s)
  * @param {number} co2 - CO₂ concentration (ppm)
  * @param {number} temperature - Temperature (°C)
- * @returns {Object} { rate: number, factors: { light, co2, temperature } }
+ * @param {Object} options - { model?, theta?, fvcb?, pathway?, species?, humidity?: % RH, nitrogen?: % of requirement, lightSource?, photodamage?: 0-1 }
+ * @returns {Object} { rate, factors: { light, co2, temperature, stomata, nitrogen, photoinhibition }, gasExchange: { gross, photorespiration, respiration, net }, stomatal: { vpd, conductance, internalCO2 }, nutrition: { nitrogen, capacity, chlorophyll }, lightQuality: { source, par, effective, spectralEfficiency, quantumYield }, model, pathway, species }
  */
-export function calculatePhotosynthesisRate(light, co2, temperature) {
+export function calculatePhotosynthesisRate(light, co2, temperature, options = {}) {
+  // Unknown model ids fall back to Blackman's Law
+  const model = PHOTOSYNTHESIS_MODELS[options.model] || PHOTOSYNTHESIS_MODELS[DEFAULT_MODEL];
+  
+  const params = resolveModelParameters(options);
+  const stomatalResponse = calculateStomatalResponse(temperature, options.humidity, params.stomatal);
+  const internalCO2 = co2 * stomatalResponse.ciFraction;
+  const stomatal = {
+    vpd: stomatalResponse.vpd,
+    conductance: stomatalResponse.conductance,
+    internalCO2
+  };
+  const nitrogenStatus = calculateNitrogenStatus(options.nitrogen);
+  const nutrition = { nitrogen: options.nitrogen ?? null, ...nitrogenStatus };
+  const lightQuality = calculateLightQuality(light, options.lightSource, params.quantumYield);
+  const photoinhibitionFactor = 1 - Math.max(0, Math.min(1, options.photodamage ?? 0));
+  
+  // Engine models compute their own factors; pathway biochemistry
+  // (e.g. the C4 CO₂ pump) takes precedence over the edited leaf parameters
+  if (model.calculate) {
+    const fvcb = { ...options.fvcb, ...getPathwayProfile(params.pathway).fvcb };
+    const engineResult = model.calculate(light, co2, temperature, {
+      ...options,
+      fvcb,
+      ciFraction: stomatalResponse.ciFraction,
+      nitrogenCapacity: nitrogenStatus.capacity,
+      spectralEfficiency: lightQuality.spectralEfficiency,
+      photoinhibition: photoinhibitionFactor,
+      optimalTemperature: params.temperature.optimal
+    });
+    // The engine balances its own carboxylation, photorespiration and Rd
+    return {
+      ...engineResult,
+      gasExchange: engineResult.gasExchange ?? calculateCarbonBalance(engineResult.rate, internalCO2, temperature, params),
+      stomatal,
+      nutrition,
+      lightQuality,
+      model: model.id,
+      pathway: params.pathway,
+      species: params.species
+    };
+  }
+  
   // Normalize each environmental factor
-  const lightFactor = normalizeLightFactor(light);
-  const co2Factor = normalizeCO2Factor(co2);
-  const tempFactor = normalizeTemperatureFactor(temperature);
+  const lightFactor = normalizeLightFactor(light, params.light, lightQuality.spectralEfficiency);
+  const co2Factor = normalizeCO2Factor(co2, params.co2) *
+                    photorespirationFactor(co2, temperature, params.photorespiration);
+  const tempFactor = normalizeTemperatureFactor(temperature, params.temperature);
+  const stomataFactor = normalizeCO2Factor(internalCO2, params.co2) *
+                        photorespirationFactor(internalCO2, temperature, params.photorespiration);
   
-  // Law of Limiting Factors: the slowest step limits the whole process
-  // Like a chain - strength is determined by the weakest link
-  const rate = Math.min(lightFactor, co2Factor, tempFactor);
+  const factors = {
+    light: lightFactor,
+    co2: co2Factor,
+    temperature: tempFactor,
+    stomata: stomataFactor,
+    nitrogen: nitrogenStatus.capacity,
+    photoinhibition: photoinhibitionFactor
+  };
+  
+  // CO₂ reaching the chloroplast is limited by both the air and the stomata
+  const supply = {
+    light: lightFactor,
+    co2: Math.min(co2Factor, stomataFactor),
+    temperature: tempFactor,
+    nitrogen: nitrogenStatus.capacity,
+    photoinhibition: photoinhibitionFactor
+  };
+  
+  const rate = Math.max(0, Math.min(1, model.combine(supply, options)));
   
   return {
     rate: rate,
-    factors: {
-      light: lightFactor,
-      co2: co2Factor,
-      temperature: tempFactor
-    }
+    factors,
+    gasExchange: calculateCarbonBalance(rate, internalCO2, temperature, params),
+    stomatal,
+    nutrition,
+    lightQuality,
+    model: model.id,
+    pathway: params.pathway,
+    species: params.species
+  };
+}
+
+/**
+ * Find where net CO₂ uptake crosses zero along one input by bisection
+ * Net uptake rises monotonically with both light and CO₂.
+ * 
+ * @param {Function} netAt - Maps the searched input to net CO₂ uptake
+ * @param {number} upper - Largest input searched
+ * @returns {number|null} Input at which net uptake is zero, or null if it never reaches zero
+ */
+function findCompensationPoint(netAt, upper) {
+  if (netAt(0) >= 0) return 0;
+  if (netAt(upper) < 0) return null;
+  
+  let low = 0;
+  let high = upper;
+  for (let i = 0; i < 40; i++) {
+    const mid = (low + high) / 2;
+    if (netAt(mid) < 0) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Light and CO₂ compensation points for the current conditions
+ * Below the light compensation point (at the current CO₂ and temperature),
+ * or below the CO₂ compensation point (at the current light), respiration
+ * outweighs assimilation and the leaf loses carbon.
+ * 
+ * @param {number} light - Light intensity (μmol/m²/s)
+ * @param {number} co2 - CO₂ concentration (ppm)
+ * @param {number} temperature - Temperature (°C)
+ * @param {Object} options - Model options, as for calculatePhotosynthesisRate
+ * @returns {Object} { light: μmol/m²/s or null, co2: ppm or null }
+ */
+export function calculateCompensationPoints(light, co2, temperature, options = {}) {
+  const netAt = (l, c) => calculatePhotosynthesisRate(l, c, temperature, options).gasExchange.net;
+  
+  return {
+    light: findCompensationPoint((l) => netAt(l, co2), COMPENSATION_SEARCH.light),
+    co2: findCompensationPoint((c) => netAt(light, c), COMPENSATION_SEARCH.co2)
+  };
+}
+
+/**
+ * List the selectable photosynthesis models for display
+ * @returns {Array} [{ id, name, description }]
+ */
+export function getAvailableModels() {
+  return Object.values(PHOTOSYNTHESIS_MODELS).map(({ id, name, description }) => ({
+    id,
+    name,
+    description
+  }));
+}
+
+/**
+ * Get default model options (model id, co-limitation curvature, FvCB leaf parameters, pathway, species,
+ * tolerance band for reporting co-limiting factors)
+ * @returns {Object} { model, theta, fvcb, pathway, species, colimitationTolerance }
+ */
+export function getDefaultModelOptions() {
+  return {
+    model: DEFAULT_MODEL,
+    theta: DEFAULT_THETA,
+    fvcb: getDefaultFvcbParameters(),
+    pathway: DEFAULT_PATHWAY,
+    species: null,
+    colimitationTolerance: DEFAULT_COLIMITATION_TOLERANCE
   };
 }
 
 /**
  * Get optimal reference values for display/comparison
+ * @param {Object} options - { pathway?: string, species?: string }
  * @returns {Object} Optimal values for each factor
  */
-export function getOptimalValues() {
-  return { ...OPTIMAL_VALUES };
+export function getOptimalValues(options = {}) {
+  const params = resolveModelParameters(options);
+  return {
+    light: params.light,
+    co2: params.co2,
+    temperature: params.temperature.optimal
+  };
 }
 
 /**
  * Get temperature range information
+ * @param {Object} options - { pathway?: string, species?: string }
  * @returns {Object} Temperature range constraints
  */
-export function getTemperatureRange() {
-  return { ...TEMP_RANGE };
+export function getTemperatureRange(options = {}) {
+  return { ...resolveModelParameters(options).temperature };
 }
\ No newline at end of file
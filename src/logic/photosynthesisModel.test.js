@@ -0,0 +1,100 @@
+import {
+  calculatePhotosynthesisRate,
+  getAvailableModels,
+  getDefaultModelOptions,
+  PHOTOSYNTHESIS_MODELS,
+  DEFAULT_MODEL
+} from './photosynthesisModel';
+
+// Each combiner turns the same normalized factors into a rate; the Blackman
+// minimum is the reference that the other models are compared against.
+
+const CONDITIONS = [
+  [800, 400, 25],
+  [150, 400, 25],
+  [1500, 150, 25],
+  [1200, 900, 12],
+  [600, 400, 38]
+];
+
+// The CO₂ the combiners see is the lower of the air and the stomatal supply
+const supplyOf = ({ factors }) => ({
+  light: factors.light,
+  co2: Math.min(factors.co2, factors.stomata),
+  temperature: factors.temperature,
+  nitrogen: factors.nitrogen,
+  photoinhibition: factors.photoinhibition
+});
+
+describe('model registry', () => {
+  test('lists every model with a name and description', () => {
+    const models = getAvailableModels();
+    expect(models.map(({ id }) => id)).toEqual(Object.keys(PHOTOSYNTHESIS_MODELS));
+    models.forEach((model) => {
+      expect(model.name).toBeTruthy();
+      expect(model.description).toBeTruthy();
+    });
+  });
+
+  test('defaults to Blackman and falls back to it for unknown ids', () => {
+    expect(getDefaultModelOptions().model).toBe(DEFAULT_MODEL);
+    expect(calculatePhotosynthesisRate(800, 400, 25).model).toBe('blackman');
+    expect(calculatePhotosynthesisRate(800, 400, 25, { model: 'unknown' }).model).toBe('blackman');
+  });
+});
+
+describe.each(CONDITIONS)('combiners at %i μmol/m²/s, %i ppm, %i°C', (light, co2, temperature) => {
+  const rateOf = (options) => calculatePhotosynthesisRate(light, co2, temperature, options);
+
+  test('Blackman is the minimum of the factors', () => {
+    const result = rateOf({ model: 'blackman' });
+    expect(result.rate).toBeCloseTo(Math.min(...Object.values(supplyOf(result))), 12);
+  });
+
+  test('the multiplicative model is the product of the factors', () => {
+    const result = rateOf({ model: 'multiplicative' });
+    const product = Object.values(supplyOf(result)).reduce((total, factor) => total * factor, 1);
+    expect(result.rate).toBeCloseTo(product, 12);
+    expect(result.rate).toBeLessThanOrEqual(rateOf({ model: 'blackman' }).rate);
+  });
+
+  test('co-limitation with θ = 1 reproduces the Blackman minimum', () => {
+    expect(rateOf({ model: 'colimitation', theta: 1 }).rate).toBeCloseTo(rateOf({ model: 'blackman' }).rate, 10);
+  });
+
+  test('a smaller θ rounds the corner below the minimum', () => {
+    const blackman = rateOf({ model: 'blackman' }).rate;
+    const smooth = rateOf({ model: 'colimitation', theta: 0.9 }).rate;
+    const gradual = rateOf({ model: 'colimitation', theta: 0.5 }).rate;
+
+    expect(smooth).toBeLessThan(blackman);
+    expect(gradual).toBeLessThan(smooth);
+    expect(gradual).toBeGreaterThan(0);
+  });
+});
+
+describe('capacity factors', () => {
+  test('nitrogen scales the co-limited plateau', () => {
+    const full = calculatePhotosynthesisRate(800, 400, 25, { model: 'colimitation' });
+    const deficient = calculatePhotosynthesisRate(800, 400, 25, { model: 'colimitation', nitrogen: 40 });
+
+    expect(full.factors.nitrogen).toBe(1);
+    expect(deficient.rate).toBeCloseTo(full.rate * deficient.factors.nitrogen, 12);
+  });
+
+  test('photodamage caps the Blackman rate at the intact fraction of PSII', () => {
+    const result = calculatePhotosynthesisRate(1500, 1200, 25, { photodamage: 0.6 });
+    expect(result.factors.photoinhibition).toBeCloseTo(0.4, 12);
+    expect(result.rate).toBeCloseTo(0.4, 12);
+  });
+
+  test('rates stay between 0 and 1 for every model', () => {
+    Object.keys(PHOTOSYNTHESIS_MODELS).forEach((model) => {
+      [[0, 400, 25], [2000, 2000, 25], [800, 400, 50]].forEach(([light, co2, temperature]) => {
+        const { rate } = calculatePhotosynthesisRate(light, co2, temperature, { model });
+        expect(rate).toBeGreaterThanOrEqual(0);
+        expect(rate).toBeLessThanOrEqual(1);
+      });
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * photosyntheticPathways.js
+ * Parameter sets for the C3, C4 and CAM photosynthetic pathways
+ *
+ * Scientific Basis:
+ * - C3: RuBisCO fixes CO₂ directly in the mesophyll. Photorespiration rises with
+ *   temperature and falls with CO₂, so C3 plants need more CO₂ and suffer in heat.
+ * - C4: PEP carboxylase concentrates CO₂ around RuBisCO in the bundle sheath.
+ *   Photorespiration is suppressed, CO₂ saturates early and the temperature optimum is higher.
+ * - CAM: stomata open at night, CO₂ is stored as malic acid and released behind
+ *   closed stomata during the day. Very heat and drought tolerant, but slow growing.
+ */
+
+/**
+ * Pathway profiles
+ * Values follow the shape of OPTIMAL_VALUES / TEMP_RANGE in photosynthesisModel.js
+ * so the model can overlay them directly.
+ */
+export const PHOTOSYNTHETIC_PATHWAYS = {
+  C3: {
+    id: "C3",
+    name: "C3",
+    examples: "Wheat, rice, tomato, most trees",
+    description: "RuBisCO fixes CO₂ directly. Photorespiration wastes carbon as leaves warm up and CO₂ runs low.",
+    light: 800,              // μmol/m²/s at which light is near-saturating
+    co2: 400,                // ppm at which CO₂ is near-saturating
+    temperature: { min: 0, optimal: 25, max: 45, width: 8 },
+    photorespiration: 1.0,   // Relative photorespiratory loss
+    growthScale: 1.0,        // Relative biomass conversion
+    carbonUptake: { day: 1.0, night: 0.0 },
+    stomatal: { g1: 4.1, vpdExposure: 1.0 }, // Medlyn slope (kPa^0.5), share of daytime VPD seen
+    // Quantum yield by spectral band (mol CO₂ / mol incident photons)
+    quantumYield: { blue: 0.040, green: 0.045, red: 0.055, farRed: 0.005 },
+    maxAssimilation: 25,     // Gross CO₂ fixation at a rate of 1.0 (μmol/m²/s)
+    darkRespiration: 1.2,    // Mitochondrial respiration at 25°C (μmol/m²/s)
+    fvcb: {}
+  },
+  C4: {
+    id: "C4",
+    name: "C4",
+    examples: "Maize, sugarcane, sorghum",
+    description: "A CO₂ pump concentrates carbon around RuBisCO. CO₂ saturates early, photorespiration is negligible and heat is tolerated.",
+    light: 1200,
+    co2: 150,
+    temperature: { min: 8, optimal: 32, max: 50, width: 9 },
+    photorespiration: 0.0,
+    growthScale: 1.0,
+    carbonUptake: { day: 1.0, night: 0.0 },
+    stomatal: { g1: 1.6, vpdExposure: 1.0 },
+    // Blue light is absorbed in the mesophyll and unbalances the CO₂ pump
+    quantumYield: { blue: 0.032, green: 0.047, red: 0.060, farRed: 0.005 },
+    maxAssimilation: 40,
+    darkRespiration: 1.8,
+    // Bundle-sheath CO₂ is several times ambient and RuBisCO barely oxygenates
+    fvcb: { ciRatio: 4, gammaStar25: 0 }
+  },
+  CAM: {
+    id: "CAM",
+    name: "CAM",
+    examples: "Cacti, agave, pineapple",
+    description: "Stomata open at night to take up CO₂, then close through the hot day. Survives heat and drought, but grows slowly.",
+    light: 700,
+    co2: 250,
+    temperature: { min: 5, optimal: 32, max: 55, width: 12 },
+    photorespiration: 0.2,
+    growthScale: 0.4,
+    carbonUptake: { day: 0.2, night: 0.8 },
+    // Stomata open mostly in the cool, humid night
+    stomatal: { g1: 2.0, vpdExposure: 0.25 },
+    quantumYield: { blue: 0.038, green: 0.043, red: 0.052, farRed: 0.005 },
+    maxAssimilation: 12,
+    darkRespiration: 0.6,
+    // Daytime decarboxylation of malate raises internal CO₂ behind closed stomata
+    fvcb: { ciRatio: 3 }
+  }
+};
+
+export const DEFAULT_PATHWAY = "C3";
+
+/**
+ * Look up a pathway profile, falling back to C3
+ *
+ * @param {string} pathway - "C3", "C4" or "CAM"
+ * @returns {Object} Pathway profile
+ */
+export function getPathwayProfile(pathway) {
+  return PHOTOSYNTHETIC_PATHWAYS[pathway] || PHOTOSYNTHETIC_PATHWAYS[DEFAULT_PATHWAY];
+}
+
+/**
+ * Fraction of daily carbon uptake that happens in daylight vs. at night
+ *
+ * @param {string} pathway - "C3", "C4" or "CAM"
+ * @returns {Object} { day: number, night: number } fractions summing to 1
+ */
+export function getCarbonUptakeProfile(pathway) {
+  return { ...getPathwayProfile(pathway).carbonUptake };
+}
+
+/**
+ * List the selectable pathways for display
+ * @returns {Array} [{ id, name, examples, description }]
+ */
+export function getAvailablePathways() {
+  return Object.values(PHOTOSYNTHETIC_PATHWAYS).map(({ id, name, examples, description }) => ({
+    id,
+    name,
+    examples,
+    description
+  }));
+}
@@ -0,0 +1,90 @@
+import {
+  getPathwayProfile,
+  getCarbonUptakeProfile,
+  getAvailablePathways,
+  PHOTOSYNTHETIC_PATHWAYS,
+  DEFAULT_PATHWAY
+} from './photosyntheticPathways';
+import { calculatePhotosynthesisRate, getOptimalValues } from './photosynthesisModel';
+import { simulateGrowth, simulateDiurnalGrowth } from './timeLapseSimulation';
+
+const rateAt = (co2, temperature, options) => calculatePhotosynthesisRate(1500, co2, temperature, options);
+
+describe('pathway profiles', () => {
+  test('unknown pathways fall back to C3', () => {
+    expect(DEFAULT_PATHWAY).toBe('C3');
+    expect(getPathwayProfile('C5')).toBe(PHOTOSYNTHETIC_PATHWAYS.C3);
+    expect(getPathwayProfile(undefined).id).toBe('C3');
+  });
+
+  test.each(Object.keys(PHOTOSYNTHETIC_PATHWAYS))('%s splits its carbon uptake between day and night', (pathway) => {
+    const { day, night } = getCarbonUptakeProfile(pathway);
+    expect(day + night).toBeCloseTo(1, 12);
+  });
+
+  test('CAM takes up most of its carbon at night', () => {
+    expect(getCarbonUptakeProfile('CAM').night).toBeGreaterThan(getCarbonUptakeProfile('CAM').day);
+    expect(getCarbonUptakeProfile('C3').night).toBe(0);
+  });
+
+  test('the carbon uptake profile is a copy', () => {
+    getCarbonUptakeProfile('C4').day = 0;
+    expect(PHOTOSYNTHETIC_PATHWAYS.C4.carbonUptake.day).toBe(1);
+  });
+
+  test('lists every pathway for display', () => {
+    expect(getAvailablePathways().map(({ id }) => id)).toEqual(['C3', 'C4', 'CAM']);
+  });
+});
+
+describe('pathway responses', () => {
+  test('C4 CO₂ uptake plateaus at ambient CO₂ while C3 keeps rising', () => {
+    const c3Gain = rateAt(1000, 25, { pathway: 'C3' }).factors.co2 - rateAt(400, 25, { pathway: 'C3' }).factors.co2;
+    const c4Gain = rateAt(1000, 25, { pathway: 'C4' }).factors.co2 - rateAt(400, 25, { pathway: 'C4' }).factors.co2;
+
+    expect(rateAt(400, 25, { pathway: 'C4' }).factors.co2).toBeGreaterThan(0.9);
+    expect(c4Gain).toBeLessThan(0.1);
+    expect(c3Gain).toBeGreaterThan(3 * c4Gain);
+  });
+
+  test('the biochemical C4 leaf is CO₂-saturated at ambient CO₂', () => {
+    const ambient = rateAt(400, 30, { model: 'fvcb', pathway: 'C4' }).rate;
+    const enriched = rateAt(1200, 30, { model: 'fvcb', pathway: 'C4' }).rate;
+    expect(enriched).toBeCloseTo(ambient, 2);
+  });
+
+  test('C4 has no photorespiration and C3 loses more as it warms', () => {
+    expect(rateAt(400, 35, { pathway: 'C4' }).gasExchange.photorespiration).toBe(0);
+    expect(rateAt(400, 35, { pathway: 'C3' }).gasExchange.photorespiration)
+      .toBeGreaterThan(rateAt(400, 25, { pathway: 'C3' }).gasExchange.photorespiration);
+  });
+
+  test('C4 and CAM have higher temperature optima than C3', () => {
+    expect(getOptimalValues({ pathway: 'C4' }).temperature).toBeGreaterThan(getOptimalValues({ pathway: 'C3' }).temperature);
+    expect(getOptimalValues({ pathway: 'CAM' }).temperature).toBeGreaterThan(getOptimalValues({ pathway: 'C3' }).temperature);
+    expect(rateAt(400, 38, { pathway: 'C4' }).factors.temperature)
+      .toBeGreaterThan(rateAt(400, 38, { pathway: 'C3' }).factors.temperature);
+  });
+
+  test('the options report the pathway that was used', () => {
+    expect(rateAt(400, 25, { pathway: 'CAM' }).pathway).toBe('CAM');
+    expect(rateAt(400, 25, {}).pathway).toBe('C3');
+  });
+
+  test.each([{ pathway: 'C4' }, { species: 'maize' }])('a biochemical %j leaf without CO₂ stays finite', (options) => {
+    const result = calculatePhotosynthesisRate(1500, 0, 30, { model: 'fvcb', ...options });
+    const growth = simulateGrowth({ light: 1500, co2: 0, temperature: 30 }, 3, 100, { model: 'fvcb', ...options });
+    const diurnal = simulateDiurnalGrowth({ light: 1500, co2: 0, temperature: 30 }, 2, 100, { model: 'fvcb', ...options });
+
+    [result.rate, ...Object.values(result.factors), ...Object.values(result.gasExchange)].forEach((value) => {
+      expect(Number.isFinite(value)).toBe(true);
+    });
+    expect(result.rate).toBe(0);
+    expect(result.gasExchange.net).toBeLessThan(0);
+    [...growth, ...diurnal].forEach(({ rate, biomass, dailyCarbon }) => {
+      expect(Number.isFinite(rate)).toBe(true);
+      expect(Number.isFinite(biomass)).toBe(true);
+      expect(Number.isFinite(dailyCarbon)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * plantState.js
+ * One snapshot of the plant for a set of growing conditions
+ *
+ * Every view of the plant (health bar, explanation card, 3D model, time-lapse)
+ * must tell the same story, so they all read this snapshot instead of
+ * recomputing rates on their own. It runs the selected photosynthesis model
+ * once and derives the limiting factor and plant health from that result.
+ */
+
+import { calculatePhotosynthesisRate, resolveModelParameters } from './photosynthesisModel.js';
+import { identifyLimitingFactor, identifyColimitation } from './limitingFactor.js';
+
+// Health never drops below this while the plant is displayed (%)
+const MIN_DISPLAY_HEALTH = 10;
+
+/**
+ * Plant health shown in the UI for a photosynthesis rate
+ *
+ * @param {number} rate - Photosynthesis rate (0-1)
+ * @returns {number} Health (10-100 %)
+ */
+export function calculatePlantHealth(rate) {
+  return Math.max(MIN_DISPLAY_HEALTH, Math.min(100, rate * 100));
+}
+
+/**
+ * Evaluate the plant under one set of conditions
+ * Extra conditions (humidity, nitrogen, lightSource) travel with the model
+ * options, as in the time-lapse simulation.
+ *
+ * @param {Object} conditions - { light, co2, temperature, humidity?, nitrogen?, lightSource? }
+ * @param {Object} options - Model options (model, theta, fvcb, pathway, species, colimitationTolerance)
+ * @returns {Object} { rate, health, factors, limitingFactor, limitingValue, limitingDirection, limitingDistance, limitingReason, colimiting, colimitationIndex, gasExchange, stomatal, nutrition, lightQuality }
+ */
+export function evaluatePlantState(conditions, options = {}) {
+  const { light, co2, temperature, ...extra } = conditions;
+  const result = calculatePhotosynthesisRate(light, co2, temperature, { ...options, ...extra });
+  const limiting = identifyLimitingFactor(result.factors, {
+    temperature,
+    temperatureRange: resolveModelParameters(options).temperature
+  });
+  const colimitation = identifyColimitation(result.factors, options.colimitationTolerance);
+
+  return {
+    rate: result.rate,
+    health: calculatePlantHealth(result.rate),
+    factors: result.factors,
+    limitingFactor: limiting.limitingFactor,
+    limitingValue: limiting.value,
+    limitingDirection: limiting.direction,
+    limitingDistance: limiting.distance,
+    limitingReason: limiting.reason,
+    colimiting: colimitation.factors,
+    colimitationIndex: colimitation.index,
+    gasExchange: result.gasExchange,
+    stomatal: result.stomatal,
+    nutrition: result.nutrition,
+    lightQuality: result.lightQuality
+  };
+}
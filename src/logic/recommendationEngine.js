@@ -5,16 +5,24 @@
  * Analyzes the limiting factor and suggests specific interventions
  */
 
+import { resolveModelParameters } from './photosynthesisModel.js';
+import { calculateLightQuality, getLightSource } from './lightSpectrum.js';
+
 /**
  * Generate a recommendation based on the limiting factor
+ * Light and temperature targets follow the selected species / pathway.
  * 
- * @param {string} limitingFactor - "light", "co2", or "temperature"
- * @param {Object} currentValues - { light, co2, temperature } current raw values
+ * @param {string} limitingFactor - "light", "co2", "temperature", "stomata", "nitrogen" or "photoinhibition"
+ * @param {Object} currentValues - { light, co2, temperature, humidity?, nitrogen? } current raw values
  * @param {Object} normalizedFactors - { light, co2, temperature } normalized 0-1
+ * @param {Object} options - Model options ({ species, pathway, lightSource, ... })
  * @returns {Object} { recommendation: string, warning?: string, targetValue?: number }
  */
-export function generateRecommendation(limitingFactor, currentValues, normalizedFactors) {
-  const { light, co2, temperature } = currentValues;
+export function generateRecommendation(limitingFactor, currentValues, normalizedFactors, options = {}) {
+  const { light, co2, temperature, humidity, nitrogen } = currentValues;
+  const params = resolveModelParameters(options);
+  const lightOptimal = params.light;
+  const tempOptimal = params.temperature.optimal;
   
   let recommendation = "";
   let warning = null;
@@ -22,19 +30,27 @@ export function generateRecommendation(limitingFactor, currentValues, normalized
   
   switch (limitingFactor) {
     case "light":
-      if (light < 200) {
-        recommendation = "Increase light intensity significantly. Consider moving the plant closer to a light source or adding supplemental grow lights. Target: 400-800 μmol/m²/s for optimal photosynthesis.";
-        targetValue = 600;
-      } else if (light < 500) {
-        recommendation = "Increase light intensity moderately. Add more lighting or increase exposure duration. Target: 600-800 μmol/m²/s.";
-        targetValue = 700;
-      } else if (light < 800) {
-        recommendation = "Light is approaching optimal levels. A small increase to 800+ μmol/m²/s would maximize light-dependent reactions.";
-        targetValue = 850;
+      if (light < lightOptimal * 0.25) {
+        recommendation = `Increase light intensity significantly. Consider moving the plant closer to a light source or adding supplemental grow lights. Target: ${Math.round(lightOptimal * 0.5)}-${lightOptimal} μmol/m²/s for optimal photosynthesis.`;
+        targetValue = Math.round(lightOptimal * 0.75);
+      } else if (light < lightOptimal * 0.625) {
+        recommendation = `Increase light intensity moderately. Add more lighting or increase exposure duration. Target: ${Math.round(lightOptimal * 0.75)}-${lightOptimal} μmol/m²/s.`;
+        targetValue = Math.round(lightOptimal * 0.875);
+      } else if (light < lightOptimal) {
+        recommendation = `Light is approaching optimal levels. A small increase to ${lightOptimal}+ μmol/m²/s would maximize light-dependent reactions.`;
+        targetValue = Math.round(lightOptimal * 1.06);
       } else {
         recommendation = "Light intensity is already optimal. Further increases will not improve photosynthesis rate.";
         warning = "Light is not the limiting factor. Focus on other environmental conditions.";
       }
+      
+      // A poor spectrum wastes photons: suggest a better fixture before a brighter one
+      if (light < lightOptimal) {
+        const quality = calculateLightQuality(light, options.lightSource, params.quantumYield);
+        if (quality.spectralEfficiency < 0.9) {
+          recommendation += ` The ${getLightSource(quality.source).name} spectrum only delivers ${Math.round(quality.spectralEfficiency * 100)}% of the photosynthetic value of sunlight per photon. A source richer in red and blue (white or red/blue LED), or removing overhead shade, would reach the target with fewer photons.`;
+        }
+      }
       break;
       
     case "co2":
@@ -54,26 +70,67 @@ export function generateRecommendation(limitingFactor, currentValues, normalized
       break;
       
     case "temperature":
-      if (temperature < 15) {
-        recommendation = "Increase temperature significantly. Enzymes are too cold to function efficiently. Target: 20-25°C for optimal enzyme activity.";
-        targetValue = 23;
-        warning = "At temperatures below 15°C, photosynthetic enzymes work very slowly. Heating is critical.";
-      } else if (temperature < 20) {
-        recommendation = "Increase temperature moderately. Target: 23-27°C for peak photosynthetic efficiency.";
-        targetValue = 25;
-      } else if (temperature > 35) {
-        recommendation = "Decrease temperature urgently. Enzymes are at risk of denaturation. Target: 22-28°C to prevent permanent damage.";
-        targetValue = 25;
+      if (temperature < tempOptimal - 10) {
+        recommendation = `Increase temperature significantly. Enzymes are too cold to function efficiently. Target: ${tempOptimal - 5}-${tempOptimal}°C for optimal enzyme activity.`;
+        targetValue = tempOptimal - 2;
+        warning = `At temperatures below ${tempOptimal - 10}°C, photosynthetic enzymes work very slowly. Heating is critical.`;
+      } else if (temperature < tempOptimal - 5) {
+        recommendation = `Increase temperature moderately. Target: ${tempOptimal - 2}-${tempOptimal + 2}°C for peak photosynthetic efficiency.`;
+        targetValue = tempOptimal;
+      } else if (temperature > tempOptimal + 10) {
+        recommendation = `Decrease temperature urgently. Enzymes are at risk of denaturation. Target: ${tempOptimal - 3}-${tempOptimal + 3}°C to prevent permanent damage.`;
+        targetValue = tempOptimal;
         warning = "High temperatures can permanently damage photosynthetic machinery. Cooling is critical.";
-      } else if (temperature > 30) {
-        recommendation = "Decrease temperature slightly. Efficiency drops as enzymes approach denaturation. Target: 23-27°C.";
-        targetValue = 25;
+      } else if (temperature > tempOptimal + 5) {
+        recommendation = `Decrease temperature slightly. Efficiency drops as enzymes approach denaturation. Target: ${tempOptimal - 2}-${tempOptimal + 2}°C.`;
+        targetValue = tempOptimal;
       } else {
-        recommendation = "Temperature is in the optimal range (20-30°C). Maintain current conditions.";
+        recommendation = `Temperature is in the optimal range (${tempOptimal - 5}-${tempOptimal + 5}°C). Maintain current conditions.`;
         warning = "Temperature is not the limiting factor. Focus on light or CO₂.";
       }
       break;
       
+    case "stomata":
+      if (humidity === undefined || humidity >= 70) {
+        recommendation = "Stomata are open. Humidity is high enough for CO₂ to diffuse freely into the leaf.";
+        warning = "Stomatal closure is not the limiting factor. Focus on light, CO₂ or temperature.";
+      } else if (humidity < 30) {
+        recommendation = `The air is very dry (${humidity}% RH), so the leaf is closing its stomata and starving itself of CO₂. Raise humidity with misting or a humidifier, shade the canopy and cool the air to lower the vapour-pressure deficit. Target: 60-80% RH.`;
+        targetValue = 70;
+        warning = "Prolonged high VPD also causes wilting and tip burn. Raising CO₂ will not help while the stomata are closed.";
+      } else {
+        recommendation = `Raise humidity from ${humidity}% towards 60-80% RH (misting, humidifier, lower air temperature) so the stomata open further and more CO₂ reaches the chloroplasts.`;
+        targetValue = 70;
+      }
+      break;
+      
+    case "nitrogen":
+      if (nitrogen === undefined || nitrogen >= 90) {
+        recommendation = "Nitrogen supply is adequate. Extra fertilizer will not raise photosynthesis and may leach into groundwater.";
+        warning = "Nitrogen is not the limiting factor. Focus on light, CO₂ or temperature.";
+      } else if (nitrogen < 40) {
+        recommendation = `Nitrogen is severely deficient (${nitrogen}% of requirement). Apply a nitrogen fertilizer (e.g. ammonium nitrate, urea or compost) to rebuild Rubisco and chlorophyll. Target: 90-100% of the crop's requirement.`;
+        targetValue = 100;
+        warning = "Pale yellow older leaves are a sign of nitrogen deficiency, not heat stress. More light or CO₂ cannot compensate for missing photosynthetic machinery.";
+      } else {
+        recommendation = `Top up nitrogen from ${nitrogen}% towards 90-100% of the crop's requirement with a balanced fertilizer so new leaves develop full photosynthetic capacity.`;
+        targetValue = 100;
+      }
+      break;
+      
+    case "photoinhibition":
+      if ((normalizedFactors.photoinhibition ?? 1) >= 0.95) {
+        recommendation = "Photosystem II is intact. Current light is within what the leaf can repair.";
+        warning = "Photoinhibition is not the limiting factor. Focus on other environmental conditions.";
+      } else {
+        recommendation = `Excess light is damaging photosystem II faster than it is repaired. Shade the plants or dim the lamps towards ${lightOptimal} μmol/m²/s during the brightest hours, and keep the leaves near ${tempOptimal}°C so repair runs at full speed. Damage recovers over a few days of moderate light.`;
+        targetValue = lightOptimal;
+        if (temperature > tempOptimal + 5) {
+          warning = "Heat makes PSII more fragile and slows repair. Cooling matters as much as shading here.";
+        }
+      }
+      break;
+      
     default:
       recommendation = "Unable to determine limiting factor. Check all environmental parameters.";
   }
@@ -90,23 +147,33 @@ export function generateRecommendation(limitingFactor, currentValues, normalized
  * Generate a priority list of actions based on all factors
  * Returns ordered list from most to least impactful
  * 
- * @param {Object} normalizedFactors - { light, co2, temperature }
- * @param {Object} currentValues - { light, co2, temperature }
+ * @param {Object} normalizedFactors - { light, co2, temperature, stomata?, nitrogen?, photoinhibition? }
+ * @param {Object} currentValues - { light, co2, temperature, humidity?, nitrogen? }
+ * @param {Object} options - Model options ({ species, pathway, ... })
  * @returns {Array} Ordered array of action items
  */
-export function generatePriorityActions(normalizedFactors, currentValues) {
+export function generatePriorityActions(normalizedFactors, currentValues, options = {}) {
   const factors = [
     { name: "light", value: normalizedFactors.light, current: currentValues.light },
     { name: "co2", value: normalizedFactors.co2, current: currentValues.co2 },
     { name: "temperature", value: normalizedFactors.temperature, current: currentValues.temperature }
   ];
+  if (normalizedFactors.stomata !== undefined) {
+    factors.push({ name: "stomata", value: normalizedFactors.stomata, current: currentValues.humidity });
+  }
+  if (normalizedFactors.nitrogen !== undefined) {
+    factors.push({ name: "nitrogen", value: normalizedFactors.nitrogen, current: currentValues.nitrogen });
+  }
+  if (normalizedFactors.photoinhibition !== undefined) {
+    factors.push({ name: "photoinhibition", value: normalizedFactors.photoinhibition, current: currentValues.light });
+  }
   
   // Sort by normalized value (lowest = most limiting = highest priority)
   factors.sort((a, b) => a.value - b.value);
   
   const actions = factors.map((factor, index) => {
     const priority = index === 0 ? "high" : index === 1 ? "medium" : "low";
-    const rec = generateRecommendation(factor.name, currentValues, normalizedFactors);
+    const rec = generateRecommendation(factor.name, currentValues, normalizedFactors, options);
     
     return {
       factor: factor.name,
@@ -128,9 +195,10 @@ export function generatePriorityActions(normalizedFactors, currentValues) {
  * @param {number} proposedValue - New value for the factor
  * @param {Object} currentValues - Current environmental values
  * @param {string} currentLimitingFactor - Current limiting factor
+ * @param {Object} options - Model options ({ species, pathway, ... })
  * @returns {Object} { willImprove: boolean, reason: string }
  */
-export function validateChange(factorToChange, proposedValue, currentValues, currentLimitingFactor) {
+export function validateChange(factorToChange, proposedValue, currentValues, currentLimitingFactor, options = {}) {
   // If changing a non-limiting factor, it won't help
   if (factorToChange !== currentLimitingFactor) {
     return {
@@ -144,19 +212,19 @@ export function validateChange(factorToChange, proposedValue, currentValues, cur
   
   if (factorToChange === "temperature") {
     // Temperature has an optimal range, not just "more is better"
-    const optimal = 25;
+    const optimal = resolveModelParameters(options).temperature.optimal;
     const currentDistance = Math.abs(currentValue - optimal);
     const proposedDistance = Math.abs(proposedValue - optimal);
     
     if (proposedDistance < currentDistance) {
       return {
         willImprove: true,
-        reason: `Moving temperature closer to optimal (25°C) will improve enzyme efficiency and increase photosynthesis rate.`
+        reason: `Moving temperature closer to optimal (${optimal}°C) will improve enzyme efficiency and increase photosynthesis rate.`
       };
     } else {
       return {
         willImprove: false,
-        reason: `This temperature change moves further from the optimal range (20-30°C). Consider moving toward 25°C instead.`
+        reason: `This temperature change moves further from the optimal range (${optimal - 5}-${optimal + 5}°C). Consider moving toward ${optimal}°C instead.`
       };
     }
   } else {
@@ -180,21 +248,39 @@ export const SCENARIO_PRESETS = {
   optimal: {
     light: 850,    // 85% = 850 μmol/m²/s  
     co2: 400,      // ppm
-    temperature: 25 // °C
+    temperature: 25, // °C
+    humidity: 65   // % RH
   },
   climate2050: {
     light: 750,    // 75% = 750 μmol/m²/s
     co2: 500,      // ppm
-    temperature: 32 // °C
+    temperature: 32, // °C
+    humidity: 50   // % RH
   },
   drought: {
     light: 850,    // 85% = 850 μmol/m²/s
     co2: 380,      // ppm
-    temperature: 38 // °C
+    temperature: 38, // °C
+    humidity: 20   // % RH
   },
   greenhouse: {
     light: 900,    // 90% = 900 μmol/m²/s
     co2: 600,      // ppm
-    temperature: 26 // °C
+    temperature: 26, // °C
+    humidity: 75   // % RH
+  },
+  desert: {
+    light: 1000,   // 100% = 1000 μmol/m²/s
+    co2: 380,      // ppm
+    temperature: 48, // °C
+    humidity: 10,  // % RH
+    site: "desertNoon" // OUTDOOR_SITES entry for the seasonal run
+  },
+  rainforest: {
+    light: 150,    // 15% = 150 μmol/m²/s under the canopy
+    co2: 390,      // ppm
+    temperature: 24, // °C
+    humidity: 90,  // % RH
+    site: "rainforestFloor"
   }
 };
\ No newline at end of file
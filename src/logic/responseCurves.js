@@ -0,0 +1,152 @@
+/**
+ * responseCurves.js
+ * Sweeps one factor across its range while the others stay fixed
+ *
+ * Scientific Basis: the classic gas-exchange curves of plant physiology
+ * - Light response (A–Q): net assimilation rises linearly from below the light
+ *   compensation point, then bends over to a plateau set by the other factors
+ * - CO₂ response (A–Ci): plotted against the CO₂ inside the leaf (Ci), which
+ *   the stomata hold below the ambient concentration in dry air
+ * - Temperature response: a peaked curve around the enzyme optimum
+ * Drawing the sweep for several fixed levels of a second factor reproduces
+ * Blackman's (1905) plateau diagram: each curve levels off where the second
+ * factor takes over as the limiting factor.
+ */
+
+import { calculatePhotosynthesisRate, resolveModelParameters } from './photosynthesisModel.js';
+import { identifyLimitingFactor } from './limitingFactor.js';
+import { INPUT_RANGES } from './units.js';
+
+/**
+ * Curves that can be drawn, keyed by the swept input
+ */
+export const RESPONSE_CURVES = {
+  light: {
+    id: "light",
+    name: "Light response (A–Q)",
+    description: "Net CO₂ uptake against photon flux at fixed CO₂ and temperature"
+  },
+  co2: {
+    id: "co2",
+    name: "CO₂ response (A–Ci)",
+    description: "Net CO₂ uptake against the CO₂ inside the leaf at fixed light and temperature"
+  },
+  temperature: {
+    id: "temperature",
+    name: "Temperature response",
+    description: "Net CO₂ uptake against leaf temperature at fixed light and CO₂"
+  }
+};
+
+// Fixed levels of the second factor for the Blackman plateau overlay
+export const OVERLAY_LEVELS = {
+  light: [200, 500, 1000, 1500],
+  co2: [200, 400, 600, 1000],
+  temperature: [15, 25, 35]
+};
+
+// Points per curve
+const CURVE_POINTS = 80;
+
+/**
+ * Evaluate the model at one point of a sweep
+ *
+ * @param {Object} conditions - { light, co2, temperature, humidity?, nitrogen?, lightSource? }
+ * @param {string} input - Swept input ("light", "co2" or "temperature")
+ * @param {Object} options - Model options
+ * @param {Object} temperatureRange - Plant temperature range for the limiting-factor diagnosis
+ * @returns {Object} { value, x, rate, net, limitingFactor } (x is Ci for the CO₂ sweep)
+ */
+function evaluatePoint(conditions, input, options, temperatureRange) {
+  const { light, co2, temperature, ...extra } = conditions;
+  const result = calculatePhotosynthesisRate(light, co2, temperature, { ...options, ...extra });
+  const limiting = identifyLimitingFactor(result.factors, { temperature, temperatureRange });
+
+  return {
+    value: conditions[input],
+    x: input === "co2" ? result.stomatal.internalCO2 : conditions[input],
+    rate: result.rate,
+    net: result.gasExchange.net,
+    limitingFactor: limiting.limitingFactor
+  };
+}
+
+/**
+ * Sweep one input across its slider range
+ *
+ * @param {string} input - Swept input
+ * @param {Object} conditions - Fixed conditions
+ * @param {Object} options - Model options
+ * @param {number} points - Number of points
+ * @returns {Array} [{ value, x, rate, net, limitingFactor }]
+ */
+function sweep(input, conditions, options, points) {
+  const { min, max } = INPUT_RANGES[input];
+  const { temperature: temperatureRange } = resolveModelParameters(options);
+
+  return Array.from({ length: points + 1 }, (_, i) => {
+    const value = min + (max - min) * (i / points);
+    return evaluatePoint({ ...conditions, [input]: value }, input, options, temperatureRange);
+  });
+}
+
+/**
+ * Split a curve into stretches with the same limiting factor
+ * Boundaries fall halfway between the points on either side of a change.
+ *
+ * @param {Array} points - Sweep points in x order
+ * @returns {Array} [{ limitingFactor, from, to }] in x units
+ */
+function limitingRegions(points) {
+  const regions = [];
+  points.forEach((point, i) => {
+    const last = regions[regions.length - 1];
+    if (last && last.limitingFactor === point.limitingFactor) {
+      last.to = point.x;
+      return;
+    }
+    const boundary = i > 0 ? (points[i - 1].x + point.x) / 2 : point.x;
+    if (last) last.to = boundary;
+    regions.push({ limitingFactor: point.limitingFactor, from: boundary, to: point.x });
+  });
+  return regions;
+}
+
+/**
+ * Calculate a response curve with its limiting regions and operating point
+ * and, optionally, overlay curves for fixed levels of a second factor.
+ *
+ * @param {string} input - Swept input: "light", "co2" or "temperature"
+ * @param {Object} conditions - Current { light, co2, temperature, humidity?, nitrogen?, lightSource? }
+ * @param {Object} options - Model options (model, theta, fvcb, pathway, species)
+ * @param {string|null} overlayInput - Second factor held at OVERLAY_LEVELS, or null
+ * @returns {Object} { input, points, regions, operatingPoint, overlays: [{ input, level, points }] }
+ */
+export function calculateResponseCurve(input, conditions, options = {}, overlayInput = null) {
+  const points = sweep(input, conditions, options, CURVE_POINTS);
+  const { temperature: temperatureRange } = resolveModelParameters(options);
+
+  const overlays = overlayInput && overlayInput !== input
+    ? OVERLAY_LEVELS[overlayInput].map((level) => ({
+      input: overlayInput,
+      level,
+      points: sweep(input, { ...conditions, [overlayInput]: level }, options, CURVE_POINTS)
+    }))
+    : [];
+
+  return {
+    input,
+    points,
+    regions: limitingRegions(points),
+    operatingPoint: evaluatePoint(conditions, input, options, temperatureRange),
+    overlays
+  };
+}
+
+/**
+ * List the response curves for display
+ * @returns {Array} [{ id, name, description }]
+ */
+export function getAvailableResponseCurves() {
+  return Object.values(RESPONSE_CURVES).map(({ id, name, description }) => ({ id, name, description }));
+}
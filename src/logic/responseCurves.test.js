@@ -0,0 +1,88 @@
+import { calculateResponseCurve, getAvailableResponseCurves, OVERLAY_LEVELS, RESPONSE_CURVES } from './responseCurves';
+import { calculatePhotosynthesisRate } from './photosynthesisModel';
+import { INPUT_RANGES } from './units';
+
+const CONDITIONS = { light: 800, co2: 400, temperature: 25 };
+
+describe('response curves', () => {
+  test('lists every curve for display', () => {
+    expect(getAvailableResponseCurves().map(({ id }) => id)).toEqual(Object.keys(RESPONSE_CURVES));
+  });
+
+  test.each(Object.keys(RESPONSE_CURVES))('the %s sweep spans its slider range', (input) => {
+    const { points } = calculateResponseCurve(input, CONDITIONS);
+    expect(points).toHaveLength(81);
+    expect(points[0].value).toBe(INPUT_RANGES[input].min);
+    expect(points[80].value).toBeCloseTo(INPUT_RANGES[input].max, 9);
+  });
+
+  test('the light response starts below zero and rises to a plateau', () => {
+    const { points } = calculateResponseCurve('light', CONDITIONS);
+
+    expect(points[0].net).toBeLessThan(0);
+    points.slice(1).forEach((point, i) => {
+      expect(point.net).toBeGreaterThanOrEqual(points[i].net);
+    });
+    expect(points[80].rate).toBeCloseTo(points[70].rate, 12);
+  });
+
+  test('the temperature response peaks at the optimum', () => {
+    const { points } = calculateResponseCurve('temperature', CONDITIONS, { model: 'multiplicative' });
+    const peak = points.reduce((best, point) => (point.rate > best.rate ? point : best));
+    expect(Math.abs(peak.value - 25)).toBeLessThanOrEqual((INPUT_RANGES.temperature.max - INPUT_RANGES.temperature.min) / 80);
+  });
+
+  test('the CO₂ response is drawn against internal CO₂', () => {
+    const open = calculateResponseCurve('co2', CONDITIONS);
+    const dry = calculateResponseCurve('co2', { ...CONDITIONS, humidity: 20 });
+
+    expect(open.points[40].x).toBeCloseTo(open.points[40].value, 9);
+    expect(dry.points[40].x).toBeLessThan(dry.points[40].value);
+  });
+
+  test('limiting regions tile the curve in order', () => {
+    const { points, regions } = calculateResponseCurve('light', CONDITIONS);
+
+    expect(regions.map(({ limitingFactor }) => limitingFactor)).toEqual(['light', 'co2']);
+    expect(regions[0].from).toBe(points[0].x);
+    expect(regions[1].from).toBe(regions[0].to);
+    expect(regions[1].to).toBe(points[80].x);
+  });
+
+  test('the operating point is the model at the current conditions', () => {
+    const { operatingPoint } = calculateResponseCurve('light', CONDITIONS);
+    const result = calculatePhotosynthesisRate(800, 400, 25);
+
+    expect(operatingPoint.value).toBe(800);
+    expect(operatingPoint.rate).toBe(result.rate);
+    expect(operatingPoint.net).toBe(result.gasExchange.net);
+  });
+});
+
+describe('Blackman plateau overlay', () => {
+  test('each CO₂ level caps the light response at its own CO₂ factor', () => {
+    const { overlays } = calculateResponseCurve('light', CONDITIONS, {}, 'co2');
+
+    expect(overlays.map(({ level }) => level)).toEqual(OVERLAY_LEVELS.co2);
+    overlays.forEach(({ level, points }) => {
+      const { factors } = calculatePhotosynthesisRate(INPUT_RANGES.light.max, level, 25);
+      expect(points[80].rate).toBeCloseTo(Math.min(factors.light, factors.co2), 12);
+    });
+    overlays.slice(1).forEach((overlay, i) => {
+      expect(overlay.points[80].rate).toBeGreaterThan(overlays[i].points[80].rate);
+    });
+  });
+
+  test('the low-CO₂ curve levels off at its crossover', () => {
+    const [low] = calculateResponseCurve('light', CONDITIONS, {}, 'co2').overlays;
+    const limited = low.points.filter(({ limitingFactor }) => limitingFactor === 'co2');
+
+    expect(limited.length).toBeGreaterThan(0);
+    limited.forEach(({ rate }) => expect(rate).toBeCloseTo(limited[0].rate, 12));
+  });
+
+  test('no overlay for the swept input itself', () => {
+    expect(calculateResponseCurve('light', CONDITIONS, {}, 'light').overlays).toEqual([]);
+    expect(calculateResponseCurve('light', CONDITIONS).overlays).toEqual([]);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * responseSurface.js
+ * Photosynthesis rate over a grid of two inputs with the third held fixed
+ *
+ * Scientific Basis: Blackman's Law of Limiting Factors splits the plane of
+ * any two inputs into regions where one factor or the other sets the rate.
+ * Across a region boundary the rate stops responding to one input and starts
+ * responding to the other, so the iso-rate contours bend sharply (Blackman)
+ * or smoothly (co-limitation, FvCB) along it. Mapping the whole plane shows
+ * the full landscape instead of one operating point at a time.
+ */
+
+import { calculatePhotosynthesisRate, resolveModelParameters } from './photosynthesisModel.js';
+import { identifyLimitingFactor } from './limitingFactor.js';
+import { INPUT_RANGES } from './units.js';
+
+// Inputs that can span an axis of the surface
+export const SURFACE_INPUTS = ["light", "co2", "temperature"];
+
+// Grid points along each axis
+export const DEFAULT_SURFACE_RESOLUTION = 21;
+
+/**
+ * Evenly spaced grid values along an input's slider range
+ * The spacing is a whole number of slider steps, so a selected cell can be
+ * applied to the sliders as-is; the axis may get a few more points than
+ * requested to keep it that way.
+ *
+ * @param {string} input - "light", "co2" or "temperature"
+ * @param {number} resolution - Requested number of grid points
+ * @returns {Array<number>} Ascending values from min to max
+ */
+function axisValues(input, resolution) {
+  const { min, max, step } = INPUT_RANGES[input];
+  const stepsPerCell = Math.max(1, Math.floor((max - min) / step / (resolution - 1)));
+  const spacing = stepsPerCell * step;
+  const count = Math.floor((max - min) / spacing) + 1;
+  return Array.from({ length: count }, (_, i) => min + i * spacing);
+}
+
+/**
+ * Group neighbouring cells with the same limiting factor
+ * Cells are joined through shared edges (4-neighbourhood), so one factor
+ * can own several separate regions (e.g. temperature on the cold and hot side).
+ *
+ * @param {Array<Array<Object>>} cells - cells[row][column]
+ * @returns {Array} [{ limitingFactor, size, center: { x, y } }] with the center in input units
+ */
+function limitingRegions(cells) {
+  const seen = cells.map((row) => row.map(() => false));
+  const regions = [];
+
+  cells.forEach((row, r) => {
+    row.forEach((cell, c) => {
+      if (seen[r][c]) return;
+      seen[r][c] = true;
+
+      const members = [];
+      const stack = [[r, c]];
+      while (stack.length > 0) {
+        const [i, j] = stack.pop();
+        members.push(cells[i][j]);
+        [[i - 1, j], [i + 1, j], [i, j - 1], [i, j + 1]].forEach(([ni, nj]) => {
+          if (cells[ni] && cells[ni][nj] && !seen[ni][nj]
+            && cells[ni][nj].limitingFactor === cell.limitingFactor) {
+            seen[ni][nj] = true;
+            stack.push([ni, nj]);
+          }
+        });
+      }
+
+      regions.push({
+        limitingFactor: cell.limitingFactor,
+        size: members.length,
+        center: {
+          x: members.reduce((sum, member) => sum + member.x, 0) / members.length,
+          y: members.reduce((sum, member) => sum + member.y, 0) / members.length
+        }
+      });
+    });
+  });
+
+  return regions;
+}
+
+/**
+ * Evaluate the rate and limiting factor over a grid of two inputs
+ *
+ * @param {string} xInput - Input along the horizontal axis
+ * @param {string} yInput - Input along the vertical axis (different from xInput)
+ * @param {Object} conditions - { light, co2, temperature, humidity?, nitrogen?, lightSource? };
+ *   the input on neither axis stays at its value here
+ * @param {Object} options - Model options (model, theta, fvcb, pathway, species)
+ * @param {number} resolution - Grid points per axis
+ * @returns {Object} { xInput, yInput, xValues, yValues, cells, regions }
+ *   cells[row][column] = { x, y, rate, net, limitingFactor }, rows ascend in y
+ */
+export function calculateResponseSurface(xInput, yInput, conditions, options = {}, resolution = DEFAULT_SURFACE_RESOLUTION) {
+  const { temperature: temperatureRange } = resolveModelParameters(options);
+  const xValues = axisValues(xInput, resolution);
+  const yValues = axisValues(yInput, resolution);
+
+  const cells = yValues.map((y) => xValues.map((x) => {
+    const { light, co2, temperature, ...extra } = { ...conditions, [xInput]: x, [yInput]: y };
+    const result = calculatePhotosynthesisRate(light, co2, temperature, { ...options, ...extra });
+    const limiting = identifyLimitingFactor(result.factors, { temperature, temperatureRange });
+
+    return {
+      x,
+      y,
+      rate: result.rate,
+      net: result.gasExchange.net,
+      limitingFactor: limiting.limitingFactor
+    };
+  }));
+
+  return {
+    xInput,
+    yInput,
+    xValues,
+    yValues,
+    cells,
+    regions: limitingRegions(cells)
+  };
+}
@@ -0,0 +1,72 @@
+import { calculateResponseSurface, DEFAULT_SURFACE_RESOLUTION } from './responseSurface';
+import { calculatePhotosynthesisRate } from './photosynthesisModel';
+import { INPUT_RANGES } from './units';
+
+const CONDITIONS = { light: 800, co2: 400, temperature: 25 };
+
+describe('response surface grid', () => {
+  test.each([
+    ['light', 'co2'],
+    ['light', 'temperature'],
+    ['co2', 'temperature']
+  ])('%s × %s axes run over whole slider steps', (xInput, yInput) => {
+    const { xValues, yValues } = calculateResponseSurface(xInput, yInput, CONDITIONS);
+
+    [[xInput, xValues], [yInput, yValues]].forEach(([input, values]) => {
+      const { min, max, step } = INPUT_RANGES[input];
+      expect(values[0]).toBe(min);
+      expect(values[values.length - 1]).toBeLessThanOrEqual(max);
+      expect(values.length).toBeGreaterThanOrEqual(DEFAULT_SURFACE_RESOLUTION);
+      values.forEach((value) => expect((value - min) % step).toBe(0));
+    });
+  });
+
+  test('rows ascend in y and every cell is the model at that point', () => {
+    const { xValues, yValues, cells } = calculateResponseSurface('light', 'co2', CONDITIONS, {}, 11);
+
+    expect(cells).toHaveLength(yValues.length);
+    cells.forEach((row, r) => {
+      expect(row).toHaveLength(xValues.length);
+      row.forEach((cell, c) => {
+        const result = calculatePhotosynthesisRate(xValues[c], yValues[r], 25);
+        expect(cell).toMatchObject({ x: xValues[c], y: yValues[r], rate: result.rate, net: result.gasExchange.net });
+      });
+    });
+  });
+
+  test('the input on neither axis stays at its current value', () => {
+    const cool = calculateResponseSurface('light', 'co2', { ...CONDITIONS, temperature: 12 }, {}, 11);
+    const cell = cool.cells[5][5];
+    expect(cell.rate).toBe(calculatePhotosynthesisRate(cell.x, cell.y, 12).rate);
+  });
+});
+
+describe('limiting regions', () => {
+  test('the regions cover every cell once', () => {
+    const { cells, regions } = calculateResponseSurface('light', 'temperature', { ...CONDITIONS, co2: 1000 });
+    const total = regions.reduce((sum, { size }) => sum + size, 0);
+    expect(total).toBe(cells.length * cells[0].length);
+  });
+
+  test('Blackman splits the light × CO₂ plane into light and CO₂ regions', () => {
+    const { regions } = calculateResponseSurface('light', 'co2', CONDITIONS);
+    const factors = regions.map(({ limitingFactor }) => limitingFactor);
+
+    expect(factors).toContain('light');
+    expect(factors).toContain('co2');
+    const light = regions.find(({ limitingFactor }) => limitingFactor === 'light');
+    const co2 = regions.find(({ limitingFactor }) => limitingFactor === 'co2');
+    // Light limits in the dim, CO₂-rich corner; CO₂ in the bright, CO₂-poor one
+    expect(light.center.x).toBeLessThan(co2.center.x);
+    expect(light.center.y).toBeGreaterThan(co2.center.y);
+  });
+
+  test('temperature limits in separate cold and hot regions', () => {
+    const { regions } = calculateResponseSurface('light', 'temperature', { ...CONDITIONS, co2: 1000 });
+    const temperature = regions.filter(({ limitingFactor }) => limitingFactor === 'temperature');
+
+    expect(temperature).toHaveLength(2);
+    expect(Math.min(...temperature.map(({ center }) => center.y))).toBeLessThan(15);
+    expect(Math.max(...temperature.map(({ center }) => center.y))).toBeGreaterThan(35);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * sensitivity.js
+ * Local sensitivity of the photosynthesis rate to each input
+ *
+ * Scientific Basis: the Law of Limiting Factors in numbers. At a given state
+ * the rate responds only to the factor in shortest supply, so the partial
+ * derivative ∂A/∂x is large for the limiting input and close to zero for the
+ * others (exactly zero under Blackman's strict minimum; small but non-zero in
+ * the smooth co-limitation and FvCB models).
+ * - Partial derivatives by central differences, one-sided at the ends of an
+ *   input's range
+ * - Elasticity ε = (∂A/∂x)·(x/A): the % change in rate per 1% change in the
+ *   input. Temperature is taken in kelvin, the only scale on which a
+ *   percentage change of temperature means anything.
+ * - Tornado: the rate after a ±10% change of each input (±10% of the slider
+ *   range for temperature, which has no natural zero in °C), sorted by swing
+ */
+
+import { calculatePhotosynthesisRate } from './photosynthesisModel.js';
+import { INPUT_RANGES } from './units.js';
+
+// Inputs analysed (humidity and nitrogen only when given)
+export const SENSITIVITY_INPUTS = ["light", "co2", "temperature", "humidity", "nitrogen"];
+
+// Default change for the tornado chart
+export const DEFAULT_RELATIVE_CHANGE = 0.1;
+
+// Finite-difference step as a fraction of the input's range
+const DIFFERENCE_STEP = 0.005;
+
+// Offset from °C to K
+const KELVIN_OFFSET = 273.15;
+
+/**
+ * Rate for a set of conditions
+ */
+function rateAt(conditions, options) {
+  const { light, co2, temperature, ...extra } = conditions;
+  return calculatePhotosynthesisRate(light, co2, temperature, { ...options, ...extra }).rate;
+}
+
+/**
+ * Keep a value inside an input's slider range
+ */
+function clampToRange(input, value) {
+  const { min, max } = INPUT_RANGES[input];
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Partial derivative of the rate with respect to one input
+ *
+ * @param {Object} conditions - Conditions to differentiate at
+ * @param {string} input - Input to vary
+ * @param {Object} options - Model options
+ * @returns {number} ∂rate/∂input (rate fraction per input unit)
+ */
+function partialDerivative(conditions, input, options) {
+  const { min, max } = INPUT_RANGES[input];
+  const h = (max - min) * DIFFERENCE_STEP;
+  const lower = clampToRange(input, conditions[input] - h);
+  const upper = clampToRange(input, conditions[input] + h);
+  if (upper === lower) return 0;
+  return (rateAt({ ...conditions, [input]: upper }, options) - rateAt({ ...conditions, [input]: lower }, options))
+    / (upper - lower);
+}
+
+/**
+ * Sensitivity of the rate to every input at the current state
+ *
+ * @param {Object} conditions - { light, co2, temperature, humidity?, nitrogen?, lightSource? }
+ * @param {Object} options - Model options (model, theta, fvcb, pathway, species)
+ * @param {number} relativeChange - Size of the tornado change (default ±10%)
+ * @returns {Object} { rate, relativeChange, inputs, mostSensitive }
+ *   inputs are sorted by swing, each { input, value, derivative, elasticity,
+ *   low: { value, rate, delta }, high: { value, rate, delta }, swing };
+ *   delta is the change in rate (fraction of maximum) from the current rate
+ */
+export function calculateSensitivity(conditions, options = {}, relativeChange = DEFAULT_RELATIVE_CHANGE) {
+  const rate = rateAt(conditions, options);
+
+  const inputs = SENSITIVITY_INPUTS
+    .filter((input) => conditions[input] !== undefined)
+    .map((input) => {
+      const value = conditions[input];
+      const derivative = partialDerivative(conditions, input, options);
+      const scaleValue = input === "temperature" ? value + KELVIN_OFFSET : value;
+      const elasticity = rate > 0 ? derivative * scaleValue / rate : 0;
+
+      const { min, max } = INPUT_RANGES[input];
+      const change = input === "temperature" ? (max - min) * relativeChange : value * relativeChange;
+      const shifted = (shiftedValue) => {
+        const clamped = clampToRange(input, shiftedValue);
+        const shiftedRate = rateAt({ ...conditions, [input]: clamped }, options);
+        return { value: clamped, rate: shiftedRate, delta: shiftedRate - rate };
+      };
+      const low = shifted(value - change);
+      const high = shifted(value + change);
+
+      return {
+        input,
+        value,
+        derivative,
+        elasticity,
+        low,
+        high,
+        swing: Math.abs(high.delta - low.delta)
+      };
+    })
+    .sort((a, b) => b.swing - a.swing);
+
+  return {
+    rate,
+    relativeChange,
+    inputs,
+    mostSensitive: inputs.length > 0 && inputs[0].swing > 0 ? inputs[0].input : null
+  };
+}
@@ -0,0 +1,77 @@
+import { calculateSensitivity, DEFAULT_RELATIVE_CHANGE } from './sensitivity';
+import { calculatePhotosynthesisRate } from './photosynthesisModel';
+import { INPUT_RANGES } from './units';
+
+// A generic C3 leaf in dim light is light-limited under Blackman with
+// rate L / (L + 240), so ∂A/∂L = 240 / (L + 240)² and ε = 240 / (L + 240).
+const DIM = { light: 200, co2: 400, temperature: 25 };
+
+const entryFor = (result, input) => result.inputs.find((entry) => entry.input === input);
+
+describe('sensitivity', () => {
+  test('the limiting input has the analytic derivative and elasticity', () => {
+    const light = entryFor(calculateSensitivity(DIM), 'light');
+
+    expect(light.derivative).toBeCloseTo(240 / 440 ** 2, 5);
+    expect(light.elasticity).toBeCloseTo(240 / 440, 3);
+  });
+
+  test('non-limiting inputs have no effect under Blackman', () => {
+    const result = calculateSensitivity(DIM);
+
+    expect(result.mostSensitive).toBe('light');
+    expect(entryFor(result, 'co2').derivative).toBe(0);
+    expect(entryFor(result, 'temperature').elasticity).toBe(0);
+    expect(entryFor(result, 'co2').swing).toBe(0);
+  });
+
+  test('every input moves the rate in the multiplicative model', () => {
+    const result = calculateSensitivity(DIM, { model: 'multiplicative' });
+
+    expect(entryFor(result, 'light').elasticity).toBeCloseTo(240 / 440, 3);
+    expect(entryFor(result, 'co2').elasticity).toBeGreaterThan(0);
+  });
+
+  test('temperature elasticity is taken in kelvin', () => {
+    const { rate } = calculatePhotosynthesisRate(1500, 1200, 15);
+    const temperature = entryFor(calculateSensitivity({ light: 1500, co2: 1200, temperature: 15 }), 'temperature');
+
+    expect(temperature.derivative).toBeGreaterThan(0);
+    expect(temperature.elasticity).toBeCloseTo(temperature.derivative * 288.15 / rate, 12);
+  });
+
+  test('the tornado shifts inputs by ±10 % and temperature by 10 % of its range', () => {
+    const result = calculateSensitivity(DIM);
+    const light = entryFor(result, 'light');
+    const temperature = entryFor(result, 'temperature');
+    const temperatureChange = (INPUT_RANGES.temperature.max - INPUT_RANGES.temperature.min) * DEFAULT_RELATIVE_CHANGE;
+
+    expect(light.low.value).toBeCloseTo(180, 12);
+    expect(light.high.value).toBeCloseTo(220, 12);
+    expect(light.high.delta).toBeCloseTo(220 / 460 - 200 / 440, 12);
+    expect(light.swing).toBeCloseTo(light.high.delta - light.low.delta, 12);
+    expect(temperature.low.value).toBe(25 - temperatureChange);
+    expect(temperature.high.value).toBe(25 + temperatureChange);
+  });
+
+  test('the tornado is sorted by swing and stays inside the sliders', () => {
+    const result = calculateSensitivity({ light: INPUT_RANGES.light.max, co2: 300, temperature: 30, humidity: 40 }, {}, 0.5);
+
+    result.inputs.slice(1).forEach((entry, i) => {
+      expect(entry.swing).toBeLessThanOrEqual(result.inputs[i].swing);
+    });
+    expect(entryFor(result, 'light').high.value).toBe(INPUT_RANGES.light.max);
+    expect(result.relativeChange).toBe(0.5);
+  });
+
+  test('humidity and nitrogen are analysed only when given', () => {
+    expect(calculateSensitivity(DIM).inputs.map(({ input }) => input).sort()).toEqual(['co2', 'light', 'temperature']);
+    expect(calculateSensitivity({ ...DIM, humidity: 50, nitrogen: 60 }).inputs).toHaveLength(5);
+  });
+
+  test('a leaf that does not photosynthesize has zero elasticities', () => {
+    const result = calculateSensitivity({ ...DIM, light: 0 });
+    expect(result.rate).toBe(0);
+    result.inputs.forEach(({ elasticity }) => expect(elasticity).toBe(0));
+  });
+});
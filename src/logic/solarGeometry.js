@@ -0,0 +1,259 @@
+/**
+ * solarGeometry.js
+ * Sun position, day length and clear-sky PAR for outdoor locations
+ *
+ * Scientific Basis:
+ * - Solar declination and the equation of time follow the Fourier series of
+ *   Spencer (1971), as used by NOAA's solar calculator. The sun's elevation β
+ *   comes from sin β = sin φ sin δ + cos φ cos δ cos h, with latitude φ,
+ *   declination δ and hour angle h (15° per hour from solar noon).
+ * - Day length is the time between the hour angles where β = 0,
+ *   cos h₀ = −tan φ tan δ (24 h in polar summer, 0 h in polar night).
+ * - Clear sky: the solar constant, corrected for the Earth–Sun distance, is
+ *   attenuated by an atmospheric transmittance raised to the air mass
+ *   (1 / sin β). Diffuse light is taken as 30% of what the beam loses
+ *   (Liu & Jordan, 1960). PAR is 45% of global short-wave radiation, and
+ *   sunlight carries 4.57 μmol of PAR photons per joule.
+ * - Cloud cover C (0-1) scales global radiation by 1 − 0.75·C^3.4
+ *   (Kasten & Czeplak, 1980).
+ * - Seasons: daily mean air temperature follows a cosine through the year,
+ *   peaking on the site's warmest day.
+ */
+
+import { INPUT_RANGES } from './units.js';
+
+// Solar constant (W/m²)
+const SOLAR_CONSTANT = 1361;
+
+// Clear-sky atmospheric transmittance at the zenith
+const TRANSMITTANCE = 0.75;
+
+// Fraction of the beam's losses that reaches the ground as diffuse light
+const DIFFUSE_FRACTION = 0.3;
+
+// PAR share of global short-wave radiation and photons per joule of PAR
+const PAR_FRACTION = 0.45;
+const PHOTONS_PER_JOULE = 4.57;
+
+// Integration step for daily light (h)
+const LIGHT_STEP_HOURS = 0.25;
+
+// Degrees to radians
+const RADIANS = Math.PI / 180;
+
+/**
+ * Outdoor sites behind the location-based scenarios
+ * climate: annual mean and amplitude of the daily mean temperature (°C),
+ * day of year of the warmest day, day-night temperature range (°C),
+ * humidity (% RH) and typical cloud cover (0-1).
+ * canopyTransmittance is the fraction of sunlight that reaches the plant
+ * (about 2% on a rainforest floor).
+ */
+export const OUTDOOR_SITES = {
+  rainforestFloor: {
+    id: "rainforestFloor",
+    name: "Rainforest Floor (Manaus)",
+    latitude: -3.1,
+    longitude: -60.0,
+    timeZone: -4,
+    canopyTransmittance: 0.02,
+    climate: {
+      meanTemperature: 27,
+      annualAmplitude: 1,
+      warmestDay: 280,
+      diurnalRange: 7,
+      humidity: 90,
+      cloudCover: 0.6
+    }
+  },
+  desertNoon: {
+    id: "desertNoon",
+    name: "Desert (Phoenix)",
+    latitude: 33.4,
+    longitude: -112.1,
+    timeZone: -7,
+    canopyTransmittance: 1,
+    climate: {
+      meanTemperature: 24,
+      annualAmplitude: 10,
+      warmestDay: 196,
+      diurnalRange: 14,
+      humidity: 20,
+      cloudCover: 0.1
+    }
+  }
+};
+
+/**
+ * Fractional year angle (radians) for a day of the year and clock hour
+ */
+function yearAngle(dayOfYear, hour = 12) {
+  return (2 * Math.PI / 365) * (dayOfYear - 1 + (hour - 12) / 24);
+}
+
+/**
+ * Solar declination, equation of time and Earth–Sun distance correction
+ *
+ * @param {number} dayOfYear - 1-365
+ * @param {number} hour - Clock hour (default noon)
+ * @returns {Object} { declination: degrees, equationOfTime: minutes, eccentricity: factor on the solar constant }
+ */
+export function calculateSolarPosition(dayOfYear, hour = 12) {
+  const g = yearAngle(dayOfYear, hour);
+  const declination = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g)
+    - 0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g)
+    - 0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g);
+  const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g)
+    - 0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+  const eccentricity = 1.00011 + 0.034221 * Math.cos(g) + 0.00128 * Math.sin(g)
+    + 0.000719 * Math.cos(2 * g) + 0.000077 * Math.sin(2 * g);
+
+  return { declination: declination / RADIANS, equationOfTime, eccentricity };
+}
+
+/**
+ * Clock time of solar noon
+ *
+ * @param {Object} location - { longitude, timeZone? } (time zone in hours from UTC, default from longitude)
+ * @param {number} dayOfYear - 1-365
+ * @returns {number} Hour of solar noon in local standard time
+ */
+function solarNoon(location, dayOfYear) {
+  const timeZone = location.timeZone ?? Math.round(location.longitude / 15);
+  const { equationOfTime } = calculateSolarPosition(dayOfYear);
+  return 12 - (4 * location.longitude + equationOfTime) / 60 + timeZone;
+}
+
+/**
+ * Sun elevation at a clock hour
+ *
+ * @param {Object} location - { latitude, longitude, timeZone? }
+ * @param {number} dayOfYear - 1-365
+ * @param {number} hour - Local standard time (0-24)
+ * @returns {number} Elevation in degrees (negative below the horizon)
+ */
+export function calculateSolarElevation(location, dayOfYear, hour) {
+  const { declination } = calculateSolarPosition(dayOfYear, hour);
+  const hourAngle = (hour - solarNoon(location, dayOfYear)) * 15;
+  const lat = location.latitude * RADIANS;
+  const dec = declination * RADIANS;
+  const sinElevation = Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(hourAngle * RADIANS);
+  return Math.asin(Math.max(-1, Math.min(1, sinElevation))) / RADIANS;
+}
+
+/**
+ * Day length, sunrise and sunset
+ *
+ * @param {Object} location - { latitude, longitude, timeZone? }
+ * @param {number} dayOfYear - 1-365
+ * @returns {Object} { dayLength: h, sunrise, sunset, solarNoon: local hours, noonElevation: degrees }
+ */
+export function calculateDayLength(location, dayOfYear) {
+  const { declination } = calculateSolarPosition(dayOfYear);
+  const cosHourAngle = -Math.tan(location.latitude * RADIANS) * Math.tan(declination * RADIANS);
+  const halfDay = Math.acos(Math.max(-1, Math.min(1, cosHourAngle))) / RADIANS / 15;
+  const noon = solarNoon(location, dayOfYear);
+
+  return {
+    dayLength: 2 * halfDay,
+    sunrise: noon - halfDay,
+    sunset: noon + halfDay,
+    solarNoon: noon,
+    noonElevation: 90 - Math.abs(location.latitude - declination)
+  };
+}
+
+/**
+ * Clear-sky PAR photon flux on a horizontal surface
+ *
+ * @param {number} elevation - Sun elevation (degrees)
+ * @param {number} dayOfYear - 1-365 (Earth–Sun distance)
+ * @param {number} cloudCover - 0 (clear) to 1 (overcast)
+ * @returns {number} PAR photon flux (μmol/m²/s)
+ */
+export function calculateClearSkyPAR(elevation, dayOfYear, cloudCover = 0) {
+  if (elevation <= 0) return 0;
+  const sinElevation = Math.sin(elevation * RADIANS);
+  const { eccentricity } = calculateSolarPosition(dayOfYear);
+  const topOfAtmosphere = SOLAR_CONSTANT * eccentricity * sinElevation;
+  const beamFraction = Math.pow(TRANSMITTANCE, 1 / sinElevation);
+
+  const clearSky = topOfAtmosphere * (beamFraction + DIFFUSE_FRACTION * (1 - beamFraction));
+  const clouds = 1 - 0.75 * Math.pow(Math.max(0, Math.min(1, cloudCover)), 3.4);
+  return clearSky * clouds * PAR_FRACTION * PHOTONS_PER_JOULE;
+}
+
+/**
+ * Light, day length and temperature of one day at an outdoor site
+ * `light` spreads the day's photons evenly over the hours of daylight, so a
+ * daily-step simulation with the day length as its photoperiod receives the
+ * real daily light integral.
+ * `temperature` is the daytime mean: the daily mean plus a quarter of the
+ * day-night range.
+ *
+ * @param {Object} site - Entry of OUTDOOR_SITES (or any { latitude, longitude, timeZone?, canopyTransmittance?, climate })
+ * @param {number} dayOfYear - 1-365
+ * @param {number} cloudCover - 0-1 (default: the site's typical cover)
+ * @returns {Object} { dayOfYear, dayLength, sunrise, sunset, noonElevation, peakLight, dailyLightIntegral: mol/m²/day,
+ *   light: μmol/m²/s over the day length, temperature: °C, meanTemperature: °C, humidity }
+ */
+export function calculateOutdoorDay(site, dayOfYear, cloudCover = site.climate.cloudCover) {
+  const transmittance = site.canopyTransmittance ?? 1;
+  const daylight = calculateDayLength(site, dayOfYear);
+
+  let integral = 0;
+  let peakLight = 0;
+  for (let hour = LIGHT_STEP_HOURS / 2; hour < 24; hour += LIGHT_STEP_HOURS) {
+    const flux = calculateClearSkyPAR(calculateSolarElevation(site, dayOfYear, hour), dayOfYear, cloudCover) * transmittance;
+    integral += flux * LIGHT_STEP_HOURS * 3600;
+    peakLight = Math.max(peakLight, flux);
+  }
+
+  const { meanTemperature, annualAmplitude, warmestDay, diurnalRange, humidity } = site.climate;
+  const dailyMean = meanTemperature + annualAmplitude * Math.cos(2 * Math.PI * (dayOfYear - warmestDay) / 365);
+  const { min, max } = INPUT_RANGES.light;
+
+  return {
+    dayOfYear,
+    ...daylight,
+    peakLight,
+    dailyLightIntegral: integral / 1e6,
+    light: daylight.dayLength > 0 ? Math.min(max, Math.max(min, integral / (daylight.dayLength * 3600))) : 0,
+    temperature: dailyMean + diurnalRange / 4,
+    meanTemperature: dailyMean,
+    humidity
+  };
+}
+
+/**
+ * Day-by-day conditions for simulateVariableConditions at an outdoor site
+ * The photoperiod is the day length, so long summer days assimilate for
+ * longer and short winter days respire through a longer night.
+ *
+ * @param {Object} site - Entry of OUTDOOR_SITES
+ * @param {Object} settings - { startDay?: day of year of simulation day 1 (default 1), cloudCover?, co2?: ppm (default 400) }
+ * @returns {Function} day → { light, co2, temperature, humidity, photoperiod: h }
+ */
+export function createOutdoorConditions(site, settings = {}) {
+  const { startDay = 1, cloudCover = site.climate.cloudCover, co2 = 400 } = settings;
+  return (day) => {
+    const outdoor = calculateOutdoorDay(site, ((startDay - 1 + day - 1) % 365) + 1, cloudCover);
+    return {
+      light: outdoor.light,
+      co2,
+      temperature: outdoor.temperature,
+      humidity: outdoor.humidity,
+      photoperiod: outdoor.dayLength
+    };
+  };
+}
+
+/**
+ * List the outdoor sites for display
+ * @returns {Array} [{ id, name, latitude, longitude, cloudCover: typical cover }]
+ */
+export function getAvailableOutdoorSites() {
+  return Object.values(OUTDOOR_SITES).map(({ id, name, latitude, longitude, climate }) => (
+    { id, name, latitude, longitude, cloudCover: climate.cloudCover }
+  ));
+}
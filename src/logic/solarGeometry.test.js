@@ -0,0 +1,48 @@
+import {
+  OUTDOOR_SITES,
+  calculateDayLength,
+  calculateSolarElevation,
+  calculateOutdoorDay,
+  createOutdoorConditions
+} from './solarGeometry';
+
+const PHOENIX = OUTDOOR_SITES.desertNoon;
+
+describe('solar geometry', () => {
+  test('days are about 12 h at the equinox and longest at the June solstice in the north', () => {
+    expect(calculateDayLength({ latitude: 0, longitude: 0 }, 80).dayLength).toBeCloseTo(12, 0);
+    expect(calculateDayLength(PHOENIX, 172).dayLength).toBeGreaterThan(14);
+    expect(calculateDayLength(PHOENIX, 355).dayLength).toBeLessThan(10.5);
+  });
+
+  test('polar summer has 24 h of daylight and polar night none', () => {
+    expect(calculateDayLength({ latitude: 80, longitude: 0 }, 172).dayLength).toBeCloseTo(24, 6);
+    expect(calculateDayLength({ latitude: 80, longitude: 0 }, 355).dayLength).toBeCloseTo(0, 6);
+  });
+
+  test('the sun is highest at solar noon', () => {
+    const { solarNoon, noonElevation } = calculateDayLength(PHOENIX, 172);
+    expect(calculateSolarElevation(PHOENIX, 172, solarNoon)).toBeCloseTo(noonElevation, 0);
+    expect(calculateSolarElevation(PHOENIX, 172, solarNoon - 3)).toBeLessThan(noonElevation);
+  });
+
+  test.each([1, 80, 172, 266, 355])('day %i spreads the daily light integral over the day length', (dayOfYear) => {
+    const day = calculateOutdoorDay(PHOENIX, dayOfYear);
+    expect(day.light * day.dayLength * 3600 / 1e6).toBeCloseTo(day.dailyLightIntegral, 6);
+  });
+
+  test('a day without sun has no light', () => {
+    const day = calculateOutdoorDay({ ...PHOENIX, latitude: 80 }, 355);
+    expect(day.light).toBe(0);
+    expect(day.dailyLightIntegral).toBe(0);
+  });
+
+  test('outdoor conditions carry the day length as the photoperiod', () => {
+    const conditionsFor = createOutdoorConditions(PHOENIX, { startDay: 172, co2: 420 });
+    const conditions = conditionsFor(1);
+
+    expect(conditions.photoperiod).toBeCloseTo(calculateDayLength(PHOENIX, 172).dayLength, 10);
+    expect(conditions.co2).toBe(420);
+    expect(conditionsFor(184).photoperiod).toBeLessThan(conditions.photoperiod);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * speciesProfiles.js
+ * Per-crop parameter sets that override the generic model constants
+ *
+ * Each profile names its photosynthetic pathway and overrides the values
+ * that differ most between crops:
+ * - light: near-saturating light (μmol/m²/s)
+ * - co2: near-saturating CO₂ (ppm)
+ * - temperature: { min, optimal, max, width } thermal limits and optimum (°C)
+ * - growthRate: fraction of biomass gained per day at a rate of 1.0
+ *
+ * Values are representative figures from crop physiology literature,
+ * rounded for teaching rather than calibrated for a specific cultivar.
+ */
+
+export const SPECIES_PROFILES = {
+  tomato: {
+    id: "tomato",
+    name: "Tomato",
+    scientificName: "Solanum lycopersicum",
+    pathway: "C3",
+    light: 900,
+    co2: 450,
+    temperature: { min: 10, optimal: 24, max: 35, width: 6 },
+    growthRate: 0.05
+  },
+  lettuce: {
+    id: "lettuce",
+    name: "Lettuce",
+    scientificName: "Lactuca sativa",
+    pathway: "C3",
+    light: 500,
+    co2: 400,
+    temperature: { min: 4, optimal: 18, max: 30, width: 5 },
+    growthRate: 0.07
+  },
+  wheat: {
+    id: "wheat",
+    name: "Wheat",
+    scientificName: "Triticum aestivum",
+    pathway: "C3",
+    light: 1000,
+    co2: 400,
+    temperature: { min: 3, optimal: 20, max: 34, width: 6 },
+    growthRate: 0.045
+  },
+  rice: {
+    id: "rice",
+    name: "Rice",
+    scientificName: "Oryza sativa",
+    pathway: "C3",
+    light: 1000,
+    co2: 400,
+    temperature: { min: 12, optimal: 28, max: 40, width: 6 },
+    growthRate: 0.05
+  },
+  basil: {
+    id: "basil",
+    name: "Basil",
+    scientificName: "Ocimum basilicum",
+    pathway: "C3",
+    light: 600,
+    co2: 400,
+    temperature: { min: 12, optimal: 26, max: 38, width: 6 },
+    growthRate: 0.055
+  },
+  elodea: {
+    id: "elodea",
+    name: "Elodea (pondweed)",
+    scientificName: "Elodea canadensis",
+    pathway: "C3",
+    light: 300,
+    co2: 350,
+    temperature: { min: 4, optimal: 22, max: 32, width: 6 },
+    growthRate: 0.04
+  },
+  maize: {
+    id: "maize",
+    name: "Maize",
+    scientificName: "Zea mays",
+    pathway: "C4",
+    light: 1500,
+    co2: 150,
+    temperature: { min: 10, optimal: 32, max: 45, width: 7 },
+    growthRate: 0.065
+  },
+  sugarcane: {
+    id: "sugarcane",
+    name: "Sugarcane",
+    scientificName: "Saccharum officinarum",
+    pathway: "C4",
+    light: 1600,
+    co2: 150,
+    temperature: { min: 12, optimal: 33, max: 46, width: 8 },
+    growthRate: 0.06
+  },
+  pineapple: {
+    id: "pineapple",
+    name: "Pineapple",
+    scientificName: "Ananas comosus",
+    pathway: "CAM",
+    light: 800,
+    co2: 250,
+    temperature: { min: 10, optimal: 30, max: 50, width: 10 },
+    growthRate: 0.02
+  }
+};
+
+/**
+ * Look up a species profile
+ *
+ * @param {string} species - Species id (e.g. "tomato")
+ * @returns {Object|null} Species profile, or null for a generic plant
+ */
+export function getSpeciesProfile(species) {
+  return SPECIES_PROFILES[species] || null;
+}
+
+/**
+ * List the species library for display
+ * @returns {Array} [{ id, name, scientificName, pathway }]
+ */
+export function getAvailableSpecies() {
+  return Object.values(SPECIES_PROFILES).map(({ id, name, scientificName, pathway }) => ({
+    id,
+    name,
+    scientificName,
+    pathway
+  }));
+}
@@ -0,0 +1,68 @@
+import { getSpeciesProfile, getAvailableSpecies, SPECIES_PROFILES } from './speciesProfiles';
+import { PHOTOSYNTHETIC_PATHWAYS } from './photosyntheticPathways';
+import { resolveModelParameters, calculatePhotosynthesisRate, getOptimalValues } from './photosynthesisModel';
+
+const SPECIES = Object.keys(SPECIES_PROFILES);
+
+describe('species library', () => {
+  test('unknown species give a generic plant', () => {
+    expect(getSpeciesProfile('triffid')).toBeNull();
+    expect(getSpeciesProfile(null)).toBeNull();
+    expect(resolveModelParameters({ species: 'triffid' }).species).toBeNull();
+  });
+
+  test('lists every species with its pathway', () => {
+    expect(getAvailableSpecies().map(({ id }) => id)).toEqual(SPECIES);
+  });
+
+  test.each(SPECIES)('%s has a known pathway and an ordered temperature range', (species) => {
+    const { pathway, temperature } = getSpeciesProfile(species);
+    expect(PHOTOSYNTHETIC_PATHWAYS[pathway]).toBeDefined();
+    expect(temperature.min).toBeLessThan(temperature.optimal);
+    expect(temperature.optimal).toBeLessThan(temperature.max);
+  });
+});
+
+describe('species parameters', () => {
+  test.each(SPECIES)('%s overrides the generic values and brings its pathway', (species) => {
+    const profile = getSpeciesProfile(species);
+    const params = resolveModelParameters({ species });
+
+    expect(params.species).toBe(species);
+    expect(params.pathway).toBe(profile.pathway);
+    expect(params.light).toBe(profile.light);
+    expect(params.co2).toBe(profile.co2);
+    expect(params.temperature.optimal).toBe(profile.temperature.optimal);
+    expect(params.growthRate).toBe(profile.growthRate);
+    expect(params.photorespiration).toBe(PHOTOSYNTHETIC_PATHWAYS[profile.pathway].photorespiration);
+  });
+
+  test('an explicit pathway replaces the species pathway but keeps its crop values', () => {
+    const params = resolveModelParameters({ species: 'tomato', pathway: 'C4' });
+    expect(params.pathway).toBe('C4');
+    expect(params.photorespiration).toBe(0);
+    expect(params.light).toBe(SPECIES_PROFILES.tomato.light);
+  });
+
+  test('parameter adjustments scale and shift the species values', () => {
+    const params = resolveModelParameters({
+      species: 'lettuce',
+      parameterAdjustments: { light: 1.2, growthRate: 0.5, temperatureOptimum: 2 }
+    });
+    expect(params.light).toBeCloseTo(600, 10);
+    expect(params.growthRate).toBeCloseTo(0.035, 10);
+    expect(params.temperature.optimal).toBe(20);
+  });
+
+  test('each crop photosynthesizes best at its own optimum', () => {
+    const temperatureFactor = (species, temperature) => (
+      calculatePhotosynthesisRate(800, 400, temperature, { species }).factors.temperature
+    );
+
+    SPECIES.forEach((species) => {
+      expect(temperatureFactor(species, getOptimalValues({ species }).temperature)).toBeCloseTo(1, 12);
+    });
+    expect(temperatureFactor('lettuce', 28)).toBeLessThan(temperatureFactor('tomato', 28));
+    expect(temperatureFactor('maize', 35)).toBeGreaterThan(temperatureFactor('wheat', 35));
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * stomatalConductance.js
+ * Humidity, vapour-pressure deficit (VPD) and stomatal control of internal CO₂
+ *
+ * Scientific Basis: optimal stomatal behaviour (Medlyn et al., 2011)
+ *   gs ≈ g0 + 1.6 · (1 + g1 / √D) · A / Ca   →   Ci / Ca = g1 / (g1 + √D)
+ * Dry air (high D) makes leaves close their stomata to save water, which lowers
+ * the CO₂ concentration inside the leaf (Ci) available to RuBisCO.
+ */
+
+// VPD (kPa) at which stomata are treated as fully open. Below this the model
+// reproduces the reference Ci used to calibrate the CO₂ curve.
+const REFERENCE_VPD = 1.5;
+
+// Smallest VPD used in the square root, avoids division by zero in saturated air
+const MIN_VPD = 0.05;
+
+/**
+ * Saturation vapour pressure of water (Tetens equation)
+ *
+ * @param {number} temperature - Air temperature (°C)
+ * @returns {number} Saturation vapour pressure (kPa)
+ */
+export function saturationVaporPressure(temperature) {
+  return 0.6108 * Math.exp((17.27 * temperature) / (temperature + 237.3));
+}
+
+/**
+ * Vapour-pressure deficit of the air
+ *
+ * @param {number} temperature - Air temperature (°C)
+ * @param {number} humidity - Relative humidity (0-100 %)
+ * @returns {number} VPD (kPa)
+ */
+export function calculateVPD(temperature, humidity) {
+  const rh = Math.max(0, Math.min(100, humidity)) / 100;
+  return saturationVaporPressure(temperature) * (1 - rh);
+}
+
+/**
+ * Medlyn optimal Ci/Ca ratio for a given VPD
+ *
+ * @param {number} vpd - Vapour-pressure deficit (kPa)
+ * @param {number} g1 - Stomatal slope parameter (kPa^0.5)
+ * @returns {number} Ci / Ca
+ */
+function medlynCiRatio(vpd, g1) {
+  return g1 / (g1 + Math.sqrt(Math.max(MIN_VPD, vpd)));
+}
+
+/**
+ * Stomatal response to the current air humidity
+ * Returns the relative conductance and the fraction of the reference internal
+ * CO₂ that still reaches the chloroplasts. Without a humidity value the stomata
+ * are assumed fully open.
+ *
+ * @param {number} temperature - Air temperature (°C)
+ * @param {number|undefined} humidity - Relative humidity (0-100 %)
+ * @param {Object} stomatal - { g1, vpdExposure } from the pathway profile
+ * @returns {Object} { vpd, conductance, ciFraction }
+ */
+export function calculateStomatalResponse(temperature, humidity, stomatal) {
+  if (humidity === undefined || humidity === null) {
+    return { vpd: null, conductance: 1, ciFraction: 1 };
+  }
+
+  const vpd = calculateVPD(temperature, humidity);
+
+  // CAM stomata open in the cool night air, so they see only part of the daytime VPD
+  const experiencedVpd = vpd * stomatal.vpdExposure;
+  const sqrtD = Math.sqrt(Math.max(MIN_VPD, experiencedVpd));
+  const sqrtRef = Math.sqrt(REFERENCE_VPD);
+
+  const conductance = Math.min(1, (1 + stomatal.g1 / sqrtD) / (1 + stomatal.g1 / sqrtRef));
+  const ciFraction = Math.min(
+    1,
+    medlynCiRatio(experiencedVpd, stomatal.g1) / medlynCiRatio(REFERENCE_VPD, stomatal.g1)
+  );
+
+  return { vpd, conductance, ciFraction };
+}
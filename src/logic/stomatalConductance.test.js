@@ -0,0 +1,75 @@
+import { saturationVaporPressure, calculateVPD, calculateStomatalResponse } from './stomatalConductance';
+import { PHOTOSYNTHETIC_PATHWAYS } from './photosyntheticPathways';
+import { calculatePhotosynthesisRate } from './photosynthesisModel';
+
+const C3 = PHOTOSYNTHETIC_PATHWAYS.C3.stomatal;
+const CAM = PHOTOSYNTHETIC_PATHWAYS.CAM.stomatal;
+
+describe('vapour-pressure deficit', () => {
+  test('saturation vapour pressure follows the Tetens equation', () => {
+    expect(saturationVaporPressure(0)).toBeCloseTo(0.6108, 4);
+    expect(saturationVaporPressure(25)).toBeCloseTo(3.168, 2);
+    expect(saturationVaporPressure(35)).toBeGreaterThan(saturationVaporPressure(25));
+  });
+
+  test('VPD is zero in saturated air and the full vapour pressure in dry air', () => {
+    expect(calculateVPD(25, 100)).toBe(0);
+    expect(calculateVPD(25, 0)).toBeCloseTo(saturationVaporPressure(25), 12);
+    expect(calculateVPD(25, 50)).toBeCloseTo(saturationVaporPressure(25) / 2, 12);
+  });
+
+  test('humidity outside 0-100 % is clamped', () => {
+    expect(calculateVPD(25, 130)).toBe(0);
+    expect(calculateVPD(25, -10)).toBeCloseTo(calculateVPD(25, 0), 12);
+  });
+});
+
+describe('stomatal response', () => {
+  test('stomata are fully open without a humidity value', () => {
+    expect(calculateStomatalResponse(25, undefined, C3)).toEqual({ vpd: null, conductance: 1, ciFraction: 1 });
+  });
+
+  test('stomata stay fully open in humid air', () => {
+    const { conductance, ciFraction } = calculateStomatalResponse(25, 80, C3);
+    expect(conductance).toBe(1);
+    expect(ciFraction).toBe(1);
+  });
+
+  test('drier air closes the stomata and lowers internal CO₂', () => {
+    const moist = calculateStomatalResponse(30, 50, C3);
+    const dry = calculateStomatalResponse(30, 15, C3);
+
+    expect(dry.vpd).toBeGreaterThan(moist.vpd);
+    expect(dry.conductance).toBeLessThan(moist.conductance);
+    expect(dry.ciFraction).toBeLessThan(moist.ciFraction);
+    expect(dry.ciFraction).toBeGreaterThan(0);
+  });
+
+  test('the Ci fraction follows Medlyn relative to the 1.5 kPa reference', () => {
+    const { vpd, ciFraction } = calculateStomatalResponse(30, 20, C3);
+    const ratio = (d) => C3.g1 / (C3.g1 + Math.sqrt(d));
+    expect(ciFraction).toBeCloseTo(ratio(vpd) / ratio(1.5), 12);
+  });
+
+  test('CAM stomata, open at night, feel less of the daytime VPD', () => {
+    expect(calculateStomatalResponse(35, 15, CAM).ciFraction)
+      .toBeGreaterThan(calculateStomatalResponse(35, 15, { ...CAM, vpdExposure: 1 }).ciFraction);
+  });
+});
+
+describe('humidity in the photosynthesis model', () => {
+  test('the stomata factor never exceeds the CO₂ factor', () => {
+    [90, 60, 30, 10].forEach((humidity) => {
+      const { factors } = calculatePhotosynthesisRate(1500, 300, 32, { humidity });
+      expect(factors.stomata).toBeLessThanOrEqual(factors.co2);
+    });
+  });
+
+  test('dry air lowers the rate of a CO₂-limited leaf', () => {
+    const humid = calculatePhotosynthesisRate(1500, 300, 32, { humidity: 80 });
+    const dry = calculatePhotosynthesisRate(1500, 300, 32, { humidity: 10 });
+
+    expect(dry.stomatal.internalCO2).toBeLessThan(humid.stomatal.internalCO2);
+    expect(dry.rate).toBeLessThan(humid.rate);
+  });
+});
@@ -3,35 +3,137 @@
  * Simulates plant growth over multiple days based on environmental conditions
  * 
  * Models cumulative effects of photosynthesis on plant biomass
+ * and the build-up and repair of high-light damage (photoinhibition).
+ * Growth follows the daily carbon balance: daytime net uptake minus
+ * night-time respiration, so a plant below its compensation point loses biomass.
  */
 
-import { calculatePhotosynthesisRate } from './photosynthesisModel.js';
+import { calculatePhotosynthesisRate, resolveModelParameters, getOptimalValues } from './photosynthesisModel.js';
 import { identifyLimitingFactor } from './limitingFactor.js';
+import { getCarbonUptakeProfile } from './photosyntheticPathways.js';
+import { calculateLightQuality } from './lightSpectrum.js';
+import { calculatePhotoinhibitionRates, advanceDamage } from './photoinhibition.js';
+import { calculateCarbonBalance } from './carbonBalance.js';
+import {
+  calculateDiurnalLight,
+  calculateDiurnalTemperature,
+  calculateSunElevation,
+  getDiurnalSteps
+} from './diurnalCycle.js';
+
+// Hours of light per simulated day; the rest of the day is dark repair time
+export const DAYLIGHT_HOURS = 12;
+
+// Run lengths offered by the time-lapse (days); 180 covers a full crop cycle
+export const TIME_LAPSE_DAYS = { min: 1, max: 180, default: 30 };
+
+// μmol/m²/s sustained for one hour, expressed in mmol/m²
+const MMOL_PER_MICROMOL_HOUR = 3.6;
+
+/**
+ * Net CO₂ gained over a day: net uptake while the light is on, dark
+ * respiration through the night
+ * 
+ * @param {Object} gasExchange - { net, respiration } in μmol/m²/s
+ * @param {number} photoperiod - Hours of light (default DAYLIGHT_HOURS)
+ * @returns {number} Daily net CO₂ uptake (mmol/m²/day)
+ */
+function dailyCarbonBalance(gasExchange, photoperiod = DAYLIGHT_HOURS) {
+  const day = gasExchange.net * photoperiod;
+  const night = gasExchange.respiration * (24 - photoperiod);
+  return (day - night) * MMOL_PER_MICROMOL_HOUR;
+}
+
+/**
+ * Daily carbon balance of a leaf working at full rate at the species' optimum,
+ * the day on which the plant grows by its full growth rate
+ * 
+ * @param {Object} params - Output of resolveModelParameters
+ * @returns {number} Daily net CO₂ uptake (mmol/m²/day)
+ */
+function referenceCarbonBalance(params) {
+  return dailyCarbonBalance(
+    calculateCarbonBalance(1, params.co2, params.temperature.optimal, params)
+  );
+}
+
+/**
+ * Split a day's biomass gain into daytime and night-time carbon uptake
+ * CAM plants take up most of their CO₂ at night; C3 and C4 only by day.
+ * 
+ * @param {number} biomassGain - Biomass gained this day
+ * @param {Object} uptake - { day, night } fractions from getCarbonUptakeProfile
+ * @returns {Object} { day, night } biomass gain by period
+ */
+function splitCarbonUptake(biomassGain, uptake) {
+  return {
+    day: Math.round(biomassGain * uptake.day * 100) / 100,
+    night: Math.round(biomassGain * uptake.night * 100) / 100
+  };
+}
+
+/**
+ * Carry photosystem II damage through one day: damage and repair while the
+ * light is on, repair only through the night.
+ * 
+ * @param {number} damage - Damaged PSII fraction at dawn (0-1)
+ * @param {Object} conditions - { light, temperature } for the day
+ * @param {Object} params - Output of resolveModelParameters
+ * @param {Object} options - Model options (lightSource)
+ * @param {number} photoperiod - Hours of light (default DAYLIGHT_HOURS)
+ * @returns {Object} { mean: average daytime damage, next: damage at the next dawn }
+ */
+function advancePhotodamage(damage, conditions, params, options, photoperiod = DAYLIGHT_HOURS) {
+  const { effective } = calculateLightQuality(conditions.light, options.lightSource, params.quantumYield);
+  const rates = calculatePhotoinhibitionRates(effective, conditions.temperature, params);
+  const daytime = advanceDamage(damage, rates, photoperiod);
+  const night = advanceDamage(daytime.damage, { damage: 0, repair: rates.repair }, 24 - photoperiod);
+  
+  return { mean: daytime.mean, next: night.damage };
+}
 
 /**
  * Simulate plant growth over multiple days
  * Growth accumulates based on daily photosynthesis rate
  * 
- * @param {Object} conditions - { light, co2, temperature } environmental parameters
+ * @param {Object} conditions - { light, co2, temperature, humidity? } environmental parameters
  * @param {number} days - Number of days to simulate
  * @param {number} initialBiomass - Starting plant biomass (default: 100g)
+ * @param {Object} options - Model options forwarded to calculatePhotosynthesisRate
+ *                           (photodamage sets the PSII damage on day 1)
  * @returns {Array} Daily simulation results
  */
-export function simulateGrowth(conditions, days, initialBiomass = 100) {
-  const { light, co2, temperature } = conditions;
+export function simulateGrowth(conditions, days, initialBiomass = 100, options = {}) {
+  // Extra conditions such as humidity travel with the model options
+  const { light, co2, temperature, ...extra } = conditions;
+  const modelOptions = { ...options, ...extra };
+  const params = resolveModelParameters(options);
+  const uptake = getCarbonUptakeProfile(params.pathway);
+  const referenceCarbon = referenceCarbonBalance(params);
   
   const results = [];
   let cumulativeGrowth = initialBiomass;
   let cumulativeStress = 0; // Tracks prolonged suboptimal conditions
+  let photodamage = options.photodamage ?? 0; // Damaged PSII fraction at dawn
   
   for (let day = 1; day <= days; day++) {
+    // High light damages PSII through the day; the night gives time to repair
+    const damage = advancePhotodamage(photodamage, { light, temperature }, params, modelOptions);
+    photodamage = damage.next;
+    
     // Calculate photosynthesis rate for this day
-    const photoResult = calculatePhotosynthesisRate(light, co2, temperature);
+    const photoResult = calculatePhotosynthesisRate(light, co2, temperature, {
+      ...modelOptions,
+      photodamage: damage.mean
+    });
     const rate = photoResult.rate;
     
-    // Convert photosynthesis rate to daily biomass gain
-    // Assumes optimal conditions (rate = 1.0) = 5% daily growth
-    const dailyGrowthRate = rate * 0.05; // 0-5% per day
+    // Convert the day's carbon balance to biomass gain
+    // Optimal conditions (rate = 1.0) give the species' daily growth
+    // (5% for a generic C3 plant, much less for slow CAM plants);
+    // a negative balance burns stored carbon
+    const dailyCarbon = dailyCarbonBalance(photoResult.gasExchange);
+    const dailyGrowthRate = (dailyCarbon / referenceCarbon) * params.growthRate;
     const biomassGain = cumulativeGrowth * dailyGrowthRate;
     
     cumulativeGrowth += biomassGain;
@@ -48,14 +150,22 @@ export function simulateGrowth(conditions, days, initialBiomass = 100) {
     }
     
     // Identify limiting factor for this day
-    const limiting = identifyLimitingFactor(photoResult.factors);
+    const limiting = identifyLimitingFactor(photoResult.factors, {
+      temperature,
+      temperatureRange: params.temperature
+    });
     
     results.push({
       day,
       rate: Math.round(rate * 1000) / 1000, // Round to 3 decimals
+      netAssimilation: Math.round(photoResult.gasExchange.net * 100) / 100, // Daytime μmol/m²/s
+      dailyCarbon: Math.round(dailyCarbon * 10) / 10, // mmol CO₂/m²/day
       biomass: Math.round(cumulativeGrowth * 100) / 100, // Round to 2 decimals
       dailyGain: Math.round(biomassGain * 100) / 100,
+      carbonUptake: splitCarbonUptake(biomassGain, uptake),
+      photoinhibition: Math.round(damage.mean * 1000) / 1000, // Mean damaged PSII fraction
       limitingFactor: limiting.limitingFactor,
+      limitingDirection: limiting.direction,
       stress: Math.round(cumulativeStress * 100) / 100,
       efficiency: Math.round(rate * 100) // Percentage
     });
@@ -64,6 +174,173 @@ export function simulateGrowth(conditions, days, initialBiomass = 100) {
   return results;
 }
 
+/**
+ * Simulate plant growth hour by hour through day/night cycles
+ * The light value is the photon flux at solar noon and the temperature the
+ * midpoint of the daily minimum and maximum; both follow the diurnal cycle
+ * (see diurnalCycle.js). Each step runs the model with that hour's light and
+ * temperature and the PSII damage carried from the step before, and adds up
+ * net CO₂ uptake, so respiration through the cooler night comes off the
+ * day's carbon. Days aggregate into the simulateGrowth result shape
+ * (rate, net uptake and damage are daytime means, the limiting factor is the
+ * one that limits for most daylight hours), plus the day's steps in `hours`.
+ * 
+ * A day's `photoperiod` (e.g. from scheduled lamps) replaces the day length
+ * of the settings for that day, so the light curve spans the lit hours.
+ * 
+ * @param {Object|Function} conditions - { light, co2, temperature, humidity?, nitrogen?, lightSource?, photoperiod? },
+ *                                       or a function of the day number returning them
+ * @param {number} days - Number of days to simulate
+ * @param {number} initialBiomass - Starting plant biomass (default: 100g)
+ * @param {Object} options - Model options forwarded to calculatePhotosynthesisRate
+ *                           (photodamage sets the PSII damage at the first step)
+ * @param {Object} settings - Diurnal settings (stepHours, sunrise, dayLength, noonElevation,
+ *                            temperatureRange, peakHour; see DEFAULT_DIURNAL_SETTINGS)
+ * @returns {Array} Daily results as from simulateGrowth, each with
+ *   hours: [{ hour, elevation, light, temperature, rate, net, photoinhibition, limitingFactor }]
+ */
+export function simulateDiurnalGrowth(conditions, days, initialBiomass = 100, options = {}, settings = {}) {
+  const conditionsFor = typeof conditions === "function" ? conditions : () => conditions;
+  const params = resolveModelParameters(options);
+  const uptake = getCarbonUptakeProfile(params.pathway);
+  const referenceCarbon = referenceCarbonBalance(params);
+  const steps = getDiurnalSteps(settings);
+  
+  const results = [];
+  let cumulativeGrowth = initialBiomass;
+  let cumulativeStress = 0;
+  let photodamage = options.photodamage ?? 0;
+  
+  for (let day = 1; day <= days; day++) {
+    const { light, co2, temperature, photoperiod, ...extra } = conditionsFor(day);
+    const modelOptions = { ...options, ...extra };
+    const daySettings = photoperiod != null ? { ...settings, dayLength: photoperiod } : settings;
+    
+    const { hours, dailyCarbon, damageAtEnd } = simulateDiurnalDay(
+      { light, co2, temperature },
+      photodamage,
+      steps,
+      params,
+      modelOptions,
+      daySettings
+    );
+    photodamage = damageAtEnd;
+    
+    // Daytime means; a day without sun falls back to the whole day
+    const daylight = hours.some((step) => step.light > 0) ? hours.filter((step) => step.light > 0) : hours;
+    const daylightHours = daylight.reduce((sum, step) => sum + step.duration, 0);
+    const daytimeMean = (key) => daylight.reduce((sum, step) => sum + step[key] * step.duration, 0) / daylightHours;
+    const rate = daytimeMean("rate");
+    const limiting = dominantLimitation(daylight);
+    
+    const dailyGrowthRate = (dailyCarbon / referenceCarbon) * params.growthRate;
+    const biomassGain = cumulativeGrowth * dailyGrowthRate;
+    cumulativeGrowth += biomassGain;
+    
+    if (rate < 0.4) {
+      cumulativeStress += (0.4 - rate);
+      const stressPenalty = Math.min(cumulativeStress * 0.02, 0.3);
+      cumulativeGrowth -= cumulativeGrowth * stressPenalty * 0.01;
+    } else {
+      cumulativeStress = Math.max(0, cumulativeStress - 0.1);
+    }
+    
+    results.push({
+      day,
+      rate: Math.round(rate * 1000) / 1000,
+      netAssimilation: Math.round(daytimeMean("net") * 100) / 100,
+      dailyCarbon: Math.round(dailyCarbon * 10) / 10,
+      biomass: Math.round(cumulativeGrowth * 100) / 100,
+      dailyGain: Math.round(biomassGain * 100) / 100,
+      carbonUptake: splitCarbonUptake(biomassGain, uptake),
+      photoinhibition: Math.round(daytimeMean("photoinhibition") * 1000) / 1000,
+      limitingFactor: limiting.limitingFactor,
+      limitingDirection: limiting.direction,
+      stress: Math.round(cumulativeStress * 100) / 100,
+      efficiency: Math.round(rate * 100),
+      hours: hours.map((step) => ({
+        hour: step.hour,
+        elevation: Math.round(step.elevation * 10) / 10,
+        light: Math.round(step.light),
+        temperature: Math.round(step.temperature * 10) / 10,
+        rate: Math.round(step.rate * 1000) / 1000,
+        net: Math.round(step.net * 100) / 100,
+        photoinhibition: Math.round(step.photoinhibition * 1000) / 1000,
+        limitingFactor: step.limitingFactor
+      }))
+    });
+  }
+  
+  return results;
+}
+
+/**
+ * Run the model through the steps of one day
+ * 
+ * @param {Object} conditions - { light: noon flux, co2, temperature: daily mean }
+ * @param {number} damage - Damaged PSII fraction at midnight (0-1)
+ * @param {Array} steps - [{ hour, duration }] from getDiurnalSteps
+ * @param {Object} params - Output of resolveModelParameters
+ * @param {Object} options - Model options including the day's extra conditions
+ * @param {Object} settings - Diurnal settings
+ * @returns {Object} { hours: per-step results, dailyCarbon: mmol CO₂/m², damageAtEnd }
+ */
+function simulateDiurnalDay(conditions, damage, steps, params, options, settings) {
+  let photodamage = damage;
+  let dailyCarbon = 0;
+  
+  const hours = steps.map(({ hour, duration }) => {
+    const light = calculateDiurnalLight(hour, conditions.light, settings);
+    const temperature = calculateDiurnalTemperature(hour, conditions.temperature, settings);
+    
+    const { effective } = calculateLightQuality(light, options.lightSource, params.quantumYield);
+    const step = advanceDamage(photodamage, calculatePhotoinhibitionRates(effective, temperature, params), duration);
+    photodamage = step.damage;
+    
+    const photoResult = calculatePhotosynthesisRate(light, conditions.co2, temperature, {
+      ...options,
+      photodamage: step.mean
+    });
+    dailyCarbon += photoResult.gasExchange.net * duration * MMOL_PER_MICROMOL_HOUR;
+    
+    const limiting = identifyLimitingFactor(photoResult.factors, {
+      temperature,
+      temperatureRange: params.temperature
+    });
+    return {
+      hour,
+      duration,
+      elevation: calculateSunElevation(hour, settings),
+      light,
+      temperature,
+      rate: photoResult.rate,
+      net: photoResult.gasExchange.net,
+      photoinhibition: step.mean,
+      limitingFactor: limiting.limitingFactor,
+      limitingDirection: limiting.direction
+    };
+  });
+  
+  return { hours, dailyCarbon, damageAtEnd: photodamage };
+}
+
+/**
+ * Factor that limits for the longest time over a set of steps
+ * 
+ * @param {Array} steps - [{ duration, limitingFactor, limitingDirection }]
+ * @returns {Object} { limitingFactor, direction } (direction from the factor's last step)
+ */
+function dominantLimitation(steps) {
+  const time = {};
+  const direction = {};
+  steps.forEach((step) => {
+    time[step.limitingFactor] = (time[step.limitingFactor] || 0) + step.duration;
+    direction[step.limitingFactor] = step.limitingDirection;
+  });
+  const limitingFactor = Object.keys(time).reduce((top, factor) => (time[factor] > time[top] ? factor : top));
+  return { limitingFactor, direction: direction[limitingFactor] };
+}
+
 /**
  * Compare growth under different environmental scenarios
  * Useful for showing the impact of changing one variable
@@ -71,11 +348,12 @@ export function simulateGrowth(conditions, days, initialBiomass = 100) {
  * @param {Object} baseConditions - Baseline { light, co2, temperature }
  * @param {Object} altConditions - Alternative { light, co2, temperature }
  * @param {number} days - Number of days to simulate
+ * @param {Object} options - Model options forwarded to calculatePhotosynthesisRate
  * @returns {Object} Comparison results
  */
-export function compareScenarios(baseConditions, altConditions, days) {
-  const baseGrowth = simulateGrowth(baseConditions, days);
-  const altGrowth = simulateGrowth(altConditions, days);
+export function compareScenarios(baseConditions, altConditions, days, options = {}) {
+  const baseGrowth = simulateGrowth(baseConditions, days, 100, options);
+  const altGrowth = simulateGrowth(altConditions, days, 100, options);
   
   // Calculate final differences
   const baseFinal = baseGrowth[baseGrowth.length - 1];
@@ -101,27 +379,44 @@ export function compareScenarios(baseConditions, altConditions, days) {
  * Simulate variable conditions over time (e.g., day/night cycles, seasonal changes)
  * Conditions can change each day based on a pattern
  * 
- * @param {Function} conditionGenerator - Function that takes day number and returns { light, co2, temperature }
+ * @param {Function} conditionGenerator - Function that takes day number and returns { light, co2, temperature, humidity?,
+ *                                       photoperiod?: hours of light, default DAYLIGHT_HOURS }
  * @param {number} days - Number of days to simulate
  * @param {number} initialBiomass - Starting biomass
+ * @param {Object} options - Model options forwarded to calculatePhotosynthesisRate
  * @returns {Array} Daily simulation results with varying conditions
  */
-export function simulateVariableConditions(conditionGenerator, days, initialBiomass = 100) {
+export function simulateVariableConditions(conditionGenerator, days, initialBiomass = 100, options = {}) {
   const results = [];
   let cumulativeGrowth = initialBiomass;
   let cumulativeStress = 0;
+  let photodamage = options.photodamage ?? 0;
+  const params = resolveModelParameters(options);
+  const uptake = getCarbonUptakeProfile(params.pathway);
+  const referenceCarbon = referenceCarbonBalance(params);
   
   for (let day = 1; day <= days; day++) {
     // Get conditions for this specific day
     const conditions = conditionGenerator(day);
-    const { light, co2, temperature } = conditions;
+    const { light, co2, temperature, photoperiod, ...extra } = conditions;
+    const modelOptions = { ...options, ...extra };
+    // Lamps at night lengthen the day's light period
+    const lightHours = photoperiod ?? DAYLIGHT_HOURS;
+    
+    // Damage carries over from day to day, so a heat wave costs days of growth
+    const damage = advancePhotodamage(photodamage, { light, temperature }, params, modelOptions, lightHours);
+    photodamage = damage.next;
     
     // Calculate photosynthesis
-    const photoResult = calculatePhotosynthesisRate(light, co2, temperature);
+    const photoResult = calculatePhotosynthesisRate(light, co2, temperature, {
+      ...modelOptions,
+      photodamage: damage.mean
+    });
     const rate = photoResult.rate;
     
     // Growth calculation
-    const dailyGrowthRate = rate * 0.05;
+    const dailyCarbon = dailyCarbonBalance(photoResult.gasExchange, lightHours);
+    const dailyGrowthRate = (dailyCarbon / referenceCarbon) * params.growthRate;
     const biomassGain = cumulativeGrowth * dailyGrowthRate;
     cumulativeGrowth += biomassGain;
     
@@ -134,15 +429,23 @@ export function simulateVariableConditions(conditionGenerator, days, initialBiom
       cumulativeStress = Math.max(0, cumulativeStress - 0.1);
     }
     
-    const limiting = identifyLimitingFactor(photoResult.factors);
+    const limiting = identifyLimitingFactor(photoResult.factors, {
+      temperature,
+      temperatureRange: params.temperature
+    });
     
     results.push({
       day,
-      conditions: { light, co2, temperature },
+      conditions: { ...conditions },
       rate: Math.round(rate * 1000) / 1000,
+      netAssimilation: Math.round(photoResult.gasExchange.net * 100) / 100,
+      dailyCarbon: Math.round(dailyCarbon * 10) / 10,
       biomass: Math.round(cumulativeGrowth * 100) / 100,
       dailyGain: Math.round(biomassGain * 100) / 100,
+      carbonUptake: splitCarbonUptake(biomassGain, uptake),
+      photoinhibition: Math.round(damage.mean * 1000) / 1000,
       limitingFactor: limiting.limitingFactor,
+      limitingDirection: limiting.direction,
       stress: Math.round(cumulativeStress * 100) / 100,
       efficiency: Math.round(rate * 100)
     });
@@ -153,20 +456,56 @@ export function simulateVariableConditions(conditionGenerator, days, initialBiom
 
 /**
  * Calculate optimal growth trajectory (theoretical maximum)
- * Assumes perfect conditions (all factors = 1.0) throughout
+ * Assumes the selected species' optimal conditions throughout
  * 
  * @param {number} days - Number of days
  * @param {number} initialBiomass - Starting biomass
+ * @param {Object} options - Model options forwarded to calculatePhotosynthesisRate
  * @returns {Array} Optimal growth trajectory
  */
-export function calculateOptimalTrajectory(days, initialBiomass = 100) {
+export function calculateOptimalTrajectory(days, initialBiomass = 100, options = {}) {
+  const optimal = getOptimalValues(options);
   const optimalConditions = {
-    light: 800,    // Optimal light
-    co2: 500,      // Enriched CO2
-    temperature: 25 // Optimal temperature
+    light: optimal.light,                // Optimal light
+    co2: Math.max(500, optimal.co2),     // Enriched CO2
+    temperature: optimal.temperature     // Optimal temperature
   };
   
-  return simulateGrowth(optimalConditions, days, initialBiomass);
+  return simulateGrowth(optimalConditions, days, initialBiomass, options);
+}
+
+/**
+ * Recovery curve of photosystem II after high-light damage
+ * Follows the damaged fraction hour by hour under new (usually milder)
+ * conditions, with the same day/night cycle as the growth simulation.
+ * 
+ * @param {number} initialDamage - Damaged PSII fraction at the start (0-1)
+ * @param {Object} conditions - { light, temperature } during the recovery days
+ * @param {number} hours - Length of the curve (default: 72 h)
+ * @param {Object} options - Model options (pathway, species, lightSource)
+ * @returns {Array} [{ hour, damage, functional, daylight }]
+ */
+export function calculateRecoveryCurve(initialDamage, conditions, hours = 72, options = {}) {
+  const params = resolveModelParameters(options);
+  const { effective } = calculateLightQuality(conditions.light, options.lightSource, params.quantumYield);
+  const dayRates = calculatePhotoinhibitionRates(effective, conditions.temperature, params);
+  const nightRates = { damage: 0, repair: dayRates.repair };
+  
+  const curve = [];
+  let damage = initialDamage;
+  
+  for (let hour = 0; hour <= hours; hour++) {
+    const daylight = hour % 24 < DAYLIGHT_HOURS;
+    curve.push({
+      hour,
+      damage: Math.round(damage * 1000) / 1000,
+      functional: Math.round((1 - damage) * 1000) / 1000,
+      daylight
+    });
+    damage = advanceDamage(damage, daylight ? dayRates : nightRates, 1).damage;
+  }
+  
+  return curve;
 }
 
 /**
@@ -200,6 +539,11 @@ export function analyzeGrowthEfficiency(simulationResults) {
   const mostCommonLimiting = Object.entries(limitingFactorCounts)
     .sort((a, b) => b[1] - a[1])[0][0];
   
+  const peakPhotoinhibition = Math.max(...simulationResults.map(r => r.photoinhibition ?? 0));
+  
+  // Days on which respiration outweighed assimilation
+  const daysBelowCompensation = simulationResults.filter(r => r.dailyCarbon < 0).length;
+  
   return {
     averageEfficiency: Math.round(avgRate * 100),
     minEfficiency: Math.round(minRate * 100),
@@ -210,6 +554,37 @@ export function analyzeGrowthEfficiency(simulationResults) {
     finalBiomass: Math.round(finalBiomass * 100) / 100,
     mostCommonLimitingFactor: mostCommonLimiting,
     limitingFactorDistribution: limitingFactorCounts,
+    peakPhotoinhibition: Math.round(peakPhotoinhibition * 1000) / 1000,
+    daysBelowCompensation,
     days: simulationResults.length
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Run length the time-lapse accepts
+ *
+ * @param {number} days - Requested number of days
+ * @returns {number} Whole days within TIME_LAPSE_DAYS (the default when not a number)
+ */
+export function clampRunLength(days) {
+  if (!Number.isFinite(days)) return TIME_LAPSE_DAYS.default;
+  return Math.min(TIME_LAPSE_DAYS.max, Math.max(TIME_LAPSE_DAYS.min, Math.round(days)));
+}
+
+/**
+ * Evenly spaced subset of a daily series for charting long runs
+ * Points are picked, not averaged, so every plotted value is a real day.
+ * The first and last points are always kept.
+ *
+ * @param {Array} series - Points in day order
+ * @param {number} maxPoints - Largest number of points to return (at least 2)
+ * @returns {Array} The series itself when it is short enough, otherwise maxPoints of its points
+ */
+export function downsampleSeries(series, maxPoints = 90) {
+  if (!series) return [];
+  const limit = Math.max(2, Math.floor(maxPoints));
+  if (series.length <= limit) return series;
+
+  const stride = (series.length - 1) / (limit - 1);
+  return Array.from({ length: limit }, (_, i) => series[Math.round(i * stride)]);
+}
@@ -0,0 +1,99 @@
+import {
+  simulateGrowth,
+  simulateDiurnalGrowth,
+  clampRunLength,
+  downsampleSeries,
+  TIME_LAPSE_DAYS
+} from './timeLapseSimulation';
+import { DEFAULT_DIURNAL_SETTINGS } from './diurnalCycle';
+
+describe('run length', () => {
+  test.each([
+    [30, 30],
+    [0, TIME_LAPSE_DAYS.min],
+    [-5, TIME_LAPSE_DAYS.min],
+    [500, TIME_LAPSE_DAYS.max],
+    [12.6, 13],
+    [NaN, TIME_LAPSE_DAYS.default]
+  ])('%d days runs for %d', (requested, expected) => {
+    expect(clampRunLength(requested)).toBe(expected);
+  });
+
+  test('long series are thinned to real points, keeping both ends', () => {
+    const series = Array.from({ length: 180 }, (_, i) => ({ day: i + 1 }));
+    const thinned = downsampleSeries(series, 90);
+
+    expect(thinned.length).toBeLessThanOrEqual(90);
+    expect(thinned[0]).toBe(series[0]);
+    expect(thinned[thinned.length - 1]).toBe(series[179]);
+    expect(downsampleSeries(series.slice(0, 30), 90)).toHaveLength(30);
+  });
+});
+
+describe('diurnal aggregation', () => {
+  const CONDITIONS = { light: 1000, co2: 400, temperature: 24 };
+  // One-hour steps, so the day's means are plain means and μmol/m²/s → mmol/m² per step is × 3.6
+  const meanOf = (steps, key) => steps.reduce((sum, step) => sum + step[key], 0) / steps.length;
+  const carbonOf = (steps) => steps.reduce((sum, { net }) => sum + net * 3.6, 0);
+
+  test('days have the simulateGrowth shape plus their hourly steps', () => {
+    const daily = simulateGrowth(CONDITIONS, 3);
+    const diurnal = simulateDiurnalGrowth(CONDITIONS, 3, 100, {}, DEFAULT_DIURNAL_SETTINGS);
+
+    expect(diurnal).toHaveLength(3);
+    diurnal.forEach((day, i) => {
+      expect(Object.keys(day).sort()).toEqual([...Object.keys(daily[i]), 'hours'].sort());
+      expect(day.day).toBe(i + 1);
+      expect(day.hours).toHaveLength(24);
+    });
+  });
+
+  test('rate and net uptake are daytime means of the hourly steps', () => {
+    const [day] = simulateDiurnalGrowth(CONDITIONS, 1);
+    const lit = day.hours.filter(({ light }) => light > 0);
+
+    expect(lit).toHaveLength(DEFAULT_DIURNAL_SETTINGS.dayLength);
+    expect(day.rate).toBeCloseTo(meanOf(lit, 'rate'), 2);
+    expect(day.netAssimilation).toBeCloseTo(meanOf(lit, 'net'), 1);
+  });
+
+  test('the daily carbon adds up every hour, night respiration included', () => {
+    const [day] = simulateDiurnalGrowth(CONDITIONS, 1);
+    const night = day.hours.filter(({ light }) => light === 0);
+
+    night.forEach(({ net }) => expect(net).toBeLessThan(0));
+    expect(day.dailyCarbon).toBeCloseTo(carbonOf(day.hours), 0);
+    expect(day.dailyCarbon).toBeLessThan(carbonOf(day.hours.filter(({ light }) => light > 0)));
+  });
+
+  test('the limiting factor is the one that limits for most daylight hours', () => {
+    const [day] = simulateDiurnalGrowth({ light: 600, co2: 400, temperature: 24 }, 1);
+    const counts = {};
+    day.hours.filter(({ light }) => light > 0).forEach(({ limitingFactor }) => {
+      counts[limitingFactor] = (counts[limitingFactor] || 0) + 1;
+    });
+    const dominant = Object.keys(counts).reduce((top, factor) => (counts[factor] > counts[top] ? factor : top));
+
+    expect(day.limitingFactor).toBe(dominant);
+  });
+
+  test('biomass compounds from one day to the next', () => {
+    const days = simulateDiurnalGrowth(CONDITIONS, 5);
+    let previous = 100;
+    days.forEach(({ biomass, dailyGain }) => {
+      expect(biomass).toBeCloseTo(previous + dailyGain, 1);
+      previous = biomass;
+    });
+    expect(days[4].biomass).toBeGreaterThan(100);
+  });
+
+  test('a day\'s photoperiod replaces the day length', () => {
+    const [day] = simulateDiurnalGrowth({ ...CONDITIONS, photoperiod: 16 }, 1);
+    expect(day.hours.filter(({ light }) => light > 0)).toHaveLength(16);
+  });
+
+  test('conditions can change from day to day', () => {
+    const days = simulateDiurnalGrowth((day) => ({ ...CONDITIONS, light: day === 1 ? 200 : 1200 }), 2);
+    expect(days[1].rate).toBeGreaterThan(days[0].rate);
+  });
+});
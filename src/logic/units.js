@@ -0,0 +1,221 @@
+/**
+ * units.js
+ * Physical units: canonical model values and their display conversions
+ *
+ * The model always works in one canonical unit per quantity:
+ * - light: photon flux of the source, 400-750 nm (μmol/m²/s)
+ * - temperature: °C
+ * - co2: mole fraction (ppm = μmol/mol)
+ * Everything the user sees or types is converted at the edge.
+ *
+ * Scientific Basis:
+ * - Photon energy E = h·c/λ; one μmol of photons at λ nm carries 119.6/λ J.
+ * - Illuminance weights radiant power by the eye's photopic sensitivity V(λ):
+ *   lux = 683 lm/W · Σ W/m² · V(λ). The lux ↔ PPFD factor therefore depends on
+ *   the lamp spectrum (≈ 54 lux per μmol/m²/s PAR in sunlight, more for
+ *   yellow HPS light, far less for purple red/blue LEDs).
+ * - CO₂ partial pressure = mole fraction × air pressure; air pressure falls
+ *   with altitude (standard atmosphere), so 400 ppm is 40.5 Pa at sea level but
+ *   only about 30 Pa at 2400 m.
+ */
+
+import { getLightSource } from './lightSpectrum.js';
+
+// Molar photon energy constant h·c·N_A (J·nm/μmol)
+const PHOTON_ENERGY_CONSTANT = 119.627;
+
+// Maximum luminous efficacy of radiation (lm/W at 555 nm)
+const LUMINOUS_EFFICACY = 683;
+
+// Representative wavelength (nm) and band-averaged photopic sensitivity V(λ)
+const BAND_PROPERTIES = {
+  blue: { wavelength: 450, luminosity: 0.09 },
+  green: { wavelength: 550, luminosity: 0.80 },
+  red: { wavelength: 650, luminosity: 0.16 },
+  farRed: { wavelength: 725, luminosity: 0.001 }
+};
+
+// Standard atmosphere at sea level (Pa) and barometric formula constants
+const SEA_LEVEL_PRESSURE = 101325;
+const LAPSE_FACTOR = 2.25577e-5;   // 1/m
+const PRESSURE_EXPONENT = 5.25588;
+
+/**
+ * Display units per quantity
+ * `decimals` is the precision used when formatting values for display.
+ */
+export const UNITS = {
+  light: {
+    ppfd: { id: "ppfd", symbol: "μmol/m²/s", name: "Photon flux (PPFD)", decimals: 0 },
+    lux: { id: "lux", symbol: "lx", name: "Illuminance (lux)", decimals: 0 },
+    wm2: { id: "wm2", symbol: "W/m²", name: "Irradiance (W/m²)", decimals: 0 }
+  },
+  temperature: {
+    c: { id: "c", symbol: "°C", name: "Celsius", decimals: 0 },
+    f: { id: "f", symbol: "°F", name: "Fahrenheit", decimals: 0 },
+    k: { id: "k", symbol: "K", name: "Kelvin", decimals: 0 }
+  },
+  co2: {
+    ppm: { id: "ppm", symbol: "ppm", name: "Mole fraction (ppm)", decimals: 0 },
+    pa: { id: "pa", symbol: "Pa", name: "Partial pressure (Pa)", decimals: 1 }
+  }
+};
+
+/**
+ * Input ranges of every control, in canonical units
+ * Shared by all sliders and scenario presets so a preset can never sit
+ * outside the slider that displays it.
+ */
+export const INPUT_RANGES = {
+  light: { min: 0, max: 2000, step: 10 },
+  co2: { min: 0, max: 1000, step: 10 },
+  temperature: { min: 0, max: 50, step: 1 },
+  humidity: { min: 0, max: 100, step: 1 },
+  nitrogen: { min: 0, max: 100, step: 5 }
+};
+
+/**
+ * Unit systems a user can pick in the settings
+ */
+export const UNIT_SYSTEMS = {
+  scientific: {
+    id: "scientific",
+    name: "Plant science (μmol/m²/s, °C, ppm)",
+    units: { light: "ppfd", temperature: "c", co2: "ppm" }
+  },
+  us: {
+    id: "us",
+    name: "US classroom (μmol/m²/s, °F, ppm)",
+    units: { light: "ppfd", temperature: "f", co2: "ppm" }
+  },
+  lighting: {
+    id: "lighting",
+    name: "Lighting engineering (lux, °C, ppm)",
+    units: { light: "lux", temperature: "c", co2: "ppm" }
+  },
+  si: {
+    id: "si",
+    name: "SI (W/m², K, Pa)",
+    units: { light: "wm2", temperature: "k", co2: "pa" }
+  }
+};
+
+export const DEFAULT_UNIT_SYSTEM = "scientific";
+
+/**
+ * Look up a unit system, falling back to plant-science units
+ *
+ * @param {string} system - Unit system id (e.g. "us")
+ * @returns {Object} Unit system profile
+ */
+export function getUnitSystem(system) {
+  return UNIT_SYSTEMS[system] || UNIT_SYSTEMS[DEFAULT_UNIT_SYSTEM];
+}
+
+/**
+ * Air pressure at an altitude (standard atmosphere)
+ *
+ * @param {number} altitude - Height above sea level (m)
+ * @returns {number} Air pressure (Pa)
+ */
+export function calculateAirPressure(altitude = 0) {
+  return SEA_LEVEL_PRESSURE * Math.pow(1 - LAPSE_FACTOR * altitude, PRESSURE_EXPONENT);
+}
+
+/**
+ * Radiant energy and illuminance carried by one μmol/m²/s of a light source
+ *
+ * @param {string} source - Light source id (see lightSpectrum.js)
+ * @returns {Object} { watts: W/m² per μmol/m²/s, lux: lx per μmol/m²/s }
+ */
+function lightConversionFactors(source) {
+  const { bands } = getLightSource(source);
+
+  return Object.keys(BAND_PROPERTIES).reduce((factors, band) => {
+    const { wavelength, luminosity } = BAND_PROPERTIES[band];
+    const watts = (bands[band] ?? 0) * PHOTON_ENERGY_CONSTANT / wavelength;
+    return {
+      watts: factors.watts + watts,
+      lux: factors.lux + watts * luminosity * LUMINOUS_EFFICACY
+    };
+  }, { watts: 0, lux: 0 });
+}
+
+/**
+ * Multiplier from the canonical unit to a display unit
+ * Temperature is handled separately because its scales have offsets.
+ *
+ * @param {string} quantity - "light" or "co2"
+ * @param {string} unit - Display unit id
+ * @param {Object} context - { lightSource?, altitude? }
+ * @returns {number} Display value per canonical unit
+ */
+function scaleFactor(quantity, unit, context) {
+  if (quantity === "light") {
+    if (unit === "lux") return lightConversionFactors(context.lightSource).lux;
+    if (unit === "wm2") return lightConversionFactors(context.lightSource).watts;
+  }
+  if (quantity === "co2" && unit === "pa") {
+    return calculateAirPressure(context.altitude) * 1e-6;
+  }
+  return 1;
+}
+
+/**
+ * Convert a canonical model value into a display unit
+ *
+ * @param {string} quantity - "light", "temperature" or "co2"
+ * @param {number} value - Value in the canonical unit
+ * @param {string} unit - Display unit id (see UNITS)
+ * @param {Object} context - { lightSource?: light source id, altitude?: m }
+ * @returns {number} Value in the display unit
+ */
+export function convertToDisplay(quantity, value, unit, context = {}) {
+  if (quantity === "temperature") {
+    if (unit === "f") return value * 9 / 5 + 32;
+    if (unit === "k") return value + 273.15;
+    return value;
+  }
+  return value * scaleFactor(quantity, unit, context);
+}
+
+/**
+ * Convert a value entered in a display unit back into the canonical unit
+ *
+ * @param {string} quantity - "light", "temperature" or "co2"
+ * @param {number} value - Value in the display unit
+ * @param {string} unit - Display unit id (see UNITS)
+ * @param {Object} context - { lightSource?: light source id, altitude?: m }
+ * @returns {number} Value in the canonical unit
+ */
+export function convertFromDisplay(quantity, value, unit, context = {}) {
+  if (quantity === "temperature") {
+    if (unit === "f") return (value - 32) * 5 / 9;
+    if (unit === "k") return value - 273.15;
+    return value;
+  }
+  return value / scaleFactor(quantity, unit, context);
+}
+
+/**
+ * Format a canonical value in the display unit of a unit system
+ *
+ * @param {string} quantity - "light", "temperature" or "co2"
+ * @param {number} value - Value in the canonical unit
+ * @param {string} system - Unit system id
+ * @param {Object} context - { lightSource?, altitude? }
+ * @returns {string} e.g. "77 °F" or "40.5 Pa"
+ */
+export function formatQuantity(quantity, value, system, context = {}) {
+  const unit = UNITS[quantity][getUnitSystem(system).units[quantity]];
+  const display = convertToDisplay(quantity, value, unit.id, context);
+  return `${display.toFixed(unit.decimals)} ${unit.symbol}`;
+}
+
+/**
+ * List the unit systems for display
+ * @returns {Array} [{ id, name }]
+ */
+export function getAvailableUnitSystems() {
+  return Object.values(UNIT_SYSTEMS).map(({ id, name }) => ({ id, name }));
+}
@@ -0,0 +1,113 @@
+import {
+  INPUT_RANGES,
+  UNITS,
+  calculateAirPressure,
+  convertToDisplay,
+  convertFromDisplay,
+  formatQuantity
+} from './units';
+import { LIGHT_SOURCES } from './lightSpectrum';
+import { SCENARIO_PRESETS } from './recommendationEngine';
+
+const LIGHT_SOURCE_IDS = Object.keys(LIGHT_SOURCES);
+
+// Canonical value → display unit → canonical value must give the value back
+const roundTrip = (quantity, value, unit, context) => (
+  convertFromDisplay(quantity, convertToDisplay(quantity, value, unit, context), unit, context)
+);
+
+describe('unit conversions', () => {
+  test.each(LIGHT_SOURCE_IDS.flatMap((lightSource) => [[lightSource, 'lux'], [lightSource, 'wm2']]))(
+    '%s light round-trips through %s',
+    (lightSource, unit) => {
+      [0, 1, 850, INPUT_RANGES.light.max].forEach((value) => {
+        expect(roundTrip('light', value, unit, { lightSource })).toBeCloseTo(value, 9);
+      });
+    }
+  );
+
+  test('sunlight is about 54 lux and 0.22 W/m² per μmol/m²/s', () => {
+    expect(convertToDisplay('light', 1, 'lux', { lightSource: 'sunlight' })).toBeGreaterThan(45);
+    expect(convertToDisplay('light', 1, 'lux', { lightSource: 'sunlight' })).toBeLessThan(65);
+    expect(convertToDisplay('light', 1, 'wm2', { lightSource: 'sunlight' })).toBeCloseTo(0.22, 1);
+  });
+
+  test('red/blue LEDs give far fewer lux per photon than sunlight', () => {
+    expect(convertToDisplay('light', 1, 'lux', { lightSource: 'redBlueLed' }))
+      .toBeLessThan(convertToDisplay('light', 1, 'lux', { lightSource: 'sunlight' }) / 2);
+  });
+
+  test.each([
+    [0, 'f', 32],
+    [100, 'f', 212],
+    [-40, 'f', -40],
+    [0, 'k', 273.15],
+    [25, 'k', 298.15],
+    [25, 'c', 25]
+  ])('%d °C is %s %d', (celsius, unit, display) => {
+    expect(convertToDisplay('temperature', celsius, unit)).toBeCloseTo(display, 10);
+    expect(convertFromDisplay('temperature', display, unit)).toBeCloseTo(celsius, 10);
+  });
+
+  test.each(['f', 'k'])('temperatures round-trip through %s across the slider range', (unit) => {
+    for (let value = INPUT_RANGES.temperature.min; value <= INPUT_RANGES.temperature.max; value += 5) {
+      expect(roundTrip('temperature', value, unit)).toBeCloseTo(value, 10);
+    }
+  });
+
+  test('air pressure is 101325 Pa at sea level and falls with altitude', () => {
+    expect(calculateAirPressure(0)).toBe(101325);
+    expect(calculateAirPressure(2400)).toBeLessThan(calculateAirPressure(1000));
+    expect(calculateAirPressure(2400)).toBeGreaterThan(74000);
+    expect(calculateAirPressure(2400)).toBeLessThan(77000);
+  });
+
+  test.each([0, 500, 2400, 4000])('CO₂ round-trips through Pa at %i m', (altitude) => {
+    [0, 400, INPUT_RANGES.co2.max].forEach((value) => {
+      expect(roundTrip('co2', value, 'pa', { altitude })).toBeCloseTo(value, 9);
+    });
+    expect(convertToDisplay('co2', 400, 'pa', { altitude })).toBeCloseTo(400e-6 * calculateAirPressure(altitude), 10);
+  });
+
+  test('400 ppm is 40.5 Pa at sea level and about 30 Pa at 2400 m', () => {
+    expect(formatQuantity('co2', 400, 'si')).toBe('40.5 Pa');
+    expect(convertToDisplay('co2', 400, 'pa', { altitude: 2400 })).toBeCloseTo(30, 0);
+  });
+
+  test('every display unit has a symbol and a precision', () => {
+    Object.values(UNITS).forEach((units) => {
+      Object.values(units).forEach((unit) => {
+        expect(unit.symbol).toBeTruthy();
+        expect(Number.isInteger(unit.decimals)).toBe(true);
+      });
+    });
+  });
+});
+
+describe('input ranges', () => {
+  test.each(Object.entries(INPUT_RANGES))('%s runs from min to max in whole steps', (input, { min, max, step }) => {
+    expect(min).toBeLessThan(max);
+    expect(step).toBeGreaterThan(0);
+    expect(Number.isInteger((max - min) / step)).toBe(true);
+  });
+
+  test.each(Object.entries(SCENARIO_PRESETS))('preset %s sits inside every slider', (preset, conditions) => {
+    Object.entries(INPUT_RANGES).forEach(([input, { min, max }]) => {
+      if (conditions[input] === undefined) return;
+      expect(conditions[input]).toBeGreaterThanOrEqual(min);
+      expect(conditions[input]).toBeLessThanOrEqual(max);
+    });
+  });
+
+  test('the range ends convert to finite display values and back', () => {
+    [INPUT_RANGES.light.min, INPUT_RANGES.light.max].forEach((value) => {
+      expect(roundTrip('light', value, 'lux', {})).toBeCloseTo(value, 9);
+    });
+    [INPUT_RANGES.temperature.min, INPUT_RANGES.temperature.max].forEach((value) => {
+      expect(roundTrip('temperature', value, 'f')).toBeCloseTo(value, 10);
+    });
+    [INPUT_RANGES.co2.min, INPUT_RANGES.co2.max].forEach((value) => {
+      expect(Number.isFinite(convertToDisplay('co2', value, 'pa', { altitude: 4000 }))).toBe(true);
+    });
+  });
+});
@@ -6,11 +6,27 @@ import Recommendation from '../components/Recommendation';
 import PlantVisual from '../components/PlantVisual';
 import StressIndicator from '../components/StressIndicator';
 import ModeToggle from '../components/ModeToggle';
+import ModelSelector from '../components/ModelSelector';
+import UnitSettings from '../components/UnitSettings';
+import ResponseCurves from '../components/ResponseCurves';
+import ResponseHeatmap from '../components/ResponseHeatmap';
+import ReachTarget from '../components/ReachTarget';
+import CostOptimizer from '../components/CostOptimizer';
+import UncertaintyAnalysis from '../components/UncertaintyAnalysis';
+import OutdoorSeason from '../components/OutdoorSeason';
 import {
-  calculatePhotosynthesisRate,
-  detectLimitingFactor,
+  getPlantState,
   getRecommendation,
-  runTimeLapseSimulation
+  getLimitationTransition,
+  describeLimitationTransition,
+  runTimeLapseSimulation,
+  getTimeLapseDayRange,
+  parseTimeLapseDays,
+  getDefaultModelOptions,
+  getChlorophyllLevel,
+  getGasExchange,
+  getCompensationPoints,
+  getDefaultUnitSettings
 } from '../utils/photosynthesisLogic';
 
 /**
@@ -23,51 +39,69 @@ import {
  * - Handles Learning Mode vs Experiment Mode toggle
  * - Handles time-lapse simulation
  */
+const DAY_RANGE = getTimeLapseDayRange();
+
 const Simulator = () => {
   // Global state management
   const [light, setLight] = useState(800);
   const [co2, setCo2] = useState(400);
   const [temperature, setTemperature] = useState(25);
+  const [humidity, setHumidity] = useState(60);
+  const [nitrogen, setNitrogen] = useState(100);
+  const [lightSource, setLightSource] = useState('sunlight');
+  
+  // Photosynthesis model selection (combiner + curvature)
+  const [modelOptions, setModelOptions] = useState(getDefaultModelOptions);
+
+  // Display units (values are always stored in μmol/m²/s, °C and ppm)
+  const [unitSettings, setUnitSettings] = useState(getDefaultUnitSettings);
   
   // Computed state
   const [photosynthesisRate, setPhotosynthesisRate] = useState(0);
   const [limitingFactor, setLimitingFactor] = useState('None');
   const [recommendationText, setRecommendationText] = useState('');
   const [plantHealth, setPlantHealth] = useState(85);
+  const [compensationPoints, setCompensationPoints] = useState({ light: null, co2: null });
+  const [limitationTransition, setLimitationTransition] = useState(null);
   
   // Graph data state
   const [graphData, setGraphData] = useState([]);
+
+  // Time-lapse run length (days)
+  const [timeLapseDays, setTimeLapseDays] = useState(DAY_RANGE.default);
+  // What is typed in the run-length field; applied when the field is left, on Enter or on Simulate
+  const [timeLapseDaysInput, setTimeLapseDaysInput] = useState(String(DAY_RANGE.default));
   
   // Mode toggle
   const [isLearningMode, setIsLearningMode] = useState(true);
 
   // Recompute values when inputs change
   useEffect(() => {
-    // Calculate photosynthesis rate
-    const rate = calculatePhotosynthesisRate(light, co2, temperature);
+    // Humidity (stomatal opening), nitrogen (leaf capacity) and the lamp spectrum travel with the model options
+    const options = { ...modelOptions, humidity, nitrogen, lightSource };
+
+    // One plant snapshot gives the rate, limiting factor and health together
+    const { rate, limitingFactor: factor, health } = getPlantState(
+      { light, co2, temperature, humidity, nitrogen, lightSource },
+      modelOptions
+    );
     setPhotosynthesisRate(rate);
 
-    // Detect limiting factor
-    const factor = detectLimitingFactor(light, co2, temperature);
+    // Net CO₂ uptake can drop below zero, where respiration wins
+    const { net } = getGasExchange(light, co2, temperature, options);
+    setCompensationPoints(getCompensationPoints(light, co2, temperature, options));
+
     setLimitingFactor(factor);
 
     // Get recommendation
-    const recommendation = getRecommendation(factor, light, co2, temperature);
+    const recommendation = getRecommendation(factor, light, co2, temperature, options);
     setRecommendationText(recommendation);
 
-    // Calculate plant health based on photosynthesis rate and environmental factors
-    // Health = base health + (rate * 20) with adjustments for suboptimal conditions
-    let healthAdjustment = rate * 30; // Max +30 health from rate
-    
-    // Penalties for suboptimal conditions
-    if (temperature < 15 || temperature > 35) healthAdjustment -= 15;
-    else if (temperature < 18 || temperature > 30) healthAdjustment -= 8;
-    
-    if (light < 200) healthAdjustment -= 10;
-    if (co2 < 250) healthAdjustment -= 8;
-    
-    const newHealth = Math.max(0, Math.min(100, 70 + healthAdjustment));
-    setPlantHealth(newHealth);
+    // How far the limiting factor can be improved before another one takes over
+    setLimitationTransition(getLimitationTransition(light, co2, temperature, options));
+
+    // Same health scale as the dark simulator's health bar
+    setPlantHealth(health);
 
     // Update graph data with current point
     const currentTime = graphData.length > 0 
@@ -76,26 +110,50 @@ const Simulator = () => {
     
     setGraphData(prevData => [
       ...prevData,
-      { time: currentTime, rate: rate }
+      { time: currentTime, rate: rate, net }
     ]);
-  }, [light, co2, temperature, graphData.length]);
+  }, [light, co2, temperature, humidity, nitrogen, lightSource, modelOptions, graphData.length]);
 
   // Handle time-lapse simulation
+  const applyTimeLapseDays = () => {
+    const days = parseTimeLapseDays(timeLapseDaysInput, timeLapseDays);
+    setTimeLapseDays(days);
+    setTimeLapseDaysInput(String(days));
+    return days;
+  };
+
   const handleTimeLapseSimulation = () => {
-    const initialState = { light, co2, temperature };
-    const simulationData = runTimeLapseSimulation(initialState, 30);
+    const initialState = { light, co2, temperature, humidity, nitrogen, lightSource };
+    const simulationData = runTimeLapseSimulation(initialState, applyTimeLapseDays(), modelOptions);
     
     // Merge with existing data, starting from current time
     const startTime = graphData.length > 0 ? graphData[graphData.length - 1].time + 1 : 0;
     const newData = simulationData.map((point, index) => ({
       time: startTime + point.time,
-      rate: point.rate
+      rate: point.rate,
+      net: point.net
     }));
     
     setGraphData(prevData => [...prevData, ...newData]);
   };
 
   // Reset graph data
+  // Jump to light, CO₂ and temperature picked on the response surface or by the cost optimizer
+  const handleSurfaceSelect = (values) => {
+    setLight(values.light);
+    setCo2(values.co2);
+    setTemperature(values.temperature);
+  };
+
+  // Move the sliders to a setpoint found by the Reach Target solver
+  const handleApplySetpoint = (setpoint) => {
+    setLight(setpoint.light);
+    setCo2(setpoint.co2);
+    setTemperature(setpoint.temperature);
+    setHumidity(setpoint.humidity);
+    setNitrogen(setpoint.nitrogen);
+  };
+
   const handleResetGraph = () => {
     setGraphData([]);
   };
@@ -109,7 +167,7 @@ const Simulator = () => {
             Intelligent Photosynthesis Limiting Factors Simulator
           </h1>
           <p className="text-gray-600">
-            Explore how light, CO₂, and temperature affect photosynthesis rates
+            Explore how light, CO₂, temperature, humidity and nitrogen affect photosynthesis rates
           </p>
         </div>
 
@@ -127,11 +185,28 @@ const Simulator = () => {
               setCo2={setCo2}
               temperature={temperature}
               setTemperature={setTemperature}
+              humidity={humidity}
+              setHumidity={setHumidity}
+              nitrogen={nitrogen}
+              setNitrogen={setNitrogen}
+              lightSource={lightSource}
+              setLightSource={setLightSource}
+              unitSettings={unitSettings}
+            />
+            <ModelSelector
+              modelOptions={modelOptions}
+              onChange={setModelOptions}
+            />
+            <UnitSettings
+              unitSettings={unitSettings}
+              onChange={setUnitSettings}
             />
             <ScenarioPresets
               setLight={setLight}
               setCo2={setCo2}
               setTemperature={setTemperature}
+              setHumidity={setHumidity}
+              unitSettings={{ ...unitSettings, lightSource }}
             />
             <StressIndicator 
               plantHealth={plantHealth}
@@ -146,6 +221,7 @@ const Simulator = () => {
               stressLevel={100 - plantHealth}
               limitingFactor={limitingFactor}
               plantHealth={plantHealth}
+              chlorophyll={getChlorophyllLevel(nitrogen)}
             />
           </div>
 
@@ -162,16 +238,38 @@ const Simulator = () => {
             <Recommendation
               limitingFactor={limitingFactor}
               recommendationText={recommendationText}
-            />
+              transitionText={limitationTransition && describeLimitationTransition(limitationTransition, { ...unitSettings, lightSource })}
+            >
+              <ReachTarget
+                conditions={{ light, co2, temperature, humidity, nitrogen, lightSource }}
+                modelOptions={modelOptions}
+                unitSettings={unitSettings}
+                onApply={handleApplySetpoint}
+              />
+            </Recommendation>
 
             {/* Graph Controls */}
             <div className="bg-white rounded-lg shadow-md p-4">
               <div className="flex flex-col gap-2">
+                <label htmlFor="timelapse-days" className="text-sm font-semibold text-gray-700">
+                  Run length (days, {DAY_RANGE.min}–{DAY_RANGE.max})
+                </label>
+                <input
+                  id="timelapse-days"
+                  type="number"
+                  min={DAY_RANGE.min}
+                  max={DAY_RANGE.max}
+                  value={timeLapseDaysInput}
+                  onChange={(e) => setTimeLapseDaysInput(e.target.value)}
+                  onBlur={applyTimeLapseDays}
+                  onKeyDown={(e) => e.key === 'Enter' && applyTimeLapseDays()}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 text-gray-800 focus:border-blue-500 focus:outline-none"
+                />
                 <button
                   onClick={handleTimeLapseSimulation}
                   className="w-full bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors"
                 >
-                  📊 Simulate 30 Days
+                  📊 Simulate {timeLapseDays} Day{timeLapseDays === 1 ? '' : 's'}
                 </button>
                 <button
                   onClick={handleResetGraph}
@@ -186,7 +284,54 @@ const Simulator = () => {
 
         {/* Graph - Full Width Below */}
         <div>
-          <Graph data={graphData} />
+          <Graph
+            data={graphData}
+            compensationPoints={compensationPoints}
+            unitSettings={{ ...unitSettings, lightSource }}
+          />
+        </div>
+
+        {/* Uncertainty - Monte Carlo bands over the time-lapse run length */}
+        <div>
+          <UncertaintyAnalysis
+            conditions={{ light, co2, temperature, humidity, nitrogen, lightSource }}
+            modelOptions={modelOptions}
+            days={timeLapseDays}
+          />
+        </div>
+
+        {/* Outdoor Season - a year of sun and weather at a real location */}
+        <div>
+          <OutdoorSeason co2={co2} nitrogen={nitrogen} modelOptions={modelOptions} />
+        </div>
+
+        {/* Response Curves - sweep one factor with the others held fixed */}
+        <div>
+          <ResponseCurves
+            conditions={{ light, co2, temperature, humidity, nitrogen, lightSource }}
+            modelOptions={modelOptions}
+            unitSettings={unitSettings}
+          />
+        </div>
+
+        {/* Response Surface - two factors at once, click a cell to jump there */}
+        <div>
+          <ResponseHeatmap
+            conditions={{ light, co2, temperature, humidity, nitrogen, lightSource }}
+            modelOptions={modelOptions}
+            unitSettings={unitSettings}
+            onSelect={handleSurfaceSelect}
+          />
+        </div>
+
+        {/* Greenhouse economics */}
+        <div>
+          <CostOptimizer
+            conditions={{ light, co2, temperature, humidity, nitrogen, lightSource }}
+            modelOptions={modelOptions}
+            unitSettings={unitSettings}
+            onApply={handleSurfaceSelect}
+          />
         </div>
       </div>
     </div>
@@ -0,0 +1,171 @@
+import {
+  calculatePhotosynthesisRate,
+  detectLimitingFactor,
+  getPlantState,
+  getFactorRates,
+  getInputRange,
+  getRecommendation,
+  getChlorophyllLevel,
+  runTimeLapseSimulation
+} from './photosynthesisLogic';
+import biologyEngine from './biologyEngine';
+import { calculatePhotosynthesisRate as calculateModelRate } from '../logic/photosynthesisModel';
+import { evaluatePlantState, calculatePlantHealth } from '../logic/plantState';
+import { simulateGrowth } from '../logic/timeLapseSimulation';
+import { SCENARIO_PRESETS } from '../logic/recommendationEngine';
+
+// Every view of the plant must tell the same story for the same conditions:
+// header health bar, explanation card, 3D plant, time-lapse and the biology engine.
+// The view checks below feed each view what Simulator.js passes it.
+
+const DISPLAY_FACTORS = ['Light', 'CO2', 'Temperature', 'Stomata', 'Nitrogen', 'Photoinhibition', 'None'];
+
+const CONDITIONS = [
+  { light: 50, co2: 400, temperature: 25 },
+  { light: 850, co2: 400, temperature: 25 },
+  { light: 1800, co2: 400, temperature: 25 },
+  { light: 850, co2: 150, temperature: 25 },
+  { light: 850, co2: 900, temperature: 30 },
+  { light: 850, co2: 400, temperature: 5 },
+  { light: 1000, co2: 380, temperature: 48, humidity: 10 },
+  { light: 850, co2: 380, temperature: 38, humidity: 20 },
+  { light: 600, co2: 400, temperature: 22, nitrogen: 30 },
+  { light: 700, co2: 400, temperature: 25, lightSource: 'shade' }
+];
+
+const OPTION_SETS = [
+  { model: 'blackman' },
+  { model: 'multiplicative' },
+  { model: 'colimitation' },
+  { model: 'fvcb' },
+  { model: 'colimitation', pathway: 'C4' },
+  { model: 'colimitation', pathway: 'CAM' },
+  { model: 'blackman', species: 'tomato' }
+];
+
+const cases = CONDITIONS.flatMap((conditions) =>
+  OPTION_SETS.map((options) => [conditions, options])
+);
+
+const describeCase = (conditions, options) =>
+  `${JSON.stringify(conditions)} ${JSON.stringify(options)}`;
+
+describe('plant state consistency', () => {
+  test.each(cases)('rate agrees everywhere for %j with %j', (conditions, options) => {
+    const { light, co2, temperature, ...extra } = conditions;
+    const state = getPlantState(conditions, options);
+    const adapterRate = calculatePhotosynthesisRate(light, co2, temperature, { ...options, ...extra });
+    const engineRate = biologyEngine.calculatePhotosynthesisRate(conditions, options.species ?? null, options).rate;
+
+    expect(adapterRate).toBeCloseTo(state.rate, 10);
+    expect(engineRate / 100).toBeCloseTo(state.rate, 10);
+    expect(evaluatePlantState(conditions, options).rate).toBeCloseTo(state.rate, 10);
+  });
+
+  test.each(cases)('limiting factor agrees everywhere for %j with %j', (conditions, options) => {
+    const { light, co2, temperature, ...extra } = conditions;
+    const state = getPlantState(conditions, options);
+    const internal = evaluatePlantState(conditions, options).limitingFactor;
+
+    expect(detectLimitingFactor(light, co2, temperature, { ...options, ...extra })).toBe(state.limitingFactor);
+    expect(biologyEngine.identifyLimitingFactor(conditions, options.species ?? null, options)).toBe(internal);
+    expect(state.limitingFactor.toLowerCase()).toBe(internal);
+  });
+
+  test.each(cases)('factor efficiencies agree for %j with %j', (conditions, options) => {
+    const { light, co2, temperature, ...extra } = conditions;
+    const state = getPlantState(conditions, options);
+
+    expect(getFactorRates(light, co2, temperature, { ...options, ...extra })).toEqual(state.factors);
+    expect(biologyEngine.calculatePhotosynthesisRate(conditions, options.species ?? null, options).efficiencies)
+      .toEqual(state.factors);
+  });
+
+  test.each(cases)('health uses one scale for %j with %j', (conditions, options) => {
+    const state = getPlantState(conditions, options);
+
+    expect(state.health).toBe(calculatePlantHealth(state.rate));
+    expect(biologyEngine.calculatePlantHealth(conditions, state.rate * 100)).toBeCloseTo(state.health, 10);
+  });
+
+  test.each(cases)('time-lapse days match the snapshot for %j with %j', (conditions, options) => {
+    const growth = simulateGrowth(conditions, 3, 100, options);
+    const timeLapse = runTimeLapseSimulation(conditions, 3, options);
+
+    growth.forEach((day, index) => {
+      // Each day runs with that day's mean photodamage
+      const state = evaluatePlantState(conditions, { ...options, photodamage: day.photoinhibition });
+      const context = `${describeCase(conditions, options)} day ${day.day}`;
+
+      expect({ context, rate: day.rate }).toEqual({ context, rate: expect.closeTo(state.rate, 2) });
+      expect({ context, factor: day.limitingFactor }).toEqual({ context, factor: state.limitingFactor });
+      expect({ context, direction: day.limitingDirection }).toEqual({ context, direction: state.limitingDirection });
+      expect(timeLapse[index].health).toBe(calculatePlantHealth(day.rate));
+    });
+  });
+});
+
+describe('what the views receive', () => {
+  // Simulator.js sends humidity, nitrogen and the lamp along with the model options
+  const viewOptions = (conditions, options) => {
+    const { humidity, nitrogen, lightSource } = conditions;
+    return { ...options, humidity, nitrogen, lightSource };
+  };
+
+  test.each(cases)('the explanation card judges the snapshot for %j with %j', (conditions, options) => {
+    const { light, co2, temperature } = conditions;
+    const state = getPlantState(conditions, options);
+    const explanation = getRecommendation(state.limitingFactor, light, co2, temperature, viewOptions(conditions, options));
+
+    // getRecommendation reruns the model; it must see the same factors as the bars
+    expect(calculateModelRate(light, co2, temperature, viewOptions(conditions, options)).factors).toEqual(state.factors);
+    expect(typeof explanation).toBe('string');
+    expect(explanation).not.toMatch(/Unable to determine/);
+    expect(DISPLAY_FACTORS).toContain(state.limitingFactor);
+  });
+
+  test.each([
+    ['Stomata', { light: 1000, co2: 600, temperature: 25, humidity: 10 }, {}, /stomata/i],
+    ['Nitrogen', { light: 1000, co2: 800, temperature: 25, nitrogen: 10 }, {}, /nitrogen/i],
+    ['Photoinhibition', { light: 2000, co2: 1200, temperature: 25 }, { photodamage: 0.6 }, /photosystem II/]
+  ])('the explanation for a %s limit talks about it', (factor, conditions, options, topic) => {
+    const { light, co2, temperature } = conditions;
+    const state = getPlantState(conditions, options);
+
+    expect(state.limitingFactor).toBe(factor);
+    expect(getRecommendation(state.limitingFactor, light, co2, temperature, viewOptions(conditions, options))).toMatch(topic);
+  });
+
+  test.each(cases)('the 3D plant gets a 0-1 rate and the model chlorophyll for %j with %j', (conditions, options) => {
+    const { light, co2, temperature } = conditions;
+    const state = getPlantState(conditions, options);
+    const model = calculateModelRate(light, co2, temperature, viewOptions(conditions, options));
+
+    expect(state.rate).toBeGreaterThanOrEqual(0);
+    expect(state.rate).toBeLessThanOrEqual(1);
+    expect(state.health).toBeGreaterThanOrEqual(0);
+    expect(state.health).toBeLessThanOrEqual(100);
+    expect(getChlorophyllLevel(conditions.nitrogen)).toBe(model.nutrition.chlorophyll);
+  });
+});
+
+describe('scenario presets fit the sliders', () => {
+  const withinRange = (factor, value) => {
+    const { min, max } = getInputRange(factor);
+    return value >= min && value <= max;
+  };
+
+  test.each(Object.entries(SCENARIO_PRESETS))('%s preset', (name, preset) => {
+    ['light', 'co2', 'temperature', 'humidity'].forEach((factor) => {
+      expect({ name, factor, inRange: withinRange(factor, preset[factor]) })
+        .toEqual({ name, factor, inRange: true });
+    });
+  });
+
+  test.each(Object.entries(biologyEngine.SCENARIO_PRESETS))('biology engine %s preset', (name, preset) => {
+    ['light', 'co2', 'temperature'].forEach((factor) => {
+      expect({ name, factor, inRange: withinRange(factor, preset.factors[factor]) })
+        .toEqual({ name, factor, inRange: true });
+    });
+  });
+});
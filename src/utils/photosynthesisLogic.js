@@ -10,10 +10,62 @@
  * the outputs from Member 1's pure JS logic modules.
  */
 
-import { calculatePhotosynthesisRate as modelCalculatePhotosynthesisRate } from '../logic/photosynthesisModel';
+import {
+  calculatePhotosynthesisRate as modelCalculatePhotosynthesisRate,
+  getAvailableModels,
+  getDefaultModelOptions as modelGetDefaultModelOptions,
+  getOptimalValues,
+  calculateCompensationPoints,
+  resolveModelParameters
+} from '../logic/photosynthesisModel';
+import { getAvailablePathways } from '../logic/photosyntheticPathways';
+import { getAvailableSpecies } from '../logic/speciesProfiles';
 import { identifyLimitingFactor } from '../logic/limitingFactor';
 import { generateRecommendation } from '../logic/recommendationEngine';
-import { simulateGrowth } from '../logic/timeLapseSimulation';
+import {
+  simulateVariableConditions,
+  analyzeGrowthEfficiency,
+  calculateRecoveryCurve,
+  downsampleSeries,
+  clampRunLength,
+  TIME_LAPSE_DAYS
+} from '../logic/timeLapseSimulation';
+import { DEFAULT_DIURNAL_SETTINGS } from '../logic/diurnalCycle';
+import {
+  simulateTimeLapse,
+  createIntervention,
+  sanitizeSchedule,
+  describeIntervention,
+  isInterventionEffective,
+  getAvailableInterventions
+} from '../logic/interventionSchedule';
+import {
+  OUTDOOR_SITES,
+  calculateOutdoorDay,
+  createOutdoorConditions,
+  getAvailableOutdoorSites
+} from '../logic/solarGeometry';
+import { calculateVPD } from '../logic/stomatalConductance';
+import { calculateNitrogenStatus } from '../logic/nitrogenNutrition';
+import { calculateLightQuality, getAvailableLightSources } from '../logic/lightSpectrum';
+import { evaluatePlantState, calculatePlantHealth } from '../logic/plantState';
+import { calculateLimitationTransition } from '../logic/limitationTransition';
+import { calculateResponseCurve, getAvailableResponseCurves } from '../logic/responseCurves';
+import { calculateResponseSurface } from '../logic/responseSurface';
+import { solveForTarget, getAvailableSolverObjectives } from '../logic/inverseSolver';
+import { optimizeGreenhouse, getAvailableEconomicObjectives, DEFAULT_COST_SETTINGS } from '../logic/greenhouseEconomics';
+import { calculateSensitivity } from '../logic/sensitivity';
+import { runMonteCarlo, getUncertaintyChoices } from '../logic/monteCarlo';
+import {
+  UNITS,
+  INPUT_RANGES,
+  convertToDisplay,
+  convertFromDisplay,
+  formatQuantity,
+  getUnitSystem,
+  getAvailableUnitSystems,
+  DEFAULT_UNIT_SYSTEM
+} from '../logic/units';
 
 /**
  * Calculates photosynthesis rate based on environmental factors.
@@ -27,52 +79,134 @@ import { simulateGrowth } from '../logic/timeLapseSimulation';
  * @param {number} light - Light intensity
  * @param {number} co2 - CO₂ concentration
  * @param {number} temperature - Temperature
+ * @param {Object} [options] - Model options, e.g. { model: 'colimitation', theta: 0.9, humidity: 60, nitrogen: 100, lightSource: 'hps' }
  * @returns {number} Photosynthesis rate (0–1)
  */
-export function calculatePhotosynthesisRate(light, co2, temperature) {
-  const result = modelCalculatePhotosynthesisRate(light, co2, temperature);
+export function calculatePhotosynthesisRate(light, co2, temperature, options = {}) {
+  const result = modelCalculatePhotosynthesisRate(light, co2, temperature, options);
   return result.rate;
 }
 
 /**
  * Detects the limiting factor for photosynthesis.
  *
- * Member 1 exposes `identifyLimitingFactor(normalizedFactors)` where
- * `normalizedFactors` is { light, co2, temperature } in 0–1 range.
+ * Member 1 exposes `identifyLimitingFactor(normalizedFactors, conditions)` where
+ * `normalizedFactors` is { light, co2, temperature } in 0–1 range and
+ * `conditions` carries the raw temperature and the plant's temperature range.
  *
  * This adapter:
  * - Calls the model to get normalized factors
  * - Asks the limiting-factor module which factor is limiting
- * - Maps the internal keys ('light', 'co2', 'temperature') to
- *   the display strings used by Member 3's UI:
- *   'Light' | 'CO2' | 'Temperature'
+ * - Maps the internal keys ('light', 'co2', 'temperature', 'stomata', 'nitrogen',
+ *   'photoinhibition') to the display strings used by Member 3's UI:
+ *   'Light' | 'CO2' | 'Temperature' | 'Stomata' | 'Nitrogen' | 'Photoinhibition'
  *
  * @param {number} light - Light intensity
  * @param {number} co2 - CO₂ concentration
  * @param {number} temperature - Temperature
- * @returns {string} Limiting factor name ('Light' | 'CO2' | 'Temperature')
+ * @param {Object} [options] - Model options forwarded to the model (including humidity, nitrogen and photodamage)
+ * @returns {string} Limiting factor name ('Light' | 'CO2' | 'Temperature' | 'Stomata' | 'Nitrogen' | 'Photoinhibition')
  */
-export function detectLimitingFactor(light, co2, temperature) {
-  const modelResult = modelCalculatePhotosynthesisRate(light, co2, temperature);
-  const limiting = identifyLimitingFactor(modelResult.factors);
+export function detectLimitingFactor(light, co2, temperature, options = {}) {
+  return diagnoseLimitingFactor(light, co2, temperature, options).limitingFactor;
+}
+
+/**
+ * Limiting factor with its direction and explanation.
+ *
+ * The normalized temperature factor cannot tell 15 °C from 35 °C, so this
+ * adapter passes the raw temperature and the plant's temperature range to
+ * Member 1's `identifyLimitingFactor`.
+ *
+ * @param {number} light - Light intensity
+ * @param {number} co2 - CO₂ concentration
+ * @param {number} temperature - Temperature
+ * @param {Object} [options] - Model options forwarded to the model (including humidity, nitrogen and photodamage)
+ * @returns {{ limitingFactor: string, direction: string|null, distance: number|null, reason: string, severity: string }}
+ *   direction is 'low' | 'high' for most factors and 'cold' | 'hot' for temperature;
+ *   distance is the °C outside the optimum band when temperature limits
+ */
+export function diagnoseLimitingFactor(light, co2, temperature, options = {}) {
+  const modelResult = modelCalculatePhotosynthesisRate(light, co2, temperature, options);
+  const limiting = identifyLimitingFactor(modelResult.factors, {
+    temperature,
+    temperatureRange: resolveModelParameters(options).temperature
+  });
+  return {
+    limitingFactor: toDisplayFactor(limiting.limitingFactor),
+    direction: limiting.direction,
+    distance: limiting.distance,
+    reason: limiting.reason,
+    severity: limiting.severity
+  };
+}
 
-  // Normalize to the strings the UI already expects
-  switch (limiting.limitingFactor) {
+/**
+ * Normalizes Member 1's internal factor keys to the strings the UI expects.
+ *
+ * @param {string} factor - Internal key ('light', 'co2', ...)
+ * @returns {string} Display string ('Light', 'CO2', ...) or 'None'
+ */
+function toDisplayFactor(factor) {
+  switch (factor) {
     case 'light':
       return 'Light';
     case 'co2':
       return 'CO2';
     case 'temperature':
       return 'Temperature';
+    case 'stomata':
+      return 'Stomata';
+    case 'nitrogen':
+      return 'Nitrogen';
+    case 'photoinhibition':
+      return 'Photoinhibition';
     default:
       return 'None';
   }
 }
 
+/**
+ * Single snapshot of the plant for the current conditions.
+ *
+ * Member 1's `evaluatePlantState` runs the model once and derives the
+ * limiting factor and health from that one result. Every view (header
+ * health bar, explanation card, 3D plant) reads this snapshot so they
+ * cannot disagree.
+ *
+ * @param {Object} conditions - { light, co2, temperature, humidity?, nitrogen?, lightSource? }
+ * Near a crossover point several factors can hold the rate back together;
+ * `limitingFactors` lists every factor within the co-limitation tolerance
+ * (most limiting first, strength 1 → 0 towards the edge of the band) and
+ * `colimitationIndex` says how close the runner-up is (0 = single factor, 1 = tie).
+ *
+ * @param {Object} [options] - Model options (model, theta, fvcb, pathway, species, colimitationTolerance)
+ * @returns {{ rate: number, health: number, factors: Object, limitingFactor: string, limitingDirection: string|null, limitingFactors: Array, colimitationIndex: number, gasExchange: Object }}
+ *   rate is 0–1, health is 10–100 %, limitingFactor is a display string ('Light' | 'CO2' | ... | 'None'),
+ *   limitingFactors is an array of { factor (display string), value, strength }
+ */
+export function getPlantState(conditions, options = {}) {
+  const state = evaluatePlantState(conditions, options);
+  return {
+    rate: state.rate,
+    health: state.health,
+    factors: { ...state.factors },
+    limitingFactor: toDisplayFactor(state.limitingFactor),
+    limitingDirection: state.limitingDirection,
+    limitingFactors: state.colimiting.map(({ factor, value, strength }) => ({
+      factor: toDisplayFactor(factor),
+      value,
+      strength
+    })),
+    colimitationIndex: state.colimitationIndex,
+    gasExchange: { ...state.gasExchange }
+  };
+}
+
 /**
  * Gets recommendation text based on the limiting factor.
  *
- * Member 1 exposes `generateRecommendation(limitingFactor, currentValues, normalizedFactors)`
+ * Member 1 exposes `generateRecommendation(limitingFactor, currentValues, normalizedFactors, options)`
  * and returns a rich object:
  *   { recommendation, warning, targetValue, limitingFactor }
  *
@@ -81,13 +215,14 @@ export function detectLimitingFactor(light, co2, temperature) {
  * - Calls `generateRecommendation`
  * - Returns only the `recommendation` string for the UI
  *
- * @param {string} limitingFactor - UI limiting factor ('Light' | 'CO2' | 'Temperature' | 'None')
+ * @param {string} limitingFactor - UI limiting factor ('Light' | 'CO2' | 'Temperature' | 'Stomata' | 'Nitrogen' | 'Photoinhibition' | 'None')
  * @param {number} light - Light intensity
  * @param {number} co2 - CO₂ concentration
  * @param {number} temperature - Temperature
+ * @param {Object} [options] - Model options forwarded to the model
  * @returns {string} Recommendation text
  */
-export function getRecommendation(limitingFactor, light, co2, temperature) {
+export function getRecommendation(limitingFactor, light, co2, temperature, options = {}) {
   // If there's no meaningful limiting factor, short-circuit
   if (!limitingFactor || limitingFactor === 'None') {
     return 'All factors are within acceptable ranges. Adjust the sliders or choose a scenario to explore different limitations.';
@@ -106,17 +241,33 @@ export function getRecommendation(limitingFactor, light, co2, temperature) {
     case 'Temperature':
       internalFactor = 'temperature';
       break;
+    case 'Stomata':
+      internalFactor = 'stomata';
+      break;
+    case 'Nitrogen':
+      internalFactor = 'nitrogen';
+      break;
+    case 'Photoinhibition':
+      internalFactor = 'photoinhibition';
+      break;
     default:
       internalFactor = 'light';
   }
 
-  const currentValues = { light, co2, temperature };
-  const modelResult = modelCalculatePhotosynthesisRate(light, co2, temperature);
+  const currentValues = {
+    light,
+    co2,
+    temperature,
+    humidity: options.humidity,
+    nitrogen: options.nitrogen
+  };
+  const modelResult = modelCalculatePhotosynthesisRate(light, co2, temperature, options);
 
   const { recommendation } = generateRecommendation(
     internalFactor,
     currentValues,
-    modelResult.factors
+    modelResult.factors,
+    options
   );
 
   return recommendation;
@@ -129,23 +280,555 @@ export function getRecommendation(limitingFactor, light, co2, temperature) {
  * which returns an array of objects including:
  *   { day, rate, biomass, dailyGain, ... }
  *
- * Member 3's graph only needs { time, rate }, so this adapter
- * forwards to `simulateGrowth` and reshapes the output.
+ * Member 3's graph only needs { time, rate } plus net CO₂ uptake and the
+ * damaged PSII fraction, so this adapter forwards to Member 1's
+ * `simulateTimeLapse`, which picks the engine below, and reshapes the output.
+ *
+ * With `diurnal` settings it runs Member 1's hourly engine,
+ * `simulateDiurnalGrowth`, instead: light is then the noon value and
+ * temperature the daily mean, and each day also carries its hourly steps.
  *
- * @param {Object} initialState - { light, co2, temperature }
+ * A non-empty `schedule` of interventions runs through Member 1's
+ * `simulateSchedule`, on the hourly engine when `diurnal` is set, and each
+ * day also carries its conditions and the ids of the interventions acting on it.
+ *
+ * @param {Object} initialState - { light, co2, temperature, humidity?, nitrogen?, lightSource? }
  * @param {number} days - Number of days to simulate
- * @returns {Array} Array of { time, rate }
+ * @param {Object} [options] - Model options forwarded to the model
+ * @param {Object|null} [diurnal] - Day/night cycle settings (stepHours, sunrise, dayLength, temperatureRange, ...) or null for constant conditions
+ * @param {Array} [schedule] - Interventions { id, type, startDay, endDay, value }
+ * @returns {Array} Array of { time, rate, net, biomass, health, photoinhibition, hours?, conditions?, interventions? }
+ *   (net in μmol CO₂/m²/s, may be negative; biomass in g/m² from 100; health 10–100 %)
+ *   hours are { hour, elevation, light, temperature, rate, net, photoinhibition, limitingFactor } with display factor names
  */
-export function runTimeLapseSimulation(initialState, days) {
-  const { light, co2, temperature } = initialState;
+export function runTimeLapseSimulation(initialState, days, options = {}, diurnal = null, schedule = []) {
+  const { light, co2, temperature, humidity, nitrogen, lightSource } = initialState;
+  const conditions = { light, co2, temperature };
+  if (humidity !== undefined) conditions.humidity = humidity;
+  if (nitrogen !== undefined) conditions.nitrogen = nitrogen;
+  if (lightSource !== undefined) conditions.lightSource = lightSource;
 
-  const results = simulateGrowth({ light, co2, temperature }, days);
+  const results = simulateTimeLapse(conditions, days, 100, options, { diurnal, schedule });
 
   // Map Member 1's `day` to a zero-based `time` for the chart
-  return results.map((entry, index) => ({
-    time: entry.day != null ? entry.day : index + 1,
-    rate: entry.rate
-  }));
+  return results.map((entry, index) => {
+    const point = {
+      time: entry.day != null ? entry.day : index + 1,
+      rate: entry.rate,
+      net: entry.netAssimilation,
+      biomass: entry.biomass,
+      health: calculatePlantHealth(entry.rate),
+      photoinhibition: entry.photoinhibition ?? 0
+    };
+    if (entry.hours) {
+      point.hours = entry.hours.map((step) => ({ ...step, limitingFactor: toDisplayFactor(step.limitingFactor) }));
+    }
+    if (entry.interventions) {
+      point.conditions = entry.conditions;
+      point.interventions = entry.interventions;
+    }
+    return point;
+  });
+}
+
+/**
+ * Default day/night cycle for the hourly time-lapse.
+ *
+ * @returns {{ stepHours: number, sunrise: number, dayLength: number, noonElevation: number, temperatureRange: number, peakHour: number }}
+ */
+export function getDefaultDiurnalSettings() {
+  return { ...DEFAULT_DIURNAL_SETTINGS };
+}
+
+/**
+ * Intervention types for the schedule editor.
+ *
+ * @returns {Array<{ id: string, name: string, unit: string, mode: 'set'|'shift', fixed: boolean, defaultValue: number, min: number, max: number }>}
+ */
+export function getInterventionTypes() {
+  return getAvailableInterventions();
+}
+
+/**
+ * New schedule entry with the type's default value and a fresh id.
+ *
+ * @param {string} type - Intervention type id
+ * @param {number} startDay - First day it acts on
+ * @param {Array} schedule - Current schedule
+ * @returns {{ id: number, type: string, startDay: number, endDay: null, value: number }}
+ */
+export function createScheduleIntervention(type, startDay, schedule) {
+  return createIntervention(type, startDay, schedule);
+}
+
+/**
+ * Clean up a schedule, e.g. one restored from a saved session.
+ *
+ * @param {*} schedule - Anything; malformed entries are dropped
+ * @returns {Array} Valid interventions
+ */
+export function sanitizeInterventionSchedule(schedule) {
+  return sanitizeSchedule(schedule);
+}
+
+/**
+ * Label for an intervention, e.g. "Days 20–25: Heatwave +8 °C".
+ *
+ * @param {Object} intervention - { type, startDay, endDay, value }
+ * @returns {string}
+ */
+export function describeScheduleIntervention(intervention) {
+  return describeIntervention(intervention);
+}
+
+/**
+ * Whether an intervention changes anything, e.g. an "End lamp extension"
+ * needs lamps switched on earlier in the schedule.
+ *
+ * @param {Object} intervention - One entry of the schedule
+ * @param {Array} schedule - The whole schedule
+ * @returns {boolean}
+ */
+export function isScheduleInterventionEffective(intervention, schedule) {
+  return isInterventionEffective(intervention, schedule);
+}
+
+/**
+ * Run lengths the time-lapse accepts.
+ *
+ * @returns {{ min: number, max: number, default: number }} Days
+ */
+export function getTimeLapseDayRange() {
+  return { ...TIME_LAPSE_DAYS };
+}
+
+/**
+ * Run length typed into a days field, applied when the field is left.
+ *
+ * Forwards to Member 1's `clampRunLength`; an empty or unreadable field
+ * keeps the current run length.
+ *
+ * @param {string} text - Field contents
+ * @param {number} current - Run length in use
+ * @returns {number} Days
+ */
+export function parseTimeLapseDays(text, current) {
+  const value = String(text).trim() === '' ? NaN : Number(text);
+  return Number.isFinite(value) ? clampRunLength(value) : current;
+}
+
+/**
+ * Thin a long daily series for a chart.
+ *
+ * Forwards to Member 1's `downsampleSeries`: evenly spaced real points,
+ * always keeping the first and the last.
+ *
+ * @param {Array} series - Chart points in time order
+ * @param {number} [maxPoints] - Most points to draw
+ * @returns {Array}
+ */
+export function downsampleForChart(series, maxPoints) {
+  return downsampleSeries(series, maxPoints);
+}
+
+/**
+ * Location-based seasonal run for an outdoor scenario.
+ *
+ * Member 1's `createOutdoorConditions` turns a site's latitude, longitude,
+ * climate and cloud cover into daily light and temperature from the sun's
+ * path, and `simulateVariableConditions` grows the plant through them. This
+ * adapter adds the day's solar figures to each row, maps limiting factors
+ * to display strings and summarizes the run with `analyzeGrowthEfficiency`.
+ *
+ * @param {string} siteId - Key of OUTDOOR_SITES ('rainforestFloor' | 'desertNoon')
+ * @param {Object} [settings] - { startDay?: day of year (default 1), days?: default 365, cloudCover?: 0–1, co2?: ppm, nitrogen?: % }
+ * @param {Object} [options] - Model options forwarded to the model
+ * @returns {{ site: Object, days: Array, summary: Object|null }}
+ *   days are { time, dayOfYear, dayLength, dailyLightIntegral, light, temperature, rate, net, biomass, health, limitingFactor };
+ *   summary.mostCommonLimitingFactor is a display string
+ */
+export function runOutdoorSeason(siteId, settings = {}, options = {}) {
+  const site = OUTDOOR_SITES[siteId] || OUTDOOR_SITES.desertNoon;
+  const { startDay = 1, days = 365, nitrogen } = settings;
+  const cloudCover = settings.cloudCover ?? site.climate.cloudCover;
+  const outdoorConditions = createOutdoorConditions(site, { ...settings, cloudCover });
+  const conditionsFor = nitrogen !== undefined
+    ? (day) => ({ ...outdoorConditions(day), nitrogen })
+    : outdoorConditions;
+
+  const results = simulateVariableConditions(conditionsFor, days, 100, options);
+  const summary = analyzeGrowthEfficiency(results);
+
+  return {
+    site: { id: site.id, name: site.name, latitude: site.latitude, longitude: site.longitude, cloudCover },
+    days: results.map((entry) => {
+      const outdoor = calculateOutdoorDay(site, ((startDay - 1 + entry.day - 1) % 365) + 1, cloudCover);
+      return {
+        time: entry.day,
+        dayOfYear: outdoor.dayOfYear,
+        dayLength: outdoor.dayLength,
+        dailyLightIntegral: outdoor.dailyLightIntegral,
+        light: entry.conditions.light,
+        temperature: entry.conditions.temperature,
+        rate: entry.rate,
+        net: entry.netAssimilation,
+        biomass: entry.biomass,
+        health: calculatePlantHealth(entry.rate),
+        limitingFactor: toDisplayFactor(entry.limitingFactor)
+      };
+    }),
+    summary: summary && { ...summary, mostCommonLimitingFactor: toDisplayFactor(summary.mostCommonLimitingFactor) }
+  };
+}
+
+/**
+ * Outdoor sites available for seasonal runs.
+ *
+ * @returns {Array<{ id: string, name: string, latitude: number, longitude: number, cloudCover: number }>}
+ */
+export function getOutdoorSites() {
+  return getAvailableOutdoorSites();
+}
+
+/**
+ * Monte Carlo uncertainty bands for the time-lapse.
+ *
+ * Member 1's `runMonteCarlo` draws the uncertain inputs and model parameters
+ * from a seeded generator, runs the rate and the time-lapse engine for every
+ * draw (with the same day/night settings and schedule as the time-lapse) and
+ * summarizes the outputs as mean, standard deviation and percentiles.
+ * This adapter flattens the per-day summaries into chart rows and maps the
+ * limiting factors to display strings.
+ *
+ * @param {Object} initialState - { light, co2, temperature, humidity?, nitrogen?, lightSource? }
+ * @param {Object} uncertainty - { inputs?: { [input]: ± in its unit }, parameters?: { [parameter]: ± fraction or °C }, distribution?: 'normal' | 'uniform' }
+ * @param {Object} [options] - Model options forwarded to the model
+ * @param {Object} [settings] - { samples?, seed?, days?, diurnal?, schedule? } as for runTimeLapseSimulation
+ * @returns {{ samples: number, seed: number, distribution: string, nominal: Object, rate: Object, net: Object, finalBiomass: Object|null, limitingProbability: Array, bands: Array }}
+ *   limitingProbability is [{ factor: 'Light' | 'CO2' | ..., probability: 0–1 }];
+ *   bands are { time, nominal, median, inner: [p25, p75], outer: [p5, p95], rate: { median, outer } } (biomass in g/m², rate 0–1)
+ */
+export function runUncertaintyAnalysis(initialState, uncertainty, options = {}, settings = {}) {
+  const { light, co2, temperature, humidity, nitrogen, lightSource } = initialState;
+  const conditions = { light, co2, temperature };
+  if (humidity !== undefined) conditions.humidity = humidity;
+  if (nitrogen !== undefined) conditions.nitrogen = nitrogen;
+  if (lightSource !== undefined) conditions.lightSource = lightSource;
+
+  const { growth, nominalGrowth, ...result } = runMonteCarlo(conditions, uncertainty, options, settings);
+
+  return {
+    ...result,
+    nominal: { ...result.nominal, limitingFactor: toDisplayFactor(result.nominal.limitingFactor) },
+    limitingProbability: result.limitingProbability.map((entry) => ({
+      ...entry,
+      factor: toDisplayFactor(entry.factor)
+    })),
+    bands: growth.map((entry, index) => ({
+      time: entry.day,
+      nominal: nominalGrowth[index].biomass,
+      median: entry.biomass.p50,
+      inner: [entry.biomass.p25, entry.biomass.p75],
+      outer: [entry.biomass.p5, entry.biomass.p95],
+      rate: { median: entry.rate.p50, outer: [entry.rate.p5, entry.rate.p95] }
+    }))
+  };
+}
+
+/**
+ * Uncertain inputs, model parameters and sampling distributions for the
+ * uncertainty controls.
+ *
+ * @returns {{ inputs: Array<{ id: string, name: string, unit: string }>, parameters: Array<{ id: string, name: string, kind: 'scale' | 'shift', fvcb: boolean }>, distributions: Array<{ id: string, name: string, description: string }> }}
+ */
+export function getUncertaintyOptions() {
+  return getUncertaintyChoices();
+}
+
+/**
+ * Gross assimilation, photorespiration, dark respiration and net CO₂ uptake.
+ *
+ * Member 1's model keeps `rate` on a 0–1 scale and reports the CO₂ fluxes
+ * separately in `gasExchange`; this adapter returns just those fluxes.
+ *
+ * @param {number} light - Light intensity
+ * @param {number} co2 - CO₂ concentration
+ * @param {number} temperature - Temperature
+ * @param {Object} [options] - Model options forwarded to the model
+ * @returns {{ gross: number, photorespiration: number, respiration: number, net: number }} μmol CO₂/m²/s
+ */
+export function getGasExchange(light, co2, temperature, options = {}) {
+  return { ...modelCalculatePhotosynthesisRate(light, co2, temperature, options).gasExchange };
+}
+
+/**
+ * Light and CO₂ compensation points for the current conditions, where net
+ * CO₂ uptake is zero. Either value is null when it cannot be reached.
+ *
+ * @param {number} light - Light intensity
+ * @param {number} co2 - CO₂ concentration
+ * @param {number} temperature - Temperature
+ * @param {Object} [options] - Model options forwarded to the model
+ * @returns {{ light: number|null, co2: number|null }}
+ */
+export function getCompensationPoints(light, co2, temperature, options = {}) {
+  return calculateCompensationPoints(light, co2, temperature, options);
+}
+
+/**
+ * Recovery of photosystem II once the light is brought back to the
+ * crop's saturating level, for the recovery chart after a high-light run.
+ *
+ * @param {number} initialDamage - Damaged PSII fraction when recovery starts (0–1)
+ * @param {number} temperature - Temperature during recovery (°C)
+ * @param {number} [hours] - Length of the curve (default: 72 h)
+ * @param {Object} [options] - Model options including pathway, species and lightSource
+ * @returns {Array} Array of { hour, damage, functional, daylight }
+ */
+export function getPhotoinhibitionRecovery(initialDamage, temperature, hours = 72, options = {}) {
+  const { light } = getOptimalValues(options);
+  return calculateRecoveryCurve(initialDamage, { light, temperature }, hours, options);
+}
+
+/**
+ * Separates the extra conditions the UI carries in the options (humidity,
+ * nitrogen, light source) from the model options, for Member 1 functions
+ * that take a conditions object.
+ *
+ * @param {number} light - Light intensity
+ * @param {number} co2 - CO₂ concentration
+ * @param {number} temperature - Temperature
+ * @param {Object} options - Model options including humidity, nitrogen and lightSource
+ * @returns {{ conditions: Object, modelOptions: Object }}
+ */
+function splitConditions(light, co2, temperature, options) {
+  const { humidity, nitrogen, lightSource, ...modelOptions } = options;
+  const conditions = { light, co2, temperature };
+  if (humidity !== undefined) conditions.humidity = humidity;
+  if (nitrogen !== undefined) conditions.nitrogen = nitrogen;
+  if (lightSource !== undefined) conditions.lightSource = lightSource;
+  return { conditions, modelOptions };
+}
+
+/**
+ * How far the limiting factor can be improved before another factor limits.
+ *
+ * Member 1's `calculateLimitationTransition` scans the input that relieves the
+ * limiting factor (light, CO₂, humidity, nitrogen; lower light against
+ * photoinhibition; temperature towards its optimum). This adapter passes the
+ * extra conditions from the options and maps factor keys to display strings.
+ *
+ * @param {number} light - Light intensity
+ * @param {number} co2 - CO₂ concentration
+ * @param {number} temperature - Temperature
+ * @param {Object} [options] - Model options forwarded to the model (including humidity, nitrogen and lightSource)
+ * @returns {{ factor: string, input: string, direction: string, from: number, to: number, nextFactor: string|null, rate: number, currentRate: number }}
+ *   factor and nextFactor are display strings; input is 'light' | 'co2' | 'temperature' | 'humidity' | 'nitrogen'
+ */
+export function getLimitationTransition(light, co2, temperature, options = {}) {
+  const { conditions, modelOptions } = splitConditions(light, co2, temperature, options);
+
+  const transition = calculateLimitationTransition(conditions, modelOptions);
+  return {
+    ...transition,
+    factor: toDisplayFactor(transition.factor),
+    nextFactor: transition.nextFactor ? toDisplayFactor(transition.nextFactor) : null
+  };
+}
+
+/**
+ * One-sentence summary of a limitation transition for the recommendation panels,
+ * e.g. 'Raise light from 300 to 520 μmol/m²/s, then CO₂ becomes limiting at 61%.'
+ *
+ * @param {Object} transition - Result of getLimitationTransition
+ * @param {Object} [settings] - Unit settings { system, altitude, lightSource }
+ * @returns {string} Transition sentence
+ */
+export function describeLimitationTransition(transition, settings = {}) {
+  const { input, direction, from, to, nextFactor, rate } = transition;
+  const names = { light: 'light', co2: 'CO₂', temperature: 'temperature', humidity: 'humidity', nitrogen: 'nitrogen' };
+  const factorNames = {
+    Light: 'light',
+    CO2: 'CO₂',
+    Temperature: 'temperature',
+    Stomata: 'stomatal closure',
+    Nitrogen: 'nitrogen',
+    Photoinhibition: 'photoinhibition'
+  };
+  const format = (value) => formatInputValue(input, value, settings);
+  const percent = `${Math.round(rate * 100)}%`;
+  const verb = direction === 'raise' ? 'Raise' : 'Lower';
+
+  if (nextFactor) {
+    return `${verb} ${names[input]} from ${format(from)} to ${format(to)}, then ${factorNames[nextFactor]} becomes limiting at ${percent}.`;
+  }
+  if (to !== from) {
+    return `${verb} ${names[input]} from ${format(from)} to ${format(to)} and it still limits, reaching ${percent}.`;
+  }
+  return `${names[input][0].toUpperCase()}${names[input].slice(1)} is already at ${format(from)}, as far as it can go; the rate stays at ${percent}.`;
+}
+
+/**
+ * Conditions that reach a target rate or biomass, for the "Reach target" panel.
+ *
+ * Member 1's `solveForTarget` searches single inputs, pairs of inputs and a
+ * greedy path, and ranks the setpoints by smallest change or lowest cost.
+ * This adapter maps limiting factors to display strings.
+ *
+ * @param {Object} conditions - { light, co2, temperature, humidity?, nitrogen?, lightSource? }
+ * @param {Object} target - { type: 'rate', value: 0-1 } or { type: 'biomass', value: g, days, initialBiomass? }
+ * @param {Object} [options] - Model options (model, theta, fvcb, pathway, species)
+ * @param {Object} [search] - { objective?: 'change' | 'cost', weights?: cost per full range of each input }
+ * @returns {{ target: Object, objective: string, current: Object, reached: boolean, candidates: Array, best: Object|null }}
+ *   candidates are { conditions, changes: [{ input, from, to }], change, cost, value, limitingFactor, direction }
+ */
+export function findConditionsForTarget(conditions, target, options = {}, search = {}) {
+  const solution = solveForTarget(conditions, target, options, search);
+  const toDisplay = (entry) => entry && { ...entry, limitingFactor: toDisplayFactor(entry.limitingFactor) };
+
+  return {
+    ...solution,
+    current: toDisplay(solution.current),
+    candidates: solution.candidates.map(toDisplay),
+    best: toDisplay(solution.best)
+  };
+}
+
+/**
+ * Lists the ranking objectives of the target solver (smallest change, cheapest).
+ *
+ * @returns {Array} Array of { id, name, description }
+ */
+export function getSolverObjectives() {
+  return getAvailableSolverObjectives();
+}
+
+/**
+ * Greenhouse setpoint with the best economics over a growing period.
+ *
+ * Member 1's `optimizeGreenhouse` grows the crop with `simulateGrowth` over a
+ * grid of light, CO₂ and temperature setpoints, prices lamp electricity, CO₂
+ * lost to ventilation and heating/cooling degree-hours, and refines the best
+ * setpoint for profit or biomass per dollar. The frontier is the cost /
+ * biomass trade-off curve.
+ *
+ * @param {Object} conditions - { light, co2, temperature, humidity?, nitrogen?, lightSource? }
+ * @param {Object} costSettings - Prices and greenhouse properties (see getDefaultCostSettings)
+ * @param {Object} [options] - Model options (model, theta, fvcb, pathway, species)
+ * @param {string} [objective] - 'profit' | 'efficiency'
+ * @returns {{ objective: string, current: Object, best: Object, frontier: Array }}
+ *   each entry is { conditions, biomass, gain, revenue, costs: { lighting, co2, climate, total }, profit, biomassPerDollar }
+ */
+export function optimizeGreenhouseSetpoint(conditions, costSettings, options = {}, objective = 'profit') {
+  return optimizeGreenhouse(conditions, costSettings, options, objective);
+}
+
+/**
+ * Default electricity, lamp, CO₂, climate and crop prices for the cost optimizer.
+ *
+ * @returns {Object} Cost settings
+ */
+export function getDefaultCostSettings() {
+  return { ...DEFAULT_COST_SETTINGS };
+}
+
+/**
+ * Lists the cost optimizer objectives (profit, biomass per dollar).
+ *
+ * @returns {Array} Array of { id, name, description }
+ */
+export function getEconomicObjectives() {
+  return getAvailableEconomicObjectives();
+}
+
+/**
+ * Local sensitivity of the rate to each input at the current state.
+ *
+ * Member 1's `calculateSensitivity` returns central-difference partial
+ * derivatives, elasticities and the rate after a ±10% change of each input
+ * (the tornado chart), sorted by how much the rate swings. Inputs that do not
+ * limit show near-zero sensitivity.
+ *
+ * @param {number} light - Light intensity
+ * @param {number} co2 - CO₂ concentration
+ * @param {number} temperature - Temperature
+ * @param {Object} [options] - Model options forwarded to the model (including humidity, nitrogen and lightSource)
+ * @returns {{ rate: number, relativeChange: number, inputs: Array, mostSensitive: string|null }}
+ *   inputs are { input, value, derivative, elasticity, low, high, swing }; input is 'light' | 'co2' | 'temperature' | 'humidity' | 'nitrogen'
+ */
+export function getSensitivity(light, co2, temperature, options = {}) {
+  const { conditions, modelOptions } = splitConditions(light, co2, temperature, options);
+  return calculateSensitivity(conditions, modelOptions);
+}
+
+/**
+ * Response curve for the explorer: one factor swept across its slider range.
+ *
+ * Member 1's `calculateResponseCurve` returns the swept points, the stretches
+ * where each factor limits, the current operating point and optional overlay
+ * curves for fixed levels of a second factor. This adapter passes the extra
+ * conditions from the options and maps limiting factors to display strings.
+ *
+ * @param {string} input - 'light' | 'co2' | 'temperature'
+ * @param {number} light - Light intensity
+ * @param {number} co2 - CO₂ concentration
+ * @param {number} temperature - Temperature
+ * @param {Object} [options] - Model options forwarded to the model (including humidity, nitrogen and lightSource)
+ * @param {string|null} [overlayInput] - Second factor to draw at fixed levels
+ * @returns {{ input: string, points: Array, regions: Array, operatingPoint: Object, overlays: Array }}
+ *   points are { value, x, rate, net, limitingFactor }; x is internal CO₂ for the CO₂ sweep
+ */
+export function getResponseCurve(input, light, co2, temperature, options = {}, overlayInput = null) {
+  const { conditions, modelOptions } = splitConditions(light, co2, temperature, options);
+
+  const curve = calculateResponseCurve(input, conditions, modelOptions, overlayInput);
+  const toDisplayPoint = (point) => ({ ...point, limitingFactor: toDisplayFactor(point.limitingFactor) });
+
+  return {
+    input: curve.input,
+    points: curve.points.map(toDisplayPoint),
+    regions: curve.regions.map((region) => ({ ...region, limitingFactor: toDisplayFactor(region.limitingFactor) })),
+    operatingPoint: toDisplayPoint(curve.operatingPoint),
+    overlays: curve.overlays.map((overlay) => ({ ...overlay, points: overlay.points.map(toDisplayPoint) }))
+  };
+}
+
+/**
+ * Two-factor response surface for the heatmap view.
+ *
+ * Member 1's `calculateResponseSurface` evaluates the model over a grid of two
+ * inputs (snapped to the slider steps) with the third held at its current
+ * value, and groups neighbouring cells into limiting regions. This adapter
+ * passes the extra conditions from the options and maps limiting factors to
+ * display strings.
+ *
+ * @param {string} xInput - Horizontal axis: 'light' | 'co2' | 'temperature'
+ * @param {string} yInput - Vertical axis, different from xInput
+ * @param {number} light - Light intensity
+ * @param {number} co2 - CO₂ concentration
+ * @param {number} temperature - Temperature
+ * @param {Object} [options] - Model options forwarded to the model (including humidity, nitrogen and lightSource)
+ * @returns {{ xInput: string, yInput: string, xValues: Array, yValues: Array, cells: Array, regions: Array }}
+ *   cells[row][column] are { x, y, rate, net, limitingFactor }; regions are { limitingFactor, size, center }
+ */
+export function getResponseSurface(xInput, yInput, light, co2, temperature, options = {}) {
+  const { conditions, modelOptions } = splitConditions(light, co2, temperature, options);
+
+  const surface = calculateResponseSurface(xInput, yInput, conditions, modelOptions);
+  return {
+    ...surface,
+    cells: surface.cells.map((row) => row.map((cell) => ({ ...cell, limitingFactor: toDisplayFactor(cell.limitingFactor) }))),
+    regions: surface.regions.map((region) => ({ ...region, limitingFactor: toDisplayFactor(region.limitingFactor) }))
+  };
+}
+
+/**
+ * Lists the response curves (A–Q, A–Ci, temperature) for the explorer.
+ *
+ * @returns {Array} Array of { id, name, description }
+ */
+export function getResponseCurveChoices() {
+  return getAvailableResponseCurves();
 }
 
 /**
@@ -155,9 +838,188 @@ export function runTimeLapseSimulation(initialState, days) {
  * @param {number} light
  * @param {number} co2
  * @param {number} temperature
- * @returns {{ light: number, co2: number, temperature: number }}
+ * @param {Object} [options] - Model options forwarded to the model
+ * @returns {{ light: number, co2: number, temperature: number, stomata: number, nitrogen: number, photoinhibition: number }}
  */
-export function getFactorRates(light, co2, temperature) {
-  const result = modelCalculatePhotosynthesisRate(light, co2, temperature);
+export function getFactorRates(light, co2, temperature, options = {}) {
+  const result = modelCalculatePhotosynthesisRate(light, co2, temperature, options);
   return { ...result.factors };
 }
+
+/**
+ * Vapour-pressure deficit for display next to the humidity slider.
+ *
+ * @param {number} temperature - Air temperature (°C)
+ * @param {number} humidity - Relative humidity (%)
+ * @returns {number} VPD in kPa
+ */
+export function getVaporPressureDeficit(temperature, humidity) {
+  return calculateVPD(temperature, humidity);
+}
+
+/**
+ * Relative chlorophyll content for a fertilizer level, used to tint the
+ * plant pale yellow-green when nitrogen is deficient.
+ *
+ * @param {number} nitrogen - Fertilizer level (% of the crop's requirement)
+ * @returns {number} Chlorophyll relative to a well-fertilized leaf (0–1)
+ */
+export function getChlorophyllLevel(nitrogen) {
+  return calculateNitrogenStatus(nitrogen).chlorophyll;
+}
+
+/**
+ * PAR and spectrally weighted light for the selected light source, so the
+ * UI can show how much of a lamp's output the plant can actually use.
+ *
+ * @param {number} light - Photon flux of the source (μmol/m²/s)
+ * @param {Object} [options] - Model options including lightSource and pathway
+ * @returns {{ source: string, par: number, effective: number, spectralEfficiency: number, quantumYield: number }}
+ */
+export function getLightQuality(light, options = {}) {
+  const { quantumYield } = resolveModelParameters(options);
+  return calculateLightQuality(light, options.lightSource, quantumYield);
+}
+
+/**
+ * Lists the light sources (sunlight, HPS, LEDs, shade) for a spectrum picker.
+ *
+ * @returns {Array} Array of { id, name, description }
+ */
+export function getLightSourceChoices() {
+  return getAvailableLightSources();
+}
+
+/**
+ * Formats a model value ('light', 'temperature' or 'co2') in the user's unit system.
+ *
+ * Member 1's units module keeps every value in its canonical unit
+ * (μmol/m²/s, °C, ppm); this adapter only picks the unit for the settings.
+ *
+ * @param {string} quantity - 'light' | 'temperature' | 'co2'
+ * @param {number} value - Value in the canonical unit
+ * @param {Object} [settings] - { system, altitude, lightSource }
+ * @returns {string} e.g. '77 °F', '38000 lx' or '40.5 Pa'
+ */
+export function formatMeasurement(quantity, value, settings = {}) {
+  return formatQuantity(quantity, value, settings.system, settings);
+}
+
+/**
+ * Formats the value of any adjustable input: light, CO₂ and temperature in the
+ * user's unit system, humidity as % RH and nitrogen as % of the requirement.
+ *
+ * @param {string} input - 'light' | 'co2' | 'temperature' | 'humidity' | 'nitrogen'
+ * @param {number} value - Value in the model's unit
+ * @param {Object} [settings] - Unit settings { system, altitude, lightSource }
+ * @returns {string} e.g. '520 μmol/m²/s' or '60 % RH'
+ */
+export function formatInputValue(input, value, settings = {}) {
+  if (input === 'humidity') return `${Math.round(value)} % RH`;
+  if (input === 'nitrogen') return `${Math.round(value)} %`;
+  return formatMeasurement(input, value, settings);
+}
+
+/**
+ * Converts a model value into the display unit of the user's unit system.
+ *
+ * @param {string} quantity - 'light' | 'temperature' | 'co2'
+ * @param {number} value - Value in the canonical unit
+ * @param {Object} [settings] - { system, altitude, lightSource }
+ * @returns {number} Value in the display unit
+ */
+export function toDisplayUnits(quantity, value, settings = {}) {
+  const unit = getUnitSystem(settings.system).units[quantity];
+  return convertToDisplay(quantity, value, unit, settings);
+}
+
+/**
+ * Converts a value typed in the user's unit system back to the model's unit.
+ *
+ * @param {string} quantity - 'light' | 'temperature' | 'co2'
+ * @param {number} value - Value in the display unit
+ * @param {Object} [settings] - { system, altitude, lightSource }
+ * @returns {number} Value in the canonical unit
+ */
+export function fromDisplayUnits(quantity, value, settings = {}) {
+  const unit = getUnitSystem(settings.system).units[quantity];
+  return convertFromDisplay(quantity, value, unit, settings);
+}
+
+/**
+ * Unit symbol shown next to a quantity in the user's unit system.
+ *
+ * @param {string} quantity - 'light' | 'temperature' | 'co2'
+ * @param {Object} [settings] - { system }
+ * @returns {string} e.g. 'μmol/m²/s', '°F', 'Pa'
+ */
+export function getUnitSymbol(quantity, settings = {}) {
+  return UNITS[quantity][getUnitSystem(settings.system).units[quantity]].symbol;
+}
+
+/**
+ * Slider range for an input, in the model's canonical unit.
+ *
+ * Every slider reads its range from Member 1's units module so that
+ * presets and sliders can never disagree about the scale.
+ *
+ * @param {string} factor - 'light' | 'co2' | 'temperature' | 'humidity' | 'nitrogen'
+ * @returns {{ min: number, max: number, step: number }}
+ */
+export function getInputRange(factor) {
+  return { ...INPUT_RANGES[factor] };
+}
+
+/**
+ * Lists the unit systems (plant science, US classroom, lighting, SI) for the settings.
+ *
+ * @returns {Array} Array of { id, name }
+ */
+export function getUnitSystemChoices() {
+  return getAvailableUnitSystems();
+}
+
+/**
+ * Default unit settings for initial component state.
+ *
+ * @returns {{ system: string, altitude: number }}
+ */
+export function getDefaultUnitSettings() {
+  return { system: DEFAULT_UNIT_SYSTEM, altitude: 0 };
+}
+
+/**
+ * Lists the photosynthesis models the UI can offer in a selector.
+ *
+ * @returns {Array} Array of { id, name, description }
+ */
+export function getModelChoices() {
+  return getAvailableModels();
+}
+
+/**
+ * Lists the photosynthetic pathways (C3, C4, CAM) the UI can offer.
+ *
+ * @returns {Array} Array of { id, name, examples, description }
+ */
+export function getPathwayChoices() {
+  return getAvailablePathways();
+}
+
+/**
+ * Lists the species library (tomato, maize, Elodea, ...) for a species picker.
+ *
+ * @returns {Array} Array of { id, name, scientificName, pathway }
+ */
+export function getSpeciesChoices() {
+  return getAvailableSpecies();
+}
+
+/**
+ * Default model options for initial component state.
+ *
+ * @returns {{ model: string, theta: number, fvcb: Object, pathway: string, species: string|null, colimitationTolerance: number }}
+ */
+export function getDefaultModelOptions() {
+  return modelGetDefaultModelOptions();
+}
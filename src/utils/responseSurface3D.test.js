@@ -0,0 +1,53 @@
+import { getResponseSurface, getPlantState } from './photosynthesisLogic';
+import { calculateResponseSurface } from '../logic/responseSurface';
+
+// The 3D view builds one mesh vertex per cell, raises it by the rate and
+// colours it by the display name of the limiting factor.
+
+const DISPLAY_FACTORS = ['Light', 'CO2', 'Temperature', 'Stomata', 'Nitrogen', 'Photoinhibition'];
+
+describe('3D response surface data', () => {
+  test('the grid is complete, so every mesh quad has four vertices', () => {
+    const { xValues, yValues, cells } = getResponseSurface('light', 'co2', 800, 400, 25);
+
+    expect(cells).toHaveLength(yValues.length);
+    cells.forEach((row) => expect(row).toHaveLength(xValues.length));
+  });
+
+  test('heights are rates on the 0-1 scale and colours are display factors', () => {
+    const { cells, regions } = getResponseSurface('co2', 'temperature', 1500, 400, 25, { model: 'colimitation' });
+
+    cells.flat().forEach(({ rate, limitingFactor }) => {
+      expect(rate).toBeGreaterThanOrEqual(0);
+      expect(rate).toBeLessThanOrEqual(1);
+      expect(DISPLAY_FACTORS).toContain(limitingFactor);
+    });
+    regions.forEach(({ limitingFactor }) => expect(DISPLAY_FACTORS).toContain(limitingFactor));
+  });
+
+  test('the surface matches the model grid with only the factor names changed', () => {
+    const surface = getResponseSurface('light', 'temperature', 800, 600, 25);
+    const model = calculateResponseSurface('light', 'temperature', { light: 800, co2: 600, temperature: 25 });
+
+    expect(surface.xValues).toEqual(model.xValues);
+    expect(surface.cells.flat().map(({ rate }) => rate)).toEqual(model.cells.flat().map(({ rate }) => rate));
+  });
+
+  test('humidity and nitrogen reshape the surface', () => {
+    const factorsOf = (options) => new Set(
+      getResponseSurface('light', 'co2', 800, 400, 35, options).cells.flat().map(({ limitingFactor }) => limitingFactor)
+    );
+
+    expect(factorsOf({ humidity: 10 })).toContain('Stomata');
+    expect(factorsOf({ nitrogen: 10 })).toContain('Nitrogen');
+  });
+
+  test('the state marker sits on the surface at a grid point', () => {
+    const conditions = { light: 1000, co2: 500, temperature: 28, humidity: 40 };
+    const modelOptions = { model: 'colimitation' };
+    const surface = getResponseSurface('light', 'co2', 1000, 500, 28, { ...modelOptions, humidity: 40 });
+    const cell = surface.cells[surface.yValues.indexOf(500)][surface.xValues.indexOf(1000)];
+
+    expect(cell.rate).toBeCloseTo(getPlantState(conditions, modelOptions).rate, 12);
+  });
+});